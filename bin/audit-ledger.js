@@ -1,104 +1,212 @@
 // bin/audit-ledger.js - Chain integrity script for the ICRC medical tracking system
+//
+// Usage:
+//   node bin/audit-ledger.js                            Audit the whole local chain
+//   node bin/audit-ledger.js --verify-proof proof.json  Check a saved GET /ledger/proof response offline
+//   node bin/audit-ledger.js --against-checkpoint checkpoint.json
+//                                                       Audit the chain and prove it still extends an archived checkpoint
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
+const config = require('../config/default');
+const Blockchain = require('../contracts/ledger');
+const { auditChain, verifyInclusionProof } = require('../contracts/block');
+const { CHECKPOINT_TYPE, verifyCheckpointSignatures, verifyAgainstCheckpoint } = require('../contracts/checkpoint');
+const { IdentityRegistry } = require('../identity/registry');
+const { ValidatorSet } = require('../contracts/consensus');
+const { readKeystore } = require('../identity/keystore');
 
 /**
- * Calculates the SHA-256 hash of a block
- * @param {number} index - Block index
- * @param {string} timestamp - Block timestamp
- * @param {Object} data - Block data
- * @param {string} previousHash - Previous block's hash
- * @returns {string} The calculated hash
+ * Reads this node's HQ public key from its keystore, when present locally; the public
+ * key is stored in the clear, so no passphrase is needed
+ * @returns {string|null} Hex public key, or null if there is none
  */
-function calculateHash(index, timestamp, data, previousHash) {
-  const dataString = JSON.stringify(data);
-  return crypto.createHash('sha256')
-    .update(index + timestamp + dataString + previousHash)
-    .digest('hex');
+function loadLocalHqKey() {
+  const keystorePath = path.resolve(__dirname, '..', config.keystorePath);
+  return fs.existsSync(keystorePath) ? readKeystore(keystorePath).publicKey : null;
 }
 
-function auditLedger() {
-  console.log('--- Starting Chain Integrity Audit ---');
+/**
+ * Collects the validator keys whose block signatures the audit accepts: the configured
+ * TRUSTED_VALIDATORS plus this node's own HQ key when it is present locally
+ * @returns {Array<string>} Trusted validator public keys
+ */
+function loadTrustedValidators() {
+  const trusted = [...config.trustedValidators];
+  const hqPublicKey = loadLocalHqKey();
   
-  const ledgerPath = path.join(__dirname, '..', 'ledger-data');
+  if (hqPublicKey) {
+    trusted.push(hqPublicKey);
+  }
   
-  // Read all files in the ledger-data directory
-  const files = fs.readdirSync(ledgerPath);
+  return [...new Set(trusted)];
+}
+
+/**
+ * Checks a Merkle inclusion proof from a file; needs no ledger, but cross-checks the
+ * block hash against the local chain when that block is present
+ * @param {string} proofPath - Path to a saved proof (the `proof` object or the full API response)
+ */
+function verifyProofFile(proofPath) {
+  console.log('--- Verifying Record Inclusion Proof ---');
+  
+  const saved = JSON.parse(fs.readFileSync(proofPath, 'utf8'));
+  const proof = saved.proof || saved;
   
-  if (files.length === 0) {
-    console.log('No blocks found in ledger-data directory.');
+  if (!proof.header || !proof.path) {
+    console.log(`❌ ${proofPath} does not contain an inclusion proof${saved.message ? `: ${saved.message}` : ''}`);
+    process.exitCode = 1;
     return;
   }
   
-  // Filter for block files and sort them by index
-  const blockFiles = files
-    .filter(file => file.startsWith('block_') && file.endsWith('.json'))
-    .sort((a, b) => {
-      const indexA = parseInt(a.match(/block_(\d+)\.json/)[1]);
-      const indexB = parseInt(b.match(/block_(\d+)\.json/)[1]);
-      return indexA - indexB;
-    });
-  
-  if (blockFiles.length === 0) {
-    console.log('No block files found in ledger-data directory.');
+  console.log(`Kit ${proof.kitId}, record ${proof.eventIndex}, block ${proof.header.index}`);
+  
+  const problems = verifyInclusionProof(proof);
+  
+  const localBlock = new Blockchain().getBlock(proof.header.index);
+  if (localBlock && localBlock.hash !== proof.header.hash) {
+    problems.push(`Local block ${proof.header.index} has a different hash than the proof`);
+  }
+  
+  if (problems.length > 0) {
+    problems.forEach(problem => console.log(`❌ ${problem}`));
+    console.log('\n❌ PROOF INVALID: the record is not proven to be in the chain!');
+    process.exitCode = 1;
     return;
   }
   
-  console.log(`Found ${blockFiles.length} blocks to audit.`);
+  console.log(`🔗 Record -> Merkle root ${proof.header.merkleRoot.substring(0, 16)}... -> block ${proof.header.hash.substring(0, 16)}...`);
+  if (!localBlock) {
+    console.log('   (block not in the local ledger; compare the block hash with a trusted copy of the chain)');
+  }
+  console.log('\n✅ PROOF VERIFIED: the record is included in the block!');
+}
+
+/**
+ * Audits the local chain block by block, printing every link and issue
+ * @returns {boolean} True if the chain is intact
+ */
+function auditLedger() {
+  console.log('--- Starting Chain Integrity Audit ---');
+  
+  const blockchain = new Blockchain();
+  const blockCount = blockchain.height();
+  
+  if (blockCount === 0) {
+    console.log(`No blocks found in ${blockchain.ledgerPath}.`);
+    return false;
+  }
+  
+  console.log(`Found ${blockCount} blocks to audit.`);
   
-  // Load all blocks
-  const blocks = blockFiles.map(fileName => {
-    const filePath = path.join(ledgerPath, fileName);
-    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  // Verify each block with the same checks the /audit endpoint runs
+  const trustedValidators = loadTrustedValidators();
+  console.log(`Trusting ${trustedValidators.length} validator key(s).`);
+  
+  // Replay the identity records first, so every record signature is judged against the
+  // key history as a whole, including revocations recorded after the record. The HQ key
+  // (HQ_PUBLIC_KEY, or the local keystore's) also checks kit records that carry no actorId.
+  const hqPublicKey = config.hqActor.publicKey || loadLocalHqKey();
+  const registry = new IdentityRegistry(blockchain, {
+    bootstrapActors: hqPublicKey ? [{ ...config.hqActor, publicKey: hqPublicKey }] : []
   });
+  registry.rebuild();
+  console.log(`Checking record signatures against ${registry.listActors().length} registered actor(s).`);
   
-  let isChainValid = true;
-  
-  // Verify each block
-  for (let i = 0; i < blocks.length; i++) {
-    const currentBlock = blocks[i];
-    
-    // Verify the block's own hash is correct
-    const expectedHash = calculateHash(
-      currentBlock.index,
-      currentBlock.timestamp,
-      currentBlock.data,
-      currentBlock.previousHash
-    );
-    
-    if (currentBlock.hash !== expectedHash) {
-      console.log(`❌ Block ${currentBlock.index} has invalid hash!`);
-      console.log(`   Expected: ${expectedHash}`);
-      console.log(`   Actual:   ${currentBlock.hash}`);
-      isChainValid = false;
-      continue;
-    }
-    
-    // For blocks after the first, verify the previousHash matches the previous block's hash
-    if (i > 0) {
-      const previousBlock = blocks[i - 1];
+  // On a proof-of-authority chain every block must also carry its proposer's signature and a commit quorum
+  const validatorSet = new ValidatorSet(blockchain);
+  validatorSet.rebuild();
+  if (blockchain.isProofOfAuthority()) {
+    console.log(`Checking validator commits against a set of ${validatorSet.current().validators.length} validator(s).`);
+  }
+  
+  const report = auditChain(blockchain.iterate(), {
+    trustedValidators,
+    allowUnsignedLegacy: blockchain.acceptsUnsignedLegacy(config.allowUnsignedLegacyBlocks),
+    verifyRecords: block => [
+      ...registry.verifyBlockRecords(block),
+      ...(validatorSet.enforces(block.index) ? validatorSet.verifyBlock(block) : [])
+    ],
+    onBlock: (block, issues, previousBlock) => {
+      issues.forEach(issue => {
+        console.log(`❌ Block ${issue.atBlock}: ${issue.message}`);
+        if (issue.expected !== undefined) {
+          console.log(`   Expected: ${issue.expected}`);
+          console.log(`   Actual:   ${issue.actual}`);
+        }
+      });
       
-      if (currentBlock.previousHash !== previousBlock.hash) {
-        console.log(`❌ Block ${currentBlock.index} has invalid previousHash!`);
-        console.log(`   Expected: ${previousBlock.hash}`);
-        console.log(`   Actual:   ${currentBlock.previousHash}`);
-        isChainValid = false;
-        continue;
+      if (issues.length > 0) {
+        return;
       }
       
-      console.log(`🔗 Link [Block ${i-1} <-> Block ${i}] is SECURE`);
-    } else {
-      console.log(`🔗 Block ${currentBlock.index} is GENESIS block`);
+      if (previousBlock) {
+        console.log(`🔗 Link [Block ${previousBlock.index} <-> Block ${block.index}] is SECURE`);
+      } else {
+        console.log(`🔗 Block ${block.index} is GENESIS block`);
+      }
     }
-  }
+  });
   
-  if (isChainValid) {
+  if (report.status === 'Secure') {
     console.log('\n✅ CHAIN INTEGRITY VERIFIED: All blocks are linked correctly!');
-  } else {
-    console.log('\n❌ CHAIN INTEGRITY COMPROMISED: Issues detected in the blockchain!');
+    return true;
   }
+  
+  console.log('\n❌ CHAIN INTEGRITY COMPROMISED: Issues detected in the blockchain!');
+  process.exitCode = 1;
+  return false;
+}
+
+/**
+ * Checks an archived checkpoint (a GET /checkpoints/:height export) against the local chain:
+ * the checkpoint carries a trusted validator signature, the local block at its height still has
+ * the checkpointed hash and kit state, and the whole chain, including every later block, audits
+ * clean. A history rewritten below the checkpoint fails even if it was re-hashed and re-signed.
+ * @param {string} checkpointPath - Path to the checkpoint file
+ */
+function auditAgainstCheckpoint(checkpointPath) {
+  console.log('--- Checking Chain Against Archived Checkpoint ---');
+  
+  const saved = JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+  const checkpoint = saved.checkpoint || saved;
+  
+  if (checkpoint.type !== CHECKPOINT_TYPE) {
+    console.log(`❌ ${checkpointPath} does not contain a checkpoint${saved.message ? `: ${saved.message}` : ''}`);
+    process.exitCode = 1;
+    return;
+  }
+  
+  console.log(`Checkpoint: network ${checkpoint.networkId}, height ${checkpoint.height}, taken at ${checkpoint.timestamp}`);
+  console.log(`   Head hash:  ${checkpoint.headHash}`);
+  console.log(`   State root: ${checkpoint.stateRoot}`);
+  
+  const { signers, problems } = verifyCheckpointSignatures(checkpoint, loadTrustedValidators());
+  signers.forEach(signer => console.log(`🔏 Signed by trusted validator ${signer}`));
+  if (signers.length === 0) {
+    problems.push('Checkpoint carries no valid signature from a trusted validator');
+  }
+  problems.push(...verifyAgainstCheckpoint(new Blockchain(), checkpoint));
+  
+  problems.forEach(problem => console.log(`❌ ${problem}`));
+  console.log('');
+  const intact = auditLedger();
+  
+  if (problems.length > 0 || !intact) {
+    console.log(`\n❌ CHECKPOINT MISMATCH: the local chain does not extend the checkpoint at height ${checkpoint.height}!`);
+    process.exitCode = 1;
+    return;
+  }
+  
+  console.log(`\n✅ CHECKPOINT VERIFIED: the local chain extends the checkpoint at height ${checkpoint.height}!`);
 }
 
 // Run the audit
-auditLedger();
\ No newline at end of file
+const proofFlag = process.argv.indexOf('--verify-proof');
+const checkpointFlag = process.argv.indexOf('--against-checkpoint');
+if (proofFlag !== -1) {
+  verifyProofFile(process.argv[proofFlag + 1]);
+} else if (checkpointFlag !== -1) {
+  auditAgainstCheckpoint(process.argv[checkpointFlag + 1]);
+} else {
+  auditLedger();
+}
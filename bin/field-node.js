@@ -0,0 +1,191 @@
+// bin/field-node.js - Offline-first field node: sign records locally, submit them to HQ later
+//
+// Usage:
+//   node bin/field-node.js kit --kit-id <id> --type <type> --origin <place> --location <place> [--temperature <°C>]
+//   node bin/field-node.js event --kit-id <id> --event <EVENT_TYPE> [--payload '<json>'] [--timestamp <iso>]
+//   node bin/field-node.js handover --kit-id <id> --to <actorId> --location <place> --receiver-keystore <path>
+//   node bin/field-node.js list
+//   node bin/field-node.js submit [--hq <url>]
+//
+// Records are signed with the keystore of the field actor FIELD_ACTOR_ID (FIELD_KEYSTORE_PATH,
+// passphrase from KEYSTORE_PASSPHRASE or a prompt) at the moment they are captured, and queued
+// in the outbox at OUTBOX_PATH, which survives restarts. `submit` sends the queue to HQ's
+// POST /ledger/batch with the hub-operator key FIELD_API_KEY and settles each item by its result.
+// A handover is countersigned on the spot with the receiving custodian's keystore
+// (passphrase from RECEIVER_KEYSTORE_PASSPHRASE or a prompt).
+const path = require('path');
+const axios = require('axios');
+const config = require('../config/default');
+const { MedicalKit } = require('../contracts/asset');
+const { KitEvent, EVENT_TYPES, countersignHandover } = require('../contracts/events');
+const { unlockKeystore, readPassphrase } = require('../identity/keystore');
+const { Outbox } = require('../services/outbox');
+
+/**
+ * Parses --flag value pairs from the command line
+ * @param {Array<string>} argv - Arguments after the command
+ * @returns {Object} Map of flag name to value
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+/**
+ * Checks that the named flags were given
+ * @param {Object} args - Parsed flags
+ * @param {Array<string>} names - Required flag names
+ */
+function requireArgs(args, names) {
+  const missing = names.filter(name => args[name] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Missing ${missing.map(name => `--${name}`).join(', ')}`);
+  }
+}
+
+/**
+ * Unlocks the field actor's signing key
+ * @returns {Promise<Object>} { actorId, privateKey }
+ */
+async function fieldSigner() {
+  const { actorId } = config.fieldNode;
+  if (!actorId) {
+    throw new Error('FIELD_ACTOR_ID is not set');
+  }
+  const keystorePath = path.resolve(__dirname, '..', config.fieldNode.keystorePath);
+  const passphrase = await readPassphrase(`Passphrase for ${keystorePath}: `);
+  return { actorId, privateKey: unlockKeystore(keystorePath, passphrase).privateKey };
+}
+
+/**
+ * Signs a kit registration and queues it
+ * @param {Outbox} outbox - The outbox
+ * @param {Object} args - --kit-id, --type, --origin, --location, optional --temperature
+ */
+async function recordKit(outbox, args) {
+  requireArgs(args, ['kit-id', 'type', 'origin', 'location']);
+  const { actorId, privateKey } = await fieldSigner();
+  const temperature = args.temperature === undefined ? undefined : Number(args.temperature);
+
+  const kit = new MedicalKit(args['kit-id'], args.type, args.origin, temperature, args.location, privateKey);
+  const entry = outbox.add({ ...kit.toObject(), actorId });
+  console.log(`✅ Queued kit ${kit.kitID} (${entry.id})`);
+}
+
+/**
+ * Signs a lifecycle event and queues it
+ * @param {Outbox} outbox - The outbox
+ * @param {Object} args - --kit-id, --event, optional --payload (JSON) and --timestamp
+ */
+async function recordEvent(outbox, args) {
+  requireArgs(args, ['kit-id', 'event']);
+  if (!EVENT_TYPES[args.event] || args.event === EVENT_TYPES.HANDOVER) {
+    throw new Error(`--event must be one of ${Object.keys(EVENT_TYPES).filter(type => type !== 'HANDOVER').join(', ')} (use the handover command for handovers)`);
+  }
+  const payload = args.payload ? JSON.parse(args.payload) : {};
+  const { actorId, privateKey } = await fieldSigner();
+
+  const event = new KitEvent(args['kit-id'], args.event, payload, privateKey, args.timestamp, actorId);
+  const entry = outbox.add(event.toObject());
+  console.log(`✅ Queued ${event.eventType} for kit ${event.kitID} (${entry.id})`);
+}
+
+/**
+ * Signs a handover as the releasing custodian, has the receiver countersign it and queues it
+ * @param {Outbox} outbox - The outbox
+ * @param {Object} args - --kit-id, --to, --location, --receiver-keystore
+ */
+async function recordHandover(outbox, args) {
+  requireArgs(args, ['kit-id', 'to', 'location', 'receiver-keystore']);
+  const { actorId, privateKey } = await fieldSigner();
+  const receiverPassphrase = await readPassphrase(`Passphrase for ${args['receiver-keystore']} (${args.to}): `, 'RECEIVER_KEYSTORE_PASSPHRASE');
+  const receiver = unlockKeystore(path.resolve(args['receiver-keystore']), receiverPassphrase);
+
+  const event = new KitEvent(args['kit-id'], EVENT_TYPES.HANDOVER, {
+    fromCustodian: actorId,
+    toCustodian: args.to,
+    location: args.location
+  }, privateKey, undefined, actorId);
+  const entry = outbox.add(countersignHandover(event.toObject(), receiver.privateKey, args.to));
+  console.log(`✅ Queued handover of kit ${event.kitID} from ${actorId} to ${args.to} (${entry.id})`);
+}
+
+/**
+ * Prints the queued records
+ * @param {Outbox} outbox - The outbox
+ */
+function list(outbox) {
+  const entries = outbox.pending();
+  entries.forEach(({ id, queuedAt, record }) => {
+    console.log(`${queuedAt}  ${id}  ${record.kitID}  ${record.eventType || 'KIT'}  captured ${record.timestamp}`);
+  });
+  console.log(`${entries.length} record(s) queued in ${outbox.filePath}`);
+}
+
+/**
+ * Sends the queue to HQ in batches and settles each record by HQ's answer. A batch that
+ * gets no answer stays queued in full.
+ * @param {Outbox} outbox - The outbox
+ * @param {Object} args - Optional --hq base URL
+ */
+async function submit(outbox, args) {
+  const hqUrl = (args.hq || config.fieldNode.hqUrl).replace(/\/+$/, '');
+  const headers = config.fieldNode.apiKey ? { 'X-API-Key': config.fieldNode.apiKey } : {};
+  const entries = outbox.pending();
+  const totals = { accepted: 0, duplicate: 0, rejected: 0, conflict: 0 };
+
+  for (let start = 0; start < entries.length; start += config.batch.maxRecords) {
+    const batch = entries.slice(start, start + config.batch.maxRecords);
+    const response = await axios.post(`${hqUrl}/ledger/batch`, { records: batch.map(entry => entry.record) }, {
+      headers,
+      timeout: 30000
+    });
+
+    response.data.results.forEach(result => {
+      totals[result.status] = (totals[result.status] || 0) + 1;
+      if (result.status === 'rejected' || result.status === 'conflict') {
+        console.log(`❌ ${result.kitID} ${result.eventType || 'KIT'}: ${result.status} - ${result.message}`);
+      }
+    });
+    outbox.settle(batch, response.data.results);
+  }
+
+  console.log(`✅ Submitted ${entries.length} record(s) to ${hqUrl}: ${Object.entries(totals).map(([status, count]) => `${count} ${status}`).join(', ')}`);
+  if (totals.rejected + totals.conflict > 0) {
+    console.log(`Rejected and conflicting records were moved to ${outbox.rejectedPath}`);
+  }
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const args = parseArgs(rest);
+  const outbox = new Outbox(path.resolve(__dirname, '..', config.fieldNode.outboxPath));
+
+  switch (command) {
+    case 'kit':
+      return recordKit(outbox, args);
+    case 'event':
+      return recordEvent(outbox, args);
+    case 'handover':
+      return recordHandover(outbox, args);
+    case 'list':
+      return list(outbox);
+    case 'submit':
+      return submit(outbox, args);
+    default:
+      console.log('Usage: node bin/field-node.js <kit|event|handover|list|submit> [options]');
+      process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  const message = error.response ? `HQ answered ${error.response.status}: ${JSON.stringify(error.response.data)}` : error.message;
+  console.error(`❌ ${message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,39 @@
+// bin/issue-token.js - Issues a signed API bearer token for a user or service
+//
+// Usage: node bin/issue-token.js --sub <principalId> --roles <role,role> [--ttl <seconds>]
+//
+// Tokens are signed with JWT_SECRET, which must match the server's. Roles: admin,
+// hub-operator, auditor, forecaster, read-only.
+const config = require('../config/default');
+const { ROLES, signToken } = require('../middleware/auth');
+
+/**
+ * Parses --flag value pairs from the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Map of flag name to value
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const roles = (args.roles || '').split(',').map(role => role.trim()).filter(Boolean);
+const unknownRoles = roles.filter(role => !Object.values(ROLES).includes(role));
+
+if (!config.auth.jwtSecret) {
+  console.error('❌ JWT_SECRET is not set');
+  process.exitCode = 1;
+} else if (!args.sub || roles.length === 0 || unknownRoles.length > 0) {
+  console.error(`Usage: node bin/issue-token.js --sub <principalId> --roles <${Object.values(ROLES).join('|')},...> [--ttl <seconds>]`);
+  process.exitCode = 1;
+} else {
+  const ttl = parseInt(args.ttl, 10) || config.auth.tokenTtlSeconds;
+  console.log(signToken({ sub: args.sub, roles }, config.auth.jwtSecret, { expiresInSeconds: ttl }));
+}
@@ -0,0 +1,107 @@
+// bin/keystore.js - Create, inspect and re-encrypt the HQ keystore
+//
+// Usage:
+//   node bin/keystore.js create [--keystore <path>] [--import <private-key-file>]
+//   node bin/keystore.js export-public [--keystore <path>] [--out <file>]
+//   node bin/keystore.js reencrypt [--keystore <path>]
+//
+// --keystore defaults to KEYSTORE_PATH. Passphrases are read from KEYSTORE_PASSPHRASE
+// (and KEYSTORE_NEW_PASSPHRASE for reencrypt), or else prompted for on stdin.
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/default');
+const {
+  createKeystore,
+  readKeystore,
+  reencryptKeystore,
+  readPassphrase
+} = require('../identity/keystore');
+
+/**
+ * Parses --flag value pairs from the command line
+ * @param {Array<string>} argv - Arguments after the command
+ * @returns {Object} Map of flag name to value
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+/**
+ * Creates a keystore for a new key pair, or imports an existing plaintext private key
+ * @param {string} keystorePath - Keystore file to write
+ * @param {string} importPath - Optional file holding a hex private key
+ */
+async function create(keystorePath, importPath) {
+  const privateKey = importPath ? fs.readFileSync(importPath, 'utf8').trim() : undefined;
+  const passphrase = await readPassphrase('New keystore passphrase: ');
+  const confirmation = process.env.KEYSTORE_PASSPHRASE ? passphrase : await readPassphrase('Repeat passphrase: ');
+  
+  if (passphrase !== confirmation) {
+    throw new Error('Passphrases do not match');
+  }
+  
+  const keys = createKeystore(keystorePath, passphrase, privateKey);
+  console.log(`✅ Keystore written to ${keystorePath}`);
+  console.log(`Public key: ${keys.publicKey}`);
+  if (importPath) {
+    console.log(`Delete ${importPath} once the keystore is backed up.`);
+  }
+}
+
+/**
+ * Prints or writes the public key of a keystore; no passphrase is needed
+ * @param {string} keystorePath - Keystore file
+ * @param {string} outPath - Optional file to write the public key to
+ */
+function exportPublic(keystorePath, outPath) {
+  const { publicKey } = readKeystore(keystorePath);
+  
+  if (outPath) {
+    fs.writeFileSync(outPath, publicKey, 'utf8');
+    console.log(`✅ Public key written to ${outPath}`);
+  } else {
+    console.log(publicKey);
+  }
+}
+
+/**
+ * Re-encrypts a keystore under a new passphrase
+ * @param {string} keystorePath - Keystore file
+ */
+async function reencrypt(keystorePath) {
+  const passphrase = await readPassphrase('Current passphrase: ');
+  const newPassphrase = await readPassphrase('New passphrase: ', 'KEYSTORE_NEW_PASSPHRASE');
+  
+  reencryptKeystore(keystorePath, passphrase, newPassphrase);
+  console.log(`✅ ${keystorePath} re-encrypted under the new passphrase`);
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const args = parseArgs(rest);
+  const keystorePath = path.resolve(args.keystore || path.resolve(__dirname, '..', config.keystorePath));
+  
+  switch (command) {
+    case 'create':
+      return create(keystorePath, args.import);
+    case 'export-public':
+      return exportPublic(keystorePath, args.out);
+    case 'reencrypt':
+      return reencrypt(keystorePath);
+    default:
+      console.log('Usage: node bin/keystore.js <create|export-public|reencrypt> [--keystore <path>] [--import <file>] [--out <file>]');
+      process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,111 @@
+// bin/migrate-ledger.js - One-shot migration from block_N.json files to the segment log backend
+//
+// Usage: node bin/migrate-ledger.js [--from <dir>] [--to <dir>] [--segment-max-bytes <n>]
+//
+// --from defaults to the configured ledger path and --to defaults to --from, so the
+// segment log is written next to the existing block files. Set LEDGER_BACKEND=segment
+// once the migration has verified; the block_N.json files are left untouched.
+const path = require('path');
+const config = require('../config/default');
+const { verifyBlock } = require('../contracts/block');
+const { FileStorage, SegmentStorage } = require('../storage');
+
+/**
+ * Parses --flag value pairs from the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Map of flag name to value
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+/**
+ * Compares every block of the source and destination and recomputes its hash
+ * @param {Object} source - Source storage backend
+ * @param {Object} destination - Destination storage backend
+ * @returns {Array<string>} Problems found; empty when the copy is faithful
+ */
+function verifyMigration(source, destination) {
+  const problems = [];
+
+  if (source.height() !== destination.height()) {
+    problems.push(`Height mismatch: source ${source.height()}, destination ${destination.height()}`);
+    return problems;
+  }
+
+  let previousBlock = null;
+  for (const original of source.iterate()) {
+    const copy = destination.getBlock(original.index);
+
+    if (!copy || JSON.stringify(copy) !== JSON.stringify(original)) {
+      problems.push(`Block ${original.index} differs between source and destination`);
+      continue;
+    }
+
+    verifyBlock(copy, previousBlock).forEach(issue => {
+      problems.push(`Block ${issue.atBlock}: ${issue.message}`);
+    });
+
+    previousBlock = copy;
+  }
+
+  return problems;
+}
+
+function migrateLedger() {
+  const args = parseArgs(process.argv.slice(2));
+  const fromPath = path.resolve(args.from || path.resolve(__dirname, '..', config.ledgerPath));
+  const toPath = path.resolve(args.to || fromPath);
+  const segmentMaxBytes = parseInt(args['segment-max-bytes']) || config.ledgerSegmentMaxBytes;
+
+  console.log('--- Starting Ledger Migration (block files -> segment log) ---');
+  console.log(`Source:      ${fromPath}`);
+  console.log(`Destination: ${toPath}`);
+
+  const source = new FileStorage(fromPath);
+  const destination = new SegmentStorage(toPath, { segmentMaxBytes });
+
+  if (destination.height() > 0) {
+    destination.close();
+    console.error(`❌ Destination already holds ${destination.height()} blocks; refusing to migrate.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  for (let index = 0; index < source.height(); index++) {
+    const block = source.getBlock(index);
+    if (!block) {
+      destination.close();
+      console.error(`❌ Source is missing block_${index}.json; refusing to migrate a chain with gaps.`);
+      process.exitCode = 1;
+      return;
+    }
+    destination.append(block);
+  }
+  destination.close();
+
+  console.log(`Copied ${source.height()} blocks. Verifying...`);
+
+  // Reopen from disk so verification reads what was actually persisted
+  const reopened = new SegmentStorage(toPath);
+  const problems = verifyMigration(source, reopened);
+  reopened.close();
+
+  if (problems.length > 0) {
+    problems.forEach(problem => console.error(`❌ ${problem}`));
+    console.error('\n❌ MIGRATION FAILED VERIFICATION: do not switch LEDGER_BACKEND yet.');
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log('\n✅ MIGRATION VERIFIED: all block hashes match. Set LEDGER_BACKEND=segment to use the new format.');
+}
+
+migrateLedger();
@@ -1,6 +1,18 @@
 // config/default.js - Default configuration for the ICRC Supply Chain Tracking System
 require('dotenv').config();
 
+/**
+ * Reads a count from the environment for settings where 0 is meaningful, so `|| default` cannot
+ * be used; an unset, empty, negative or non-numeric value falls back to the default
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default value
+ * @returns {number} The count
+ */
+function envCount(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
 module.exports = {
   // Environment
   env: process.env.NODE_ENV || 'development',
@@ -10,7 +22,10 @@ module.exports = {
   
   // Paths
   ledgerPath: process.env.LEDGER_PATH || './ledger-data',
+  ledgerBackend: process.env.LEDGER_BACKEND || 'file', // Ledger storage backend: 'file', 'segment' or 'memory'
+  ledgerSegmentMaxBytes: parseInt(process.env.LEDGER_SEGMENT_MAX_BYTES) || 16 * 1024 * 1024, // Segment rotation size
   identityPath: process.env.IDENTITY_PATH || './identity',
+  keystorePath: process.env.KEYSTORE_PATH || './identity/icrc-hq/keystore.json', // Encrypted HQ signing key
   
   // Logging
   logLevel: process.env.LOG_LEVEL || 'info',
@@ -18,9 +33,140 @@ module.exports = {
   // Cryptography
   ellipticCurve: 'secp256k1', // Elliptic curve for key generation
   
+  // API authentication. JWT_SECRET signs bearer tokens; API_KEYS lists device keys as
+  // "principalId:role|role:key" entries separated by commas. Requests without credentials
+  // get ANONYMOUS_ROLES (set it empty to require credentials for every route).
+  auth: {
+    jwtSecret: process.env.JWT_SECRET,
+    tokenTtlSeconds: parseInt(process.env.TOKEN_TTL_SECONDS) || 3600,
+    apiKeys: process.env.API_KEYS || '',
+    anonymousRoles: (process.env.ANONYMOUS_ROLES ?? 'read-only').split(',').map(role => role.trim()).filter(Boolean),
+    
+    // Key-based login (POST /auth/challenge, /auth/verify): nonce lifetime, session token
+    // lifetime and the API roles a session gets for each registry actor role
+    challengeTtlSeconds: parseInt(process.env.CHALLENGE_TTL_SECONDS) || 120,
+    sessionTtlSeconds: parseInt(process.env.SESSION_TTL_SECONDS) || 900,
+    actorRoles: {
+      hq: ['admin'],
+      supplier: ['hub-operator'],
+      warehouse: ['hub-operator'],
+      hub: ['hub-operator', 'forecaster'],
+      clinic: ['hub-operator', 'forecaster'],
+      driver: ['hub-operator', 'forecaster']
+    }
+  },
+  
+  // Identity registry: the actor this node's HQ key signs as. It is known to the registry
+  // without an on-chain registration and is the authority that registers everyone else.
+  // Hub nodes that do not hold the HQ key set HQ_PUBLIC_KEY to the HQ node's public key.
+  hqActor: {
+    actorId: process.env.HQ_ACTOR_ID || 'icrc-hq',
+    organizationId: process.env.HQ_ORGANIZATION_ID || 'ICRC',
+    name: 'ICRC Headquarters',
+    role: 'hq',
+    publicKey: process.env.HQ_PUBLIC_KEY || null
+  },
+  
+  // Peer-to-peer ledger sync (services/p2p.js). P2P_PEERS lists peer base URLs separated by
+  // commas; P2P_API_KEY is the key this node presents to them (a "peer" role key in their API_KEYS).
+  p2p: {
+    peers: (process.env.P2P_PEERS || '').split(',').map(url => url.trim()).filter(Boolean),
+    selfUrl: process.env.P2P_SELF_URL || `http://localhost:${parseInt(process.env.PORT) || 3000}`,
+    apiKey: process.env.P2P_API_KEY,
+    syncIntervalSeconds: parseInt(process.env.P2P_SYNC_INTERVAL_SECONDS) || 30,
+    maxReorgDepth: parseInt(process.env.P2P_MAX_REORG_DEPTH) || 20, // Deeper forks are left to an operator
+    batchSize: parseInt(process.env.P2P_BATCH_SIZE) || 100, // Blocks per /p2p/blocks response
+    requestTimeoutMs: parseInt(process.env.P2P_REQUEST_TIMEOUT_MS) || 5000
+  },
+  
+  // Signed checkpoints (GET /checkpoints): taken every this many blocks; 0 turns automatic checkpoints off
+  checkpoints: {
+    intervalBlocks: envCount('CHECKPOINT_INTERVAL_BLOCKS', 100)
+  },
+  
+  // Automatic market resolution (services/market-resolver.js): seconds between deadline checks, and
+  // minutes after a deadline that records captured before it may still arrive from offline field nodes
+  markets: {
+    resolutionIntervalSeconds: parseInt(process.env.MARKET_RESOLUTION_INTERVAL_SECONDS) || 60,
+    resolutionGraceMinutes: envCount('MARKET_RESOLUTION_GRACE_MINUTES', 60)
+  },
+  
+  // Two-party custody handovers: minutes the receiving custodian has to countersign
+  handoverExpiryMinutes: parseInt(process.env.HANDOVER_EXPIRY_MINUTES) || 60,
+  
+  // Store-and-forward batches (POST /ledger/batch): items per request, and how far a record's
+  // capture timestamp may lie in the future (clock skew) or in the past (time spent offline)
+  batch: {
+    maxRecords: parseInt(process.env.BATCH_MAX_RECORDS) || 500,
+    maxClockSkewSeconds: parseInt(process.env.BATCH_MAX_CLOCK_SKEW_SECONDS) || 300,
+    maxRecordAgeDays: parseInt(process.env.BATCH_MAX_RECORD_AGE_DAYS) || 30
+  },
+  
+  // Field node (bin/field-node.js): the registered actor whose keystore signs records offline,
+  // where they are queued, and the HQ node and hub-operator API key they are submitted with
+  fieldNode: {
+    actorId: process.env.FIELD_ACTOR_ID,
+    keystorePath: process.env.FIELD_KEYSTORE_PATH || './identity/field/keystore.json',
+    outboxPath: process.env.OUTBOX_PATH || './field-data/outbox.jsonl',
+    hqUrl: process.env.HQ_URL || 'http://localhost:3000',
+    apiKey: process.env.FIELD_API_KEY
+  },
+  
+  // Cold-chain rule profiles, keyed by MedicalKit.type ('default' applies to any other type).
+  // minTemp/maxTemp in °C; maxExcursionMinutes is the cumulative time out of range a kit
+  // may accumulate before it is compromised; requiredFields must be present on registration.
+  coldChainProfiles: {
+    default: {
+      minTemp: 2,
+      maxTemp: 8,
+      maxExcursionMinutes: 60,
+      requiredFields: ['origin', 'location', 'temperature']
+    },
+    Vaccine: {
+      minTemp: 2,
+      maxTemp: 8,
+      maxExcursionMinutes: 30,
+      requiredFields: ['origin', 'location', 'temperature']
+    },
+    'Frozen Vaccine': {
+      minTemp: -25,
+      maxTemp: -15,
+      maxExcursionMinutes: 15,
+      requiredFields: ['origin', 'location', 'temperature']
+    },
+    Insulin: {
+      minTemp: 2,
+      maxTemp: 8,
+      maxExcursionMinutes: 720, // Tolerates room temperature for hours, not days
+      requiredFields: ['origin', 'location', 'temperature']
+    },
+    Surgical: {
+      minTemp: 0,
+      maxTemp: 35, // Ambient storage
+      maxExcursionMinutes: 1440,
+      requiredFields: ['origin', 'location']
+    }
+  },
+  
+  // Block validators: hex public keys whose block signatures audits accept.
+  // A node always trusts its own signing key in addition to this list.
+  trustedValidators: (process.env.TRUSTED_VALIDATORS || '').split(',').map(key => key.trim()).filter(Boolean),
+  // Pre-v2 blocks were never signed. Accepted only on chains without a genesis block
+  // (see Blockchain.acceptsUnsignedLegacy); 'false' refuses them on every chain.
+  allowUnsignedLegacyBlocks: process.env.ALLOW_UNSIGNED_LEGACY_BLOCKS !== 'false',
+  
   // Genesis block settings
   genesisBlock: {
     index: 0,
-    previousHash: '0000000000000000000000000000000000000000000000000000000000000000'
+    previousHash: '0000000000000000000000000000000000000000000000000000000000000000',
+    networkId: process.env.NETWORK_ID || 'icrc-humanitarian-ledger', // Nodes on the same chain share this ID
+    hashAlgorithm: 'sha256',
+    // Proof-of-authority validators, as "id:publicKey" entries separated by commas; empty for a
+    // single-signer chain. Fixed at genesis; later changes go through governance records.
+    validators: (process.env.GENESIS_VALIDATORS || '').split(',').map(entry => entry.trim()).filter(Boolean)
+      .map(entry => {
+        const [id, publicKey] = entry.split(':');
+        return { id, publicKey };
+      })
   }
 };
\ No newline at end of file
@@ -0,0 +1,413 @@
+// contracts/block.js - Block header format and the single hash function shared by the ledger and audits
+//
+// Legacy (v1) blocks have no `version` field and hash
+//   sha256(index + timestamp + JSON.stringify(data) + previousHash)
+// which depends on object key order. Version 2 blocks carry a header
+//   { version, index, timestamp, previousHash, dataHash, merkleRoot, hash }
+// where dataHash = sha256(canonical(data)), merkleRoot is the root over the block's
+// records (see blockRecords) and hash = sha256(canonical(header without hash)).
+// The validator node then signs the hash, adding `signer` (its key fingerprint) and
+// `signature`; neither field is part of the hashed header.
+const crypto = require('crypto');
+const { hashLeaf, merkleRoot, merkleProof, verifyMerkleProof } = require('./merkle');
+const { signData, verifySignature, getKeyFingerprint } = require('../identity/crypto-util');
+
+const BLOCK_VERSION = 2;
+const HEADER_FIELDS = ['version', 'index', 'timestamp', 'previousHash', 'dataHash', 'merkleRoot'];
+const ZERO_HASH = '0000000000000000000000000000000000000000000000000000000000000000';
+
+/**
+ * Serializes a value as canonical JSON: object keys sorted, numbers normalized
+ * (-0 becomes 0, NaN/Infinity are rejected) and undefined object members dropped
+ * @param {*} value - Any JSON-compatible value
+ * @returns {string} Canonical JSON text
+ */
+function canonicalize(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+
+  if (typeof value.toJSON === 'function') {
+    return canonicalize(value.toJSON());
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Cannot canonicalize non-finite number: ${value}`);
+    }
+    return JSON.stringify(Object.is(value, -0) ? 0 : value);
+  }
+
+  if (typeof value === 'string' || typeof value === 'boolean') {
+    return JSON.stringify(value);
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalize(item)).join(',')}]`;
+  }
+
+  const members = Object.keys(value)
+    .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+
+  return `{${members.join(',')}}`;
+}
+
+/**
+ * SHA-256 of a string, hex encoded
+ * @param {string} text - Input text
+ * @returns {string} Hex digest
+ */
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Hashes block data independently of key order
+ * @param {*} data - Block data
+ * @returns {string} Hex digest of the canonical JSON
+ */
+function hashData(data) {
+  return sha256(canonicalize(data));
+}
+
+/**
+ * Lists the records batched in a block: an array of records, or a single record
+ * @param {Object} block - Any block
+ * @returns {Array<Object>} The block's records in order
+ */
+function blockRecords(block) {
+  if (Array.isArray(block.data)) {
+    return block.data;
+  }
+  return block.data ? [block.data] : [];
+}
+
+/**
+ * Hashes one record as a Merkle leaf
+ * @param {Object} record - A block record
+ * @returns {string} Hex leaf hash
+ */
+function recordHash(record) {
+  return hashLeaf(canonicalize(record));
+}
+
+/**
+ * Computes the Merkle root over a block's records
+ * @param {*} data - Block data (one record or an array of records)
+ * @returns {string} Hex Merkle root
+ */
+function recordsRoot(data) {
+  return merkleRoot(blockRecords({ data }).map(recordHash));
+}
+
+/**
+ * Extracts the hashed header fields of a v2 block
+ * @param {Object} block - A v2 block
+ * @returns {Object} Header without the hash itself
+ */
+function blockHeader(block) {
+  const header = {};
+  HEADER_FIELDS.forEach(field => {
+    header[field] = block[field];
+  });
+  return header;
+}
+
+/**
+ * Calculates the hash a block should carry, for both legacy and v2 blocks
+ * @param {Object} block - Block (the `hash` field is ignored)
+ * @returns {string} The expected block hash
+ */
+function calculateBlockHash(block) {
+  if (!block.version || block.version < 2) {
+    return sha256(block.index + block.timestamp + JSON.stringify(block.data) + block.previousHash);
+  }
+
+  if (block.version > BLOCK_VERSION) {
+    throw new Error(`Unsupported block version ${block.version}`);
+  }
+
+  return sha256(canonicalize(blockHeader(block)));
+}
+
+/**
+ * Builds a new v2 block; the timestamp is taken once and used for both storage and hashing
+ * @param {Object} fields - Block fields
+ * @param {number} fields.index - Block index
+ * @param {string} fields.previousHash - Hash of the previous block
+ * @param {*} fields.data - Block data: one record, or an array of records to batch
+ * @param {string} fields.timestamp - ISO timestamp, defaults to now
+ * @returns {Object} The hashed block
+ */
+function createBlock({ index, previousHash, data, timestamp = new Date().toISOString() }) {
+  const block = {
+    version: BLOCK_VERSION,
+    index,
+    timestamp,
+    previousHash,
+    dataHash: hashData(data),
+    merkleRoot: recordsRoot(data),
+    data
+  };
+  block.hash = calculateBlockHash(block);
+  return block;
+}
+
+/**
+ * Checks one block's hashes and its link to the previous block
+ * @param {Object} block - Block to check
+ * @param {Object|null} previousBlock - The block before it, or null for the first block
+ * @returns {Array<Object>} Issues found ({ atBlock, message, expected, actual }); empty when valid
+ */
+function verifyBlock(block, previousBlock) {
+  const issues = [];
+
+  if (block.version >= 2) {
+    const expectedDataHash = hashData(block.data);
+    if (block.dataHash !== expectedDataHash) {
+      issues.push({
+        atBlock: block.index,
+        message: 'Block data does not match its dataHash',
+        expected: expectedDataHash,
+        actual: block.dataHash
+      });
+    }
+
+    const expectedRoot = recordsRoot(block.data);
+    if (block.merkleRoot !== expectedRoot) {
+      issues.push({
+        atBlock: block.index,
+        message: 'Block records do not match its merkleRoot',
+        expected: expectedRoot,
+        actual: block.merkleRoot
+      });
+    }
+  }
+
+  let expectedHash;
+  try {
+    expectedHash = calculateBlockHash(block);
+  } catch (error) {
+    issues.push({ atBlock: block.index, message: error.message });
+    return issues;
+  }
+
+  if (block.hash !== expectedHash) {
+    issues.push({
+      atBlock: block.index,
+      message: 'Block hash does not match expected value',
+      expected: expectedHash,
+      actual: block.hash
+    });
+  }
+
+  if (previousBlock) {
+    if (block.previousHash !== previousBlock.hash) {
+      issues.push({
+        atBlock: block.index,
+        message: 'Previous hash does not match previous block\'s hash',
+        expected: previousBlock.hash,
+        actual: block.previousHash
+      });
+    }
+
+    // Legacy blocks are unsigned, so a v2 block rewritten in the legacy format would
+    // otherwise slip past the signature check; a chain never goes back to pre-v2 blocks
+    if (previousBlock.version >= 2 && !(block.version >= 2)) {
+      issues.push({
+        atBlock: block.index,
+        message: `Legacy (pre-v2) block follows v2 block ${previousBlock.index}`
+      });
+    }
+
+    if (block.index !== previousBlock.index + 1) {
+      issues.push({
+        atBlock: block.index,
+        message: `Block index does not follow block ${previousBlock.index}`,
+        expected: previousBlock.index + 1,
+        actual: block.index
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Signs a block's hash with the validator node's key
+ * @param {Object} block - A hashed block
+ * @param {Object} signer - Validator key pair { privateKey, publicKey }
+ * @returns {Object} The block with signer fingerprint and signature attached
+ */
+function signBlock(block, signer) {
+  return {
+    ...block,
+    signer: getKeyFingerprint(signer.publicKey),
+    signature: signData(block.hash, signer.privateKey)
+  };
+}
+
+/**
+ * Indexes validator public keys by fingerprint
+ * @param {Array<string>} publicKeys - Trusted validator public keys (hex)
+ * @returns {Map<string, string>} Fingerprint -> public key
+ */
+function validatorIndex(publicKeys) {
+  return new Map(publicKeys.map(publicKey => [getKeyFingerprint(publicKey), publicKey]));
+}
+
+/**
+ * Checks that a block was signed by a trusted validator
+ * @param {Object} block - Block to check
+ * @param {Map<string, string>} trusted - Fingerprint -> public key, from validatorIndex
+ * @param {Object} options - Signature policy
+ * @param {boolean} options.allowUnsignedLegacy - Accept unsigned pre-v2 blocks (only valid before the first v2 block)
+ * @returns {Array<Object>} Issues found; empty when the signature is acceptable
+ */
+function verifyBlockSignature(block, trusted, { allowUnsignedLegacy = true } = {}) {
+  if (!block.signature || !block.signer) {
+    if (allowUnsignedLegacy && (!block.version || block.version < 2)) {
+      return [];
+    }
+    return [{ atBlock: block.index, message: 'Block is not signed by a validator' }];
+  }
+
+  const publicKey = trusted.get(block.signer);
+  if (!publicKey) {
+    return [{ atBlock: block.index, message: `Block signer ${block.signer} is not a trusted validator` }];
+  }
+
+  if (!verifySignature(block.hash, block.signature, publicKey)) {
+    return [{ atBlock: block.index, message: 'Block signature is invalid' }];
+  }
+
+  return [];
+}
+
+/**
+ * Builds a self-contained proof that one record is included in a block
+ * @param {Object} block - A v2 block
+ * @param {number} recordIndex - Position of the record in the block
+ * @returns {Object} Proof { record, recordIndex, leafHash, path, header } checkable with verifyInclusionProof
+ */
+function buildInclusionProof(block, recordIndex) {
+  if (!block.version || block.version < 2) {
+    throw new Error(`Block ${block.index} predates Merkle roots; inclusion proofs need a v2 block`);
+  }
+
+  const leaves = blockRecords(block).map(recordHash);
+  return {
+    record: blockRecords(block)[recordIndex],
+    recordIndex,
+    leafHash: leaves[recordIndex],
+    path: merkleProof(leaves, recordIndex),
+    header: { ...blockHeader(block), hash: block.hash }
+  };
+}
+
+/**
+ * Checks an inclusion proof without access to the chain: the record hashes to the leaf,
+ * the path folds to the header's merkleRoot and the header hashes to the block hash
+ * @param {Object} proof - Proof from buildInclusionProof
+ * @returns {Array<string>} Problems found; empty when the proof holds
+ */
+function verifyInclusionProof(proof) {
+  const problems = [];
+  const { record, leafHash, path, header } = proof;
+
+  if (recordHash(record) !== leafHash) {
+    problems.push('Record does not hash to the proof leaf');
+  }
+
+  if (!verifyMerkleProof(leafHash, path, header.merkleRoot)) {
+    problems.push('Merkle path does not lead to the block merkleRoot');
+  }
+
+  if (calculateBlockHash(header) !== header.hash) {
+    problems.push('Block header does not hash to the stated block hash');
+  }
+
+  return problems;
+}
+
+/**
+ * Runs every audit check on one block: hashes and link to the previous block, then the
+ * validator signature, then the record signatures. Later checks only run when the earlier
+ * ones pass, since a block that does not hash correctly says nothing about its signer.
+ * @param {Object} block - Block to check
+ * @param {Object|null} previousBlock - The block before it, or null for the first block
+ * @param {Object} options - Audit options
+ * @param {Map<string, string>} options.trusted - Validator index from validatorIndex; null skips the signature check
+ * @param {boolean} options.allowUnsignedLegacy - Accept unsigned pre-v2 blocks (default true)
+ * @param {Function} options.verifyRecords - Checks the record signatures of a block: verifyRecords(block) -> issues
+ * @returns {Array<Object>} Issues found; empty when the block passes
+ */
+function auditBlock(block, previousBlock, { trusted, allowUnsignedLegacy = true, verifyRecords } = {}) {
+  const issues = verifyBlock(block, previousBlock);
+  if (trusted && issues.length === 0) {
+    issues.push(...verifyBlockSignature(block, trusted, { allowUnsignedLegacy }));
+  }
+  if (verifyRecords && issues.length === 0) {
+    issues.push(...verifyRecords(block));
+  }
+  return issues;
+}
+
+/**
+ * Audits a whole chain, streaming blocks so only the previous one is held in memory
+ * @param {Iterable<Object>} blocks - Blocks in index order
+ * @param {Object} options - Audit options
+ * @param {Array<string>} options.trustedValidators - Validator public keys; when given, every block must be signed by one
+ * @param {boolean} options.allowUnsignedLegacy - Accept unsigned pre-v2 blocks (default true)
+ * @param {Function} options.verifyRecords - Checks the record signatures of a block: verifyRecords(block) -> issues
+ * @param {Function} options.onBlock - Called as onBlock(block, issues, previousBlock) for every block
+ * @returns {Object} Report { status: 'Secure'|'Tampered'|'Empty', blockCount, issues }
+ */
+function auditChain(blocks, { trustedValidators, allowUnsignedLegacy = true, verifyRecords, onBlock } = {}) {
+  const issues = [];
+  const trusted = trustedValidators ? validatorIndex(trustedValidators) : null;
+  let previousBlock = null;
+  let blockCount = 0;
+
+  for (const block of blocks) {
+    const blockIssues = auditBlock(block, previousBlock, { trusted, allowUnsignedLegacy, verifyRecords });
+    issues.push(...blockIssues);
+    if (onBlock) {
+      onBlock(block, blockIssues, previousBlock);
+    }
+
+    previousBlock = block;
+    blockCount++;
+  }
+
+  let status = 'Secure';
+  if (blockCount === 0) {
+    status = 'Empty';
+  } else if (issues.length > 0) {
+    status = 'Tampered';
+  }
+
+  return { status, blockCount, issues };
+}
+
+module.exports = {
+  BLOCK_VERSION,
+  ZERO_HASH,
+  canonicalize,
+  sha256,
+  hashData,
+  blockRecords,
+  recordHash,
+  calculateBlockHash,
+  createBlock,
+  verifyBlock,
+  signBlock,
+  validatorIndex,
+  verifyBlockSignature,
+  buildInclusionProof,
+  verifyInclusionProof,
+  auditBlock,
+  auditChain
+};
@@ -0,0 +1,171 @@
+// contracts/checkpoint.js - Signed chain checkpoints that can be archived outside the network
+//
+// A checkpoint pins the chain at a height: { networkId, height, headHash, stateRoot, timestamp },
+// where headHash is the hash of block height - 1, timestamp is that block's timestamp and
+// stateRoot is the Merkle root over the state of every kit (see WorldState) after that block,
+// kits ordered by kitID. Every field follows from the chain, so every honest node computes the
+// same checkpoint at a height and validator signatures from different nodes can be combined.
+// Validators sign the canonical JSON of those fields; `signatures` holds { signer, signature }
+// entries with signer the key fingerprint, as on blocks.
+const EventEmitter = require('events');
+const { canonicalize, validatorIndex } = require('./block');
+const { hashLeaf, merkleRoot } = require('./merkle');
+const { WorldState } = require('./world-state');
+const { signData, verifySignature, getKeyFingerprint } = require('../identity/crypto-util');
+
+const CHECKPOINT_TYPE = 'CHECKPOINT';
+const SIGNED_FIELDS = ['networkId', 'height', 'headHash', 'stateRoot', 'timestamp'];
+
+/**
+ * Merkle root over the state of every kit, ordered by kitID
+ * @param {Object} worldState - WorldState projection
+ * @returns {string} Hex state root
+ */
+function computeStateRoot(worldState) {
+  const kitIDs = Array.from(worldState.kits.keys()).sort();
+  return merkleRoot(kitIDs.map(kitID => hashLeaf(canonicalize(worldState.kits.get(kitID)))));
+}
+
+/**
+ * Replays the kit state of the first `height` blocks of a chain
+ * @param {Object} blockchain - The Blockchain
+ * @param {number} height - Number of blocks to replay
+ * @returns {Object} A WorldState detached from the live chain
+ */
+function stateAtHeight(blockchain, height) {
+  const worldState = new WorldState(new EventEmitter());
+  for (const block of blockchain.iterate(0, height)) {
+    worldState.applyBlock(block);
+  }
+  return worldState;
+}
+
+/**
+ * Computes the unsigned checkpoint of a chain at a height
+ * @param {Object} blockchain - The Blockchain
+ * @param {number} height - Number of blocks covered (at least 1, at most the chain height)
+ * @param {Object} worldState - Kit state after exactly `height` blocks; replayed when omitted
+ * @returns {Object} Checkpoint { type, networkId, height, headHash, stateRoot, timestamp, signatures }
+ */
+function buildCheckpoint(blockchain, height, worldState = stateAtHeight(blockchain, height)) {
+  if (!Number.isInteger(height) || height < 1 || height > blockchain.height()) {
+    throw new Error(`Cannot checkpoint height ${height}; the chain has ${blockchain.height()} blocks`);
+  }
+
+  const head = blockchain.getBlock(height - 1);
+  const chainParams = blockchain.getChainParams();
+  return {
+    type: CHECKPOINT_TYPE,
+    networkId: chainParams ? chainParams.networkId : null,
+    height,
+    headHash: head.hash,
+    stateRoot: computeStateRoot(worldState),
+    timestamp: head.timestamp,
+    signatures: []
+  };
+}
+
+/**
+ * The canonical payload validators sign
+ * @param {Object} checkpoint - Checkpoint
+ * @returns {string} Signing payload
+ */
+function checkpointPayload(checkpoint) {
+  const fields = { type: CHECKPOINT_TYPE };
+  SIGNED_FIELDS.forEach(field => {
+    fields[field] = checkpoint[field];
+  });
+  return canonicalize(fields);
+}
+
+/**
+ * Signs a checkpoint with a validator key, replacing an earlier signature by the same key
+ * @param {Object} checkpoint - Checkpoint
+ * @param {Object} keys - Validator key pair { privateKey, publicKey }
+ * @returns {Object} The checkpoint with the signature added
+ */
+function signCheckpoint(checkpoint, keys) {
+  const signer = getKeyFingerprint(keys.publicKey);
+  return {
+    ...checkpoint,
+    signatures: [
+      ...checkpoint.signatures.filter(entry => entry.signer !== signer),
+      { signer, signature: signData(checkpointPayload(checkpoint), keys.privateKey) }
+    ]
+  };
+}
+
+/**
+ * Checks a checkpoint's signatures against trusted validator keys
+ * @param {Object} checkpoint - Checkpoint
+ * @param {Array<string>} trustedValidators - Validator public keys (hex)
+ * @returns {Object} { signers: fingerprints with a valid signature, problems }
+ */
+function verifyCheckpointSignatures(checkpoint, trustedValidators) {
+  const trusted = validatorIndex(trustedValidators);
+  const payload = checkpointPayload(checkpoint);
+  const signers = new Set();
+  const problems = [];
+
+  (checkpoint.signatures || []).forEach(({ signer, signature }) => {
+    const publicKey = trusted.get(signer);
+    if (!publicKey) {
+      problems.push(`Signature from ${signer}, which is not a trusted validator`);
+    } else if (!verifySignature(payload, signature, publicKey)) {
+      problems.push(`Invalid signature from ${signer}`);
+    } else {
+      signers.add(signer);
+    }
+  });
+
+  return { signers: [...signers], problems };
+}
+
+/**
+ * Checks that a chain still extends a checkpoint: same network, the block at the checkpoint
+ * height has the checkpointed hash and timestamp, and replaying the chain up to it gives the
+ * checkpointed state root. Whether the later blocks link up is left to auditChain.
+ * @param {Object} blockchain - The Blockchain
+ * @param {Object} checkpoint - Checkpoint
+ * @returns {Array<string>} Problems found; empty when the chain extends the checkpoint
+ */
+function verifyAgainstCheckpoint(blockchain, checkpoint) {
+  const problems = [];
+  const chainParams = blockchain.getChainParams();
+
+  if (chainParams && checkpoint.networkId !== chainParams.networkId) {
+    problems.push(`Checkpoint is for network ${checkpoint.networkId}, this chain is ${chainParams.networkId}`);
+    return problems;
+  }
+
+  if (blockchain.height() < checkpoint.height) {
+    problems.push(`Chain has ${blockchain.height()} blocks, fewer than the checkpoint height ${checkpoint.height}`);
+    return problems;
+  }
+
+  const head = blockchain.getBlock(checkpoint.height - 1);
+  if (head.hash !== checkpoint.headHash) {
+    problems.push(`Block ${head.index} hash ${head.hash} differs from the checkpointed ${checkpoint.headHash}`);
+  }
+  if (head.timestamp !== checkpoint.timestamp) {
+    problems.push(`Block ${head.index} timestamp ${head.timestamp} differs from the checkpointed ${checkpoint.timestamp}`);
+  }
+
+  const stateRoot = computeStateRoot(stateAtHeight(blockchain, checkpoint.height));
+  if (stateRoot !== checkpoint.stateRoot) {
+    problems.push(`Kit state at height ${checkpoint.height} has root ${stateRoot}, not the checkpointed ${checkpoint.stateRoot}`);
+  }
+
+  return problems;
+}
+
+module.exports = {
+  CHECKPOINT_TYPE,
+  computeStateRoot,
+  stateAtHeight,
+  buildCheckpoint,
+  checkpointPayload,
+  signCheckpoint,
+  verifyCheckpointSignatures,
+  verifyAgainstCheckpoint
+};
@@ -0,0 +1,462 @@
+// contracts/consensus.js - Round-robin proof-of-authority among a fixed set of validators
+//
+// The genesis block names the validators (chainParams.consensus.validators, { id, publicKey }).
+// The block at height h in round r is proposed by validators[(h + r) % n]; the round moves on
+// when that proposer is offline or proposes a block the others refuse. The proposer signs the
+// block hash as on a single-node chain (signer, signature), and the committed block also carries
+// its `round` and `commits`: signatures from a quorum of validators over commitMessage(), which
+// binds the round as well as the hash. The quorum is floor(2n/3) + 1, so n validators tolerate
+// floor((n - 1)/3) faulty or offline ones.
+//
+// The set only changes through VALIDATOR_GOVERNANCE records approved by a quorum of the current
+// set. A change applies from the block after the one that records it. Each record names the
+// epoch (the number of changes so far) it amends, so an approved record cannot be replayed later.
+const { canonicalize, createBlock, signBlock, blockRecords, verifyBlock } = require('./block');
+const { signData, verifySignature, getKeyFingerprint } = require('../identity/crypto-util');
+
+const CONSENSUS_TYPE = 'poa';
+const GOVERNANCE_RECORD = 'VALIDATOR_GOVERNANCE';
+
+const GOVERNANCE_ACTIONS = {
+  VALIDATOR_ADDED: 'VALIDATOR_ADDED',
+  VALIDATOR_REMOVED: 'VALIDATOR_REMOVED'
+};
+
+/**
+ * Number of validator signatures a block or governance change needs
+ * @param {number} validatorCount - Size of the validator set
+ * @returns {number} floor(2n/3) + 1
+ */
+function quorumSize(validatorCount) {
+  return Math.floor((2 * validatorCount) / 3) + 1;
+}
+
+/**
+ * Builds a validator set snapshot
+ * @param {number} epoch - Number of governance changes applied so far
+ * @param {Array<Object>} validators - Validators { id, publicKey } in rotation order
+ * @returns {Object} { epoch, validators, quorum }
+ */
+function createValidatorSet(epoch, validators) {
+  return { epoch, validators, quorum: quorumSize(validators.length) };
+}
+
+/**
+ * Picks the validator whose turn it is to propose
+ * @param {Object} set - Validator set
+ * @param {number} height - Index of the block being proposed
+ * @param {number} round - Round at that height, starting at 0
+ * @returns {Object} The proposer { id, publicKey }
+ */
+function proposerFor(set, height, round = 0) {
+  return set.validators[(height + round) % set.validators.length];
+}
+
+/**
+ * The message validators sign to commit a block
+ * @param {string} networkId - Network the chain belongs to
+ * @param {Object} block - Proposed block with its round
+ * @returns {string} Commit message
+ */
+function commitMessage(networkId, block) {
+  return `poa-commit:${networkId}:${block.index}:${block.round}:${block.hash}`;
+}
+
+/**
+ * Counts distinct validators with a valid signature over a message
+ * @param {Object} set - Validator set
+ * @param {Array<Object>} signatures - Entries { signer (key fingerprint), signature }
+ * @param {string} message - The signed message
+ * @returns {Object} { count, problems }
+ */
+function countSignatures(set, signatures, message) {
+  const byFingerprint = new Map(set.validators.map(validator => [getKeyFingerprint(validator.publicKey), validator]));
+  const counted = new Set();
+  const problems = [];
+
+  (Array.isArray(signatures) ? signatures : []).forEach(({ signer, signature } = {}) => {
+    const validator = byFingerprint.get(signer);
+    if (!validator) {
+      problems.push(`signature from ${signer}, who is not a validator`);
+    } else if (!verifySignature(message, signature, validator.publicKey)) {
+      problems.push(`invalid signature from ${validator.id}`);
+    } else {
+      counted.add(validator.id);
+    }
+  });
+
+  return { count: counted.size, problems };
+}
+
+/**
+ * Builds an unapproved governance record changing the validator set
+ * @param {string} action - One of GOVERNANCE_ACTIONS
+ * @param {Object} validator - { id, publicKey } to add, or { id } to remove
+ * @param {number} epoch - Epoch of the set being amended
+ * @returns {Object} The governance record
+ */
+function createGovernanceRecord(action, validator, epoch) {
+  return { recordType: GOVERNANCE_RECORD, action, validator, epoch, approvals: [] };
+}
+
+/**
+ * The canonical payload validators sign to approve a governance record
+ * @param {Object} record - Governance record
+ * @returns {string} Signing payload
+ */
+function governancePayload({ recordType, action, validator, epoch }) {
+  return canonicalize({ recordType, action, validator, epoch });
+}
+
+/**
+ * Adds one validator's approval to a governance record
+ * @param {Object} record - Governance record
+ * @param {Object} keys - The approving validator's key pair { privateKey, publicKey }
+ * @returns {Object} The record with the approval appended
+ */
+function approveGovernance(record, keys) {
+  return {
+    ...record,
+    approvals: [...record.approvals, {
+      signer: getKeyFingerprint(keys.publicKey),
+      signature: signData(governancePayload(record), keys.privateKey)
+    }]
+  };
+}
+
+/**
+ * Applies one governance record to a validator set
+ * @param {Object} set - Current validator set
+ * @param {Object} record - Governance record
+ * @returns {Object} { set } with the next set, or { error }
+ */
+function applyGovernance(set, record) {
+  const { action, validator, epoch } = record;
+
+  if (!GOVERNANCE_ACTIONS[action]) {
+    return { error: `Unknown governance action ${action}` };
+  }
+  if (epoch !== set.epoch) {
+    return { error: `Governance record amends epoch ${epoch}, but the validator set is at epoch ${set.epoch}` };
+  }
+  if (!validator || !validator.id) {
+    return { error: 'Governance record does not name a validator' };
+  }
+
+  const approvals = countSignatures(set, record.approvals, governancePayload(record));
+  if (approvals.count < set.quorum) {
+    const detail = approvals.problems.length > 0 ? ` (${approvals.problems.join('; ')})` : '';
+    return { error: `${action} ${validator.id} has ${approvals.count} valid approval(s); quorum is ${set.quorum}${detail}` };
+  }
+
+  if (action === GOVERNANCE_ACTIONS.VALIDATOR_ADDED) {
+    if (!validator.publicKey) {
+      return { error: `${action} ${validator.id} has no public key` };
+    }
+    if (set.validators.some(existing => existing.id === validator.id || existing.publicKey === validator.publicKey)) {
+      return { error: `${validator.id} or its key is already a validator` };
+    }
+    return { set: createValidatorSet(set.epoch + 1, [...set.validators, { id: validator.id, publicKey: validator.publicKey }]) };
+  }
+
+  if (!set.validators.some(existing => existing.id === validator.id)) {
+    return { error: `${validator.id} is not a validator` };
+  }
+  if (set.validators.length === 1) {
+    return { error: `Cannot remove ${validator.id}, the last validator` };
+  }
+  return { set: createValidatorSet(set.epoch + 1, set.validators.filter(existing => existing.id !== validator.id)) };
+}
+
+/**
+ * Applies a block's governance records in order, reporting those that do not apply
+ * @param {Object} set - Validator set the block was proposed under
+ * @param {Object} block - Block to check
+ * @returns {Object} { set, issues } with the set after the block
+ */
+function applyBlockGovernance(set, block) {
+  const issues = [];
+  let current = set;
+
+  blockRecords(block).forEach((record, recordIndex) => {
+    if (!record || record.recordType !== GOVERNANCE_RECORD) {
+      return;
+    }
+    const result = applyGovernance(current, record);
+    if (result.error) {
+      issues.push({ atBlock: block.index, message: `Record ${recordIndex} (governance): ${result.error}` });
+    } else {
+      current = result.set;
+    }
+  });
+
+  return { set: current, issues };
+}
+
+/**
+ * Checks that a block was signed by the proposer for its height and round
+ * @param {Object} set - Validator set the block was proposed under
+ * @param {Object} block - Block to check
+ * @returns {Array<Object>} Issues found; empty when the proposer is right
+ */
+function verifyProposer(set, block) {
+  if (!Number.isInteger(block.round) || block.round < 0) {
+    return [{ atBlock: block.index, message: 'Block has no consensus round' }];
+  }
+
+  const proposer = proposerFor(set, block.index, block.round);
+  if (block.signer !== getKeyFingerprint(proposer.publicKey)) {
+    return [{ atBlock: block.index, message: `Block was not proposed by ${proposer.id}, the proposer for round ${block.round}` }];
+  }
+  if (!verifySignature(block.hash, block.signature, proposer.publicKey)) {
+    return [{ atBlock: block.index, message: 'Proposer signature is invalid' }];
+  }
+  return [];
+}
+
+// Validator set at every height, replayed from the genesis parameters and governance records
+class ValidatorSet {
+  /**
+   * Creates the projection over a blockchain and keeps it current as blocks are appended
+   * @param {Object} blockchain - The Blockchain to follow
+   */
+  constructor(blockchain) {
+    this.blockchain = blockchain;
+    this.networkId = null;
+    this.epochs = [];
+    this.appliedHeight = 0;
+
+    this.blockchain.on('block', () => this.sync());
+    this.blockchain.on('reorg', () => this.rebuild());
+  }
+
+  /**
+   * Discards the projection and replays the whole chain
+   */
+  rebuild() {
+    this.networkId = null;
+    this.epochs = [];
+    this.appliedHeight = 0;
+    this.sync();
+  }
+
+  /**
+   * Applies blocks appended since the last sync
+   */
+  sync() {
+    for (const block of this.blockchain.iterate(this.appliedHeight)) {
+      if (block.index === 0) {
+        const params = block.data && block.data.type === 'GENESIS' ? block.data.chainParams : null;
+        if (params && params.consensus && params.consensus.type === CONSENSUS_TYPE) {
+          this.networkId = params.networkId;
+          this.epochs.push({ fromHeight: 1, set: createValidatorSet(0, params.consensus.validators) });
+        }
+      } else if (this.epochs.length > 0) {
+        // Invalid governance records are reported by verifyBlock and otherwise ignored
+        const { set } = applyBlockGovernance(this.at(block.index), block);
+        if (set.epoch !== this.at(block.index).epoch) {
+          this.epochs.push({ fromHeight: block.index + 1, set });
+        }
+      }
+      this.appliedHeight = block.index + 1;
+    }
+  }
+
+  /**
+   * Validator set in force for the block at a height
+   * @param {number} height - Block index
+   * @returns {Object|null} { epoch, validators, quorum }, or null on a chain without PoA
+   */
+  at(height) {
+    for (let i = this.epochs.length - 1; i >= 0; i--) {
+      if (this.epochs[i].fromHeight <= height) {
+        return this.epochs[i].set;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Validator set for the next block
+   * @returns {Object|null} { epoch, validators, quorum }, or null on a chain without PoA
+   */
+  current() {
+    return this.at(this.blockchain.height());
+  }
+
+  /**
+   * Whether a block at a height must carry consensus evidence: every block after genesis on a
+   * proof-of-authority chain does
+   * @param {number} height - Block index
+   * @returns {boolean} True when verifyBlock applies to the block
+   */
+  enforces(height) {
+    return height > 0 && this.at(height) !== null;
+  }
+
+  /**
+   * Checks a block's consensus evidence: proposer, commit quorum and governance records.
+   * The /audit endpoint, bin/audit-ledger.js and PeerNode run it through the verifyRecords
+   * hook of auditChain, next to the registry's record checks, wherever enforces() holds.
+   * @param {Object} block - Block to check
+   * @returns {Array<Object>} Issues found; empty when the block was properly committed
+   */
+  verifyBlock(block) {
+    if (block.index === 0) {
+      return [];
+    }
+
+    const set = this.at(block.index);
+    if (!set) {
+      return [{ atBlock: block.index, message: 'Chain has no proof-of-authority validator set' }];
+    }
+
+    const issues = verifyProposer(set, block);
+    if (issues.length === 0) {
+      const commits = countSignatures(set, block.commits, commitMessage(this.networkId, block));
+      commits.problems.forEach(problem => issues.push({ atBlock: block.index, message: `Commit ${problem}` }));
+      if (commits.count < set.quorum) {
+        issues.push({ atBlock: block.index, message: `Block has ${commits.count} valid commit(s); quorum is ${set.quorum}` });
+      }
+    }
+
+    issues.push(...applyBlockGovernance(set, block).issues);
+    return issues;
+  }
+}
+
+// One validator node: proposes on its turn, votes on others' proposals and commits blocks
+// that reached a quorum. Moving between rounds and carrying messages is up to the caller.
+class PoAValidator {
+  /**
+   * Creates a validator on top of a blockchain that already holds the PoA genesis block
+   * @param {Object} options - Validator options
+   * @param {Object} options.blockchain - This node's Blockchain
+   * @param {Object} options.validatorSet - ValidatorSet projection over the same blockchain
+   * @param {string} options.id - This validator's id in the set
+   * @param {Object} options.keys - This validator's key pair { privateKey, publicKey }
+   * @param {Function} options.verifyRecords - Record checks for proposals, e.g. the registry's: verifyRecords(block) -> issues
+   */
+  constructor({ blockchain, validatorSet, id, keys, verifyRecords = null }) {
+    this.blockchain = blockchain;
+    this.validatorSet = validatorSet;
+    this.id = id;
+    this.keys = keys;
+    this.fingerprint = getKeyFingerprint(keys.publicKey);
+    this.verifyRecords = verifyRecords;
+
+    // Votes cast, keyed by height and round, so this node never commits to two blocks in one
+    // round; a vote from before a peer sync moved the tip cannot block a later height
+    this.votes = new Map();
+  }
+
+  /**
+   * The proposer of the next block in a round
+   * @param {number} round - Round at the next height
+   * @returns {Object} The proposer { id, publicKey }
+   */
+  proposer(round) {
+    return proposerFor(this.validatorSet.current(), this.blockchain.height(), round);
+  }
+
+  /**
+   * Builds and signs the next block, when it is this validator's turn
+   * @param {Object|Array<Object>} data - One record, or an array of records batched into one block
+   * @param {number} round - Round at the next height
+   * @returns {Object} The proposed block, with no commits yet
+   */
+  propose(data, round) {
+    const proposer = this.proposer(round);
+    if (proposer.id !== this.id) {
+      throw new Error(`Round ${round} at height ${this.blockchain.height()} belongs to ${proposer.id}, not ${this.id}`);
+    }
+
+    const tip = this.blockchain.getLatestBlock();
+    const block = signBlock(createBlock({ index: tip.index + 1, previousHash: tip.hash, data }), this.keys);
+    return { ...block, round, commits: [] };
+  }
+
+  /**
+   * Checks a proposed block against this node's chain tip and validator set
+   * @param {Object} block - Proposed block
+   * @returns {Array<Object>} Issues found; empty when the proposal is acceptable
+   */
+  checkProposal(block) {
+    const set = this.validatorSet.current();
+    if (!set) {
+      return [{ atBlock: block.index, message: 'Chain has no proof-of-authority validator set' }];
+    }
+
+    const issues = verifyBlock(block, this.blockchain.getLatestBlock());
+    if (issues.length > 0) {
+      return issues;
+    }
+
+    issues.push(...verifyProposer(set, block), ...applyBlockGovernance(set, block).issues);
+    if (this.verifyRecords && issues.length === 0) {
+      issues.push(...this.verifyRecords(block));
+    }
+    return issues;
+  }
+
+  /**
+   * Votes for a proposed block by signing its commit message
+   * @param {Object} block - Proposed block
+   * @returns {Object} The commit { signer, signature }, or { error }
+   */
+  vote(block) {
+    const issues = this.checkProposal(block);
+    if (issues.length > 0) {
+      return { error: issues.map(issue => issue.message).join('; ') };
+    }
+
+    const voteKey = `${block.index}:${block.round}`;
+    const votedFor = this.votes.get(voteKey);
+    if (votedFor && votedFor !== block.hash) {
+      return { error: `${this.id} already voted for another block at height ${block.index}, round ${block.round}` };
+    }
+    this.votes.set(voteKey, block.hash);
+
+    return {
+      signer: this.fingerprint,
+      signature: signData(commitMessage(this.validatorSet.networkId, block), this.keys.privateKey)
+    };
+  }
+
+  /**
+   * Appends a block that carries a quorum of commits
+   * @param {Object} block - Committed block
+   * @returns {Object} { block } once appended, or { error }
+   */
+  commit(block) {
+    const issues = verifyBlock(block, this.blockchain.getLatestBlock());
+    if (issues.length === 0) {
+      issues.push(...this.validatorSet.verifyBlock(block));
+    }
+    if (this.verifyRecords && issues.length === 0) {
+      issues.push(...this.verifyRecords(block));
+    }
+    if (issues.length > 0) {
+      return { error: issues.map(issue => issue.message).join('; ') };
+    }
+
+    this.blockchain.appendBlock(block);
+    this.votes.clear();
+    return { block };
+  }
+}
+
+module.exports = {
+  CONSENSUS_TYPE,
+  GOVERNANCE_RECORD,
+  GOVERNANCE_ACTIONS,
+  quorumSize,
+  proposerFor,
+  commitMessage,
+  createGovernanceRecord,
+  governancePayload,
+  approveGovernance,
+  applyGovernance,
+  ValidatorSet,
+  PoAValidator
+};
@@ -0,0 +1,175 @@
+// contracts/events.js - Typed kit lifecycle events for the ICRC medical tracking system
+const { signData, verifySignature } = require('../identity/crypto-util');
+const { canonicalize } = require('./block');
+
+const EVENT_TYPES = {
+  REGISTERED: 'REGISTERED',
+  DISPATCHED: 'DISPATCHED',
+  RECEIVED: 'RECEIVED',
+  HANDOVER: 'HANDOVER',
+  TEMPERATURE_READING: 'TEMPERATURE_READING',
+  TEMPERATURE_EXCURSION: 'TEMPERATURE_EXCURSION',
+  DISPENSED: 'DISPENSED',
+  EXPIRED: 'EXPIRED',
+  DESTROYED: 'DESTROYED'
+};
+
+// Payload fields per event type: { field: 'string' | 'number' }. Fields in `optional`
+// may be omitted; anything not listed is rejected.
+const EVENT_SCHEMAS = {
+  REGISTERED: {
+    required: { type: 'string', origin: 'string', location: 'string', temperature: 'number' },
+    optional: {}
+  },
+  DISPATCHED: {
+    required: { from: 'string', to: 'string' },
+    optional: { carrier: 'string', temperature: 'number' }
+  },
+  RECEIVED: {
+    required: { location: 'string' },
+    optional: { temperature: 'number' }
+  },
+  HANDOVER: {
+    required: { fromCustodian: 'string', toCustodian: 'string', location: 'string' },
+    optional: {}
+  },
+  TEMPERATURE_READING: {
+    required: { temperature: 'number' },
+    optional: { location: 'string' }
+  },
+  // An out-of-range reading, recorded with the rule profile bounds it broke
+  TEMPERATURE_EXCURSION: {
+    required: { temperature: 'number', profile: 'string', minTemp: 'number', maxTemp: 'number' },
+    optional: { location: 'string' }
+  },
+  DISPENSED: {
+    required: { location: 'string' },
+    optional: { quantity: 'number', recipient: 'string' }
+  },
+  EXPIRED: {
+    required: {},
+    optional: { location: 'string' }
+  },
+  DESTROYED: {
+    required: { reason: 'string', location: 'string' },
+    optional: {}
+  }
+};
+
+// Fields every event carries besides its payload; actorId names the registered signer and
+// countersignature ({ actorId, signature }) is the receiving party's signature on a HANDOVER
+const ENVELOPE_FIELDS = ['kitID', 'eventType', 'timestamp', 'actorId', 'signature', 'countersignature'];
+
+/**
+ * Serializes the signed part of an event record (everything except the signatures)
+ * @param {Object} record - Event record
+ * @returns {string} Canonical JSON that the signature covers
+ */
+function eventSigningPayload(record) {
+  const { signature, countersignature, ...unsigned } = record;
+  return canonicalize(unsigned);
+}
+
+/**
+ * Serializes what the receiving party countersigns: the sender-signed event, including
+ * the sender's signature
+ * @param {Object} record - HANDOVER event record
+ * @returns {string} Canonical JSON that the countersignature covers
+ */
+function countersigningPayload(record) {
+  const { countersignature, ...signed } = record;
+  return canonicalize(signed);
+}
+
+/**
+ * Adds the receiving party's signature to a sender-signed HANDOVER
+ * @param {Object} record - HANDOVER event record signed by the sender
+ * @param {string} privateKey - Receiver's private key
+ * @param {string} actorId - Receiver's registered actor ID
+ * @returns {Object} The countersigned record
+ */
+function countersignHandover(record, privateKey, actorId) {
+  return {
+    ...record,
+    countersignature: {
+      actorId,
+      signature: signData(countersigningPayload(record), privateKey)
+    }
+  };
+}
+
+/**
+ * Extracts an event's payload fields
+ * @param {Object} record - Event record
+ * @returns {Object} The record without its envelope fields
+ */
+function eventPayload(record) {
+  const payload = { ...record };
+  ENVELOPE_FIELDS.forEach(field => delete payload[field]);
+  return payload;
+}
+
+class KitEvent {
+  /**
+   * Creates a new signed lifecycle event for a kit
+   * @param {string} kitID - Kit the event applies to
+   * @param {string} eventType - One of EVENT_TYPES
+   * @param {Object} payload - Event fields as defined in EVENT_SCHEMAS
+   * @param {string} privateKey - Private key to sign the event with
+   * @param {string} timestamp - Capture time (ISO string), defaults to now
+   * @param {string} actorId - Registered actor whose key signs the event
+   */
+  constructor(kitID, eventType, payload, privateKey, timestamp = new Date().toISOString(), actorId) {
+    if (!EVENT_SCHEMAS[eventType]) {
+      throw new Error(`Unknown event type: ${eventType}`);
+    }
+
+    this.kitID = kitID;
+    this.eventType = eventType;
+    this.timestamp = timestamp;
+    this.actorId = actorId;
+    this.payload = { ...payload };
+
+    // Sign the canonical event so key order and formatting cannot change what was signed
+    this.signature = signData(eventSigningPayload(this.toObject()), privateKey);
+  }
+
+  /**
+   * Converts the event to the flat record stored in a block
+   * @returns {Object} Plain object representation of the event
+   */
+  toObject() {
+    const record = {
+      ...this.payload,
+      kitID: this.kitID,
+      eventType: this.eventType,
+      timestamp: this.timestamp
+    };
+    if (this.actorId) {
+      record.actorId = this.actorId;
+    }
+    if (this.signature) {
+      record.signature = this.signature;
+    }
+    return record;
+  }
+
+  /**
+   * Validates the signature of the event
+   * @param {string} publicKey - Public key to verify the signature
+   * @returns {boolean} True if the signature is valid, false otherwise
+   */
+  verifySignature(publicKey) {
+    return verifySignature(eventSigningPayload(this.toObject()), this.signature, publicKey);
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  EVENT_SCHEMAS,
+  KitEvent,
+  eventPayload,
+  eventSigningPayload,
+  countersigningPayload,
+  countersignHandover
+};
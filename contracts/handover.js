@@ -0,0 +1,89 @@
+// contracts/handover.js - Custody handovers waiting for the receiving party's countersignature
+//
+// A HANDOVER is proposed with the releasing custodian's signature and held here, off the
+// chain, until the receiving custodian countersigns it; only then is it added as a block.
+// Proposals that are not confirmed within the expiry window lapse.
+const crypto = require('crypto');
+
+class PendingHandovers {
+  /**
+   * Creates an empty set of pending handovers
+   * @param {Object} options - Handover options
+   * @param {number} options.expiryMinutes - How long a proposal waits for the receiver
+   */
+  constructor({ expiryMinutes }) {
+    this.expiryMinutes = expiryMinutes;
+    this.pending = new Map();
+  }
+
+  /**
+   * Holds a sender-signed HANDOVER record until the receiver confirms it
+   * @param {Object} record - HANDOVER event record signed by the releasing custodian
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} The pending handover { handoverId, kitID, record, createdAt, expiresAt }
+   */
+  create(record, now = Date.now()) {
+    const handover = {
+      handoverId: crypto.randomUUID(),
+      kitID: record.kitID,
+      record,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.expiryMinutes * 60 * 1000).toISOString()
+    };
+    this.pending.set(handover.handoverId, handover);
+    return handover;
+  }
+
+  /**
+   * Gets a pending handover, expired or not
+   * @param {string} handoverId - Handover identifier
+   * @returns {Object|null} The pending handover, or null if unknown
+   */
+  get(handoverId) {
+    return this.pending.get(handoverId) || null;
+  }
+
+  /**
+   * Checks whether a handover is past its confirmation window
+   * @param {Object} handover - A pending handover
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} True if the handover may no longer be confirmed
+   */
+  isExpired(handover, now = Date.now()) {
+    return Date.parse(handover.expiresAt) <= now;
+  }
+
+  /**
+   * Finds the open (unexpired) handover of a kit; expired proposals are dropped on the way
+   * @param {string} kitID - Kit identifier
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object|null} The open handover, or null if there is none
+   */
+  forKit(kitID, now = Date.now()) {
+    this.expire(now);
+    return Array.from(this.pending.values()).find(handover => handover.kitID === kitID) || null;
+  }
+
+  /**
+   * Drops proposals past their confirmation window
+   * @param {number} now - Current time in milliseconds
+   * @returns {Array<Object>} The handovers that lapsed
+   */
+  expire(now = Date.now()) {
+    const lapsed = Array.from(this.pending.values()).filter(handover => this.isExpired(handover, now));
+    lapsed.forEach(handover => this.pending.delete(handover.handoverId));
+    return lapsed;
+  }
+
+  /**
+   * Removes a handover once it is committed or lapsed
+   * @param {string} handoverId - Handover identifier
+   */
+  remove(handoverId) {
+    this.pending.delete(handoverId);
+  }
+}
+
+module.exports = {
+  PendingHandovers
+};
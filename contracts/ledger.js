@@ -1,104 +1,263 @@
 // contracts/ledger.js - Blockchain manager for the ICRC medical tracking system
-const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
+const EventEmitter = require('events');
+const config = require('../config/default');
+const { createStorage } = require('../storage');
+const { ZERO_HASH, BLOCK_VERSION, createBlock, calculateBlockHash, blockRecords, signBlock } = require('./block');
+const { CONSENSUS_TYPE } = require('./consensus');
 
-class Blockchain {
-  constructor() {
-    this.ledgerPath = path.join(__dirname, '..', 'ledger-data');
-    
-    // Create ledger directory if it doesn't exist
-    if (!fs.existsSync(this.ledgerPath)) {
-      fs.mkdirSync(this.ledgerPath, { recursive: true });
-    }
-    
-    // Check if chain already exists by looking for block files
+// Emits 'block' (block) after every block is appended, so projections can update incrementally,
+// and 'reorg' (height) after the chain is cut back to `height` blocks, so they can rebuild
+class Blockchain extends EventEmitter {
+  /**
+   * Creates a blockchain on top of a storage backend
+   * @param {Object} options - Blockchain options
+   * @param {Object} options.storage - Storage backend (see storage/index.js); defaults to config.ledgerBackend
+   * @param {string} options.ledgerPath - Ledger directory for the default backend
+   * @param {Object} options.signer - This node's validator key pair { privateKey, publicKey }; blocks are signed with it
+   */
+  constructor(options = {}) {
+    super();
+    this.signer = options.signer || null;
+    this.ledgerPath = options.ledgerPath || path.resolve(__dirname, '..', config.ledgerPath);
+    this.storage = options.storage || createStorage({
+      backend: config.ledgerBackend,
+      ledgerPath: this.ledgerPath,
+      segmentMaxBytes: config.ledgerSegmentMaxBytes
+    });
+
+    // Check if chain already exists
     this.chainExists = this.checkChainExists();
   }
 
   /**
-   * Checks if a blockchain already exists in the ledger-data folder
+   * Checks if a blockchain already exists in storage
    * @returns {boolean} True if chain exists, false otherwise
    */
   checkChainExists() {
-    const files = fs.readdirSync(this.ledgerPath);
-    return files.some(file => file.startsWith('block_') && file.endsWith('.json'));
+    return this.storage.height() > 0;
   }
 
   /**
-   * Gets the latest block from the ledger-data folder
+   * Number of blocks in the chain
+   * @returns {number} The chain height
+   */
+  height() {
+    return this.storage.height();
+  }
+
+  /**
+   * Gets a single block by index
+   * @param {number} index - Block index
+   * @returns {Object|null} The block or null if it does not exist
+   */
+  getBlock(index) {
+    return this.storage.getBlock(index);
+  }
+
+  /**
+   * Iterates over blocks in index order
+   * @param {number} from - First block index (inclusive)
+   * @param {number} to - Last block index (exclusive), defaults to the height
+   * @returns {Iterator<Object>} Blocks in ascending index order
+   */
+  iterate(from = 0, to = this.storage.height()) {
+    return this.storage.iterate(from, to);
+  }
+
+  /**
+   * Iterates over every record for one kit, across batched and single-record blocks
+   * @param {string} kitID - Kit identifier
+   * @returns {Iterator<Object>} { block, recordIndex, record } in chain order
+   */
+  *kitRecords(kitID) {
+    for (const block of this.iterate()) {
+      const records = blockRecords(block);
+      for (let recordIndex = 0; recordIndex < records.length; recordIndex++) {
+        if (records[recordIndex] && records[recordIndex].kitID === kitID) {
+          yield { block, recordIndex, record: records[recordIndex] };
+        }
+      }
+    }
+  }
+
+  /**
+   * Gets the latest block in the chain
    * @returns {Object|null} The latest block object or null if no blocks exist
    */
   getLatestBlock() {
-    const files = fs.readdirSync(this.ledgerPath);
-    if (files.length === 0) {
-      return null;
+    const height = this.storage.height();
+    return height > 0 ? this.storage.getBlock(height - 1) : null;
+  }
+
+  /**
+   * Writes the index-0 genesis block recording the parameters every node must agree on. When
+   * genesisBlock.validators is set, the chain runs proof-of-authority among them (contracts/consensus.js).
+   * @param {Object} options - Genesis options
+   * @param {Object} options.validator - Genesis signer: { id, publicKey }
+   * @param {Object} options.config - Configuration providing genesisBlock and ellipticCurve (defaults to config/default)
+   * @returns {Object} The genesis block
+   */
+  createGenesis({ validator, config: chainConfig = config } = {}) {
+    if (this.checkChainExists()) {
+      throw new Error(`Chain already exists (${this.height()} blocks); refusing to create a new genesis block`);
     }
 
-    // Find the highest numbered block file
-    let maxIndex = -1;
-    let latestFile = null;
+    if (!validator || !validator.id || !validator.publicKey) {
+      throw new Error('Genesis requires a validator with an id and publicKey');
+    }
 
-    files.forEach(file => {
-      if (file.startsWith('block_') && file.endsWith('.json')) {
-        const index = parseInt(file.match(/block_(\d+)\.json/)[1]);
-        if (index > maxIndex) {
-          maxIndex = index;
-          latestFile = file;
-        }
+    const { genesisBlock } = chainConfig;
+    if (genesisBlock.hashAlgorithm !== 'sha256') {
+      throw new Error(`Unsupported hash algorithm: ${genesisBlock.hashAlgorithm}`);
+    }
+    
+    const validators = genesisBlock.validators || [];
+    validators.forEach(({ id, publicKey }, index) => {
+      if (!id || !publicKey) {
+        throw new Error(`Genesis validator ${index} needs an id and publicKey`);
+      }
+      if (validators.findIndex(other => other.id === id || other.publicKey === publicKey) !== index) {
+        throw new Error(`Genesis validator ${id} is listed twice`);
       }
     });
 
-    if (latestFile) {
-      const filePath = path.join(this.ledgerPath, latestFile);
-      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const block = this.seal(createBlock({
+      index: genesisBlock.index,
+      previousHash: genesisBlock.previousHash,
+      data: {
+        type: 'GENESIS',
+        chainParams: {
+          networkId: genesisBlock.networkId,
+          hashAlgorithm: genesisBlock.hashAlgorithm,
+          blockVersion: BLOCK_VERSION,
+          ellipticCurve: chainConfig.ellipticCurve,
+          validator: validator.id,
+          signerPublicKey: validator.publicKey,
+          ...(validators.length > 0 && {
+            consensus: { type: CONSENSUS_TYPE, validators: validators.map(({ id, publicKey }) => ({ id, publicKey })) }
+          })
+        }
+      }
+    }));
+
+    this.storage.append(block);
+    this.chainExists = true;
+    this.emit('block', block);
+
+    console.log(`Genesis block created for network ${genesisBlock.networkId}.`);
+    return block;
+  }
+
+  /**
+   * Reads the chain parameters recorded in the genesis block
+   * @returns {Object|null} The chain parameters, or null for an empty or pre-genesis (legacy) chain
+   */
+  getChainParams() {
+    const genesis = this.getBlock(0);
+    if (!genesis || !genesis.data || genesis.data.type !== 'GENESIS') {
+      return null;
     }
+    return { ...genesis.data.chainParams, genesisHash: genesis.hash };
+  }
 
-    return null;
+  /**
+   * Whether audits of this chain may accept unsigned pre-v2 blocks. A chain begun with
+   * createGenesis is signed v2 from its first block, so it never accepts them.
+   * @param {boolean} setting - config.allowUnsignedLegacyBlocks
+   * @returns {boolean} The allowUnsignedLegacy audit option
+   */
+  acceptsUnsignedLegacy(setting = config.allowUnsignedLegacyBlocks) {
+    return setting === true && this.getChainParams() === null;
   }
 
   /**
-   * Adds a new block to the blockchain
-   * @param {Object} data - The data to store in the block
+   * Whether the chain runs proof-of-authority, so its blocks need a quorum of validator commits
+   * @returns {boolean} True when the genesis block names a validator set
+   */
+  isProofOfAuthority() {
+    const params = this.getChainParams();
+    return Boolean(params && params.consensus);
+  }
+
+  /**
+   * Adds a new block signed by this node alone. Proof-of-authority chains refuse it: their
+   * blocks are proposed, voted on and committed through PoAValidator (contracts/consensus.js).
+   * @param {Object|Array<Object>} data - One record, or an array of records batched into one block
+   * @returns {Object} The stored block
    */
   addBlock(data) {
+    if (this.isProofOfAuthority()) {
+      throw new Error('This chain runs proof-of-authority; blocks are committed by a validator quorum through PoAValidator, not addBlock');
+    }
+
     const latestBlock = this.getLatestBlock();
-    const index = latestBlock ? latestBlock.index + 1 : 0;
     
-    // Calculate previous hash
-    const previousHash = latestBlock ? latestBlock.hash : '0000000000000000000000000000000000000000000000000000000000000000';
+    const newBlock = this.seal(createBlock({
+      index: latestBlock ? latestBlock.index + 1 : 0,
+      previousHash: latestBlock ? latestBlock.hash : ZERO_HASH,
+      data
+    }));
+
+    this.storage.append(newBlock);
+    this.chainExists = true;
+    this.emit('block', newBlock);
+
+    console.log(`Block ${newBlock.index} added to ledger.`);
+    return newBlock;
+  }
+
+  /**
+   * Appends a block built and signed by another node. The caller audits the block first
+   * (see auditBlock in contracts/block.js); this only enforces that it extends the tip.
+   * @param {Object} block - The block to append
+   * @returns {Object} The stored block
+   */
+  appendBlock(block) {
+    const latestBlock = this.getLatestBlock();
+    const expectedPreviousHash = latestBlock ? latestBlock.hash : ZERO_HASH;
+    
+    if (block.previousHash !== expectedPreviousHash) {
+      throw new Error(`Block ${block.index} does not extend the chain tip ${expectedPreviousHash}`);
+    }
+    
+    this.storage.append(block);
+    this.chainExists = true;
+    this.emit('block', block);
     
-    // Create the new block
-    const newBlock = {
-      index,
-      timestamp: new Date().toISOString(),
-      data,
-      previousHash,
-      hash: this.calculateHash(index, new Date().toISOString(), data, previousHash)
-    };
+    return block;
+  }
 
-    // Save the block as a JSON file
-    const fileName = `block_${index}.json`;
-    const filePath = path.join(this.ledgerPath, fileName);
-    fs.writeFileSync(filePath, JSON.stringify(newBlock, null, 2), 'utf8');
+  /**
+   * Cuts the chain back to a height, dropping every later block
+   * @param {number} height - Number of blocks to keep
+   */
+  truncate(height) {
+    const previousHeight = this.height();
+    this.storage.truncate(height);
+    this.chainExists = this.checkChainExists();
+    this.emit('reorg', height);
+    
+    console.log(`Ledger truncated from ${previousHeight} to ${height} blocks.`);
+  }
 
-    console.log(`Block ${index} added to ledger.`);
+  /**
+   * Signs a freshly built block with this node's validator key, if one is configured
+   * @param {Object} block - A hashed, unsigned block
+   * @returns {Object} The block, signed when the node has a signer
+   */
+  seal(block) {
+    return this.signer ? signBlock(block, this.signer) : block;
   }
 
   /**
-   * Calculates the SHA-256 hash of a block
-   * @param {number} index - Block index
-   * @param {string} timestamp - Block timestamp
-   * @param {Object} data - Block data
-   * @param {string} previousHash - Previous block's hash
+   * Calculates the hash a block should carry (legacy or versioned header)
+   * @param {Object} block - The block to hash
    * @returns {string} The calculated hash
    */
-  calculateHash(index, timestamp, data, previousHash) {
-    const dataString = JSON.stringify(data);
-    return crypto.createHash('sha256')
-      .update(index + timestamp + dataString + previousHash)
-      .digest('hex');
+  calculateHash(block) {
+    return calculateBlockHash(block);
   }
 }
 
-module.exports = Blockchain;
\ No newline at end of file
+module.exports = Blockchain;
@@ -0,0 +1,278 @@
+/*
+ * MIT License
+ * Copyright (c) 2026 ICRC Humanitarian Blockchain Project
+ */
+
+// contracts/market-makers.js - Pricing engines for prediction markets
+//
+// A share pays 1 credit if its outcome wins, so prices lie between 0 and 1. Every engine
+// implements the same interface used by contracts/market.js:
+//   price(outcome)               -> current price of one share
+//   trade(outcome, amount, side) -> { credits, state } for a 'buy' or 'sell', without trading;
+//                                   throws if the engine cannot take the trade
+//   commit(state)                -> applies the state returned by trade()
+//   maxLoss()                    -> the most the market's creator can lose subsidising trades
+//   toJSON()                     -> { type, parameters, state }
+
+const MARKET_MAKER_TYPES = {
+    CPMM: 'CPMM',
+    LMSR: 'LMSR'
+};
+
+// Shares seeded into each constant-product pool
+const DEFAULT_POOL_LIQUIDITY = 1000;
+
+// Smallest balance a trade may leave in a pool; an empty pool would make its outcome unpriceable
+const MIN_POOL_BALANCE = 1;
+
+// LMSR liquidity parameter: larger values move prices less per share traded and risk more subsidy
+const DEFAULT_LMSR_LIQUIDITY = 100;
+
+/**
+ * Checks that a market-maker parameter is a positive number
+ * @param {string} name - Parameter name
+ * @param {*} value - Parameter value
+ */
+function requirePositive(name, value) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+        throw new Error(`${name} must be a positive number`);
+    }
+}
+
+/**
+ * Finds where an increasing function crosses zero by bisection
+ * @param {Function} f - Increasing function with f(lo) < 0 <= f(hi)
+ * @param {number} lo - Lower bound
+ * @param {number} hi - Upper bound
+ * @returns {number} - The crossing point, to double precision
+ */
+function bisect(f, lo, hi) {
+    for (let mid = (lo + hi) / 2; mid > lo && mid < hi; mid = (lo + hi) / 2) {
+        if (f(mid) < 0) {
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+    }
+    return hi;
+}
+
+/**
+ * Constant-product market maker. Credits paid in mint complete sets (one share of every
+ * outcome) into every pool and the bought shares leave their pool; a sale is the reverse.
+ * Either way the product of the pools stays the same.
+ */
+class ConstantProductMarketMaker {
+    /**
+     * @param {Array<string>} outcomes - The market's outcomes
+     * @param {Object} parameters - Engine parameters
+     * @param {number} parameters.liquidity - Shares seeded into each pool
+     */
+    constructor(outcomes, { liquidity = DEFAULT_POOL_LIQUIDITY } = {}) {
+        requirePositive('liquidity', liquidity);
+        if (liquidity <= MIN_POOL_BALANCE) {
+            throw new Error(`liquidity must be above ${MIN_POOL_BALANCE}`);
+        }
+        this.type = MARKET_MAKER_TYPES.CPMM;
+        this.outcomes = outcomes;
+        this.liquidity = liquidity;
+        this.pools = Object.fromEntries(outcomes.map(outcome => [outcome, liquidity]));
+    }
+
+    /**
+     * Product of the pools
+     * @param {Object} pools - Pool balances
+     * @returns {number} - The invariant
+     */
+    product(pools) {
+        return this.outcomes.reduce((product, outcome) => product * pools[outcome], 1);
+    }
+
+    /**
+     * Current price of one share of an outcome
+     * @param {string} outcome - An outcome
+     * @param {Object} pools - Pools to price against, defaults to the current ones
+     * @returns {number} - 1 / pool of the outcome, normalized over every outcome; with two outcomes,
+     * the other pool's share of the total
+     */
+    price(outcome, pools = this.pools) {
+        const inverseSum = this.outcomes.reduce((sum, name) => sum + 1 / pools[name], 0);
+        return (1 / pools[outcome]) / inverseSum;
+    }
+
+    /**
+     * Prices a trade against the pools
+     * @param {string} outcome - An outcome
+     * @param {number} amount - Number of shares
+     * @param {string} side - 'buy' or 'sell'
+     * @returns {Object} - { credits, state } with the exact credit amount and the pools after the trade
+     */
+    trade(outcome, amount, side) {
+        const k = this.product(this.pools);
+        const sign = side === 'buy' ? 1 : -1;
+        // Pools after minting (buy) or redeeming (sell) `credits` complete sets and moving `amount` shares
+        const poolsAfter = credits => Object.fromEntries(this.outcomes.map(name => [
+            name,
+            this.pools[name] + sign * (name === outcome ? credits - amount : credits)
+        ]));
+
+        let credits;
+        if (side === 'buy') {
+            // The cost is below `amount`: the product grows with the credits paid in
+            credits = bisect(c => this.product(poolsAfter(c)) - k, 0, amount);
+        } else {
+            // The payout is below `amount` and every other pool: the product shrinks with the credits paid out
+            const others = this.outcomes.filter(name => name !== outcome).map(name => this.pools[name]);
+            credits = bisect(p => k - this.product(poolsAfter(p)), 0, Math.min(amount, ...others));
+        }
+
+        const state = poolsAfter(credits);
+        const drained = this.outcomes.find(name => state[name] < MIN_POOL_BALANCE);
+        if (drained) {
+            throw new Error(`Trade would drain the ${drained} pool below ${MIN_POOL_BALANCE} share(s)`);
+        }
+
+        return { credits, state };
+    }
+
+    /**
+     * Applies the pools returned by trade()
+     * @param {Object} state - Pools after the trade
+     */
+    commit(state) {
+        this.pools = state;
+    }
+
+    /**
+     * The creator paid for the seeded pools and gets back the winning pool, which never
+     * falls below the minimum balance
+     * @returns {number} - Maximum loss in credits
+     */
+    maxLoss() {
+        return this.liquidity - MIN_POOL_BALANCE;
+    }
+
+    /**
+     * @returns {Object} - Serialized engine
+     */
+    toJSON() {
+        return {
+            type: this.type,
+            parameters: { liquidity: this.liquidity },
+            state: { pools: { ...this.pools } }
+        };
+    }
+}
+
+/**
+ * Logarithmic market scoring rule. The market's cost function over the shares sold of each
+ * outcome is C(q) = b * ln(sum(exp(q_i / b))); a trade costs the change in C. Prices start even
+ * however thin the market is, and `b` bounds the creator's loss at b * ln(number of outcomes).
+ */
+class LMSRMarketMaker {
+    /**
+     * @param {Array<string>} outcomes - The market's outcomes
+     * @param {Object} parameters - Engine parameters
+     * @param {number} parameters.b - Liquidity parameter
+     */
+    constructor(outcomes, { b = DEFAULT_LMSR_LIQUIDITY } = {}) {
+        requirePositive('b', b);
+        this.type = MARKET_MAKER_TYPES.LMSR;
+        this.outcomes = outcomes;
+        this.b = b;
+        this.quantities = Object.fromEntries(outcomes.map(outcome => [outcome, 0]));
+    }
+
+    /**
+     * The cost function, computed as a shifted log-sum-exp so large positions do not overflow
+     * @param {Object} quantities - Shares sold of each outcome
+     * @returns {number} - C(q) in credits
+     */
+    cost(quantities) {
+        const max = Math.max(...this.outcomes.map(outcome => quantities[outcome]));
+        const sum = this.outcomes.reduce((total, outcome) => total + Math.exp((quantities[outcome] - max) / this.b), 0);
+        return max + this.b * Math.log(sum);
+    }
+
+    /**
+     * Current price of one share of an outcome
+     * @param {string} outcome - An outcome
+     * @param {Object} quantities - Shares sold to price against, defaults to the current ones
+     * @returns {number} - exp(q_outcome / b) over the sum for every outcome
+     */
+    price(outcome, quantities = this.quantities) {
+        return Math.exp((quantities[outcome] - this.cost(quantities)) / this.b);
+    }
+
+    /**
+     * Prices a trade as the change in the cost function
+     * @param {string} outcome - An outcome
+     * @param {number} amount - Number of shares
+     * @param {string} side - 'buy' or 'sell'
+     * @returns {Object} - { credits, state } with the exact credit amount and the shares sold after the trade
+     */
+    trade(outcome, amount, side) {
+        const state = {
+            ...this.quantities,
+            [outcome]: this.quantities[outcome] + (side === 'buy' ? amount : -amount)
+        };
+        const change = this.cost(state) - this.cost(this.quantities);
+        return { credits: side === 'buy' ? change : -change, state };
+    }
+
+    /**
+     * Applies the shares sold returned by trade()
+     * @param {Object} state - Shares sold after the trade
+     */
+    commit(state) {
+        this.quantities = state;
+    }
+
+    /**
+     * @returns {number} - Maximum loss in credits, b * ln(number of outcomes)
+     */
+    maxLoss() {
+        return this.b * Math.log(this.outcomes.length);
+    }
+
+    /**
+     * @returns {Object} - Serialized engine
+     */
+    toJSON() {
+        return {
+            type: this.type,
+            parameters: { b: this.b },
+            state: { quantities: { ...this.quantities } }
+        };
+    }
+}
+
+/**
+ * Creates a market maker by type
+ * @param {Array<string>} outcomes - The market's outcomes
+ * @param {Object} options - Market maker options
+ * @param {string} options.type - 'CPMM' (default) or 'LMSR'
+ * @param {number} options.liquidity - Shares seeded into each pool for 'CPMM'
+ * @param {number} options.b - Liquidity parameter for 'LMSR'
+ * @returns {Object} A market maker instance
+ */
+function createMarketMaker(outcomes, { type = MARKET_MAKER_TYPES.CPMM, liquidity, b } = {}) {
+    switch (type) {
+        case MARKET_MAKER_TYPES.CPMM:
+            return new ConstantProductMarketMaker(outcomes, { liquidity });
+        case MARKET_MAKER_TYPES.LMSR:
+            return new LMSRMarketMaker(outcomes, { b });
+        default:
+            throw new Error(`Unknown market maker: ${type}; expected one of ${Object.values(MARKET_MAKER_TYPES).join(', ')}`);
+    }
+}
+
+module.exports = {
+    MARKET_MAKER_TYPES,
+    DEFAULT_POOL_LIQUIDITY,
+    DEFAULT_LMSR_LIQUIDITY,
+    MIN_POOL_BALANCE,
+    createMarketMaker,
+    ConstantProductMarketMaker,
+    LMSRMarketMaker
+};
@@ -5,6 +5,61 @@
 
 // contracts/market.js - Prediction Market Logic for Humanitarian Forecasting
 
+const { createMarketMaker } = require('./market-makers');
+const { parseCriteria } = require('./resolution');
+
+const MARKET_TYPES = {
+    BINARY: 'BINARY',
+    CATEGORICAL: 'CATEGORICAL',
+    SCALAR: 'SCALAR'
+};
+
+const BINARY_OUTCOMES = ['YES', 'NO'];
+
+// A LONG share pays the resolved value's position between the bounds (0 to 1); a SHORT share pays the rest
+const SCALAR_OUTCOMES = ['LONG', 'SHORT'];
+
+// Credits a winning share pays at settlement; prices are quoted as fractions of it
+const SHARE_PAYOUT = 1;
+
+/**
+ * Rounds an amount of incentive credits to cents
+ * @param {number} credits - Credit amount
+ * @returns {number} - Rounded amount
+ */
+function roundCredits(credits) {
+    return Math.round(credits * 100) / 100;
+}
+
+/**
+ * Rounds the credits a trader pays up to the next cent, so no trade is free however small.
+ * The epsilon keeps float noise (0.3 * 100 = 30.000000000000004) from adding a cent.
+ * @param {number} credits - Exact cost
+ * @returns {number} - Cost charged
+ */
+function roundCost(credits) {
+    return Math.ceil(credits * 100 - 1e-9) / 100;
+}
+
+/**
+ * Rounds the credits a trader receives down to the cent, so splitting a sale or a position
+ * cannot collect more than it is worth
+ * @param {number} credits - Exact payout
+ * @returns {number} - Payout credited
+ */
+function roundPayout(credits) {
+    return Math.floor(credits * 100 + 1e-9) / 100;
+}
+
+/**
+ * Rounds a price or ratio to four decimals
+ * @param {number} value - Price or ratio
+ * @returns {number} - Rounded value
+ */
+function roundPrice(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
 class PredictionMarket {
     /**
      * Create a new prediction market
@@ -13,70 +68,195 @@ class PredictionMarket {
      * @param {string} kitID - Linked kit identifier
      * @param {string} deadline - Deadline for the prediction (ISO date string)
      * @param {string} createdBy - Creator's user ID
+     * @param {Object} marketMaker - Pricing engine options { type: 'CPMM' or 'LMSR', liquidity, b }; see contracts/market-makers.js
+     * @param {Object} structure - What the market predicts
+     * @param {string} structure.type - 'BINARY' (YES/NO, default), 'CATEGORICAL' or 'SCALAR'
+     * @param {Array<string>} structure.outcomes - Outcome names of a categorical market (at least two)
+     * @param {Object} structure.bounds - { min, max } range of a scalar market
+     * @param {string} structure.criteria - Resolution criteria a binary market is resolved by automatically; see contracts/resolution.js
      */
-    constructor(marketID, question, kitID, deadline, createdBy) {
+    constructor(marketID, question, kitID, deadline, createdBy, marketMaker = {}, { type = MARKET_TYPES.BINARY, outcomes, bounds, criteria } = {}) {
         this.marketID = marketID;
         this.question = question;
         this.kitID = kitID;
         this.deadline = deadline;
         this.createdBy = createdBy;
         this.createdAt = new Date().toISOString();
+        this.type = type;
+        this.outcomes = PredictionMarket.outcomesFor(type, outcomes, bounds);
+        this.bounds = type === MARKET_TYPES.SCALAR ? { min: bounds.min, max: bounds.max } : null;
+
+        // Criteria decide YES (met) or NO (not met by the deadline) from ledger records
+        this.criteria = null;
+        this.criteriaTree = null;
+        if (criteria !== undefined && criteria !== null) {
+            if (type !== MARKET_TYPES.BINARY) {
+                throw new Error('Resolution criteria are only supported on binary markets');
+            }
+            if (Number.isNaN(Date.parse(deadline))) {
+                throw new Error('A market with resolution criteria needs a valid deadline date');
+            }
+            this.criteriaTree = parseCriteria(criteria);
+            this.criteria = criteria;
+        }
         
-        // Pool balances for YES and NO shares (Constant Product Market Maker)
-        this.outcomes = { 
-            YES: 1000,  // Initial liquidity for YES shares
-            NO: 1000    // Initial liquidity for NO shares
-        };
+        // Pricing engine (contracts/market-makers.js), constant-product unless the creator picks another
+        this.marketMaker = createMarketMaker(this.outcomes, marketMaker);
         
         // Track user positions
-        this.positions = {}; // { userId: { YES: amount, NO: amount } }
+        this.positions = {}; // { userId: { [outcome]: amount } }
         
         // Market status
         this.status = 'OPEN'; // OPEN, CLOSED, RESOLVED
-        this.winningOutcome = null;
+        this.winningOutcome = null; // Binary and categorical markets
+        this.resolvedValue = null; // Scalar markets
+        this.resolution = null; // How the market was resolved: { result, trigger, blockIndex, resolvedAt }
         this.totalVolume = 0;
     }
 
     /**
-     * Calculate the price of a share based on the constant product formula
-     * Price = poolBalance / (poolBalanceYES * poolBalanceNO)
-     * @param {string} outcome - 'YES' or 'NO'
+     * Checks a market's type and returns the outcomes traded in it
+     * @param {string} type - 'BINARY', 'CATEGORICAL' or 'SCALAR'
+     * @param {Array<string>} outcomes - Outcome names of a categorical market
+     * @param {Object} bounds - { min, max } range of a scalar market
+     * @returns {Array<string>} - The outcomes
+     */
+    static outcomesFor(type, outcomes, bounds) {
+        switch (type) {
+            case MARKET_TYPES.BINARY:
+                return BINARY_OUTCOMES;
+            case MARKET_TYPES.CATEGORICAL:
+                if (!Array.isArray(outcomes) || outcomes.length < 2 || outcomes.some(outcome => typeof outcome !== 'string' || !outcome.trim())) {
+                    throw new Error('A categorical market needs at least two outcome names');
+                }
+                if (new Set(outcomes).size !== outcomes.length) {
+                    throw new Error('Categorical outcome names must be unique');
+                }
+                return [...outcomes];
+            case MARKET_TYPES.SCALAR:
+                if (!bounds || !Number.isFinite(bounds.min) || !Number.isFinite(bounds.max) || bounds.min >= bounds.max) {
+                    throw new Error('A scalar market needs numeric bounds with min below max');
+                }
+                return SCALAR_OUTCOMES;
+            default:
+                throw new Error(`Unknown market type: ${type}; expected one of ${Object.values(MARKET_TYPES).join(', ')}`);
+        }
+    }
+
+    /**
+     * A position holding no shares
+     * @returns {Object} - { [outcome]: 0 } for every outcome
+     */
+    emptyPosition() {
+        return Object.fromEntries(this.outcomes.map(outcome => [outcome, 0]));
+    }
+
+    /**
+     * Checks that a trade names a known outcome and a positive number of shares
+     * @param {string} outcome - One of the market's outcomes
+     * @param {number} amount - Number of shares
+     */
+    validateTrade(outcome, amount) {
+        if (!this.outcomes.includes(outcome)) {
+            throw new Error(`Unknown outcome ${outcome}; expected one of ${this.outcomes.join(', ')}`);
+        }
+        if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+            throw new Error('Amount must be a positive number of shares');
+        }
+    }
+
+    /**
+     * Prices buying or selling shares with the market maker without trading
+     * @param {string} outcome - One of the market's outcomes
+     * @param {number} amount - Number of shares
+     * @param {string} side - 'buy' or 'sell'
+     * @returns {Object} - { credits, state } with the exact credit amount and the market maker state after the trade
+     */
+    priceTrade(outcome, amount, side) {
+        this.validateTrade(outcome, amount);
+        if (side !== 'buy' && side !== 'sell') {
+            throw new Error(`Unknown trade side ${side}; expected buy or sell`);
+        }
+        return this.marketMaker.trade(outcome, amount, side);
+    }
+
+    /**
+     * Calculate the cost of buying shares
+     * @param {string} outcome - One of the market's outcomes
      * @param {number} amount - Number of shares to buy
-     * @returns {number} - Cost in incentive credits
+     * @returns {number} - Cost in incentive credits, rounded up to the cent
      */
     calculatePrice(outcome, amount) {
-        const currentPool = this.outcomes[outcome];
-        const otherPool = this.outcomes[outcome === 'YES' ? 'NO' : 'YES'];
-        
-        // Constant product formula: x * y = k
-        // New price based on how much the pool balance changes
-        const newPool = currentPool - amount;
-        const price = amount * (otherPool / currentPool);
-        
-        return Math.round(price * 100) / 100;
+        return roundCost(this.priceTrade(outcome, amount, 'buy').credits);
+    }
+
+    /**
+     * Calculate the payout for selling shares back
+     * @param {string} outcome - One of the market's outcomes
+     * @param {number} amount - Number of shares to sell
+     * @returns {number} - Payout in incentive credits, rounded down to the cent
+     */
+    calculatePayout(outcome, amount) {
+        return roundPayout(this.priceTrade(outcome, amount, 'sell').credits);
+    }
+
+    /**
+     * Quote a trade without executing it
+     * @param {string} outcome - One of the market's outcomes
+     * @param {number} amount - Number of shares
+     * @param {string} side - 'buy' (default) or 'sell'
+     * @returns {Object} - Credits (cost or payout), average price, spot prices before and after, and price impact
+     */
+    quote(outcome, amount, side = 'buy') {
+        const { credits, state } = this.priceTrade(outcome, amount, side);
+        const priceBefore = this.getPrice(outcome);
+        const priceAfter = this.marketMaker.price(outcome, state);
+        const averagePrice = credits / amount;
+
+        return {
+            marketID: this.marketID,
+            outcome,
+            side,
+            shares: amount,
+            [side === 'buy' ? 'cost' : 'payout']: side === 'buy' ? roundCost(credits) : roundPayout(credits),
+            averagePrice: roundPrice(averagePrice),
+            priceBefore: roundPrice(priceBefore),
+            priceAfter: roundPrice(priceAfter),
+            // How far the average price is from the spot price: worse for the trader on either side
+            priceImpact: roundPrice(Math.abs(averagePrice - priceBefore) / priceBefore)
+        };
     }
 
     /**
      * Buy shares in an outcome
      * @param {string} userId - User buying shares
-     * @param {string} outcome - 'YES' or 'NO'
+     * @param {string} outcome - One of the market's outcomes
      * @param {number} amount - Number of shares to buy
+     * @param {Object} limits - Slippage guard
+     * @param {number} limits.maxCost - Reject the trade if it would cost more than this
      * @returns {Object} - Transaction details including cost
      */
-    buyShares(userId, outcome, amount) {
+    buyShares(userId, outcome, amount, { maxCost } = {}) {
         if (this.status !== 'OPEN') {
             throw new Error('Market is not open for trading');
         }
 
-        const cost = this.calculatePrice(outcome, amount);
+        const { credits, state } = this.priceTrade(outcome, amount, 'buy');
+        const cost = roundCost(credits);
+        if (maxCost !== undefined && typeof maxCost !== 'number') {
+            throw new Error('maxCost must be a number of credits');
+        }
+        if (maxCost !== undefined && cost > maxCost) {
+            throw new Error(`Slippage limit exceeded: cost ${cost} is above maxCost ${maxCost}`);
+        }
         
-        // Update pool
-        this.outcomes[outcome] -= amount;
-        this.totalVolume += cost;
+        // Update the market maker
+        this.marketMaker.commit(state);
+        this.totalVolume = roundCredits(this.totalVolume + cost);
 
         // Update user position
         if (!this.positions[userId]) {
-            this.positions[userId] = { YES: 0, NO: 0 };
+            this.positions[userId] = this.emptyPosition();
         }
         this.positions[userId][outcome] += amount;
 
@@ -86,6 +266,7 @@ class PredictionMarket {
             outcome,
             shares: amount,
             cost,
+            averagePrice: roundPrice(credits / amount),
             timestamp: new Date().toISOString()
         };
     }
@@ -93,24 +274,34 @@ class PredictionMarket {
     /**
      * Sell shares back to the market
      * @param {string} userId - User selling shares
-     * @param {string} outcome - 'YES' or 'NO'
+     * @param {string} outcome - One of the market's outcomes
      * @param {number} amount - Number of shares to sell
+     * @param {Object} limits - Slippage guard
+     * @param {number} limits.minPayout - Reject the trade if it would pay out less than this
      * @returns {Object} - Transaction details including payout
      */
-    sellShares(userId, outcome, amount) {
+    sellShares(userId, outcome, amount, { minPayout } = {}) {
         if (this.status !== 'OPEN') {
             throw new Error('Market is not open for trading');
         }
 
+        this.validateTrade(outcome, amount);
         if (!this.positions[userId] || this.positions[userId][outcome] < amount) {
             throw new Error('Insufficient shares');
         }
 
-        const payout = this.calculatePrice(outcome, amount);
+        const { credits, state } = this.priceTrade(outcome, amount, 'sell');
+        const payout = roundPayout(credits);
+        if (minPayout !== undefined && typeof minPayout !== 'number') {
+            throw new Error('minPayout must be a number of credits');
+        }
+        if (minPayout !== undefined && payout < minPayout) {
+            throw new Error(`Slippage limit exceeded: payout ${payout} is below minPayout ${minPayout}`);
+        }
         
-        // Update pool
-        this.outcomes[outcome] += amount;
-        this.totalVolume += payout;
+        // Update the market maker
+        this.marketMaker.commit(state);
+        this.totalVolume = roundCredits(this.totalVolume + payout);
 
         // Update user position
         this.positions[userId][outcome] -= amount;
@@ -121,38 +312,85 @@ class PredictionMarket {
             outcome,
             shares: amount,
             payout,
+            averagePrice: roundPrice(credits / amount),
             timestamp: new Date().toISOString()
         };
     }
 
+    /**
+     * Stop trading once the market's deadline has passed; the market still has to be resolved
+     */
+    close() {
+        if (this.status === 'OPEN') {
+            this.status = 'CLOSED';
+        }
+    }
+
     /**
      * Resolve the market based on actual outcome
-     * @param {string} actualOutcome - 'YES' or 'NO' based on blockchain data
+     * @param {string|number} result - The winning outcome, or for a scalar market the observed value
+     * (for instance from blockchain data)
+     * @param {Object} details - How the result was reached
+     * @param {string} details.trigger - 'MANUAL' (default), 'BLOCK' when a block decided the criteria, or 'DEADLINE'
+     * @param {number|null} details.blockIndex - Index of the deciding block, or of the last block considered at the
+     * deadline; null if there was none
      */
-    resolve(actualOutcome) {
-        if (this.status !== 'OPEN') {
-            throw new Error('Market already closed');
+    resolve(result, { trigger = 'MANUAL', blockIndex = null } = {}) {
+        if (this.status === 'RESOLVED') {
+            throw new Error('Market already resolved');
         }
 
-        this.winningOutcome = actualOutcome;
+        if (this.type === MARKET_TYPES.SCALAR) {
+            if (typeof result !== 'number' || !Number.isFinite(result)) {
+                throw new Error('A scalar market resolves to a number');
+            }
+            this.resolvedValue = result;
+        } else {
+            if (!this.outcomes.includes(result)) {
+                throw new Error(`Invalid outcome ${result}. Must be one of ${this.outcomes.join(', ')}`);
+            }
+            this.winningOutcome = result;
+        }
         this.status = 'RESOLVED';
+        this.resolution = { result, trigger, blockIndex, resolvedAt: new Date().toISOString() };
         
-        console.log(`⚖️ Market ${this.marketID} resolved as ${this.winningOutcome}`);
+        console.log(`⚖️ Market ${this.marketID} resolved as ${result}${blockIndex === null ? '' : ` (block ${blockIndex})`}`);
+    }
+
+    /**
+     * What one share of an outcome pays out once the market is resolved
+     * @param {string} outcome - One of the market's outcomes
+     * @returns {number|null} - Credits per share (0 to SHARE_PAYOUT), or null while the market is unresolved
+     */
+    payoutPerShare(outcome) {
+        if (this.status !== 'RESOLVED') {
+            return null;
+        }
+
+        if (this.type === MARKET_TYPES.SCALAR) {
+            // Linear between the bounds; values outside them pay as the nearest bound
+            const { min, max } = this.bounds;
+            const long = Math.min(1, Math.max(0, (this.resolvedValue - min) / (max - min)));
+            return SHARE_PAYOUT * (outcome === 'LONG' ? long : 1 - long);
+        }
+        return outcome === this.winningOutcome ? SHARE_PAYOUT : 0;
+    }
+
+    /**
+     * Current price of one share of an outcome, between 0 and 1
+     * @param {string} outcome - One of the market's outcomes
+     * @returns {number} - Price quoted by the market maker
+     */
+    getPrice(outcome) {
+        return this.marketMaker.price(outcome);
     }
 
     /**
      * Get current market probability (price as percentage)
-     * @returns {Object} - YES and NO probabilities
+     * @returns {Object} - Probability of each outcome
      */
     getProbabilities() {
-        const totalPool = this.outcomes.YES + this.outcomes.NO;
-        const yesProb = Math.round((this.outcomes.NO / totalPool) * 100);
-        const noProb = 100 - yesProb;
-        
-        return {
-            YES: yesProb,
-            NO: noProb
-        };
+        return Object.fromEntries(this.outcomes.map(outcome => [outcome, Math.round(this.getPrice(outcome) * 100)]));
     }
 
     /**
@@ -160,29 +398,45 @@ class PredictionMarket {
      * @returns {Object} - Serialized market data
      */
     toJSON() {
-        const probabilities = this.getProbabilities();
-        return {
+        const data = {
             marketID: this.marketID,
             question: this.question,
             kitID: this.kitID,
             deadline: this.deadline,
             createdBy: this.createdBy,
             createdAt: this.createdAt,
+            type: this.type,
+            outcomes: this.outcomes,
             status: this.status,
             winningOutcome: this.winningOutcome,
+            criteria: this.criteria,
+            resolution: this.resolution,
             totalVolume: this.totalVolume,
-            currentPrice: {
-                YES: probabilities.YES,
-                NO: probabilities.NO
-            },
-            pool: {
-                YES: this.outcomes.YES,
-                NO: this.outcomes.NO
-            }
+            currentPrice: this.getProbabilities(),
+            prices: Object.fromEntries(this.outcomes.map(outcome => [outcome, roundPrice(this.getPrice(outcome))])),
+            // The most the creator can lose subsidising trades, whatever the outcome
+            maxLoss: roundCredits(this.marketMaker.maxLoss()),
+            marketMaker: this.marketMaker.toJSON()
         };
+
+        if (this.type === MARKET_TYPES.SCALAR) {
+            const { min, max } = this.bounds;
+            data.bounds = this.bounds;
+            // The value the LONG price implies
+            data.expectedValue = roundPrice(min + this.getPrice('LONG') * (max - min));
+            data.resolvedValue = this.resolvedValue;
+        }
+        return data;
     }
 }
 
 module.exports = {
+    MARKET_TYPES,
+    BINARY_OUTCOMES,
+    SCALAR_OUTCOMES,
+    SHARE_PAYOUT,
+    roundCredits,
+    roundCost,
+    roundPayout,
     PredictionMarket
 };
\ No newline at end of file
@@ -0,0 +1,111 @@
+// contracts/merkle.js - Merkle tree helpers for per-block record roots and inclusion proofs
+//
+// Leaves and interior nodes are hashed with distinct prefixes (0x00 / 0x01) so an interior
+// node can never be presented as a leaf. An odd node at the end of a level is carried up
+// unchanged rather than paired with a copy of itself.
+const crypto = require('crypto');
+
+const EMPTY_ROOT = crypto.createHash('sha256').update('').digest('hex');
+
+/**
+ * Hashes a serialized record as a Merkle leaf
+ * @param {string} text - Canonical serialization of the record
+ * @returns {string} Hex leaf hash
+ */
+function hashLeaf(text) {
+  return crypto.createHash('sha256').update('\x00').update(text).digest('hex');
+}
+
+/**
+ * Hashes two child nodes into their parent
+ * @param {string} left - Left child hash (hex)
+ * @param {string} right - Right child hash (hex)
+ * @returns {string} Hex parent hash
+ */
+function hashNode(left, right) {
+  return crypto.createHash('sha256').update('\x01').update(left + right).digest('hex');
+}
+
+/**
+ * Builds the next level of the tree
+ * @param {Array<string>} level - Hashes of the current level
+ * @returns {Array<string>} Hashes of the parent level
+ */
+function parentLevel(level) {
+  const parents = [];
+  for (let i = 0; i < level.length; i += 2) {
+    parents.push(i + 1 < level.length ? hashNode(level[i], level[i + 1]) : level[i]);
+  }
+  return parents;
+}
+
+/**
+ * Computes the Merkle root of a list of leaf hashes
+ * @param {Array<string>} leaves - Leaf hashes in record order
+ * @returns {string} Hex root hash (EMPTY_ROOT for no leaves)
+ */
+function merkleRoot(leaves) {
+  if (leaves.length === 0) {
+    return EMPTY_ROOT;
+  }
+
+  let level = leaves;
+  while (level.length > 1) {
+    level = parentLevel(level);
+  }
+  return level[0];
+}
+
+/**
+ * Builds the Merkle path from one leaf to the root
+ * @param {Array<string>} leaves - Leaf hashes in record order
+ * @param {number} leafIndex - Position of the leaf to prove
+ * @returns {Array<Object>} Sibling hashes from the bottom up: { position: 'left'|'right', hash }
+ */
+function merkleProof(leaves, leafIndex) {
+  if (leafIndex < 0 || leafIndex >= leaves.length) {
+    throw new Error(`Leaf index ${leafIndex} out of range`);
+  }
+
+  const path = [];
+  let level = leaves;
+  let index = leafIndex;
+
+  while (level.length > 1) {
+    const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+    if (siblingIndex < level.length) {
+      path.push({
+        position: index % 2 === 0 ? 'right' : 'left',
+        hash: level[siblingIndex]
+      });
+    }
+    level = parentLevel(level);
+    index = Math.floor(index / 2);
+  }
+
+  return path;
+}
+
+/**
+ * Folds a Merkle path and compares the result with the expected root
+ * @param {string} leafHash - Hash of the leaf being proven
+ * @param {Array<Object>} path - Path from merkleProof
+ * @param {string} root - Expected Merkle root
+ * @returns {boolean} True if the leaf is included under root
+ */
+function verifyMerkleProof(leafHash, path, root) {
+  const computed = path.reduce((hash, step) => (
+    step.position === 'left' ? hashNode(step.hash, hash) : hashNode(hash, step.hash)
+  ), leafHash);
+
+  return computed === root;
+}
+
+module.exports = {
+  EMPTY_ROOT,
+  hashLeaf,
+  hashNode,
+  merkleRoot,
+  merkleProof,
+  verifyMerkleProof
+};
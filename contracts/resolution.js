@@ -0,0 +1,327 @@
+/*
+ * MIT License
+ * Copyright (c) 2026 ICRC Humanitarian Blockchain Project
+ */
+
+// contracts/resolution.js - Resolution criteria for prediction markets, decided from ledger records
+//
+// A binary market can carry criteria such as
+//   kit KIT-001 has a RECEIVED event at location 'Nairobi Hub' before deadline
+//   has a DISPATCHED event and no temperature excursion
+// Grammar (keywords are case-insensitive; `not` binds tighter than `and`, `and` than `or`):
+//   criteria  := term ('or' term)*
+//   term      := factor ('and' factor)*
+//   factor    := 'not' factor | '(' criteria ')' | condition
+//   condition := ['kit' KIT_ID] 'has' ('a' | 'an' | 'no') event [place] ['before' 'deadline']
+//              | 'no' event [place] ['before' 'deadline']
+//   event     := EVENT_TYPE 'event' | 'temperature' 'excursion'
+//   place     := 'at' ['location'] QUOTED_TEXT
+// A condition without `kit` is about the market's kit. A temperature excursion is a
+// TEMPERATURE_EXCURSION event. `at` compares the event's location field, ignoring case;
+// `before deadline` only counts events whose timestamp is not after the market deadline.
+//
+// Criteria are evaluated in three-valued logic: an event condition is true once a matching
+// record is on the chain, false once the market's deadline has closed without one, and
+// undecided until then.
+
+const { EVENT_TYPES } = require('./events');
+
+const TEMPERATURE_EXCURSION = 'TEMPERATURE_EXCURSION';
+
+/**
+ * Splits criteria text into words, quoted strings and parentheses
+ * @param {string} text - Criteria text
+ * @returns {Array<Object>} - Tokens { type: 'word' | 'text' | '(' | ')', value }
+ */
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /\s*(?:(\()|(\))|'([^']*)'|"([^"]*)"|([^\s()'"]+))/y;
+    let position = 0;
+    while (text.slice(position).trim()) {
+        pattern.lastIndex = position;
+        const match = pattern.exec(text);
+        if (!match) {
+            throw new Error(`Invalid resolution criteria: unterminated quote near "${text.slice(position).trim()}"`);
+        }
+        position = pattern.lastIndex;
+        if (match[1] || match[2]) {
+            tokens.push({ type: match[1] || match[2] });
+        } else if (match[3] !== undefined || match[4] !== undefined) {
+            tokens.push({ type: 'text', value: match[3] ?? match[4] });
+        } else {
+            tokens.push({ type: 'word', value: match[5] });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Recursive-descent parser over the tokens of one criteria text
+ */
+class CriteriaParser {
+    /**
+     * @param {string} text - Criteria text
+     */
+    constructor(text) {
+        this.tokens = tokenize(text);
+        this.position = 0;
+        this.nextId = 0;
+    }
+
+    /**
+     * Parses the whole text
+     * @returns {Object} - The criteria tree
+     */
+    parse() {
+        const tree = this.criteria();
+        if (this.position < this.tokens.length) {
+            this.fail('"and", "or" or the end of the criteria');
+        }
+        return tree;
+    }
+
+    /**
+     * Looks at the next token without consuming it
+     * @returns {Object|undefined} - The token
+     */
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    /**
+     * Consumes the next token if it is the given keyword
+     * @param {string} keyword - Lower-case keyword
+     * @returns {boolean} - True if it was consumed
+     */
+    accept(keyword) {
+        const token = this.peek();
+        if (token && token.type === 'word' && token.value.toLowerCase() === keyword) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Consumes a keyword that must come next
+     * @param {string} keyword - Lower-case keyword
+     */
+    expect(keyword) {
+        if (!this.accept(keyword)) {
+            this.fail(`"${keyword}"`);
+        }
+    }
+
+    /**
+     * Throws a parse error naming what was expected and what was found
+     * @param {string} expected - Description of the expected input
+     */
+    fail(expected) {
+        const token = this.peek();
+        const found = !token ? 'the end of the criteria' : token.type === 'text' ? `'${token.value}'` : `"${token.value || token.type}"`;
+        throw new Error(`Invalid resolution criteria: expected ${expected} but found ${found}`);
+    }
+
+    /**
+     * criteria := term ('or' term)*
+     * @returns {Object} - Criteria tree
+     */
+    criteria() {
+        const operands = [this.term()];
+        while (this.accept('or')) {
+            operands.push(this.term());
+        }
+        return operands.length === 1 ? operands[0] : { op: 'or', operands };
+    }
+
+    /**
+     * term := factor ('and' factor)*
+     * @returns {Object} - Criteria tree
+     */
+    term() {
+        const operands = [this.factor()];
+        while (this.accept('and')) {
+            operands.push(this.factor());
+        }
+        return operands.length === 1 ? operands[0] : { op: 'and', operands };
+    }
+
+    /**
+     * factor := 'not' factor | '(' criteria ')' | condition
+     * @returns {Object} - Criteria tree
+     */
+    factor() {
+        if (this.accept('not')) {
+            return { op: 'not', operand: this.factor() };
+        }
+        const token = this.peek();
+        if (token && token.type === '(') {
+            this.position++;
+            const inner = this.criteria();
+            if (!this.peek() || this.peek().type !== ')') {
+                this.fail('")"');
+            }
+            this.position++;
+            return inner;
+        }
+        return this.condition();
+    }
+
+    /**
+     * condition := ['kit' KIT_ID] 'has' ('a' | 'an' | 'no') event ... | 'no' event ...
+     * @returns {Object} - Event leaf, or its negation for "no"
+     */
+    condition() {
+        let kitID = null;
+        if (this.accept('kit')) {
+            const token = this.peek();
+            if (!token || token.type !== 'word') {
+                this.fail('a kit ID');
+            }
+            kitID = token.value;
+            this.position++;
+            this.expect('has');
+        } else if (!this.accept('has')) {
+            // Shorthand: "no temperature excursion" about the market's kit
+            if (!this.accept('no')) {
+                this.fail('"kit", "has", "no", "not" or "("');
+            }
+            return { op: 'not', operand: this.event(kitID) };
+        }
+
+        if (this.accept('no')) {
+            return { op: 'not', operand: this.event(kitID) };
+        }
+        if (!this.accept('a') && !this.accept('an')) {
+            this.fail('"a", "an" or "no"');
+        }
+        return this.event(kitID);
+    }
+
+    /**
+     * Parses the event a condition looks for
+     * @param {string|null} kitID - Kit named by the condition, or null for the market's kit
+     * @returns {Object} - Event leaf { op: 'event', id, kitID, eventType, location, beforeDeadline }
+     */
+    event(kitID) {
+        let eventType;
+        if (this.accept('temperature')) {
+            this.expect('excursion');
+            eventType = TEMPERATURE_EXCURSION;
+        } else {
+            const token = this.peek();
+            const name = token && token.type === 'word' ? token.value.toUpperCase() : null;
+            if (!EVENT_TYPES[name]) {
+                this.fail(`an event type (${Object.values(EVENT_TYPES).join(', ')}) or "temperature excursion"`);
+            }
+            this.position++;
+            this.expect('event');
+            eventType = name;
+        }
+
+        let location = null;
+        if (this.accept('at')) {
+            this.accept('location');
+            const token = this.peek();
+            if (!token || token.type !== 'text') {
+                this.fail('a quoted location');
+            }
+            location = token.value;
+            this.position++;
+        }
+
+        let beforeDeadline = false;
+        if (this.accept('before')) {
+            this.expect('deadline');
+            beforeDeadline = true;
+        }
+
+        return { op: 'event', id: this.nextId++, kitID, eventType, location, beforeDeadline };
+    }
+}
+
+/**
+ * Parses resolution criteria
+ * @param {string} text - Criteria text
+ * @returns {Object} - Criteria tree of { op: 'and' | 'or', operands }, { op: 'not', operand } and event leaves
+ */
+function parseCriteria(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new Error('Invalid resolution criteria: criteria must be non-empty text');
+    }
+    return new CriteriaParser(text).parse();
+}
+
+/**
+ * Lists the event leaves of a criteria tree
+ * @param {Object} node - Criteria tree
+ * @returns {Array<Object>} - Event leaves
+ */
+function eventLeaves(node) {
+    if (node.op === 'event') {
+        return [node];
+    }
+    return node.op === 'not' ? eventLeaves(node.operand) : node.operands.flatMap(eventLeaves);
+}
+
+/**
+ * Records which event leaves a ledger record matches
+ * @param {Object} tree - Criteria tree
+ * @param {Object} record - Ledger record
+ * @param {Object} block - Block holding the record
+ * @param {Map<number, number>} facts - Leaf id -> index of the first block with a matching record; updated
+ * @param {Object} context - The market: { kitID, deadline } with deadline in epoch milliseconds
+ */
+function observeRecord(tree, record, block, facts, context) {
+    if (!record || !record.eventType) {
+        return;
+    }
+    const timestamp = Date.parse(record.timestamp || block.timestamp);
+
+    eventLeaves(tree).forEach(leaf => {
+        if (facts.has(leaf.id)
+            || record.eventType !== leaf.eventType
+            || record.kitID !== (leaf.kitID || context.kitID)
+            || (leaf.location !== null && String(record.location || '').toLowerCase() !== leaf.location.toLowerCase())
+            || (leaf.beforeDeadline && !(timestamp <= context.deadline))) {
+            return;
+        }
+        facts.set(leaf.id, block.index);
+    });
+}
+
+/**
+ * Evaluates criteria against the facts observed so far
+ * @param {Object} node - Criteria tree
+ * @param {Map<number, number>} facts - Leaf id -> block index, from observeRecord
+ * @param {boolean} closed - True once the deadline has passed, so missing events count as absent
+ * @returns {boolean|null} - The outcome, or null while it is undecided
+ */
+function evaluateCriteria(node, facts, closed) {
+    switch (node.op) {
+        case 'event':
+            return facts.has(node.id) ? true : (closed ? false : null);
+        case 'not': {
+            const value = evaluateCriteria(node.operand, facts, closed);
+            return value === null ? null : !value;
+        }
+        case 'and': {
+            const values = node.operands.map(operand => evaluateCriteria(operand, facts, closed));
+            if (values.includes(false)) return false;
+            return values.includes(null) ? null : true;
+        }
+        case 'or': {
+            const values = node.operands.map(operand => evaluateCriteria(operand, facts, closed));
+            if (values.includes(true)) return true;
+            return values.includes(null) ? null : false;
+        }
+        default:
+            throw new Error(`Unknown criteria node: ${node.op}`);
+    }
+}
+
+module.exports = {
+    parseCriteria,
+    observeRecord,
+    evaluateCriteria
+};
@@ -1,39 +1,276 @@
 // contracts/rules.js - Validation logic for the ICRC medical tracking system
+const config = require('../config/default');
 const { verifySignature } = require('../identity/crypto-util');
+const { EVENT_TYPES, EVENT_SCHEMAS, eventPayload, eventSigningPayload, countersigningPayload } = require('./events');
+
+// Kit statuses produced by the lifecycle state machine
+const KIT_STATUS = {
+  REGISTERED: 'REGISTERED',
+  IN_TRANSIT: 'IN_TRANSIT',
+  IN_STOCK: 'IN_STOCK',
+  DISPENSED: 'DISPENSED',
+  EXPIRED: 'EXPIRED',
+  DESTROYED: 'DESTROYED',
+  // Not reached through an event: the world state marks an active kit COMPROMISED once its
+  // cumulative time out of range exceeds the rule profile's excursion budget
+  COMPROMISED: 'COMPROMISED'
+};
+
+const ACTIVE_STATUSES = [KIT_STATUS.REGISTERED, KIT_STATUS.IN_TRANSIT, KIT_STATUS.IN_STOCK];
+
+// Lifecycle state machine: the statuses an event may be applied in, and the status it
+// leads to (null keeps the current status). A kit with no events has status null.
+const TRANSITIONS = {
+  REGISTERED: { from: [null], to: KIT_STATUS.REGISTERED },
+  DISPATCHED: { from: [KIT_STATUS.REGISTERED, KIT_STATUS.IN_STOCK], to: KIT_STATUS.IN_TRANSIT },
+  RECEIVED: { from: [KIT_STATUS.IN_TRANSIT], to: KIT_STATUS.IN_STOCK },
+  HANDOVER: { from: ACTIVE_STATUSES, to: null },
+  TEMPERATURE_READING: { from: ACTIVE_STATUSES, to: null },
+  TEMPERATURE_EXCURSION: { from: ACTIVE_STATUSES, to: null },
+  DISPENSED: { from: [KIT_STATUS.IN_STOCK], to: KIT_STATUS.DISPENSED },
+  EXPIRED: { from: ACTIVE_STATUSES, to: KIT_STATUS.EXPIRED },
+  DESTROYED: { from: [...ACTIVE_STATUSES, KIT_STATUS.EXPIRED], to: KIT_STATUS.DESTROYED }
+};
+
+/**
+ * Picks the cold-chain rule profile for a kit type
+ * @param {string} kitType - MedicalKit.type
+ * @param {Object} profiles - Profiles keyed by kit type (defaults to config.coldChainProfiles)
+ * @returns {Object} { name, ...profile }; falls back to the 'default' profile
+ */
+function getRuleProfile(kitType, profiles = config.coldChainProfiles) {
+  const name = Object.keys(profiles).find(key => key === kitType)
+    || Object.keys(profiles).find(key => typeof kitType === 'string' && key.toLowerCase() === kitType.toLowerCase())
+    || 'default';
+  
+  return { name, ...profiles[name] };
+}
+
+/**
+ * Checks the signature of a kit or event record with the given key
+ * @param {Object} record - A MedicalKit record or a lifecycle event record
+ * @param {string} publicKey - Signer's public key
+ * @returns {boolean} True if the record's signature is valid for the key
+ */
+function verifyRecordSignature(record, publicKey) {
+  if (!record.signature || !publicKey) {
+    return false;
+  }
+  
+  const signedPayload = record.eventType
+    ? eventSigningPayload(record)
+    : `${record.kitID}${record.type}${record.origin}${record.temperature}${record.location}${record.timestamp}`;
+  return verifySignature(signedPayload, record.signature, publicKey);
+}
+
+/**
+ * Checks the receiving party's countersignature on a HANDOVER record
+ * @param {Object} record - HANDOVER event record with a countersignature
+ * @param {string} publicKey - Receiver's public key
+ * @returns {boolean} True if the countersignature is valid for the key
+ */
+function verifyCountersignature(record, publicKey) {
+  const { countersignature } = record;
+  if (!countersignature || !countersignature.signature || !publicKey) {
+    return false;
+  }
+  return verifySignature(countersigningPayload(record), countersignature.signature, publicKey);
+}
 
 /**
- * Validates a MedicalKit object according to humanitarian standards
+ * Validates a MedicalKit object according to humanitarian standards, using the
+ * cold-chain rule profile for the kit's type
  * @param {Object} kit - The MedicalKit object to validate
- * @param {string} publicKey - The public key to verify the kit's signature
- * @returns {Object} An object with isValid boolean and array of error messages
+ * @param {string} publicKey - The signer's key that is valid at the height the kit is
+ *   recorded at (IdentityRegistry.keyAt), not merely the actor's current key
+ * @param {Object} profiles - Profiles keyed by kit type (defaults to config.coldChainProfiles)
+ * @returns {Object} { isValid, profile, errors } where each error is { profile, rule, message }
  */
-function validateMedicalKit(kit, publicKey) {
+function validateMedicalKit(kit, publicKey, profiles = config.coldChainProfiles) {
+  const profile = getRuleProfile(kit.type, profiles);
   const errors = [];
+  const fail = (rule, message) => errors.push({ profile: profile.name, rule, message });
+  
+  // Check the fields this profile requires
+  profile.requiredFields.forEach(field => {
+    if (kit[field] === undefined || kit[field] === null || kit[field] === '') {
+      fail('requiredFields', `Missing required field for ${profile.name} kits: ${field}`);
+    }
+  });
   
-  // Check if temperature is within safe bounds (2°C to 8°C)
-  if (kit.temperature < 2 || kit.temperature > 8) {
-    errors.push(`Temperature out of safe range (2-8°C): ${kit.temperature}°C`);
+  // Check if temperature is within the profile's safe bounds
+  if (kit.temperature !== undefined && typeof kit.temperature !== 'number') {
+    fail('temperatureRange', `Temperature must be a number: ${kit.temperature}`);
+  } else if (typeof kit.temperature === 'number' && !isTemperatureCompliant(kit.type, kit.temperature, profiles)) {
+    fail('temperatureRange', `Temperature out of safe range (${profile.minTemp} to ${profile.maxTemp}°C): ${kit.temperature}°C`);
   }
   
   // Verify the kit has a valid cryptographic signature
   if (!kit.signature) {
+    fail('signature', 'Missing digital signature');
+  } else if (publicKey && !verifyRecordSignature(kit, publicKey)) {
+    fail('signature', 'Invalid cryptographic signature');
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    profile: profile.name,
+    errors
+  };
+}
+
+/**
+ * Validates a lifecycle event record against its schema and signature
+ * @param {Object} event - Event record (KitEvent.toObject())
+ * @param {string} publicKey - The public key to verify the event's signature
+ * @returns {Object} An object with isValid boolean and array of error messages
+ */
+function validateEvent(event, publicKey) {
+  const errors = [];
+  const schema = EVENT_SCHEMAS[event.eventType];
+  
+  if (!event.kitID || typeof event.kitID !== 'string') {
+    errors.push('Missing kitID');
+  }
+  
+  if (!event.timestamp || isNaN(Date.parse(event.timestamp))) {
+    errors.push('Missing or invalid timestamp');
+  }
+  
+  if (!schema) {
+    errors.push(`Unknown event type: ${event.eventType}`);
+  } else {
+    const payload = eventPayload(event);
+    
+    Object.keys(schema.required).forEach(field => {
+      if (payload[field] === undefined) {
+        errors.push(`${event.eventType} requires field: ${field}`);
+      }
+    });
+    
+    Object.keys(payload).forEach(field => {
+      const expectedType = schema.required[field] || schema.optional[field];
+      if (!expectedType) {
+        errors.push(`${event.eventType} does not accept field: ${field}`);
+      } else if (typeof payload[field] !== expectedType) {
+        errors.push(`${event.eventType} field ${field} must be a ${expectedType}`);
+      }
+    });
+  }
+  
+  // Verify the event has a valid cryptographic signature
+  if (!event.signature) {
     errors.push('Missing digital signature');
-  } else if (publicKey && !verifySignature(
-    `${kit.kitID}${kit.type}${kit.origin}${kit.temperature}${kit.location}${kit.timestamp}`,
-    kit.signature,
-    publicKey
-  )) {
+  } else if (publicKey && !verifySignature(eventSigningPayload(event), event.signature, publicKey)) {
     errors.push('Invalid cryptographic signature');
   }
   
-  // Additional validations could be added here
-  
   return {
     isValid: errors.length === 0,
     errors
   };
 }
 
+/**
+ * Checks whether an event may be applied to a kit in its current status
+ * @param {string|null} currentStatus - The kit's lifecycle status (null if the kit has no events yet)
+ * @param {string} eventType - One of EVENT_TYPES
+ * @param {Object} options - Extra kit state
+ * @param {boolean} options.compromised - The kit has exceeded its excursion budget and must not be dispensed
+ * @returns {Object} { allowed, nextStatus, error }
+ */
+function checkTransition(currentStatus, eventType, { compromised = false } = {}) {
+  const transition = TRANSITIONS[eventType];
+  
+  if (!transition) {
+    return { allowed: false, nextStatus: currentStatus, error: `Unknown event type: ${eventType}` };
+  }
+  
+  if (!transition.from.includes(currentStatus)) {
+    const state = currentStatus === null ? 'an unregistered kit' : `a ${currentStatus} kit`;
+    return { allowed: false, nextStatus: currentStatus, error: `Illegal transition: cannot apply ${eventType} to ${state}` };
+  }
+  
+  if (compromised && eventType === EVENT_TYPES.DISPENSED) {
+    return { allowed: false, nextStatus: currentStatus, error: `Illegal transition: cannot apply ${eventType} to a ${KIT_STATUS.COMPROMISED} kit` };
+  }
+  
+  return { allowed: true, nextStatus: transition.to || currentStatus, error: null };
+}
+
+/**
+ * Applies one on-chain record to a kit's status while replaying history.
+ * Legacy MedicalKit snapshots (records without eventType) register the kit the
+ * first time they appear and leave the status unchanged afterwards.
+ * @param {string|null} status - The kit's status before the record
+ * @param {Object} record - A kit record from the chain
+ * @returns {string|null} The kit's status after the record
+ */
+function applyRecordStatus(status, record) {
+  if (!record.eventType) {
+    return status || KIT_STATUS.REGISTERED;
+  }
+  
+  const transition = checkTransition(status, record.eventType);
+  return transition.allowed ? transition.nextStatus : status;
+}
+
+/**
+ * Derives a kit's lifecycle status by replaying its records in chain order
+ * @param {Iterable<Object>} records - The kit's records in chain order
+ * @returns {string|null} The current status, or null if the kit was never registered
+ */
+function deriveKitStatus(records) {
+  let status = null;
+  
+  for (const record of records) {
+    status = applyRecordStatus(status, record);
+  }
+  
+  return status;
+}
+
+/**
+ * Checks a temperature reading against the safe storage range of the kit's rule profile
+ * @param {string} kitType - The kit's type
+ * @param {number} temperature - Temperature in °C
+ * @param {Object} profiles - Profiles keyed by kit type (defaults to config.coldChainProfiles)
+ * @returns {boolean} True if the reading is within the profile's range
+ */
+function isTemperatureCompliant(kitType, temperature, profiles = config.coldChainProfiles) {
+  const { minTemp, maxTemp } = getRuleProfile(kitType, profiles);
+  return temperature >= minTemp && temperature <= maxTemp;
+}
+
+/**
+ * Describes a reading that breaks the kit's rule profile, ready to be recorded as a
+ * TEMPERATURE_EXCURSION event payload
+ * @param {string} kitType - The kit's type
+ * @param {number} temperature - Temperature in °C
+ * @param {Object} profiles - Profiles keyed by kit type (defaults to config.coldChainProfiles)
+ * @returns {Object|null} { temperature, profile, minTemp, maxTemp }, or null if the reading is in range
+ */
+function temperatureExcursion(kitType, temperature, profiles = config.coldChainProfiles) {
+  if (typeof temperature !== 'number' || isTemperatureCompliant(kitType, temperature, profiles)) {
+    return null;
+  }
+  
+  const { name, minTemp, maxTemp } = getRuleProfile(kitType, profiles);
+  return { temperature, profile: name, minTemp, maxTemp };
+}
+
 module.exports = {
-  validateMedicalKit
-};
\ No newline at end of file
+  KIT_STATUS,
+  TRANSITIONS,
+  EVENT_TYPES,
+  getRuleProfile,
+  verifyRecordSignature,
+  verifyCountersignature,
+  validateMedicalKit,
+  validateEvent,
+  checkTransition,
+  applyRecordStatus,
+  deriveKitStatus,
+  isTemperatureCompliant,
+  temperatureExcursion
+};
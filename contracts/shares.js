@@ -4,11 +4,19 @@
  */
 
 // contracts/shares.js - Share Management for Prediction Markets
+//
+// Each position (a user's shares of one outcome) carries a cost basis: the credits paid for the
+// shares still held. A sale releases basis at the position's average cost and realizes the
+// difference from its payout; settlement pays each share its payoutPerShare and realizes the
+// rest. Unrealized P&L marks the shares still held at the market's current price.
+
+const { roundCredits, roundPayout } = require('./market');
 
 class ShareManager {
     constructor() {
-        this.userBalances = {}; // { userId: { credits: number, holdings: { marketId: { YES: num, NO: num } } } }
+        this.userBalances = {}; // { userId: { credits: number, holdings: { marketId: { [outcome]: num } }, costBasis: { marketId: { [outcome]: credits } } } }
         this.userStats = {}; // { userId: { correctPredictions: 0, totalPredictions: 0, profit: 0 } }
+        this.history = {}; // { userId: [ trade and settlement entries, oldest first ] }
     }
 
     /**
@@ -20,7 +28,8 @@ class ShareManager {
         if (!this.userBalances[userId]) {
             this.userBalances[userId] = {
                 credits: initialCredits,
-                holdings: {}
+                holdings: {},
+                costBasis: {}
             };
             this.userStats[userId] = {
                 correctPredictions: 0,
@@ -28,6 +37,7 @@ class ShareManager {
                 profit: 0,
                 totalTrades: 0
             };
+            this.history[userId] = [];
         }
     }
 
@@ -48,32 +58,66 @@ class ShareManager {
     }
 
     /**
-     * Buy shares in a market
+     * Appends an entry to a user's history, stamped with the balance after it
+     * @param {string} userId - User identifier
+     * @param {Object} entry - { type, marketID, credits, realizedPnL, timestamp, ... }
+     * @returns {Object} - The recorded entry
+     */
+    record(userId, entry) {
+        const recorded = { ...entry, balance: this.userBalances[userId].credits };
+        this.history[userId].push(recorded);
+        return recorded;
+    }
+
+    /**
+     * Buy shares in a market; the trade is priced first and refused if the account cannot pay for it
      * @param {string} userId - User identifier
      * @param {Object} market - Market object
-     * @param {string} outcome - 'YES' or 'NO'
+     * @param {string} outcome - One of the market's outcomes
      * @param {number} amount - Number of shares
+     * @param {Object} limits - Slippage guard passed to the market ({ maxCost })
      * @returns {Object} - Transaction result
      */
-    buyShares(userId, market, outcome, amount) {
+    buyShares(userId, market, outcome, amount, limits = {}) {
         if (!this.userBalances[userId]) {
             this.initializeUser(userId);
         }
 
-        const transaction = market.buyShares(userId, outcome, amount);
-        
+        const account = this.userBalances[userId];
+
+        // Check the balance before the market maker commits the trade
+        const cost = market.calculatePrice(outcome, amount);
+        if (account.credits < cost) {
+            throw new Error(`Insufficient credits: ${amount} ${outcome} shares cost ${cost}, balance is ${account.credits}`);
+        }
+
+        const transaction = market.buyShares(userId, outcome, amount, limits);
+
         // Deduct credits
-        this.userBalances[userId].credits -= transaction.cost;
-        
-        // Update holdings
-        if (!this.userBalances[userId].holdings[market.marketID]) {
-            this.userBalances[userId].holdings[market.marketID] = { YES: 0, NO: 0 };
+        account.credits = roundCredits(account.credits - transaction.cost);
+
+        // Update holdings and the credits paid for them
+        if (!account.holdings[market.marketID]) {
+            account.holdings[market.marketID] = market.emptyPosition();
+            account.costBasis[market.marketID] = market.emptyPosition();
         }
-        this.userBalances[userId].holdings[market.marketID][outcome] += amount;
-        
+        account.holdings[market.marketID][outcome] += amount;
+        account.costBasis[market.marketID][outcome] = roundCredits(account.costBasis[market.marketID][outcome] + transaction.cost);
+
         // Update stats
         this.userStats[userId].totalTrades++;
 
+        this.record(userId, {
+            type: 'BUY',
+            marketID: market.marketID,
+            outcome,
+            shares: amount,
+            credits: -transaction.cost,
+            averagePrice: transaction.averagePrice,
+            realizedPnL: 0,
+            timestamp: transaction.timestamp
+        });
+
         return transaction;
     }
 
@@ -81,54 +125,98 @@ class ShareManager {
      * Sell shares back to market
      * @param {string} userId - User identifier
      * @param {Object} market - Market object
-     * @param {string} outcome - 'YES' or 'NO'
+     * @param {string} outcome - One of the market's outcomes
      * @param {number} amount - Number of shares
-     * @returns {Object} - Transaction result
+     * @param {Object} limits - Slippage guard passed to the market ({ minPayout })
+     * @returns {Object} - Transaction result, with the P&L the sale realized
      */
-    sellShares(userId, market, outcome, amount) {
+    sellShares(userId, market, outcome, amount, limits = {}) {
         if (!this.userBalances[userId]) {
             throw new Error('User account not found');
         }
 
-        const transaction = market.sellShares(userId, outcome, amount);
-        
+        const transaction = market.sellShares(userId, outcome, amount, limits);
+        const account = this.userBalances[userId];
+        const held = account.holdings[market.marketID][outcome];
+        const basis = account.costBasis[market.marketID][outcome];
+
+        // The shares sold leave the position at its average cost
+        const released = held === amount ? basis : roundCredits(basis * amount / held);
+        const realizedPnL = roundCredits(transaction.payout - released);
+
         // Add credits
-        this.userBalances[userId].credits += transaction.payout;
-        
+        account.credits = roundCredits(account.credits + transaction.payout);
+
         // Update holdings
-        this.userBalances[userId].holdings[market.marketID][outcome] -= amount;
-        
+        account.holdings[market.marketID][outcome] -= amount;
+        account.costBasis[market.marketID][outcome] = roundCredits(basis - released);
+
         // Update stats
         this.userStats[userId].totalTrades++;
-        this.userStats[userId].profit += (transaction.payout - transaction.cost);
+        this.userStats[userId].profit = roundCredits(this.userStats[userId].profit + realizedPnL);
 
-        return transaction;
+        this.record(userId, {
+            type: 'SELL',
+            marketID: market.marketID,
+            outcome,
+            shares: amount,
+            credits: transaction.payout,
+            averagePrice: transaction.averagePrice,
+            realizedPnL,
+            timestamp: transaction.timestamp
+        });
+
+        return { ...transaction, realizedPnL };
     }
 
     /**
-     * Resolve user positions after market resolution
+     * Settle a user's position after market resolution: every share held is paid its
+     * payoutPerShare in credits and the position is closed
      * @param {string} userId - User identifier
      * @param {Object} market - Resolved market
+     * @returns {Object|null} - The settlement history entry, or null if nothing was held
      */
     resolvePosition(userId, market) {
         if (!this.userBalances[userId] || !this.userBalances[userId].holdings[market.marketID]) {
-            return;
+            return null;
         }
 
-        const holdings = this.userBalances[userId].holdings[market.marketID];
-        const winningShares = holdings[market.winningOutcome];
-        const losingShares = holdings[market.winningOutcome === 'YES' ? 'NO' : 'YES'];
+        const account = this.userBalances[userId];
+        const holdings = account.holdings[market.marketID];
+        const basis = market.outcomes.reduce((total, outcome) => total + account.costBasis[market.marketID][outcome], 0);
+        const shares = market.outcomes.reduce((total, outcome) => total + holdings[outcome], 0);
+        const value = market.outcomes.reduce((total, outcome) => total + holdings[outcome] * market.payoutPerShare(outcome), 0);
 
-        // Update stats
-        if (winningShares > 0) {
-            this.userStats[userId].correctPredictions++;
+        // Clear holdings for this market
+        delete account.holdings[market.marketID];
+        delete account.costBasis[market.marketID];
+
+        if (shares === 0) {
+            return null;
         }
-        if (winningShares > 0 || losingShares > 0) {
-            this.userStats[userId].totalPredictions++;
+
+        // Update stats: a prediction is correct when the shares held pay out more than half
+        // their number, i.e. the position was mostly on the outcome (or scalar side) that paid
+        this.userStats[userId].totalPredictions++;
+        if (value > shares / 2) {
+            this.userStats[userId].correctPredictions++;
         }
 
-        // Clear holdings for this market
-        delete this.userBalances[userId].holdings[market.marketID];
+        // Pay out the winning shares
+        const payout = roundPayout(value);
+        const realizedPnL = roundCredits(payout - basis);
+        account.credits = roundCredits(account.credits + payout);
+        this.userStats[userId].profit = roundCredits(this.userStats[userId].profit + realizedPnL);
+
+        return this.record(userId, {
+            type: 'SETTLEMENT',
+            marketID: market.marketID,
+            result: market.resolution.result,
+            shares: { ...holdings },
+            credits: payout,
+            realizedPnL,
+            timestamp: market.resolution.resolvedAt
+        });
     }
 
     /**
@@ -153,22 +241,64 @@ class ShareManager {
     }
 
     /**
-     * Get all user positions across markets
+     * Get all user positions across markets, with their P&L
      * @param {string} userId - User identifier
-     * @returns {Object} - User's current positions
+     * @param {Map<string, Object>} markets - Markets by ID, used to mark open positions to their current price
+     * @returns {Object} - User's current positions; realized P&L is the stats' profit
      */
-    getUserPositions(userId) {
+    getUserPositions(userId, markets = new Map()) {
         if (!this.userBalances[userId]) {
-            return { credits: 0, holdings: {}, stats: null };
+            return { credits: 0, holdings: {}, positions: [], stats: null, pnl: { realized: 0, unrealized: 0 } };
         }
+
+        const account = this.userBalances[userId];
+        const positions = [];
+        for (const [marketID, holdings] of Object.entries(account.holdings)) {
+            const market = markets.get(marketID);
+            for (const [outcome, shares] of Object.entries(holdings)) {
+                if (shares === 0) {
+                    continue;
+                }
+                const costBasis = account.costBasis[marketID][outcome];
+                const price = market && market.status === 'OPEN' ? market.getPrice(outcome) : null;
+                const marketValue = price === null ? null : roundCredits(shares * price);
+                positions.push({
+                    marketID,
+                    outcome,
+                    shares,
+                    costBasis,
+                    averageCost: Math.round(costBasis / shares * 10000) / 10000,
+                    marketValue,
+                    unrealizedPnL: marketValue === null ? null : roundCredits(marketValue - costBasis)
+                });
+            }
+        }
+
         return {
-            credits: this.userBalances[userId].credits,
-            holdings: this.userBalances[userId].holdings,
-            stats: this.userStats[userId]
+            credits: account.credits,
+            holdings: account.holdings,
+            positions,
+            stats: this.userStats[userId],
+            pnl: {
+                realized: this.userStats[userId].profit,
+                unrealized: roundCredits(positions.reduce((total, position) => total + (position.unrealizedPnL || 0), 0))
+            }
         };
     }
+
+    /**
+     * Get a user's trades and settlements, oldest first, each with the balance after it
+     * @param {string} userId - User identifier
+     * @param {Object} filter - Optional filter
+     * @param {string} filter.marketID - Only entries for this market
+     * @returns {Array<Object>} - History entries
+     */
+    getHistory(userId, { marketID } = {}) {
+        const history = this.history[userId] || [];
+        return marketID ? history.filter(entry => entry.marketID === marketID) : [...history];
+    }
 }
 
 module.exports = {
     ShareManager
-};
\ No newline at end of file
+};
@@ -0,0 +1,208 @@
+// contracts/world-state.js - Current-state projection of every kit, built by replaying the chain
+const { blockRecords } = require('./block');
+const { KIT_STATUS, applyRecordStatus, isTemperatureCompliant, getRuleProfile } = require('./rules');
+
+const ACTIVE_STATUSES = [KIT_STATUS.REGISTERED, KIT_STATUS.IN_TRANSIT, KIT_STATUS.IN_STOCK];
+
+/**
+ * Copies a kit state so callers cannot modify the projection
+ * @param {Object} kit - Kit state
+ * @returns {Object} A copy of the kit state
+ */
+function copyKit(kit) {
+  return {
+    ...kit,
+    excursion: { ...kit.excursion, readings: kit.excursion.readings.map(reading => ({ ...reading })) }
+  };
+}
+
+class WorldState {
+  /**
+   * Creates a projection over a blockchain and keeps it current as blocks are appended
+   * @param {Object} blockchain - The Blockchain to project
+   */
+  constructor(blockchain) {
+    this.blockchain = blockchain;
+    this.kits = new Map(); // kitID -> current kit state
+    this.appliedHeight = 0; // Number of blocks already applied
+
+    // Rebuild incrementally whenever the chain grows, and from scratch when it is cut back
+    this.blockchain.on('block', () => this.sync());
+    this.blockchain.on('reorg', () => this.rebuild());
+  }
+
+  /**
+   * Discards the projection and replays the whole chain
+   */
+  rebuild() {
+    this.kits.clear();
+    this.appliedHeight = 0;
+    this.sync();
+  }
+
+  /**
+   * Applies blocks appended since the last sync
+   */
+  sync() {
+    for (const block of this.blockchain.iterate(this.appliedHeight)) {
+      this.applyBlock(block);
+    }
+  }
+
+  /**
+   * Applies every kit record in a block
+   * @param {Object} block - The next block in the chain
+   */
+  applyBlock(block) {
+    blockRecords(block).forEach(record => {
+      if (record && record.kitID) {
+        this.applyRecord(record, block);
+      }
+    });
+    this.appliedHeight = block.index + 1;
+  }
+
+  /**
+   * Folds one kit record into that kit's current state
+   * @param {Object} record - A MedicalKit snapshot or lifecycle event
+   * @param {Object} block - The block holding the record
+   */
+  applyRecord(record, block) {
+    const kit = this.kits.get(record.kitID) || {
+      kitID: record.kitID,
+      type: null,
+      origin: null,
+      status: null, // Lifecycle status, or COMPROMISED for an active kit over its excursion budget
+      lifecycleStatus: null,
+      compromised: false,
+      location: null,
+      destination: null,
+      custodian: null,
+      lastTemperature: null,
+      lastTemperatureAt: null,
+      lastEventType: null,
+      outOfCompliance: false,
+      excursion: {
+        minutesOutOfRange: 0,
+        budgetMinutes: null,
+        compromisedAtBlock: null,
+        compromisedAt: null,
+        readings: [] // Out-of-range readings: { blockIndex, timestamp, temperature }
+      },
+      lastUpdatedBlock: null,
+      lastUpdatedAt: null
+    };
+
+    kit.lifecycleStatus = applyRecordStatus(kit.lifecycleStatus, record);
+
+    if (record.type !== undefined) kit.type = record.type;
+    if (record.origin !== undefined) {
+      kit.origin = record.origin;
+      kit.custodian = kit.custodian || record.origin;
+    }
+    if (record.location !== undefined) kit.location = record.location;
+
+    switch (record.eventType) {
+      case 'DISPATCHED':
+        kit.location = record.from;
+        kit.destination = record.to;
+        break;
+      case 'RECEIVED':
+        kit.destination = null;
+        break;
+      case 'HANDOVER':
+        // Custody only changes once the receiving party has countersigned
+        if (record.countersignature) {
+          kit.custodian = record.toCustodian;
+        }
+        break;
+      default:
+        break;
+    }
+
+    if (typeof record.temperature === 'number') {
+      this.applyReading(kit, record, block);
+    }
+
+    kit.status = kit.compromised && ACTIVE_STATUSES.includes(kit.lifecycleStatus)
+      ? KIT_STATUS.COMPROMISED
+      : kit.lifecycleStatus;
+    kit.lastEventType = record.eventType || 'SNAPSHOT';
+    kit.lastUpdatedBlock = block.index;
+    kit.lastUpdatedAt = record.timestamp || block.timestamp;
+
+    this.kits.set(record.kitID, kit);
+  }
+
+  /**
+   * Accumulates time out of range from consecutive temperature readings. The interval
+   * between two readings counts as out of range when the earlier reading was.
+   * @param {Object} kit - Kit state being updated
+   * @param {Object} record - A record carrying a temperature
+   * @param {Object} block - The block holding the record
+   */
+  applyReading(kit, record, block) {
+    const readingAt = record.timestamp || block.timestamp;
+    const profile = getRuleProfile(kit.type);
+    const excursion = kit.excursion;
+
+    if (kit.outOfCompliance && kit.lastTemperatureAt) {
+      const elapsedMinutes = (Date.parse(readingAt) - Date.parse(kit.lastTemperatureAt)) / 60000;
+      excursion.minutesOutOfRange += Math.max(0, elapsedMinutes);
+    }
+
+    kit.lastTemperature = record.temperature;
+    kit.lastTemperatureAt = readingAt;
+    kit.outOfCompliance = !isTemperatureCompliant(kit.type, record.temperature);
+    excursion.budgetMinutes = profile.maxExcursionMinutes;
+
+    const alreadyListed = excursion.readings.some(reading => (
+      reading.blockIndex === block.index && reading.timestamp === readingAt
+    ));
+    if (kit.outOfCompliance && !alreadyListed) {
+      excursion.readings.push({ blockIndex: block.index, timestamp: readingAt, temperature: record.temperature });
+    }
+
+    if (!kit.compromised && excursion.minutesOutOfRange > profile.maxExcursionMinutes) {
+      kit.compromised = true;
+      excursion.compromisedAtBlock = block.index;
+      excursion.compromisedAt = readingAt;
+    }
+  }
+
+  /**
+   * Gets the current state of one kit
+   * @param {string} kitID - Kit identifier
+   * @returns {Object|null} The kit state, or null if the kit is unknown
+   */
+  get(kitID) {
+    const kit = this.kits.get(kitID);
+    return kit ? copyKit(kit) : null;
+  }
+
+  /**
+   * Lists kits matching the given filters
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.status - Exact lifecycle status
+   * @param {string} filters.location - Case-insensitive substring of the current location
+   * @param {string} filters.type - Exact kit type
+   * @param {boolean} filters.outOfCompliance - Only kits whose last reading is (or is not) out of range
+   * @param {boolean} filters.compromised - Only kits that have (or have not) exceeded their excursion budget
+   * @returns {Array<Object>} Matching kit states
+   */
+  query({ status, location, type, outOfCompliance, compromised } = {}) {
+    const needle = location ? location.toLowerCase() : null;
+
+    return Array.from(this.kits.values())
+      .filter(kit => !status || kit.status === status)
+      .filter(kit => !type || kit.type === type)
+      .filter(kit => !needle || (kit.location || '').toLowerCase().includes(needle))
+      .filter(kit => outOfCompliance === undefined || kit.outOfCompliance === outOfCompliance)
+      .filter(kit => compromised === undefined || kit.compromised === compromised)
+      .map(copyKit);
+  }
+}
+
+module.exports = {
+  WorldState
+};
@@ -0,0 +1,90 @@
+// identity/challenge.js - One-time login challenges answered with an actor's secp256k1 key
+//
+// The server issues a random nonce for a registered actor; the actor signs the challenge
+// message with its key and sends the signature back. Each nonce can be answered once,
+// whether the answer is right or not, and lapses after a short time.
+const crypto = require('crypto');
+
+class LoginChallenges {
+  /**
+   * Creates an empty challenge store
+   * @param {Object} options - Challenge options
+   * @param {number} options.ttlSeconds - How long a nonce can be answered
+   * @param {string} options.networkId - Chain the login is for, bound into the signed message
+   */
+  constructor({ ttlSeconds, networkId }) {
+    this.ttlSeconds = ttlSeconds;
+    this.networkId = networkId;
+    this.challenges = new Map();
+  }
+
+  /**
+   * Builds the text an actor signs to answer a challenge. The "login" prefix keeps a
+   * login signature from ever matching a ledger record signature.
+   * @param {string} actorId - Actor logging in
+   * @param {string} nonce - Challenge nonce
+   * @returns {string} Message to sign
+   */
+  message(actorId, nonce) {
+    return `icrc-login:${this.networkId}:${actorId}:${nonce}`;
+  }
+
+  /**
+   * Issues a challenge for an actor
+   * @param {string} actorId - Actor logging in
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} { actorId, nonce, message, expiresAt }
+   */
+  issue(actorId, now = Date.now()) {
+    this.expire(now);
+
+    const nonce = crypto.randomBytes(32).toString('hex');
+    const challenge = {
+      actorId,
+      nonce,
+      message: this.message(actorId, nonce),
+      expiresAt: new Date(now + this.ttlSeconds * 1000).toISOString()
+    };
+    this.challenges.set(nonce, challenge);
+    return { ...challenge };
+  }
+
+  /**
+   * Takes a challenge out of the store so it cannot be answered twice
+   * @param {string} actorId - Actor answering
+   * @param {string} nonce - Nonce being answered
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} { challenge } or { error } if the nonce is unknown, used, expired or someone else's
+   */
+  consume(actorId, nonce, now = Date.now()) {
+    const challenge = this.challenges.get(nonce);
+    this.challenges.delete(nonce);
+
+    if (!challenge) {
+      return { error: 'Unknown or already used nonce' };
+    }
+    if (Date.parse(challenge.expiresAt) <= now) {
+      return { error: 'Challenge expired' };
+    }
+    if (challenge.actorId !== actorId) {
+      return { error: 'Challenge was issued to a different actor' };
+    }
+    return { challenge };
+  }
+
+  /**
+   * Drops challenges past their expiry
+   * @param {number} now - Current time in milliseconds
+   */
+  expire(now = Date.now()) {
+    for (const [nonce, challenge] of this.challenges) {
+      if (Date.parse(challenge.expiresAt) <= now) {
+        this.challenges.delete(nonce);
+      }
+    }
+  }
+}
+
+module.exports = {
+  LoginChallenges
+};
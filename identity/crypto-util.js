@@ -69,8 +69,21 @@ function verifySignature(data, signatureHex, publicKeyHex) {
   }
 }
 
+/**
+ * Derives a short, stable identifier for a public key
+ * @param {string} publicKeyHex - The public key in hexadecimal format
+ * @returns {string} First 20 bytes of SHA-256(public key), hex encoded
+ */
+function getKeyFingerprint(publicKeyHex) {
+  return crypto.createHash('sha256')
+    .update(Buffer.from(publicKeyHex, 'hex'))
+    .digest('hex')
+    .substring(0, 40);
+}
+
 module.exports = {
   generateKeyPair,
   signData,
-  verifySignature
+  verifySignature,
+  getKeyFingerprint
 };
\ No newline at end of file
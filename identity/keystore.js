@@ -0,0 +1,257 @@
+// identity/keystore.js - Passphrase-encrypted storage for a node's secp256k1 private key
+//
+// Keystore file format (JSON, version 1):
+//   {
+//     "format": "icrc-keystore",
+//     "version": 1,
+//     "curve": "secp256k1",
+//     "publicKey": "04...",              hex, uncompressed; readable without the passphrase
+//     "fingerprint": "...",              getKeyFingerprint(publicKey)
+//     "createdAt": "2026-...Z",
+//     "crypto": {
+//       "kdf": "scrypt",
+//       "kdfparams": { "N": 32768, "r": 8, "p": 1, "dklen": 32, "salt": "<32 bytes hex>" },
+//       "cipher": "aes-256-gcm",
+//       "cipherparams": { "iv": "<12 bytes hex>" },
+//       "ciphertext": "<hex>",           the 32-byte private key, encrypted
+//       "authTag": "<16 bytes hex>"
+//     }
+//   }
+// The public key is the GCM additional authenticated data, so a keystore whose public
+// key was swapped fails to unlock instead of advertising someone else's key.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const EC = require('elliptic').ec;
+const { generateKeyPair, getKeyFingerprint } = require('./crypto-util');
+
+const ec = new EC('secp256k1');
+
+const KEYSTORE_FORMAT = 'icrc-keystore';
+const KEYSTORE_VERSION = 1;
+const DEFAULT_SCRYPT_PARAMS = { N: 32768, r: 8, p: 1, dklen: 32 };
+
+/**
+ * Derives the AES key from a passphrase
+ * @param {string} passphrase - Unlock passphrase
+ * @param {Object} kdfparams - scrypt parameters { N, r, p, dklen, salt }
+ * @returns {Buffer} Derived key
+ */
+function deriveKey(passphrase, { N, r, p, dklen, salt }) {
+  return crypto.scryptSync(passphrase, Buffer.from(salt, 'hex'), dklen, {
+    N,
+    r,
+    p,
+    maxmem: 256 * N * r
+  });
+}
+
+/**
+ * Encrypts a private key into a keystore document
+ * @param {Object} keys - Key pair { privateKey, publicKey } in hex
+ * @param {string} passphrase - Passphrase to encrypt with; must not be empty
+ * @param {Object} scryptParams - Optional scrypt cost { N, r, p, dklen }
+ * @returns {Object} Keystore document
+ */
+function encryptKeystore({ privateKey, publicKey }, passphrase, scryptParams = DEFAULT_SCRYPT_PARAMS) {
+  if (!passphrase) {
+    throw new Error('A non-empty keystore passphrase is required');
+  }
+
+  const kdfparams = { ...scryptParams, salt: crypto.randomBytes(32).toString('hex') };
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, kdfparams), iv);
+  cipher.setAAD(Buffer.from(publicKey, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(privateKey, 'hex')), cipher.final()]);
+
+  return {
+    format: KEYSTORE_FORMAT,
+    version: KEYSTORE_VERSION,
+    curve: 'secp256k1',
+    publicKey,
+    fingerprint: getKeyFingerprint(publicKey),
+    createdAt: new Date().toISOString(),
+    crypto: {
+      kdf: 'scrypt',
+      kdfparams,
+      cipher: 'aes-256-gcm',
+      cipherparams: { iv: iv.toString('hex') },
+      ciphertext: ciphertext.toString('hex'),
+      authTag: cipher.getAuthTag().toString('hex')
+    }
+  };
+}
+
+/**
+ * Decrypts a keystore document
+ * @param {Object} keystore - Keystore document
+ * @param {string} passphrase - Unlock passphrase
+ * @returns {Object} Key pair { privateKey, publicKey } in hex
+ */
+function decryptKeystore(keystore, passphrase) {
+  if (keystore.format !== KEYSTORE_FORMAT || keystore.version !== KEYSTORE_VERSION) {
+    throw new Error(`Unsupported keystore format: ${keystore.format} v${keystore.version}`);
+  }
+  if (keystore.crypto.kdf !== 'scrypt' || keystore.crypto.cipher !== 'aes-256-gcm') {
+    throw new Error(`Unsupported keystore cipher: ${keystore.crypto.kdf}/${keystore.crypto.cipher}`);
+  }
+
+  const { kdfparams, cipherparams, ciphertext, authTag } = keystore.crypto;
+  let privateKey;
+  try {
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      deriveKey(passphrase || '', kdfparams),
+      Buffer.from(cipherparams.iv, 'hex')
+    );
+    decipher.setAAD(Buffer.from(keystore.publicKey, 'utf8'));
+    decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+    privateKey = Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'hex')),
+      decipher.final()
+    ]).toString('hex');
+  } catch (error) {
+    throw new Error('Wrong passphrase or corrupted keystore');
+  }
+
+  if (ec.keyFromPrivate(privateKey, 'hex').getPublic('hex') !== keystore.publicKey) {
+    throw new Error('Keystore private key does not match its public key');
+  }
+
+  return { privateKey, publicKey: keystore.publicKey };
+}
+
+/**
+ * Reads a keystore document from disk
+ * @param {string} keystorePath - Path to the keystore file
+ * @returns {Object} Keystore document
+ */
+function readKeystore(keystorePath) {
+  return JSON.parse(fs.readFileSync(keystorePath, 'utf8'));
+}
+
+/**
+ * Writes a keystore document readable only by its owner, replacing any existing file atomically
+ * @param {string} keystorePath - Path to the keystore file
+ * @param {Object} keystore - Keystore document
+ */
+function writeKeystore(keystorePath, keystore) {
+  fs.mkdirSync(path.dirname(keystorePath), { recursive: true });
+  const tmpPath = `${keystorePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(keystore, null, 2), { encoding: 'utf8', mode: 0o600 });
+  fs.renameSync(tmpPath, keystorePath);
+}
+
+/**
+ * Creates a keystore file for a new key pair, or for an existing private key
+ * @param {string} keystorePath - Path to write; must not exist yet
+ * @param {string} passphrase - Passphrase to encrypt with
+ * @param {string} privateKey - Existing private key (hex) to import; a new one is generated if omitted
+ * @returns {Object} Key pair { privateKey, publicKey }
+ */
+function createKeystore(keystorePath, passphrase, privateKey) {
+  if (fs.existsSync(keystorePath)) {
+    throw new Error(`Keystore already exists: ${keystorePath}`);
+  }
+
+  const keys = privateKey
+    ? { privateKey, publicKey: ec.keyFromPrivate(privateKey, 'hex').getPublic('hex') }
+    : generateKeyPair();
+  writeKeystore(keystorePath, encryptKeystore(keys, passphrase));
+  return keys;
+}
+
+/**
+ * Reads and decrypts a keystore file
+ * @param {string} keystorePath - Path to the keystore file
+ * @param {string} passphrase - Unlock passphrase
+ * @returns {Object} Key pair { privateKey, publicKey }
+ */
+function unlockKeystore(keystorePath, passphrase) {
+  return decryptKeystore(readKeystore(keystorePath), passphrase);
+}
+
+/**
+ * Re-encrypts a keystore file under a new passphrase (and a fresh salt and IV)
+ * @param {string} keystorePath - Path to the keystore file
+ * @param {string} passphrase - Current passphrase
+ * @param {string} newPassphrase - New passphrase
+ * @returns {Object} The new keystore document
+ */
+function reencryptKeystore(keystorePath, passphrase, newPassphrase) {
+  const current = readKeystore(keystorePath);
+  const { salt, ...scryptParams } = current.crypto.kdfparams;
+  const keystore = {
+    ...encryptKeystore(decryptKeystore(current, passphrase), newPassphrase, scryptParams),
+    createdAt: current.createdAt
+  };
+  writeKeystore(keystorePath, keystore);
+  return keystore;
+}
+
+// Lines piped on stdin, read once and handed out one per prompt
+let pipedLines = null;
+
+/**
+ * Gets a passphrase from an environment variable, or else from stdin: typed without
+ * echo on a terminal, or the next line when stdin is piped
+ * @param {string} prompt - Prompt shown on a terminal
+ * @param {string} envVar - Environment variable checked first
+ * @returns {Promise<string>} The passphrase
+ */
+function readPassphrase(prompt, envVar = 'KEYSTORE_PASSPHRASE') {
+  if (process.env[envVar]) {
+    return Promise.resolve(process.env[envVar]);
+  }
+
+  if (!process.stdin.isTTY) {
+    if (pipedLines === null) {
+      pipedLines = fs.readFileSync(0, 'utf8').split(/\r?\n/);
+    }
+    return Promise.resolve(pipedLines.shift() || '');
+  }
+
+  return new Promise((resolve, reject) => {
+    let passphrase = '';
+    process.stderr.write(prompt);
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+    process.stdin.setEncoding('utf8');
+
+    const onData = chunk => {
+      for (const char of chunk) {
+        if (char === '\r' || char === '\n') {
+          finish();
+          return resolve(passphrase);
+        }
+        if (char === '\u0003') {
+          finish();
+          return reject(new Error('Passphrase entry cancelled'));
+        }
+        passphrase = char === '\u007f' ? passphrase.slice(0, -1) : passphrase + char;
+      }
+    };
+    const finish = () => {
+      process.stdin.removeListener('data', onData);
+      process.stdin.setRawMode(false);
+      process.stdin.pause();
+      process.stderr.write('\n');
+    };
+
+    process.stdin.on('data', onData);
+  });
+}
+
+module.exports = {
+  KEYSTORE_FORMAT,
+  KEYSTORE_VERSION,
+  DEFAULT_SCRYPT_PARAMS,
+  encryptKeystore,
+  decryptKeystore,
+  readKeystore,
+  writeKeystore,
+  createKeystore,
+  unlockKeystore,
+  reencryptKeystore,
+  readPassphrase
+};
@@ -0,0 +1,586 @@
+// identity/registry.js - Registry of organizations and actors (suppliers, hubs, field staff) and their keys
+//
+// Registrations are ledger records ({ recordType: 'IDENTITY', action, ... }) signed by the
+// registering HQ node, so every node rebuilds the same registry by replaying the chain.
+// Each actor keeps a key history: every key is valid for blocks in [validFrom, validUntil),
+// so a signature is judged against the key that was valid at the height of its block.
+// A revocation may be backdated to when a key was compromised; records signed with it
+// before that height stay valid. Status changes are kept by height too, so an identity
+// record counts only if its registrar was an active HQ actor when it was written.
+const { signData, verifySignature, getKeyFingerprint } = require('./crypto-util');
+const { blockRecords, canonicalize } = require('../contracts/block');
+const { verifyRecordSignature, verifyCountersignature } = require('../contracts/rules');
+
+const IDENTITY_RECORD = 'IDENTITY';
+
+const IDENTITY_ACTIONS = {
+  ORGANIZATION_REGISTERED: 'ORGANIZATION_REGISTERED',
+  ACTOR_REGISTERED: 'ACTOR_REGISTERED',
+  STATUS_CHANGED: 'STATUS_CHANGED',
+  KEY_REGISTERED: 'KEY_REGISTERED',
+  KEY_ROTATED: 'KEY_ROTATED',
+  KEY_REVOKED: 'KEY_REVOKED'
+};
+
+const ACTOR_ROLES = ['hq', 'supplier', 'warehouse', 'hub', 'clinic', 'driver'];
+
+const IDENTITY_STATUS = {
+  ACTIVE: 'ACTIVE',
+  SUSPENDED: 'SUSPENDED'
+};
+
+const KEY_STATUS = {
+  ACTIVE: 'ACTIVE',
+  ROTATED: 'ROTATED',
+  REVOKED: 'REVOKED'
+};
+
+/**
+ * Builds a signed identity record ready to be added to the chain
+ * @param {string} action - One of IDENTITY_ACTIONS
+ * @param {Object} fields - Action fields (organizationId, actorId, name, role, publicKey, status, effectiveFrom)
+ * @param {Object} registrar - Signing authority { actorId, privateKey }
+ * @returns {Object} The identity record
+ */
+function createIdentityRecord(action, fields, registrar) {
+  const record = {
+    ...fields,
+    recordType: IDENTITY_RECORD,
+    action,
+    registeredBy: registrar.actorId,
+    timestamp: new Date().toISOString()
+  };
+  record.signature = signData(identitySigningPayload(record), registrar.privateKey);
+  return record;
+}
+
+/**
+ * Serializes the signed part of an identity record (everything except the signature)
+ * @param {Object} record - Identity record
+ * @returns {string} Canonical JSON that the signature covers
+ */
+function identitySigningPayload(record) {
+  const { signature, ...unsigned } = record;
+  return canonicalize(unsigned);
+}
+
+/**
+ * Builds a key history entry
+ * @param {string} publicKey - Hex public key
+ * @param {number} validFrom - First block height the key is valid at
+ * @returns {Object} Key entry
+ */
+function keyEntry(publicKey, validFrom) {
+  return {
+    publicKey,
+    fingerprint: getKeyFingerprint(publicKey),
+    validFrom,
+    validUntil: null,
+    status: KEY_STATUS.ACTIVE
+  };
+}
+
+/**
+ * Copies an actor so callers cannot modify the registry
+ * @param {Object} actor - Registry actor
+ * @returns {Object} Deep copy of the actor
+ */
+function copyActor(actor) {
+  return { ...actor, keys: actor.keys.map(key => ({ ...key })) };
+}
+
+class IdentityRegistry {
+  /**
+   * Creates a registry projected from the chain and kept current as blocks are appended
+   * @param {Object} blockchain - The Blockchain holding identity records
+   * @param {Object} options - Registry options
+   * @param {Array<Object>} options.bootstrapActors - Actors known off-chain, e.g. this node's HQ key:
+   *   { actorId, organizationId, name, role, publicKey }; their key is valid from height 0
+   */
+  constructor(blockchain, { bootstrapActors = [] } = {}) {
+    this.blockchain = blockchain;
+    this.bootstrapActors = bootstrapActors;
+    this.organizations = new Map();
+    this.actors = new Map();
+    this.statusChanges = new Map(); // 'actor:<id>' or 'organization:<id>' -> [{ status, fromBlock }]
+    this.appliedHeight = 0;
+
+    // Kit records from before the registry carry no actorId; they were all signed with the HQ key
+    const hqActor = bootstrapActors.find(actor => actor.role === 'hq');
+    this.legacySignerId = hqActor ? hqActor.actorId : null;
+
+    this.blockchain.on('block', () => this.sync());
+    this.blockchain.on('reorg', () => this.rebuild());
+  }
+
+  /**
+   * Discards the registry, re-adds bootstrap actors and replays the whole chain
+   */
+  rebuild() {
+    this.organizations.clear();
+    this.actors.clear();
+    this.statusChanges.clear();
+    this.appliedHeight = 0;
+
+    this.bootstrapActors.forEach(({ publicKey, ...actor }) => {
+      if (!this.organizations.has(actor.organizationId)) {
+        this.organizations.set(actor.organizationId, {
+          organizationId: actor.organizationId,
+          name: actor.organizationId,
+          status: IDENTITY_STATUS.ACTIVE,
+          registeredAtBlock: null
+        });
+      }
+      this.actors.set(actor.actorId, {
+        ...actor,
+        publicKey,
+        status: IDENTITY_STATUS.ACTIVE,
+        registeredAtBlock: null,
+        keys: [keyEntry(publicKey, 0)]
+      });
+    });
+
+    this.sync();
+  }
+
+  /**
+   * Applies blocks appended since the last sync
+   */
+  sync() {
+    for (const block of this.blockchain.iterate(this.appliedHeight)) {
+      blockRecords(block).forEach((record, recordIndex) => {
+        if (!record || record.recordType !== IDENTITY_RECORD) {
+          return;
+        }
+        // Only records signed by a registering authority change the registry, wherever they sit
+        const problem = this.verifyIdentityRecord(record, block.index);
+        if (problem) {
+          console.warn(`Skipping identity record ${recordIndex} in block ${block.index}: ${problem}`);
+          return;
+        }
+        this.applyRecord(record, block);
+      });
+      this.appliedHeight = block.index + 1;
+    }
+  }
+
+  /**
+   * Folds one identity record into the registry; sync has already checked its signature
+   * @param {Object} record - An identity record
+   * @param {Object} block - The block holding the record
+   */
+  applyRecord(record, block) {
+    const actor = this.actors.get(record.actorId);
+    // New keys never take effect before the block that announces them
+    const effectiveFrom = Math.max(
+      Number.isInteger(record.effectiveFrom) ? record.effectiveFrom : block.index,
+      block.index
+    );
+
+    switch (record.action) {
+      case IDENTITY_ACTIONS.ORGANIZATION_REGISTERED:
+        this.organizations.set(record.organizationId, {
+          organizationId: record.organizationId,
+          name: record.name,
+          status: IDENTITY_STATUS.ACTIVE,
+          registeredAtBlock: block.index
+        });
+        break;
+      case IDENTITY_ACTIONS.ACTOR_REGISTERED:
+        this.actors.set(record.actorId, {
+          actorId: record.actorId,
+          organizationId: record.organizationId,
+          name: record.name,
+          role: record.role,
+          publicKey: record.publicKey,
+          status: IDENTITY_STATUS.ACTIVE,
+          registeredAtBlock: block.index,
+          keys: [keyEntry(record.publicKey, block.index)]
+        });
+        break;
+      case IDENTITY_ACTIONS.STATUS_CHANGED: {
+        const entry = record.actorId ? actor : this.organizations.get(record.organizationId);
+        if (entry) {
+          entry.status = record.status;
+          // Effective from the next block, so every record in a block is judged by the same statuses
+          const statusKey = record.actorId ? `actor:${record.actorId}` : `organization:${record.organizationId}`;
+          const changes = this.statusChanges.get(statusKey) || [];
+          changes.push({ status: record.status, fromBlock: block.index + 1 });
+          this.statusChanges.set(statusKey, changes);
+        }
+        break;
+      }
+      case IDENTITY_ACTIONS.KEY_REGISTERED:
+        if (actor) {
+          actor.keys.push(keyEntry(record.publicKey, effectiveFrom));
+          actor.publicKey = record.publicKey;
+        }
+        break;
+      case IDENTITY_ACTIONS.KEY_ROTATED: {
+        const current = actor && this.currentKey(actor);
+        if (current) {
+          current.validUntil = effectiveFrom;
+          current.status = KEY_STATUS.ROTATED;
+          actor.keys.push(keyEntry(record.publicKey, effectiveFrom));
+          actor.publicKey = record.publicKey;
+        }
+        break;
+      }
+      case IDENTITY_ACTIONS.KEY_REVOKED: {
+        const key = actor && this.findKey(actor, record.publicKey);
+        if (key) {
+          // A revocation may be backdated, but not to before the key existed
+          const revokedFrom = Math.max(
+            Number.isInteger(record.effectiveFrom) ? record.effectiveFrom : block.index,
+            key.validFrom
+          );
+          key.validUntil = key.validUntil === null ? revokedFrom : Math.min(key.validUntil, revokedFrom);
+          key.status = KEY_STATUS.REVOKED;
+          key.revokedAtBlock = block.index;
+          if (actor.publicKey === key.publicKey) {
+            actor.publicKey = null;
+          }
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Finds an actor's current key: the latest one without an end height
+   * @param {Object} actor - Registry actor
+   * @returns {Object|null} The key entry, or null if the actor has no current key
+   */
+  currentKey(actor) {
+    const open = actor.keys.filter(key => key.validUntil === null);
+    return open.length > 0 ? open[open.length - 1] : null;
+  }
+
+  /**
+   * Finds one of an actor's keys by public key, or the current key when none is given
+   * @param {Object} actor - Registry actor
+   * @param {string} publicKey - Hex public key (optional)
+   * @returns {Object|null} The key entry, or null if not found
+   */
+  findKey(actor, publicKey) {
+    if (!publicKey) {
+      return this.currentKey(actor);
+    }
+    return actor.keys.find(key => key.publicKey === publicKey) || null;
+  }
+
+  /**
+   * Gets the key an actor's signatures are checked with at a block height
+   * @param {string} actorId - Actor identifier
+   * @param {number} height - Block index the signed record is in
+   * @returns {Object|null} The key entry valid at that height, or null if there is none
+   */
+  keyAt(actorId, height) {
+    const actor = this.actors.get(actorId);
+    if (!actor) {
+      return null;
+    }
+
+    const key = actor.keys.find(entry => (
+      entry.validFrom <= height && (entry.validUntil === null || height < entry.validUntil)
+    ));
+    return key ? { ...key } : null;
+  }
+
+  /**
+   * Gets the status an actor or organization had at a block height
+   * @param {string} kind - 'actor' or 'organization'
+   * @param {string} id - actorId or organizationId
+   * @param {number} height - Block index
+   * @returns {string} One of IDENTITY_STATUS
+   */
+  statusAt(kind, id, height) {
+    const changes = (this.statusChanges.get(`${kind}:${id}`) || []).filter(change => change.fromBlock <= height);
+    return changes.length > 0 ? changes[changes.length - 1].status : IDENTITY_STATUS.ACTIVE;
+  }
+
+  /**
+   * Checks a registration request before it is signed and added to the chain
+   * @param {string} action - One of IDENTITY_ACTIONS
+   * @param {Object} fields - Action fields
+   * @returns {Array<string>} Error messages; empty when the request is valid
+   */
+  validateRegistration(action, fields) {
+    const errors = [];
+    const actor = this.actors.get(fields.actorId);
+    const isKeyAction = [
+      IDENTITY_ACTIONS.KEY_REGISTERED,
+      IDENTITY_ACTIONS.KEY_ROTATED,
+      IDENTITY_ACTIONS.KEY_REVOKED
+    ].includes(action);
+    const checkPublicKey = () => {
+      if (!/^04[0-9a-f]{128}$/i.test(fields.publicKey || '')) {
+        errors.push('publicKey must be an uncompressed secp256k1 public key in hex');
+      }
+    };
+
+    if (isKeyAction) {
+      if (!actor) {
+        return [`Unknown actor: ${fields.actorId}`];
+      }
+      if (fields.effectiveFrom !== undefined && (!Number.isInteger(fields.effectiveFrom) || fields.effectiveFrom < 0)) {
+        return ['effectiveFrom must be a non-negative block height'];
+      }
+    }
+
+    switch (action) {
+      case IDENTITY_ACTIONS.ORGANIZATION_REGISTERED:
+        if (!fields.organizationId || !fields.name) errors.push('Missing required fields: organizationId, name');
+        if (this.organizations.has(fields.organizationId)) errors.push(`Organization ${fields.organizationId} already exists`);
+        break;
+      case IDENTITY_ACTIONS.ACTOR_REGISTERED:
+        if (!fields.actorId || !fields.organizationId || !fields.name || !fields.role || !fields.publicKey) {
+          errors.push('Missing required fields: actorId, organizationId, name, role, publicKey');
+        }
+        if (actor) errors.push(`Actor ${fields.actorId} already exists`);
+        if (fields.organizationId && !this.organizations.has(fields.organizationId)) {
+          errors.push(`Unknown organization: ${fields.organizationId}`);
+        }
+        if (fields.role && !ACTOR_ROLES.includes(fields.role)) {
+          errors.push(`role must be one of: ${ACTOR_ROLES.join(', ')}`);
+        }
+        if (fields.publicKey) checkPublicKey();
+        break;
+      case IDENTITY_ACTIONS.STATUS_CHANGED:
+        if (!Object.values(IDENTITY_STATUS).includes(fields.status)) {
+          errors.push(`status must be one of: ${Object.values(IDENTITY_STATUS).join(', ')}`);
+        }
+        if (fields.actorId && !actor) errors.push(`Unknown actor: ${fields.actorId}`);
+        if (!fields.actorId && !this.organizations.has(fields.organizationId)) {
+          errors.push(`Unknown organization: ${fields.organizationId}`);
+        }
+        break;
+      case IDENTITY_ACTIONS.KEY_REGISTERED:
+      case IDENTITY_ACTIONS.KEY_ROTATED:
+        checkPublicKey();
+        if (actor.keys.some(key => key.publicKey === fields.publicKey)) {
+          errors.push('publicKey was already used by this actor');
+        }
+        if (action === IDENTITY_ACTIONS.KEY_REGISTERED && this.currentKey(actor)) {
+          errors.push(`Actor ${fields.actorId} already has a current key; rotate it instead`);
+        }
+        if (action === IDENTITY_ACTIONS.KEY_ROTATED && !this.currentKey(actor)) {
+          errors.push(`Actor ${fields.actorId} has no current key to rotate; register one instead`);
+        }
+        if (fields.effectiveFrom !== undefined && fields.effectiveFrom < this.appliedHeight) {
+          errors.push(`effectiveFrom cannot be before the next block (${this.appliedHeight})`);
+        }
+        break;
+      case IDENTITY_ACTIONS.KEY_REVOKED: {
+        const key = this.findKey(actor, fields.publicKey);
+        if (!key) {
+          errors.push(`Actor ${fields.actorId} has no such key`);
+        } else if (key.status === KEY_STATUS.REVOKED) {
+          errors.push(`Key ${key.fingerprint} is already revoked`);
+        } else if (fields.effectiveFrom !== undefined && fields.effectiveFrom < key.validFrom) {
+          errors.push(`effectiveFrom cannot be before the key became valid (${key.validFrom})`);
+        }
+        break;
+      }
+      default:
+        errors.push(`Unknown identity action: ${action}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Finds the key to verify an actor's signature with
+   * @param {string} actorId - Actor identifier
+   * @param {number} height - Height of the block the signed record goes into (defaults to the next block)
+   * @returns {Object} { publicKey, actor } or { error } if the actor may not sign
+   */
+  resolveSigner(actorId, height = this.appliedHeight) {
+    const actor = this.actors.get(actorId);
+    if (!actor) {
+      return { error: `Unknown actor: ${actorId}` };
+    }
+    if (actor.status !== IDENTITY_STATUS.ACTIVE) {
+      return { error: `Actor ${actorId} is ${actor.status}` };
+    }
+
+    const organization = this.organizations.get(actor.organizationId);
+    if (organization && organization.status !== IDENTITY_STATUS.ACTIVE) {
+      return { error: `Organization ${actor.organizationId} is ${organization.status}` };
+    }
+
+    const key = this.keyAt(actorId, height);
+    if (!key) {
+      return { error: `Actor ${actorId} has no valid key at block ${height}` };
+    }
+
+    return { publicKey: key.publicKey, actor: copyActor(actor) };
+  }
+
+  /**
+   * Checks that an identity record was signed by an HQ actor that was active, in an active
+   * organization, with the key it held at a height
+   * @param {Object} record - Identity record
+   * @param {number} height - Block index the record is in
+   * @returns {string|null} The problem, or null when the record is properly signed
+   */
+  verifyIdentityRecord(record, height) {
+    const registrar = record.registeredBy;
+    if (!registrar || !record.signature) {
+      return 'not signed by a registering authority';
+    }
+
+    const key = this.keyAt(registrar, height);
+    if (!key) {
+      return `${registrar} had no valid key at this height`;
+    }
+    const actor = this.actors.get(registrar);
+    if (actor.role !== 'hq') {
+      return `${registrar} may not register identities`;
+    }
+    const actorStatus = this.statusAt('actor', registrar, height);
+    if (actorStatus !== IDENTITY_STATUS.ACTIVE) {
+      return `${registrar} was ${actorStatus} at this height`;
+    }
+    const organizationStatus = this.statusAt('organization', actor.organizationId, height);
+    if (organizationStatus !== IDENTITY_STATUS.ACTIVE) {
+      return `Organization ${actor.organizationId} was ${organizationStatus} at this height`;
+    }
+    if (!verifySignature(identitySigningPayload(record), record.signature, key.publicKey)) {
+      return `signature does not match ${registrar}'s key ${key.fingerprint}`;
+    }
+    return null;
+  }
+
+  /**
+   * Checks the signature of every attributed record in a block against the key its
+   * signer held at the block's height. Kit records without an actorId predate the registry
+   * and are checked against the HQ key; identity records must always be signed by a
+   * registering authority.
+   * Call on a registry that has replayed the whole chain, so backdated revocations are
+   * taken into account.
+   * @param {Object} block - Block to check
+   * @returns {Array<Object>} Issues found ({ atBlock, message }); empty when every signature holds
+   */
+  verifyBlockRecords(block) {
+    const issues = [];
+
+    blockRecords(block).forEach((record, recordIndex) => {
+      if (!record) {
+        return;
+      }
+
+      if (record.recordType === IDENTITY_RECORD) {
+        const problem = this.verifyIdentityRecord(record, block.index);
+        if (problem) {
+          issues.push({ atBlock: block.index, message: `Record ${recordIndex} (${record.action} record): ${problem}` });
+        }
+        return;
+      }
+
+      // Records that are neither kits nor attributed, such as the chain parameters, carry no signature
+      if (!record.actorId && !record.kitID) {
+        return;
+      }
+
+      const actorId = record.actorId || this.legacySignerId;
+      const label = `${record.eventType || 'kit'} record for ${record.kitID}`;
+      if (!actorId) {
+        issues.push({ atBlock: block.index, message: `Record ${recordIndex} (${label}): not attributed to an actor and no HQ key is known` });
+        return;
+      }
+
+      const key = this.keyAt(actorId, block.index);
+      if (!key) {
+        issues.push({ atBlock: block.index, message: `Record ${recordIndex} (${label}): ${actorId} had no valid key at this height` });
+        return;
+      }
+
+      if (!verifyRecordSignature(record, key.publicKey)) {
+        issues.push({
+          atBlock: block.index,
+          message: `Record ${recordIndex} (${label}): signature does not match ${actorId}'s key ${key.fingerprint}`
+        });
+      } else if (record.eventType === 'HANDOVER') {
+        this.verifyHandoverParties(record, block.index).forEach(problem => {
+          issues.push({ atBlock: block.index, message: `Record ${recordIndex} (${label}): ${problem}` });
+        });
+      }
+    });
+
+    return issues;
+  }
+
+  /**
+   * Checks that a HANDOVER was released by the sending custodian and countersigned by
+   * the receiving one, with the key the receiver held at the block's height
+   * @param {Object} record - HANDOVER record whose sender signature already checked out
+   * @param {number} height - Block index the record is in
+   * @returns {Array<string>} Problems found; empty when both parties signed
+   */
+  verifyHandoverParties(record, height) {
+    const { countersignature } = record;
+
+    if (record.actorId !== record.fromCustodian) {
+      return [`signed by ${record.actorId}, not by the releasing custodian ${record.fromCustodian}`];
+    }
+    if (!countersignature) {
+      return ['missing the receiving custodian\'s countersignature'];
+    }
+    if (countersignature.actorId !== record.toCustodian) {
+      return [`countersigned by ${countersignature.actorId}, not by the receiving custodian ${record.toCustodian}`];
+    }
+
+    const key = this.keyAt(countersignature.actorId, height);
+    if (!key) {
+      return [`${countersignature.actorId} had no valid key at this height`];
+    }
+    if (!verifyCountersignature(record, key.publicKey)) {
+      return [`countersignature does not match ${countersignature.actorId}'s key ${key.fingerprint}`];
+    }
+    return [];
+  }
+
+  /**
+   * Gets one actor with its key history
+   * @param {string} actorId - Actor identifier
+   * @returns {Object|null} The actor, or null if unknown
+   */
+  getActor(actorId) {
+    const actor = this.actors.get(actorId);
+    return actor ? copyActor(actor) : null;
+  }
+
+  /**
+   * Lists organizations
+   * @returns {Array<Object>} All organizations
+   */
+  listOrganizations() {
+    return Array.from(this.organizations.values()).map(organization => ({ ...organization }));
+  }
+
+  /**
+   * Lists actors matching the given filters
+   * @param {Object} filters - Optional { organizationId, role, status }
+   * @returns {Array<Object>} Matching actors
+   */
+  listActors({ organizationId, role, status } = {}) {
+    return Array.from(this.actors.values())
+      .filter(actor => !organizationId || actor.organizationId === organizationId)
+      .filter(actor => !role || actor.role === role)
+      .filter(actor => !status || actor.status === status)
+      .map(copyActor);
+  }
+}
+
+module.exports = {
+  IDENTITY_RECORD,
+  IDENTITY_ACTIONS,
+  IDENTITY_STATUS,
+  KEY_STATUS,
+  ACTOR_ROLES,
+  IdentityRegistry,
+  createIdentityRecord
+};
@@ -0,0 +1,190 @@
+// middleware/auth.js - Authentication (HS256 JWTs, static API keys) and role-based authorization
+//
+// Every request gets a `req.principal` = { id, roles, type: 'jwt' | 'api-key' | 'anonymous' }.
+// Routes declare the roles they accept with requireRoles(...); `admin` may call every route.
+const crypto = require('crypto');
+
+const ROLES = {
+  ADMIN: 'admin',
+  HUB_OPERATOR: 'hub-operator',
+  AUDITOR: 'auditor',
+  FORECASTER: 'forecaster',
+  READ_ONLY: 'read-only',
+  PEER: 'peer' // Another ledger node: may read and announce blocks over /p2p
+};
+
+// Roles that may read the ledger, kit state and markets
+const READ_ROLES = [ROLES.READ_ONLY, ROLES.AUDITOR, ROLES.HUB_OPERATOR, ROLES.FORECASTER];
+
+/**
+ * Encodes a buffer or string as unpadded base64url
+ * @param {Buffer|string} value - Value to encode
+ * @returns {string} base64url text
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const left = crypto.createHash('sha256').update(a).digest();
+  const right = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Issues an HS256 JSON Web Token
+ * @param {Object} claims - Token claims; `sub` names the principal and `roles` lists its roles
+ * @param {string} secret - HMAC secret
+ * @param {Object} options - Token options
+ * @param {number} options.expiresInSeconds - Lifetime from now
+ * @returns {string} The signed token
+ */
+function signToken(claims, secret, { expiresInSeconds = 3600 } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ iat: now, exp: now + expiresInSeconds, ...claims }));
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * Verifies an HS256 JSON Web Token and its expiry
+ * @param {string} token - Compact JWT
+ * @param {string} secret - HMAC secret
+ * @returns {Object} The token claims
+ */
+function verifyToken(token, secret) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  const [header, payload, signature] = parts;
+  let decodedHeader;
+  let claims;
+  try {
+    decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+
+  // Only HS256 is accepted, so a token cannot pick a weaker algorithm (e.g. "none")
+  if (decodedHeader.alg !== 'HS256') {
+    throw new Error(`Unsupported token algorithm: ${decodedHeader.alg}`);
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  if (!safeEqual(signature, expected)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp <= now) {
+    throw new Error('Token expired');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf > now) {
+    throw new Error('Token not yet valid');
+  }
+
+  return claims;
+}
+
+/**
+ * Parses API keys from "principalId:role|role:key" entries separated by commas
+ * @param {string} text - API_KEYS setting
+ * @returns {Array<Object>} Keys [{ id, roles, key }]
+ */
+function parseApiKeys(text) {
+  return (text || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [id, roles, ...key] = entry.split(':');
+      return { id, roles: (roles || '').split('|').filter(Boolean), key: key.join(':') };
+    });
+}
+
+/**
+ * Creates the authentication middleware and the per-route role guard
+ * @param {Object} options - Auth settings
+ * @param {string} options.jwtSecret - HMAC secret for bearer tokens
+ * @param {Array<Object>} options.apiKeys - Device keys [{ id, roles, key }], sent as X-API-Key
+ * @param {Array<string>} options.anonymousRoles - Roles of requests without credentials
+ * @returns {Object} { authenticate, requireRoles }
+ */
+function createAuth({ jwtSecret, apiKeys = [], anonymousRoles = [ROLES.READ_ONLY] }) {
+  /**
+   * Identifies the caller from a Bearer token or an API key; bad credentials are
+   * rejected outright rather than downgraded to anonymous
+   */
+  function authenticate(req, res, next) {
+    const authorization = req.get('authorization') || '';
+    const apiKey = req.get('x-api-key');
+
+    if (authorization.startsWith('Bearer ')) {
+      try {
+        const claims = verifyToken(authorization.slice('Bearer '.length).trim(), jwtSecret);
+        req.principal = { id: claims.sub, roles: claims.roles || [], type: 'jwt', claims };
+      } catch (error) {
+        return res.status(401).json({
+          success: false,
+          message: error.message
+        });
+      }
+    } else if (apiKey) {
+      const match = apiKeys.find(entry => safeEqual(entry.key, apiKey));
+      if (!match) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid API key'
+        });
+      }
+      req.principal = { id: match.id, roles: match.roles, type: 'api-key' };
+    } else {
+      req.principal = { id: null, roles: anonymousRoles, type: 'anonymous' };
+    }
+
+    next();
+  }
+
+  /**
+   * Builds a guard that only lets principals holding one of the roles through
+   * @param {...string} roles - Accepted roles; admin is always accepted
+   * @returns {Function} Express middleware
+   */
+  function requireRoles(...roles) {
+    return (req, res, next) => {
+      const principal = req.principal || { roles: [], type: 'anonymous' };
+      if (principal.roles.some(role => role === ROLES.ADMIN || roles.includes(role))) {
+        return next();
+      }
+
+      const anonymous = principal.type === 'anonymous';
+      res.status(anonymous ? 401 : 403).json({
+        success: false,
+        message: anonymous
+          ? `Authentication required (role: ${roles.join(' or ') || ROLES.ADMIN})`
+          : `${principal.id} lacks the required role: ${roles.join(' or ') || ROLES.ADMIN}`
+      });
+    };
+  }
+
+  return { authenticate, requireRoles };
+}
+
+module.exports = {
+  ROLES,
+  READ_ROLES,
+  signToken,
+  verifyToken,
+  parseApiKeys,
+  createAuth
+};
@@ -1,103 +1,1259 @@
 // server.js - API Gateway for the ICRC Blockchain (Phase 3 & 6)
 const express = require('express');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const Blockchain = require('./contracts/ledger');
 const { MedicalKit } = require('./contracts/asset');
-const { validateMedicalKit } = require('./contracts/rules');
-const { generateKeyPair, signData } = require('./identity/crypto-util');
-const { PredictionMarket } = require('./contracts/market');
+const {
+  validateMedicalKit,
+  validateEvent,
+  verifyRecordSignature,
+  verifyCountersignature,
+  checkTransition,
+  temperatureExcursion
+} = require('./contracts/rules');
+const { KitEvent, EVENT_TYPES, countersignHandover } = require('./contracts/events');
+const { PendingHandovers } = require('./contracts/handover');
+const { WorldState } = require('./contracts/world-state');
+const { auditChain, buildInclusionProof } = require('./contracts/block');
+const { signData, verifySignature } = require('./identity/crypto-util');
+const { createKeystore, unlockKeystore, readPassphrase } = require('./identity/keystore');
+const { IdentityRegistry, IDENTITY_ACTIONS, createIdentityRecord } = require('./identity/registry');
+const config = require('./config/default');
+const { PredictionMarket, MARKET_TYPES } = require('./contracts/market');
 const { ShareManager } = require('./contracts/shares');
-const crypto = require('crypto');
+const { ROLES, READ_ROLES, createAuth, parseApiKeys, signToken } = require('./middleware/auth');
+const { LoginChallenges } = require('./identity/challenge');
+const { PeerNode, createHttpClient } = require('./services/p2p');
+const { SubmittedRecords, processBatch } = require('./services/batch');
+const { Checkpointer } = require('./services/checkpoints');
+const { MarketResolver } = require('./services/market-resolver');
+const { ValidatorSet } = require('./contracts/consensus');
 
 const app = express();
-const PORT = 3000;
+const PORT = config.port;
 
-// Middleware to parse JSON bodies
-app.use(express.json());
+// Middleware to parse JSON bodies; field node batches (POST /ledger/batch) can hold hundreds of records
+app.use(express.json({ limit: '5mb' }));
 
 // Serve static files from the 'public' folder
 app.use(express.static('public'));
 
-// Initialize the blockchain
-const blockchain = new Blockchain();
+// Identify every API caller; each route below declares the roles it accepts
+if (!config.auth.jwtSecret) {
+  console.warn('⚠️  JWT_SECRET is not set; bearer tokens are signed with a random key and stop working on restart.');
+}
+const jwtSecret = config.auth.jwtSecret || crypto.randomBytes(32).toString('hex');
+const { authenticate, requireRoles } = createAuth({
+  jwtSecret,
+  apiKeys: parseApiKeys(config.auth.apiKeys),
+  anonymousRoles: config.auth.anonymousRoles
+});
+app.use(authenticate);
+
+// One-time nonces for actors logging in with their registered key
+const loginChallenges = new LoginChallenges({
+  ttlSeconds: config.auth.challengeTtlSeconds,
+  networkId: config.genesisBlock.networkId
+});
 
 // Initialize prediction markets and share manager
 const markets = new Map(); // Store active markets
 const shareManager = new ShareManager();
 
-// Load ICRC HQ keys (in a real system, these would be loaded securely)
-let hqPrivateKey, hqPublicKey;
+// Custody handovers proposed by the sender and waiting for the receiver's countersignature
+const handovers = new PendingHandovers({ expiryMinutes: config.handoverExpiryMinutes });
+
+// HQ signing keys and the state built on them, set up by start() once the keystore is unlocked
+let hqPrivateKey, hqPublicKey, blockchain, trustedValidators, worldState, registry, validatorSet, submittedRecords, p2p, checkpoints, marketResolver;
+
+/**
+ * Unlocks the HQ keystore. A missing keystore stops the server so a fresh key cannot
+ * silently fork the signing identity; with --init one is created instead, importing
+ * the legacy plaintext identity/icrc-hq/private-key.txt when it exists.
+ * @returns {Promise<Object>} HQ key pair { privateKey, publicKey }
+ */
+async function unlockHqKeys() {
+  const keystorePath = path.resolve(__dirname, config.keystorePath);
+  
+  if (fs.existsSync(keystorePath)) {
+    const passphrase = await readPassphrase(`Passphrase for ${keystorePath}: `);
+    return unlockKeystore(keystorePath, passphrase);
+  }
+  
+  if (!process.argv.includes('--init')) {
+    throw new Error(`No HQ keystore at ${keystorePath}. Create one with "node bin/keystore.js create", or start the server with --init.`);
+  }
+  
+  const legacyKeyPath = path.join(path.dirname(keystorePath), 'private-key.txt');
+  const legacyKey = fs.existsSync(legacyKeyPath) ? fs.readFileSync(legacyKeyPath, 'utf8').trim() : undefined;
+  const passphrase = await readPassphrase(`New passphrase for ${keystorePath}: `);
+  const keys = createKeystore(keystorePath, passphrase, legacyKey);
+  
+  console.log(legacyKey
+    ? `🔐 Imported ${legacyKeyPath} into ${keystorePath}; delete the plaintext key file once backed up.`
+    : `🔐 Created a new HQ keystore at ${keystorePath}`);
+  return keys;
+}
+
+/**
+ * Loads the chain and the projections built from it, signing new blocks with the HQ key
+ * @param {Object} hqKeys - HQ key pair { privateKey, publicKey }
+ */
+function initLedger(hqKeys) {
+  hqPrivateKey = hqKeys.privateKey;
+  hqPublicKey = hqKeys.publicKey;
+  
+  // Initialize the blockchain; this node signs every block it writes with the HQ key
+  blockchain = new Blockchain({
+    signer: { privateKey: hqPrivateKey, publicKey: hqPublicKey }
+  });
+  
+  // Validators whose block signatures this node accepts
+  trustedValidators = [...new Set([...config.trustedValidators, hqPublicKey])];
+  
+  // Current state of every kit, replayed once here and then kept up to date on each addBlock
+  worldState = new WorldState(blockchain);
+  worldState.rebuild();
+  
+  // Organizations and actors whose keys sign kits and events; the HQ key (this node's,
+  // unless HQ_PUBLIC_KEY names another node's) is the bootstrap actor that registers everyone else
+  const bootstrapActors = [{ ...config.hqActor, publicKey: config.hqActor.publicKey || hqPublicKey }];
+  registry = new IdentityRegistry(blockchain, { bootstrapActors });
+  registry.rebuild();
+  
+  // Validator set of a proof-of-authority chain, whose blocks /audit and peer sync check for a commit quorum
+  validatorSet = new ValidatorSet(blockchain);
+  validatorSet.rebuild();
+  
+  // Signed checkpoints every CHECKPOINT_INTERVAL_BLOCKS blocks, for archiving outside the network
+  checkpoints = new Checkpointer({
+    blockchain,
+    worldState,
+    signer: { privateKey: hqPrivateKey, publicKey: hqPublicKey },
+    trustedValidators,
+    intervalBlocks: config.checkpoints.intervalBlocks,
+    filePath: path.join(blockchain.ledgerPath, 'checkpoints.jsonl'),
+    onCheckpoint: checkpoint => console.log(
+      `📌 Checkpoint at height ${checkpoint.height}: head ${checkpoint.headHash.substring(0, 16)}..., state root ${checkpoint.stateRoot.substring(0, 16)}...`
+    )
+  });
+  
+  // Markets created with resolution criteria resolve themselves from appended blocks and their deadlines,
+  // reading only blocks deeper than any rollback peer sync may cause. A node without peers is
+  // never rolled back, so its blocks are final at once.
+  marketResolver = new MarketResolver({
+    blockchain,
+    graceMinutes: config.markets.resolutionGraceMinutes,
+    confirmations: config.p2p.peers.length > 0 ? config.p2p.maxReorgDepth : 0,
+    onResolve: settlePositions
+  });
+  
+  // Signatures already on the chain, so resubmitted field batches are recognised
+  submittedRecords = new SubmittedRecords(blockchain);
+  submittedRecords.rebuild();
+  
+  // Peers this node exchanges blocks with; their blocks pass the /audit checks before they are appended
+  p2p = new PeerNode({
+    blockchain,
+    registry,
+    createRegistry: chain => new IdentityRegistry(chain, { bootstrapActors }),
+    validatorSet,
+    trustedValidators,
+    peers: config.p2p.peers,
+    selfUrl: config.p2p.selfUrl,
+    client: createHttpClient({ apiKey: config.p2p.apiKey, timeoutMs: config.p2p.requestTimeoutMs }),
+    maxReorgDepth: config.p2p.maxReorgDepth,
+    batchSize: config.p2p.batchSize,
+    orphanPath: path.join(blockchain.ledgerPath, 'orphaned-blocks.jsonl')
+  });
+}
+
+/**
+ * Explains why this node cannot sign records as the HQ actor
+ * @returns {string|null} The reason, or null when this node's key is the HQ actor's current key
+ */
+function hqKeyError() {
+  const hq = registry.resolveSigner(config.hqActor.actorId);
+  if (hq.error) {
+    return hq.error;
+  }
+  return hq.publicKey === hqPublicKey ? null : `This node does not hold the current ${config.hqActor.actorId} key`;
+}
+
+/**
+ * Refuses requests that would write a block on a proof-of-authority chain. This API signs
+ * blocks with the HQ key alone and runs no validator rounds, so it does not enforce
+ * consensus itself: those blocks must be committed by the validators through PoAValidator.
+ */
+function requireSingleSignerChain(req, res, next) {
+  if (blockchain.isProofOfAuthority()) {
+    return res.status(409).json({
+      success: false,
+      message: 'This chain runs proof-of-authority and the API does not run validator rounds; commit the records through PoAValidator'
+    });
+  }
+  next();
+}
+
+/**
+ * Explains why this request may not be signed with the HQ key. Records without a client
+ * signature would be written as the HQ actor, so only an admin may send them; everyone
+ * else signs on their own device.
+ * @param {Object} req - Express request with its authenticated principal
+ * @returns {string|null} The reason, or null when the principal is an admin
+ */
+function hqSigningError(req) {
+  if (req.principal.roles.includes(ROLES.ADMIN)) {
+    return null;
+  }
+  return `Only an admin may write as ${config.hqActor.actorId}; sign the record client-side and send actorId, timestamp and signature`;
+}
+
+/**
+ * Looks up a kit's current status in the world state
+ * @param {string} kitID - Kit identifier
+ * @returns {string|null} The kit status, or null if the kit is not registered
+ */
+function currentKitStatus(kitID) {
+  const kit = worldState.get(kitID);
+  return kit ? kit.status : null;
+}
 
-// Try to load existing HQ keys, or generate new ones if they don't exist
-const hqKeyDir = path.join(__dirname, 'identity', 'icrc-hq');
-if (fs.existsSync(hqKeyDir)) {
-  const privateKeyPath = path.join(hqKeyDir, 'private-key.txt');
-  const publicKeyPath = path.join(hqKeyDir, 'public-key.txt');
+/**
+ * Builds a signed TEMPERATURE_EXCURSION event when a reading breaks the kit's rule profile,
+ * so out-of-range readings are recorded instead of dropped
+ * @param {string} kitID - Kit identifier
+ * @param {string} kitType - Kit type used to pick the rule profile
+ * @param {Object} reading - { temperature, location, timestamp }
+ * @returns {KitEvent|null} The excursion event, or null if the reading is in range
+ */
+function buildExcursionEvent(kitID, kitType, { temperature, location, timestamp }) {
+  const excursion = temperatureExcursion(kitType, temperature);
+  // Nodes without the HQ key leave the excursion to be derived from the reading itself
+  if (!excursion || hqKeyError()) {
+    return null;
+  }
   
-  if (fs.existsSync(privateKeyPath) && fs.existsSync(publicKeyPath)) {
-    hqPrivateKey = fs.readFileSync(privateKeyPath, 'utf8');
-    hqPublicKey = fs.readFileSync(publicKeyPath, 'utf8');
+  const payload = location ? { ...excursion, location } : excursion;
+  return new KitEvent(kitID, 'TEMPERATURE_EXCURSION', payload, hqPrivateKey, timestamp, config.hqActor.actorId);
+}
+
+/**
+ * Builds an event record as signed client-side by a registered actor, or signs it with
+ * the HQ actor's key when the request carries no signature
+ * @param {string} kitID - Kit identifier
+ * @param {string} eventType - One of EVENT_TYPES
+ * @param {Object} payload - Event fields
+ * @param {Object} envelope - { timestamp, actorId, signature } from the request
+ * @returns {Object} The event record
+ */
+function buildEventRecord(kitID, eventType, payload, { timestamp, actorId, signature }) {
+  if (signature) {
+    return { ...payload, kitID, eventType, timestamp, actorId, signature };
   }
+  return new KitEvent(kitID, eventType, payload, hqPrivateKey, timestamp, config.hqActor.actorId).toObject();
 }
 
-// If no keys exist, generate new ones (for demo purposes only)
-if (!hqPrivateKey || !hqPublicKey) {
-  console.log('Generating new ICRC HQ keys for demo purposes...');
-  const keys = generateKeyPair();
-  hqPrivateKey = keys.privateKey;
-  hqPublicKey = keys.publicKey;
+/**
+ * Signs an identity record with the HQ key and adds it to the chain
+ * @param {string} action - One of IDENTITY_ACTIONS
+ * @param {Object} fields - Registration fields
+ * @returns {Object} { record } once added, or { errors } if the registration is invalid
+ */
+function recordIdentity(action, fields) {
+  const keyError = hqKeyError();
+  if (keyError) {
+    return { errors: [keyError] };
+  }
+  
+  const errors = registry.validateRegistration(action, fields);
+  if (errors.length > 0) {
+    return { errors };
+  }
   
-  // Ensure the directory exists
-  if (!fs.existsSync(hqKeyDir)) {
-    fs.mkdirSync(hqKeyDir, { recursive: true });
+  const record = createIdentityRecord(action, fields, {
+    actorId: config.hqActor.actorId,
+    privateKey: hqPrivateKey
+  });
+  blockchain.addBlock(record);
+  return { record };
+}
+
+// GET /health: A simple check to see if the API is running
+app.get('/health', (req, res) => {
+  try {
+    res.status(200).json({
+      status: 'OK',
+      message: 'ICRC Blockchain API Gateway is running',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'ERROR',
+      message: error.message
+    });
+  }
+});
+
+// POST /auth/challenge: Issues a one-time nonce for a registered actor to sign. Body: { actorId }
+app.post('/auth/challenge', (req, res) => {
+  try {
+    const { actorId } = req.body;
+    
+    if (!actorId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: actorId'
+      });
+    }
+    
+    const signer = registry.resolveSigner(actorId, blockchain.height());
+    if (signer.error) {
+      return res.status(403).json({
+        success: false,
+        message: signer.error
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      challenge: loginChallenges.issue(actorId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// POST /auth/verify: Checks the signed challenge against the actor's registered key and
+// issues a short-lived session token. Body: { actorId, nonce, signature }
+app.post('/auth/verify', (req, res) => {
+  try {
+    const { actorId, nonce, signature } = req.body;
+    
+    if (!actorId || !nonce || !signature) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: actorId, nonce, signature'
+      });
+    }
+    
+    // The nonce is used up by this attempt whether or not the signature checks out
+    const { challenge, error } = loginChallenges.consume(actorId, nonce);
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const signer = registry.resolveSigner(actorId, blockchain.height());
+    if (signer.error || !verifySignature(challenge.message, signature, signer.publicKey)) {
+      return res.status(401).json({
+        success: false,
+        message: signer.error || 'Invalid signature'
+      });
+    }
+    
+    const roles = config.auth.actorRoles[signer.actor.role] || [ROLES.READ_ONLY];
+    const token = signToken({ sub: actorId, roles, typ: 'session' }, jwtSecret, {
+      expiresInSeconds: config.auth.sessionTtlSeconds
+    });
+    
+    res.status(200).json({
+      success: true,
+      token,
+      actorId,
+      roles,
+      expiresIn: config.auth.sessionTtlSeconds
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// GET /chain: Returns the genesis chain parameters so nodes can confirm they are on the same chain
+app.get('/chain', requireRoles(...READ_ROLES), (req, res) => {
+  try {
+    const chainParams = blockchain.getChainParams();
+    
+    if (!chainParams) {
+      return res.status(404).json({
+        success: false,
+        message: 'No genesis block with chain parameters found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      height: blockchain.height(),
+      chainParams
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// GET /ledger: Returns the entire chain of blocks from ledger storage
+app.get('/ledger', requireRoles(...READ_ROLES), (req, res) => {
+  try {
+    const blocks = Array.from(blockchain.iterate());
+    
+    res.status(200).json({
+      success: true,
+      blockCount: blocks.length,
+      blocks
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// POST /ledger/batch: Accepts records a field node signed offline. Body: { records: [...] } in
+// capture order. Each record is checked on its own and gets its own result; the accepted
+// ones are written together in one block.
+app.post('/ledger/batch', requireRoles(ROLES.HUB_OPERATOR), requireSingleSignerChain, (req, res) => {
+  try {
+    const { records } = req.body;
+    
+    if (!Array.isArray(records) || records.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'records must be a non-empty array'
+      });
+    }
+    
+    if (records.length > config.batch.maxRecords) {
+      return res.status(413).json({
+        success: false,
+        message: `A batch may hold at most ${config.batch.maxRecords} records; split it`
+      });
+    }
+    
+    const { results, block } = processBatch(records, {
+      blockchain,
+      worldState,
+      registry,
+      submitted: submittedRecords,
+      buildExcursion: buildExcursionEvent,
+      maxClockSkewSeconds: config.batch.maxClockSkewSeconds,
+      maxRecordAgeDays: config.batch.maxRecordAgeDays
+    });
+    
+    const summary = {};
+    results.forEach(result => {
+      summary[result.status] = (summary[result.status] || 0) + 1;
+    });
+    
+    res.status(200).json({
+      success: true,
+      blockIndex: block ? block.index : null,
+      summary,
+      results
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// GET /ledger/proof/:kitId/:eventIndex: Returns the Merkle inclusion proof for one kit record
+// eventIndex counts that kit's records in chain order, starting at 0
+app.get('/ledger/proof/:kitId/:eventIndex', requireRoles(...READ_ROLES), (req, res) => {
+  try {
+    const { kitId } = req.params;
+    const eventIndex = parseInt(req.params.eventIndex, 10);
+    
+    if (!Number.isInteger(eventIndex) || eventIndex < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'eventIndex must be a non-negative integer'
+      });
+    }
+    
+    let position = 0;
+    for (const { block, recordIndex } of blockchain.kitRecords(kitId)) {
+      if (position++ !== eventIndex) {
+        continue;
+      }
+      
+      if (!block.version || block.version < 2) {
+        return res.status(409).json({
+          success: false,
+          message: `Record is in legacy block ${block.index}, which has no Merkle root`
+        });
+      }
+      
+      return res.status(200).json({
+        success: true,
+        proof: {
+          kitId,
+          eventIndex,
+          blockIndex: block.index,
+          ...buildInclusionProof(block, recordIndex)
+        }
+      });
+    }
+    
+    res.status(404).json({
+      success: false,
+      message: `No record ${eventIndex} found for kit ID: ${kitId}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// GET /ledger/:id: Returns the history of one specific kitID (filtering through all blocks)
+app.get('/ledger/:kitId', requireRoles(...READ_ROLES), (req, res) => {
+  try {
+    const requestedKitId = req.params.kitId;
+    const kitHistory = [];
+    
+    // Collect each block holding a record for the requested kitId (once, even if batched)
+    for (const { block } of blockchain.kitRecords(requestedKitId)) {
+      if (kitHistory.length === 0 || kitHistory[kitHistory.length - 1].index !== block.index) {
+        kitHistory.push(block);
+      }
+    }
+    
+    if (kitHistory.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `No records found for kit ID: ${requestedKitId}`
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      kitId: requestedKitId,
+      recordCount: kitHistory.length,
+      history: kitHistory
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// POST /add-kit: Receives kit data via JSON, validates it, signs it, and adds it to the blockchain.
+// A kit signed client-side carries { actorId, timestamp, signature } and is verified against that
+// actor's registered key; an unsigned kit is signed here by the HQ actor, for admins only.
+app.post('/add-kit', requireRoles(ROLES.HUB_OPERATOR), requireSingleSignerChain, (req, res) => {
+  try {
+    const { kitID, type, origin, temperature, location, timestamp, signature, actorId } = req.body;
+    
+    // Validate identifying fields; the kit type's rule profile decides what else is required
+    if (!kitID || !type) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: kitID, type'
+      });
+    }
+    
+    // A MedicalKit registers the kit; later changes are lifecycle events
+    const status = currentKitStatus(kitID);
+    if (status !== null) {
+      return res.status(409).json({
+        success: false,
+        message: `Kit ${kitID} is already registered (status ${status}); record changes via POST /kits/${kitID}/events`
+      });
+    }
+    
+    let kitRecord;
+    if (signature) {
+      if (!actorId || !timestamp) {
+        return res.status(400).json({
+          success: false,
+          message: 'Client-signed kits require actorId and timestamp'
+        });
+      }
+      kitRecord = { kitID, type, origin, temperature, location, timestamp, signature, actorId };
+    } else {
+      const hqError = hqSigningError(req);
+      if (hqError) {
+        return res.status(403).json({
+          success: false,
+          message: hqError
+        });
+      }
+      const newKit = new MedicalKit(kitID, type, origin, temperature, location, hqPrivateKey);
+      kitRecord = { ...newKit.toObject(), actorId: config.hqActor.actorId };
+    }
+    
+    const signer = registry.resolveSigner(kitRecord.actorId, blockchain.height());
+    if (signer.error) {
+      return res.status(403).json({
+        success: false,
+        message: signer.error
+      });
+    }
+    
+    // Validate the kit using the validation rules. An out-of-range temperature alone does not
+    // stop registration: the kit is recorded together with a signed excursion event.
+    const validation = validateMedicalKit(kitRecord, signer.publicKey);
+    const blockingErrors = validation.errors.filter(error => (
+      error.rule !== 'temperatureRange' || typeof temperature !== 'number'
+    ));
+    
+    if (blockingErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Kit validation failed (rule profile: ${validation.profile})`,
+        profile: validation.profile,
+        errors: validation.errors
+      });
+    }
+    
+    const excursion = buildExcursionEvent(kitID, type, kitRecord);
+    
+    // Add the validated kit (and any excursion) to the blockchain in one block
+    blockchain.addBlock(excursion ? [kitRecord, excursion.toObject()] : kitRecord);
+    
+    res.status(201).json({
+      success: true,
+      message: excursion
+        ? 'Medical kit added to blockchain with a temperature excursion'
+        : 'Medical kit successfully added to blockchain',
+      profile: validation.profile,
+      kit: kitRecord,
+      excursion: excursion ? excursion.toObject() : null,
+      warnings: validation.errors.filter(error => !blockingErrors.includes(error))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// GET /kits: Lists the current state of kits, filtered by ?status=&location=&type=&outOfCompliance=
+app.get('/kits', requireRoles(...READ_ROLES), (req, res) => {
+  try {
+    const { status, location, type, outOfCompliance } = req.query;
+    
+    const kits = worldState.query({
+      status,
+      location,
+      type,
+      outOfCompliance: outOfCompliance === undefined ? undefined : outOfCompliance === 'true'
+    });
+    
+    res.status(200).json({
+      success: true,
+      height: worldState.appliedHeight,
+      count: kits.length,
+      kits
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// GET /kits/compromised: Lists kits over their excursion budget and the blocks that caused it
+app.get('/kits/compromised', requireRoles(...READ_ROLES), (req, res) => {
+  try {
+    const kits = worldState.query({ compromised: true }).map(kit => ({
+      kitID: kit.kitID,
+      type: kit.type,
+      status: kit.status,
+      location: kit.location,
+      minutesOutOfRange: Math.round(kit.excursion.minutesOutOfRange),
+      budgetMinutes: kit.excursion.budgetMinutes,
+      compromisedAtBlock: kit.excursion.compromisedAtBlock,
+      compromisedAt: kit.excursion.compromisedAt,
+      excursionBlocks: kit.excursion.readings.map(reading => ({
+        ...reading,
+        blockHash: blockchain.getBlock(reading.blockIndex).hash
+      }))
+    }));
+    
+    res.status(200).json({
+      success: true,
+      count: kits.length,
+      kits
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// GET /kits/:id/state: Returns one kit's current location, temperature, custodian and status
+app.get('/kits/:id/state', requireRoles(...READ_ROLES), (req, res) => {
+  try {
+    const kit = worldState.get(req.params.id);
+    
+    if (!kit) {
+      return res.status(404).json({
+        success: false,
+        message: `No records found for kit ID: ${req.params.id}`
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      kit
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// POST /kits/:id/events: Records a typed lifecycle event (DISPATCHED, RECEIVED, DISPENSED, ...) for a kit.
+// Events signed client-side carry { actorId, timestamp, signature }; unsigned events are signed by HQ,
+// for admins only.
+app.post('/kits/:id/events', requireRoles(ROLES.HUB_OPERATOR), requireSingleSignerChain, (req, res) => {
+  try {
+    const kitID = req.params.id;
+    const { eventType, timestamp, kitID: ignoredKitID, actorId, signature, ...payload } = req.body;
+    
+    if (!EVENT_TYPES[eventType]) {
+      return res.status(400).json({
+        success: false,
+        message: `eventType must be one of: ${Object.keys(EVENT_TYPES).join(', ')}`
+      });
+    }
+    
+    if (eventType === 'HANDOVER') {
+      return res.status(400).json({
+        success: false,
+        message: `A HANDOVER needs both custodians' signatures; propose it via POST /kits/${kitID}/handover`
+      });
+    }
+    
+    if (signature && !actorId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Client-signed events require actorId'
+      });
+    }
+    
+    const hqError = !signature && hqSigningError(req);
+    if (hqError) {
+      return res.status(403).json({
+        success: false,
+        message: hqError
+      });
+    }
+    
+    let eventRecord = buildEventRecord(kitID, eventType, payload, { timestamp, actorId, signature });
+    
+    const signer = registry.resolveSigner(eventRecord.actorId, blockchain.height());
+    if (signer.error) {
+      return res.status(403).json({
+        success: false,
+        message: signer.error
+      });
+    }
+    
+    // Check the event against its schema and the signer's registered key
+    const validation = validateEvent(eventRecord, signer.publicKey);
+    
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Event validation failed',
+        errors: validation.errors
+      });
+    }
+    
+    // Reject events the kit's lifecycle does not allow (e.g. dispensing a destroyed kit)
+    const kit = worldState.get(kitID);
+    const transition = checkTransition(kit ? kit.lifecycleStatus : null, eventType, {
+      compromised: kit ? kit.compromised : false
+    });
+    
+    if (!transition.allowed) {
+      return res.status(409).json({
+        success: false,
+        message: transition.error
+      });
+    }
+    
+    // An out-of-range reading is recorded as an excursion; other events keep their own
+    // record and carry the excursion alongside it in the same block
+    const excursion = buildExcursionEvent(kitID, kit ? kit.type : payload.type, eventRecord);
+    const records = [eventRecord];
+    if (excursion && eventType === 'TEMPERATURE_READING') {
+      eventRecord = excursion.toObject();
+      records[0] = eventRecord;
+    } else if (excursion) {
+      records.push(excursion.toObject());
+    }
+    
+    blockchain.addBlock(records.length === 1 ? records[0] : records);
+    
+    res.status(201).json({
+      success: true,
+      message: `${eventRecord.eventType} event recorded for kit ${kitID}`,
+      status: currentKitStatus(kitID),
+      event: eventRecord,
+      excursion: excursion ? excursion.toObject() : null
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// GET /kits/:id/handover: Returns the kit's handover waiting for the receiver's countersignature
+app.get('/kits/:id/handover', requireRoles(...READ_ROLES), (req, res) => {
+  try {
+    const handover = handovers.forKit(req.params.id);
+    
+    if (!handover) {
+      return res.status(404).json({
+        success: false,
+        message: `No pending handover for kit ${req.params.id}`
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      handover
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// POST /kits/:id/handover: Proposes a custody transfer signed by the releasing custodian.
+// Body: { fromCustodian, toCustodian, location, timestamp, actorId, signature } where both
+// custodians are registered actor IDs; without a signature the HQ actor releases the kit,
+// which only an admin may ask for.
+// The handover is held until the receiver confirms it.
+app.post('/kits/:id/handover', requireRoles(ROLES.HUB_OPERATOR), requireSingleSignerChain, (req, res) => {
+  try {
+    const kitID = req.params.id;
+    const { toCustodian, location, timestamp, actorId, signature } = req.body;
+    const fromCustodian = req.body.fromCustodian || (signature ? actorId : config.hqActor.actorId);
+    
+    if (!toCustodian || !location) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: toCustodian, location'
+      });
+    }
+    
+    if (signature && !actorId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Client-signed handovers require actorId'
+      });
+    }
+    
+    const hqError = !signature && hqSigningError(req);
+    if (hqError) {
+      return res.status(403).json({
+        success: false,
+        message: hqError
+      });
+    }
+    
+    const kit = worldState.get(kitID);
+    if (!kit) {
+      return res.status(404).json({
+        success: false,
+        message: `No records found for kit ID: ${kitID}`
+      });
+    }
+    
+    const transition = checkTransition(kit.lifecycleStatus, 'HANDOVER', { compromised: kit.compromised });
+    if (!transition.allowed) {
+      return res.status(409).json({
+        success: false,
+        message: transition.error
+      });
+    }
+    
+    if (!registry.getActor(toCustodian)) {
+      return res.status(400).json({
+        success: false,
+        message: `The receiving custodian must be a registered actor: ${toCustodian}`
+      });
+    }
+    
+    const open = handovers.forKit(kitID);
+    if (open) {
+      return res.status(409).json({
+        success: false,
+        message: `Kit ${kitID} already has a pending handover (${open.handoverId}) until ${open.expiresAt}`
+      });
+    }
+    
+    const record = buildEventRecord(kitID, 'HANDOVER', { fromCustodian, toCustodian, location }, {
+      timestamp, actorId, signature
+    });
+    
+    // Only the releasing custodian can propose the handover, and only while holding the kit
+    const custodianIsActor = registry.getActor(kit.custodian) !== null;
+    if (record.actorId !== fromCustodian || (custodianIsActor && kit.custodian !== fromCustodian)) {
+      return res.status(403).json({
+        success: false,
+        message: `Kit ${kitID} can only be released by its custodian ${kit.custodian}`
+      });
+    }
+    
+    const signer = registry.resolveSigner(record.actorId, blockchain.height());
+    if (signer.error) {
+      return res.status(403).json({
+        success: false,
+        message: signer.error
+      });
+    }
+    
+    const validation = validateEvent(record, signer.publicKey);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Handover validation failed',
+        errors: validation.errors
+      });
+    }
+    
+    const handover = handovers.create(record);
+    
+    res.status(202).json({
+      success: true,
+      message: `Handover of kit ${kitID} to ${toCustodian} is waiting for ${toCustodian} to confirm`,
+      handover
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// POST /kits/:id/handover/:handoverId/confirm: The receiving custodian countersigns a pending
+// handover ({ actorId, signature } over the sender-signed record, see countersignHandover);
+// the handover is then committed to the chain. HQ confirms unsigned when it is the receiver,
+// at an admin's request.
+app.post('/kits/:id/handover/:handoverId/confirm', requireRoles(ROLES.HUB_OPERATOR), requireSingleSignerChain, (req, res) => {
+  try {
+    const kitID = req.params.id;
+    const { actorId, signature } = req.body;
+    const handover = handovers.get(req.params.handoverId);
+    
+    if (!handover || handover.kitID !== kitID) {
+      return res.status(404).json({
+        success: false,
+        message: `No pending handover ${req.params.handoverId} for kit ${kitID}`
+      });
+    }
+    
+    if (handovers.isExpired(handover)) {
+      handovers.remove(handover.handoverId);
+      return res.status(410).json({
+        success: false,
+        message: `Handover ${handover.handoverId} expired at ${handover.expiresAt}; the sender must propose it again`
+      });
+    }
+    
+    const hqError = !signature && hqSigningError(req);
+    if (hqError) {
+      return res.status(403).json({
+        success: false,
+        message: hqError
+      });
+    }
+    
+    const receiverId = signature ? actorId : config.hqActor.actorId;
+    if (receiverId !== handover.record.toCustodian) {
+      return res.status(403).json({
+        success: false,
+        message: `Only the receiving custodian ${handover.record.toCustodian} can confirm this handover`
+      });
+    }
+    
+    const record = signature
+      ? { ...handover.record, countersignature: { actorId, signature } }
+      : countersignHandover(handover.record, hqPrivateKey, config.hqActor.actorId);
+    
+    // Both signatures must hold with the keys valid at the height the handover is committed at
+    const height = blockchain.height();
+    const sender = registry.resolveSigner(record.actorId, height);
+    const receiver = registry.resolveSigner(receiverId, height);
+    const signerError = sender.error || receiver.error
+      || (!verifyRecordSignature(record, sender.publicKey) && `Sender signature is not valid for ${record.actorId}'s current key`);
+    
+    if (signerError) {
+      return res.status(403).json({
+        success: false,
+        message: signerError
+      });
+    }
+    
+    if (!verifyCountersignature(record, receiver.publicKey)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid countersignature'
+      });
+    }
+    
+    const kit = worldState.get(kitID);
+    const transition = checkTransition(kit.lifecycleStatus, 'HANDOVER', { compromised: kit.compromised });
+    if (!transition.allowed) {
+      return res.status(409).json({
+        success: false,
+        message: transition.error
+      });
+    }
+    
+    blockchain.addBlock(record);
+    handovers.remove(handover.handoverId);
+    
+    res.status(201).json({
+      success: true,
+      message: `Kit ${kitID} handed over from ${record.fromCustodian} to ${record.toCustodian}`,
+      custodian: worldState.get(kitID).custodian,
+      event: record
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// GET /identities/organizations: Lists registered organizations
+app.get('/identities/organizations', requireRoles(...READ_ROLES), (req, res) => {
+  try {
+    const organizations = registry.listOrganizations();
+    
+    res.status(200).json({
+      success: true,
+      count: organizations.length,
+      organizations
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// POST /identities/organizations: Registers an organization (supplier, NGO, hospital, ...)
+app.post('/identities/organizations', requireRoles(ROLES.ADMIN), requireSingleSignerChain, (req, res) => {
+  try {
+    const { organizationId, name } = req.body;
+    const result = recordIdentity(IDENTITY_ACTIONS.ORGANIZATION_REGISTERED, { organizationId, name });
+    
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Organization registration failed',
+        errors: result.errors
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: `Organization ${organizationId} registered`,
+      record: result.record
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// GET /identities/actors: Lists actors, filtered by ?organizationId=&role=&status=
+app.get('/identities/actors', requireRoles(...READ_ROLES), (req, res) => {
+  try {
+    const { organizationId, role, status } = req.query;
+    const actors = registry.listActors({ organizationId, role, status });
+    
+    res.status(200).json({
+      success: true,
+      count: actors.length,
+      actors
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// GET /identities/actors/:id: Returns one actor with its role, status and public key
+app.get('/identities/actors/:id', requireRoles(...READ_ROLES), (req, res) => {
+  try {
+    const actor = registry.getActor(req.params.id);
+    
+    if (!actor) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown actor: ${req.params.id}`
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      actor
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// POST /identities/actors: Registers an actor (supplier, warehouse, hub, clinic, driver) and its public key
+app.post('/identities/actors', requireRoles(ROLES.ADMIN), requireSingleSignerChain, (req, res) => {
+  try {
+    const { actorId, organizationId, name, role, publicKey } = req.body;
+    const result = recordIdentity(IDENTITY_ACTIONS.ACTOR_REGISTERED, {
+      actorId, organizationId, name, role, publicKey
+    });
+    
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Actor registration failed',
+        errors: result.errors
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: `Actor ${actorId} registered`,
+      record: result.record
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
   }
-  
-  // Save the keys
-  fs.writeFileSync(path.join(hqKeyDir, 'private-key.txt'), hqPrivateKey, 'utf8');
-  fs.writeFileSync(path.join(hqKeyDir, 'public-key.txt'), hqPublicKey, 'utf8');
-}
+});
 
-// GET /health: A simple check to see if the API is running
-app.get('/health', (req, res) => {
+// GET /identities/actors/:id/keys: Returns an actor's key history with the block heights each key is valid for
+app.get('/identities/actors/:id/keys', requireRoles(...READ_ROLES), (req, res) => {
   try {
+    const actor = registry.getActor(req.params.id);
+    
+    if (!actor) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown actor: ${req.params.id}`
+      });
+    }
+    
     res.status(200).json({
-      status: 'OK',
-      message: 'ICRC Blockchain API Gateway is running',
-      timestamp: new Date().toISOString()
+      success: true,
+      actorId: actor.actorId,
+      currentKey: actor.publicKey,
+      keys: actor.keys
     });
   } catch (error) {
     res.status(500).json({
-      status: 'ERROR',
+      success: false,
       message: error.message
     });
   }
 });
 
-// GET /ledger: Returns the entire chain of JSON blocks from the /ledger-data folder
-app.get('/ledger', (req, res) => {
+// POST /identities/actors/:id/keys/register|rotate|revoke: Records a key lifecycle change on the chain.
+// Body: { publicKey, effectiveFrom, reason }. effectiveFrom defaults to the next block height;
+// a revocation may be backdated to when the key was compromised.
+const KEY_OPERATIONS = {
+  register: IDENTITY_ACTIONS.KEY_REGISTERED,
+  rotate: IDENTITY_ACTIONS.KEY_ROTATED,
+  revoke: IDENTITY_ACTIONS.KEY_REVOKED
+};
+
+app.post('/identities/actors/:id/keys/:operation(register|rotate|revoke)', requireRoles(ROLES.ADMIN), requireSingleSignerChain, (req, res) => {
   try {
-    const ledgerPath = path.join(__dirname, 'ledger-data');
-    const files = fs.readdirSync(ledgerPath);
+    const action = KEY_OPERATIONS[req.params.operation];
+    const { publicKey, reason } = req.body;
+    const effectiveFrom = req.body.effectiveFrom === undefined ? blockchain.height() : req.body.effectiveFrom;
+    const result = recordIdentity(action, { actorId: req.params.id, publicKey, effectiveFrom, reason });
     
-    // Filter for block files and sort them by index
-    const blockFiles = files
-      .filter(file => file.startsWith('block_') && file.endsWith('.json'))
-      .sort((a, b) => {
-        const indexA = parseInt(a.match(/block_(\d+)\.json/)[1]);
-        const indexB = parseInt(b.match(/block_(\d+)\.json/)[1]);
-        return indexA - indexB;
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        message: `${action} failed`,
+        errors: result.errors
       });
+    }
     
-    const blocks = blockFiles.map(fileName => {
-      const filePath = path.join(ledgerPath, fileName);
-      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    res.status(201).json({
+      success: true,
+      message: `${action} recorded for ${req.params.id}, effective from block ${effectiveFrom}`,
+      record: result.record,
+      keys: registry.getActor(req.params.id).keys
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
     });
+  }
+});
+
+// POST /identities/actors/:id/status and /identities/organizations/:id/status: Suspends or
+// reactivates an actor or a whole organization; suspended signers are rejected
+app.post('/identities/:kind(actors|organizations)/:id/status', requireRoles(ROLES.ADMIN), requireSingleSignerChain, (req, res) => {
+  try {
+    const idField = req.params.kind === 'actors' ? 'actorId' : 'organizationId';
+    const { status } = req.body;
+    const result = recordIdentity(IDENTITY_ACTIONS.STATUS_CHANGED, { [idField]: req.params.id, status });
+    
+    if (result.errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status change failed',
+        errors: result.errors
+      });
+    }
     
     res.status(200).json({
       success: true,
-      blockCount: blocks.length,
-      blocks
+      message: `${req.params.id} is now ${status}`,
+      record: result.record
     });
   } catch (error) {
     res.status(500).json({
@@ -107,46 +1263,80 @@ app.get('/ledger', (req, res) => {
   }
 });
 
-// GET /ledger/:id: Returns the history of one specific kitID (filtering through all blocks)
-app.get('/ledger/:kitId', (req, res) => {
+// GET /audit: Runs the audit logic and returns a JSON report
+app.get('/audit', requireRoles(...READ_ROLES), (req, res) => {
   try {
-    const requestedKitId = req.params.kitId;
-    const ledgerPath = path.join(__dirname, 'ledger-data');
-    const files = fs.readdirSync(ledgerPath);
+    const report = auditChain(blockchain.iterate(), {
+      trustedValidators,
+      allowUnsignedLegacy: blockchain.acceptsUnsignedLegacy(config.allowUnsignedLegacyBlocks),
+      verifyRecords: block => [
+        ...registry.verifyBlockRecords(block),
+        ...(validatorSet.enforces(block.index) ? validatorSet.verifyBlock(block) : [])
+      ]
+    });
     
-    // Filter for block files and sort them by index
-    const blockFiles = files
-      .filter(file => file.startsWith('block_') && file.endsWith('.json'))
-      .sort((a, b) => {
-        const indexA = parseInt(a.match(/block_(\d+)\.json/)[1]);
-        const indexB = parseInt(b.match(/block_(\d+)\.json/)[1]);
-        return indexA - indexB;
+    if (report.status === 'Empty') {
+      return res.status(200).json({
+        status: 'Empty',
+        blockCount: 0
       });
+    }
     
-    const kitHistory = [];
+    if (report.status === 'Tampered') {
+      const firstIssue = report.issues[0];
+      return res.status(200).json({
+        status: 'Tampered',
+        atBlock: firstIssue.atBlock,
+        message: firstIssue.message,
+        issueCount: report.issues.length
+      });
+    }
     
-    blockFiles.forEach(fileName => {
-      const filePath = path.join(ledgerPath, fileName);
-      const block = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-      
-      // Check if the block contains a MedicalKit with the requested kitId
-      if (block.data && block.data.kitID === requestedKitId) {
-        kitHistory.push(block);
-      }
+    res.status(200).json({
+      status: 'Secure',
+      blockCount: report.blockCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'Error',
+      message: error.message
     });
+  }
+});
+
+// ============================================
+// P2P SYNCHRONIZATION ENDPOINTS (Phase 5)
+// ============================================
+
+// GET /p2p/height: Height and tip of the local chain, polled by peers before they sync
+app.get('/p2p/height', requireRoles(...READ_ROLES, ROLES.PEER), (req, res) => {
+  try {
+    res.status(200).json(p2p.status());
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// GET /p2p/blocks?from=&limit=: A run of blocks starting at index `from`
+app.get('/p2p/blocks', requireRoles(...READ_ROLES, ROLES.PEER), (req, res) => {
+  try {
+    const from = Number(req.query.from);
+    const limit = req.query.limit === undefined ? config.p2p.batchSize : Number(req.query.limit);
     
-    if (kitHistory.length === 0) {
-      return res.status(404).json({
+    if (!Number.isInteger(from) || from < 0 || !Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({
         success: false,
-        message: `No records found for kit ID: ${requestedKitId}`
+        message: 'from must be a non-negative integer and limit a positive integer'
       });
     }
     
     res.status(200).json({
-      success: true,
-      kitId: requestedKitId,
-      recordCount: kitHistory.length,
-      history: kitHistory
+      from,
+      height: blockchain.height(),
+      blocks: p2p.blocksFrom(from, limit)
     });
   } catch (error) {
     res.status(500).json({
@@ -156,40 +1346,123 @@ app.get('/ledger/:kitId', (req, res) => {
   }
 });
 
-// POST /add-kit: Receives kit data via JSON, validates it, signs it, and adds it to the blockchain
-app.post('/add-kit', (req, res) => {
+// POST /p2p/announce: A peer pushes a block it just wrote. Body: { block, from }
+app.post('/p2p/announce', requireRoles(ROLES.PEER), (req, res) => {
   try {
-    const { kitID, type, origin, temperature, location } = req.body;
+    const { block, from } = req.body;
+    const result = p2p.receiveAnnouncement(block, from);
     
-    // Validate required fields
-    if (!kitID || !type || !origin || typeof temperature === 'undefined' || !location) {
-      return res.status(400).json({
+    if (result.status === 'rejected') {
+      return res.status(422).json({
         success: false,
-        message: 'Missing required fields: kitID, type, origin, temperature, location'
+        status: result.status,
+        message: result.issues[0].message,
+        issues: result.issues
       });
     }
     
-    // Create a new MedicalKit instance
-    const newKit = new MedicalKit(kitID, type, origin, temperature, location, hqPrivateKey);
+    res.status(result.status === 'syncing' ? 202 : 200).json({
+      success: true,
+      status: result.status,
+      height: blockchain.height()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// GET /p2p/peers: Configured peers and the outcome of the last exchange with each
+app.get('/p2p/peers', requireRoles(...READ_ROLES), (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      peers: p2p.listPeers()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// ============================================
+// CHECKPOINT ENDPOINTS
+// ============================================
+
+/**
+ * Parses a checkpoint height from the URL
+ * @param {string} value - The :height parameter
+ * @returns {number|null} The height, or null if it is not a positive integer
+ */
+function parseHeight(value) {
+  const height = Number(value);
+  return Number.isInteger(height) && height > 0 ? height : null;
+}
+
+// GET /checkpoints: Signed checkpoints, and whether the local chain still holds each one
+app.get('/checkpoints', requireRoles(...READ_ROLES), (req, res) => {
+  try {
+    const list = checkpoints.list().map(checkpoint => ({
+      ...checkpoint,
+      matchesChain: checkpoints.matchesChain(checkpoint)
+    }));
+    
+    res.status(200).json({
+      success: true,
+      count: list.length,
+      height: blockchain.height(),
+      checkpoints: list
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// GET /checkpoints/:height: One checkpoint as a file to archive (check it with bin/audit-ledger.js --against-checkpoint)
+app.get('/checkpoints/:height', requireRoles(...READ_ROLES), (req, res) => {
+  try {
+    const height = parseHeight(req.params.height);
+    const checkpoint = height && checkpoints.get(height);
+    
+    if (!checkpoint) {
+      return res.status(404).json({
+        success: false,
+        message: `No checkpoint at height ${req.params.height}`
+      });
+    }
     
-    // Validate the kit using the validation rules
-    const validation = validateMedicalKit(newKit.toObject(), hqPublicKey);
+    res.attachment(`checkpoint-${checkpoint.networkId || config.genesisBlock.networkId}-${checkpoint.height}.json`);
+    res.status(200).send(JSON.stringify(checkpoint, null, 2));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// POST /checkpoints: Checkpoint the chain now. Body: { height } (optional, defaults to the chain height)
+app.post('/checkpoints', requireRoles(ROLES.ADMIN), (req, res) => {
+  try {
+    const height = req.body.height === undefined ? blockchain.height() : parseHeight(req.body.height);
     
-    if (!validation.isValid) {
+    if (!height || height > blockchain.height()) {
       return res.status(400).json({
         success: false,
-        message: 'Kit validation failed',
-        errors: validation.errors
+        message: `height must be between 1 and the chain height (${blockchain.height()})`
       });
     }
     
-    // Add the validated kit to the blockchain
-    blockchain.addBlock(newKit.toObject());
-    
     res.status(201).json({
       success: true,
-      message: 'Medical kit successfully added to blockchain',
-      kit: newKit.toObject()
+      checkpoint: checkpoints.create(height)
     });
   } catch (error) {
     res.status(500).json({
@@ -199,72 +1472,33 @@ app.post('/add-kit', (req, res) => {
   }
 });
 
-// GET /audit: Runs the audit logic and returns a JSON report
-app.get('/audit', (req, res) => {
+// POST /checkpoints/:height/signatures: Another validator's signature over the same checkpoint. Body: { signer, signature }
+app.post('/checkpoints/:height/signatures', requireRoles(ROLES.PEER, ROLES.ADMIN), (req, res) => {
   try {
-    const ledgerPath = path.join(__dirname, 'ledger-data');
-    const files = fs.readdirSync(ledgerPath);
+    const height = parseHeight(req.params.height);
     
-    // Filter for block files and sort them by index
-    const blockFiles = files
-      .filter(file => file.startsWith('block_') && file.endsWith('.json'))
-      .sort((a, b) => {
-        const indexA = parseInt(a.match(/block_(\d+)\.json/)[1]);
-        const indexB = parseInt(b.match(/block_(\d+)\.json/)[1]);
-        return indexA - indexB;
-      });
-    
-    if (blockFiles.length === 0) {
-      return res.status(200).json({
-        status: 'Empty',
-        blockCount: 0
+    if (!height || !checkpoints.get(height)) {
+      return res.status(404).json({
+        success: false,
+        message: `No checkpoint at height ${req.params.height}`
       });
     }
     
-    // Load all blocks
-    const blocks = blockFiles.map(fileName => {
-      const filePath = path.join(ledgerPath, fileName);
-      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    });
-    
-    // Verify each block
-    for (let i = 0; i < blocks.length; i++) {
-      const currentBlock = blocks[i];
-      
-      // Verify the block's own hash is correct
-      const expectedHash = crypto.createHash('sha256')
-        .update(currentBlock.index + currentBlock.timestamp + JSON.stringify(currentBlock.data) + currentBlock.previousHash)
-        .digest('hex');
-      
-      if (currentBlock.hash !== expectedHash) {
-        return res.status(200).json({
-          status: 'Tampered',
-          atBlock: currentBlock.index,
-          message: 'Block hash does not match expected value'
-        });
-      }
-      
-      // For blocks after the first, verify the previousHash matches the previous block's hash
-      if (i > 0) {
-        const previousBlock = blocks[i - 1];
-        
-        if (currentBlock.previousHash !== previousBlock.hash) {
-          return res.status(200).json({
-            status: 'Tampered',
-            atBlock: currentBlock.index,
-            message: 'Previous hash does not match previous block\'s hash'
-          });
-        }
-      }
+    const result = checkpoints.addSignature(height, req.body);
+    if (result.error) {
+      return res.status(422).json({
+        success: false,
+        message: result.error
+      });
     }
     
     res.status(200).json({
-      status: 'Secure',
-      blockCount: blocks.length
+      success: true,
+      checkpoint: result.checkpoint
     });
   } catch (error) {
     res.status(500).json({
-      status: 'Error',
+      success: false,
       message: error.message
     });
   }
@@ -274,8 +1508,18 @@ app.get('/audit', (req, res) => {
 // PREDICTION MARKET ENDPOINTS (Phase 6)
 // ============================================
 
+/**
+ * Pays out and closes every forecaster's position in a market that has just been resolved
+ * @param {Object} market - Resolved PredictionMarket
+ */
+function settlePositions(market) {
+  for (const userId of Object.keys(shareManager.userBalances)) {
+    shareManager.resolvePosition(userId, market);
+  }
+}
+
 // GET /api/markets - Get all prediction markets
-app.get('/api/markets', (req, res) => {
+app.get('/api/markets', requireRoles(...READ_ROLES), (req, res) => {
   try {
     const allMarkets = Array.from(markets.values()).map(m => m.toJSON());
     res.status(200).json({
@@ -292,7 +1536,7 @@ app.get('/api/markets', (req, res) => {
 });
 
 // GET /api/markets/:id - Get specific market
-app.get('/api/markets/:id', (req, res) => {
+app.get('/api/markets/:id', requireRoles(...READ_ROLES), (req, res) => {
   try {
     const market = markets.get(req.params.id);
     if (!market) {
@@ -313,10 +1557,42 @@ app.get('/api/markets/:id', (req, res) => {
   }
 });
 
+// GET /api/markets/:id/quote - Price a trade without executing it
+app.get('/api/markets/:id/quote', requireRoles(...READ_ROLES), (req, res) => {
+  try {
+    const market = markets.get(req.params.id);
+    if (!market) {
+      return res.status(404).json({
+        success: false,
+        message: 'Market not found'
+      });
+    }
+
+    const { outcome, amount, side = 'buy' } = req.query;
+    if (!outcome || !amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required query parameters: outcome, amount'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      quote: market.quote(outcome, Number(amount), side)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // POST /api/markets - Create a new prediction market (Admin only)
-app.post('/api/markets', (req, res) => {
+app.post('/api/markets', requireRoles(ROLES.ADMIN), (req, res) => {
   try {
-    const { marketID, question, kitID, deadline, createdBy } = req.body;
+    const { marketID, question, kitID, deadline, marketMaker = {}, type, outcomes, bounds, criteria } = req.body;
+    const createdBy = req.principal.id || 'admin';
     
     if (!marketID || !question || !kitID || !deadline) {
       return res.status(400).json({
@@ -333,14 +1609,34 @@ app.post('/api/markets', (req, res) => {
       });
     }
     
-    // Create new market
-    const market = new PredictionMarket(marketID, question, kitID, deadline, createdBy || 'admin');
+    if (typeof marketMaker !== 'object' || marketMaker === null || Array.isArray(marketMaker)) {
+      return res.status(400).json({
+        success: false,
+        message: 'marketMaker must be an object such as { "type": "LMSR", "b": 100 }'
+      });
+    }
+    
+    // Create new market; an unknown type or engine, bad outcomes, bounds, liquidity or criteria are the caller's error
+    let market;
+    try {
+      market = new PredictionMarket(marketID, question, kitID, deadline, createdBy, marketMaker, { type, outcomes, bounds, criteria });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     markets.set(marketID, market);
     
     // Initialize user if needed
-    shareManager.initializeUser(createdBy || 'admin');
+    shareManager.initializeUser(createdBy);
+    
+    console.log(`📊 Prediction Market Created: ${marketID} - ${question} (${market.type}, ${market.marketMaker.type})`);
     
-    console.log(`📊 Prediction Market Created: ${marketID} - ${question}`);
+    // Criteria already decided by the chain (or a deadline already past) resolve the market here
+    if (market.criteria) {
+      marketResolver.watch(market);
+    }
     
     res.status(201).json({
       success: true,
@@ -356,9 +1652,11 @@ app.post('/api/markets', (req, res) => {
 });
 
 // POST /api/markets/:id/buy - Buy shares in a market
-app.post('/api/markets/:id/buy', (req, res) => {
+app.post('/api/markets/:id/buy', requireRoles(ROLES.FORECASTER), (req, res) => {
   try {
-    const { userId, outcome, amount } = req.body;
+    // Trades are booked to the authenticated principal, never to a userId from the body
+    const userId = req.principal.id;
+    const { outcome, amount, maxCost } = req.body;
     const market = markets.get(req.params.id);
     
     if (!market) {
@@ -368,18 +1666,39 @@ app.post('/api/markets/:id/buy', (req, res) => {
       });
     }
     
-    if (!userId || !outcome || !amount) {
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Trading requires an authenticated principal'
+      });
+    }
+    
+    if (!outcome || amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: outcome, amount'
+      });
+    }
+    
+    if (typeof amount !== 'number') {
+      return res.status(400).json({
+        success: false,
+        message: 'amount must be a number of shares'
+      });
+    }
+    
+    if (amount <= 0) {
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: userId, outcome, amount'
+        message: 'amount must be a positive number of shares'
       });
     }
     
     // Initialize user if needed
     shareManager.initializeUser(userId);
     
-    // Buy shares
-    const transaction = shareManager.buyShares(userId, market, outcome, amount);
+    // Buy shares; maxCost (optional) rejects the trade if the price moved against the buyer
+    const transaction = shareManager.buyShares(userId, market, outcome, amount, { maxCost });
     
     res.status(200).json({
       success: true,
@@ -396,9 +1715,11 @@ app.post('/api/markets/:id/buy', (req, res) => {
 });
 
 // POST /api/markets/:id/sell - Sell shares from a market
-app.post('/api/markets/:id/sell', (req, res) => {
+app.post('/api/markets/:id/sell', requireRoles(ROLES.FORECASTER), (req, res) => {
   try {
-    const { userId, outcome, amount } = req.body;
+    // Trades are booked to the authenticated principal, never to a userId from the body
+    const userId = req.principal.id;
+    const { outcome, amount, minPayout } = req.body;
     const market = markets.get(req.params.id);
     
     if (!market) {
@@ -408,15 +1729,36 @@ app.post('/api/markets/:id/sell', (req, res) => {
       });
     }
     
-    if (!userId || !outcome || !amount) {
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Trading requires an authenticated principal'
+      });
+    }
+    
+    if (!outcome || amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: outcome, amount'
+      });
+    }
+    
+    if (typeof amount !== 'number') {
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: userId, outcome, amount'
+        message: 'amount must be a number of shares'
       });
     }
     
-    // Sell shares
-    const transaction = shareManager.sellShares(userId, market, outcome, amount);
+    if (amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'amount must be a positive number of shares'
+      });
+    }
+    
+    // Sell shares; minPayout (optional) rejects the trade if the price moved against the seller
+    const transaction = shareManager.sellShares(userId, market, outcome, amount, { minPayout });
     
     res.status(200).json({
       success: true,
@@ -433,7 +1775,7 @@ app.post('/api/markets/:id/sell', (req, res) => {
 });
 
 // GET /api/leaderboard - Get top forecasters
-app.get('/api/leaderboard', (req, res) => {
+app.get('/api/leaderboard', requireRoles(...READ_ROLES), (req, res) => {
   try {
     const leaderboard = shareManager.getLeaderboard();
     res.status(200).json({
@@ -448,10 +1790,11 @@ app.get('/api/leaderboard', (req, res) => {
   }
 });
 
-// GET /api/user/:id/positions - Get user's positions
-app.get('/api/user/:id/positions', (req, res) => {
+// GET /api/user/:id/positions - Get user's positions with cost basis and P&L
+app.get('/api/user/:id/positions', requireRoles(...READ_ROLES), (req, res) => {
   try {
-    const positions = shareManager.getUserPositions(req.params.id);
+    // Open positions are marked to their market's current price for unrealized P&L
+    const positions = shareManager.getUserPositions(req.params.id, markets);
     res.status(200).json({
       success: true,
       positions
@@ -464,8 +1807,30 @@ app.get('/api/user/:id/positions', (req, res) => {
   }
 });
 
+// GET /api/user/:id/history - Get user's trades and settlements with the running balance
+app.get('/api/user/:id/history', requireRoles(...READ_ROLES), (req, res) => {
+  try {
+    const { marketID } = req.query;
+    const { credits, stats } = shareManager.getUserPositions(req.params.id);
+    const history = shareManager.getHistory(req.params.id, { marketID });
+    res.status(200).json({
+      success: true,
+      userId: req.params.id,
+      credits,
+      realizedPnL: stats ? stats.profit : 0,
+      count: history.length,
+      history
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // POST /api/markets/:id/resolve - Resolve a market (automated or admin)
-app.post('/api/markets/:id/resolve', (req, res) => {
+app.post('/api/markets/:id/resolve', requireRoles(ROLES.ADMIN), (req, res) => {
   try {
     const market = markets.get(req.params.id);
     
@@ -476,28 +1841,27 @@ app.post('/api/markets/:id/resolve', (req, res) => {
       });
     }
     
-    const { outcome } = req.body; // 'YES' or 'NO'
+    // A scalar market resolves to the observed value, the others to one of their outcomes
+    const field = market.type === MARKET_TYPES.SCALAR ? 'value' : 'outcome';
+    const result = req.body[field];
     
-    if (!outcome || !['YES', 'NO'].includes(outcome)) {
+    if (result === undefined || result === null || result === '') {
       return res.status(400).json({
         success: false,
-        message: 'Invalid outcome. Must be YES or NO'
+        message: `Missing required field: ${field}`
       });
     }
     
-    // Resolve market
-    market.resolve(outcome);
-    
-    // Update all user positions
-    for (const userId of Object.keys(shareManager.userBalances)) {
-      shareManager.resolvePosition(userId, market);
-    }
+    // Resolve market; an outcome it does not have or a non-numeric value is rejected. An admin
+    // may resolve a market with criteria early; the resolver then stops watching it.
+    market.resolve(result);
+    settlePositions(market);
     
-    console.log(`✅ Market ${market.marketID} resolved as ${outcome}`);
+    console.log(`✅ Market ${market.marketID} resolved as ${result}`);
     
     res.status(200).json({
       success: true,
-      message: `Market resolved as ${outcome}`,
+      message: `Market resolved as ${result}`,
       market: market.toJSON()
     });
   } catch (error) {
@@ -516,21 +1880,68 @@ app.use('*', (req, res) => {
   });
 });
 
-// Start the server
-app.listen(PORT, () => {
-  console.log(`🚀 ICRC Blockchain API Gateway running on http://localhost:${PORT}`);
-  console.log(`📋 Available endpoints:`);
-  console.log(`   GET  /health           - Health check`);
-  console.log(`   GET  /ledger           - View entire ledger`);
-  console.log(`   GET  /ledger/:id       - View history of specific kit`);
-  console.log(`   POST /add-kit          - Add new medical kit`);
-  console.log(`   GET  /audit            - Audit blockchain integrity`);
-  console.log(`\n📊 Prediction Market Endpoints (Phase 6):`);
-  console.log(`   GET  /api/markets      - Get all prediction markets`);
-  console.log(`   GET  /api/markets/:id  - Get specific market`);
-  console.log(`   POST /api/markets      - Create new market (Admin)`);
-  console.log(`   POST /api/markets/:id/buy  - Buy shares`);
-  console.log(`   POST /api/markets/:id/sell - Sell shares`);
-  console.log(`   GET  /api/leaderboard  - Get top forecasters`);
-  console.log(`   POST /api/markets/:id/resolve - Resolve market`);
+// Start the server once the HQ keystore is unlocked
+unlockHqKeys().then(hqKeys => {
+  initLedger(hqKeys);
+  
+  if (config.p2p.peers.length > 0) {
+    p2p.start(config.p2p.syncIntervalSeconds);
+  }
+  
+  marketResolver.start(config.markets.resolutionIntervalSeconds);
+  
+  app.listen(PORT, () => {
+    console.log(`🚀 ICRC Blockchain API Gateway running on http://localhost:${PORT}`);
+    console.log(`📋 Available endpoints:`);
+    console.log(`   GET  /health           - Health check`);
+    console.log(`   GET  /chain            - Genesis chain parameters`);
+    console.log(`   POST /auth/challenge   - Get a login nonce for an actor`);
+    console.log(`   POST /auth/verify      - Exchange a signed nonce for a session token`);
+    console.log(`   GET  /ledger           - View entire ledger`);
+    console.log(`   GET  /ledger/:id       - View history of specific kit`);
+    console.log(`   POST /ledger/batch     - Submit records signed offline by a field node`);
+    console.log(`   GET  /ledger/proof/:id/:n - Merkle proof for a kit record`);
+    console.log(`   POST /add-kit          - Add new medical kit`);
+    console.log(`   GET  /kits             - Current state of all kits (filterable)`);
+    console.log(`   GET  /kits/compromised - Kits over their temperature excursion budget`);
+    console.log(`   GET  /kits/:id/state   - Current state of one kit`);
+    console.log(`   POST /kits/:id/events  - Record a kit lifecycle event`);
+    console.log(`   GET  /kits/:id/handover - Pending custody handover of a kit`);
+    console.log(`   POST /kits/:id/handover - Propose a handover (signed by the sender)`);
+    console.log(`   POST /kits/:id/handover/:hid/confirm - Countersign and commit a handover`);
+    console.log(`   GET  /audit            - Audit blockchain integrity`);
+    console.log(`\n🪪 Identity Registry Endpoints:`);
+    console.log(`   GET  /identities/organizations - List organizations`);
+    console.log(`   POST /identities/organizations - Register an organization`);
+    console.log(`   GET  /identities/actors        - List actors (filterable)`);
+    console.log(`   GET  /identities/actors/:id    - View one actor`);
+    console.log(`   POST /identities/actors        - Register an actor and its public key`);
+    console.log(`   POST /identities/:kind/:id/status - Suspend or reactivate an actor or organization`);
+    console.log(`   GET  /identities/actors/:id/keys - Key history of an actor`);
+    console.log(`   POST /identities/actors/:id/keys/:op - Register, rotate or revoke a key`);
+    console.log(`\n🔗 P2P Endpoints (Phase 5):`);
+    console.log(`   GET  /p2p/height       - Local chain height and tip`);
+    console.log(`   GET  /p2p/blocks       - Blocks from an index (?from=&limit=)`);
+    console.log(`   POST /p2p/announce     - Receive a block from a peer`);
+    console.log(`   GET  /p2p/peers        - Peer sync status`);
+    console.log(`\n📌 Checkpoint Endpoints:`);
+    console.log(`   GET  /checkpoints      - Signed chain checkpoints`);
+    console.log(`   GET  /checkpoints/:h   - Export one checkpoint as a file`);
+    console.log(`   POST /checkpoints      - Checkpoint the chain now (Admin)`);
+    console.log(`   POST /checkpoints/:h/signatures - Add a validator's checkpoint signature`);
+    console.log(`\n📊 Prediction Market Endpoints (Phase 6):`);
+    console.log(`   GET  /api/markets      - Get all prediction markets`);
+    console.log(`   GET  /api/markets/:id  - Get specific market`);
+    console.log(`   GET  /api/markets/:id/quote - Quote a trade (cost, average price, impact)`);
+    console.log(`   POST /api/markets      - Create binary, categorical or scalar market (Admin)`);
+    console.log(`   POST /api/markets/:id/buy  - Buy shares`);
+    console.log(`   POST /api/markets/:id/sell - Sell shares`);
+    console.log(`   GET  /api/leaderboard  - Get top forecasters`);
+    console.log(`   GET  /api/user/:id/positions - Positions with cost basis and P&L`);
+    console.log(`   GET  /api/user/:id/history   - Trades, settlements and running balance`);
+    console.log(`   POST /api/markets/:id/resolve - Resolve market (markets with criteria resolve themselves)`);
+  });
+}).catch(error => {
+  console.error(`❌ Cannot start the API Gateway: ${error.message}`);
+  process.exit(1);
 });
\ No newline at end of file
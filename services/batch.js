@@ -0,0 +1,232 @@
+// services/batch.js - Checks store-and-forward batches submitted by field nodes
+//
+// A field node signs kits and events while offline and later submits them together
+// (POST /ledger/batch). Items are checked in order, each against the ledger as extended by
+// the items accepted before it, so a batch may register a kit and then dispatch it. Every
+// item gets its own result:
+//   accepted  - valid; written to the ledger with the rest of the batch in one block
+//   duplicate - this exact signed record is already on the ledger (a resubmission)
+//   rejected  - the record itself is bad: signature, schema or capture timestamp
+//   conflict  - the record is valid but clashes with the ledger, e.g. a kit handed over twice
+const EventEmitter = require('events');
+const { blockRecords } = require('../contracts/block');
+const { WorldState } = require('../contracts/world-state');
+const { EVENT_TYPES } = require('../contracts/events');
+const { validateMedicalKit, validateEvent, checkTransition } = require('../contracts/rules');
+
+const BATCH_STATUS = {
+  ACCEPTED: 'accepted',
+  DUPLICATE: 'duplicate',
+  REJECTED: 'rejected',
+  CONFLICT: 'conflict'
+};
+
+// Fields a kit registration carries; its signature covers all but actorId and signature
+const KIT_FIELDS = ['kitID', 'type', 'origin', 'temperature', 'location', 'timestamp', 'actorId', 'signature'];
+
+// Signatures of every record on the chain, so a resubmitted record is recognised
+class SubmittedRecords {
+  /**
+   * Creates the index over a blockchain and keeps it current as blocks are appended
+   * @param {Object} blockchain - The Blockchain to index
+   */
+  constructor(blockchain) {
+    this.blockchain = blockchain;
+    this.signatures = new Set();
+    this.appliedHeight = 0;
+
+    this.blockchain.on('block', () => this.sync());
+    this.blockchain.on('reorg', () => this.rebuild());
+  }
+
+  /**
+   * Discards the index and replays the whole chain
+   */
+  rebuild() {
+    this.signatures.clear();
+    this.appliedHeight = 0;
+    this.sync();
+  }
+
+  /**
+   * Indexes blocks appended since the last sync
+   */
+  sync() {
+    for (const block of this.blockchain.iterate(this.appliedHeight)) {
+      blockRecords(block).forEach(record => {
+        if (record && record.signature) {
+          this.signatures.add(record.signature);
+        }
+      });
+      this.appliedHeight = block.index + 1;
+    }
+  }
+
+  /**
+   * Checks whether a signed record is already on the chain
+   * @param {string} signature - Record signature
+   * @returns {boolean} True if a record with this signature was recorded
+   */
+  has(signature) {
+    return this.signatures.has(signature);
+  }
+}
+
+/**
+ * Checks a record's original capture timestamp
+ * @param {string} timestamp - ISO capture time
+ * @param {number} now - Current time in milliseconds
+ * @param {Object} limits - { maxClockSkewSeconds, maxRecordAgeDays }
+ * @returns {string|null} The problem, or null when the timestamp is acceptable
+ */
+function checkCaptureTime(timestamp, now, { maxClockSkewSeconds, maxRecordAgeDays }) {
+  const capturedAt = Date.parse(timestamp);
+  if (!timestamp || Number.isNaN(capturedAt)) {
+    return 'Missing or invalid capture timestamp';
+  }
+  if (capturedAt > now + maxClockSkewSeconds * 1000) {
+    return `Capture timestamp ${timestamp} is in the future`;
+  }
+  if (capturedAt < now - maxRecordAgeDays * 24 * 60 * 60 * 1000) {
+    return `Capture timestamp ${timestamp} is more than ${maxRecordAgeDays} days old`;
+  }
+  return null;
+}
+
+/**
+ * Checks a batch item by item and writes the accepted records to the ledger in one block
+ * @param {Array<Object>} items - Client-signed kit registrations and events, in capture order
+ * @param {Object} context - Ledger and policy
+ * @param {Object} context.blockchain - The Blockchain to write to
+ * @param {Object} context.worldState - Current kit state
+ * @param {Object} context.registry - Identity registry
+ * @param {Object} context.submitted - SubmittedRecords index
+ * @param {Function} context.buildExcursion - buildExcursion(kitID, kitType, record) -> KitEvent|null
+ * @param {number} context.maxClockSkewSeconds - How far in the future a capture time may be
+ * @param {number} context.maxRecordAgeDays - How old a capture time may be
+ * @param {number} context.now - Current time in milliseconds
+ * @returns {Object} { results: [{ index, kitID, eventType, status, message }], block }
+ */
+function processBatch(items, {
+  blockchain,
+  worldState,
+  registry,
+  submitted,
+  buildExcursion = () => null,
+  maxClockSkewSeconds,
+  maxRecordAgeDays,
+  now = Date.now()
+}) {
+  const height = blockchain.height();
+  const records = [];
+  const batchSignatures = new Set();
+
+  // Scratch copy of the kits the batch touches, so later items see earlier ones applied
+  const pending = new WorldState(new EventEmitter());
+  const kitState = kitID => {
+    if (!pending.kits.has(kitID)) {
+      const kit = worldState.get(kitID);
+      if (kit) pending.kits.set(kitID, kit);
+    }
+    return pending.get(kitID);
+  };
+  const pendingBlock = { index: height, timestamp: new Date(now).toISOString() };
+
+  const results = items.map((item, index) => {
+    const isObject = item !== null && typeof item === 'object' && !Array.isArray(item);
+    const kitID = isObject ? item.kitID : undefined;
+    const eventType = isObject ? item.eventType || null : null;
+    const result = (status, message = null) => ({ index, kitID, eventType, status, message });
+
+    if (!isObject || !kitID) {
+      return result(BATCH_STATUS.REJECTED, 'Each item must be a kit or event record with a kitID');
+    }
+    if (!item.actorId || !item.signature) {
+      return result(BATCH_STATUS.REJECTED, 'Batch items must be signed by the field actor (actorId, signature)');
+    }
+    if (submitted.has(item.signature) || batchSignatures.has(item.signature)) {
+      return result(BATCH_STATUS.DUPLICATE, 'Already recorded');
+    }
+
+    const timeError = checkCaptureTime(item.timestamp, now, { maxClockSkewSeconds, maxRecordAgeDays });
+    if (timeError) {
+      return result(BATCH_STATUS.REJECTED, timeError);
+    }
+
+    const signer = registry.resolveSigner(item.actorId, height);
+    if (signer.error) {
+      return result(BATCH_STATUS.REJECTED, signer.error);
+    }
+
+    const kit = kitState(kitID);
+    let record;
+
+    if (!eventType) {
+      record = {};
+      KIT_FIELDS.forEach(field => {
+        if (item[field] !== undefined) record[field] = item[field];
+      });
+
+      const validation = validateMedicalKit(record, signer.publicKey);
+      const blocking = validation.errors.filter(error => (
+        error.rule !== 'temperatureRange' || typeof record.temperature !== 'number'
+      ));
+      if (blocking.length > 0) {
+        return result(BATCH_STATUS.REJECTED, blocking.map(error => error.message).join('; '));
+      }
+      if (kit) {
+        return result(BATCH_STATUS.CONFLICT, `Kit ${kitID} is already registered (status ${kit.status})`);
+      }
+    } else {
+      record = item;
+
+      const validation = validateEvent(record, signer.publicKey);
+      if (!validation.isValid) {
+        return result(BATCH_STATUS.REJECTED, validation.errors.join('; '));
+      }
+
+      const transition = checkTransition(kit ? kit.lifecycleStatus : null, eventType, {
+        compromised: kit ? kit.compromised : false
+      });
+      if (!transition.allowed) {
+        return result(BATCH_STATUS.CONFLICT, transition.error);
+      }
+      if (kit && kit.lastUpdatedAt && Date.parse(record.timestamp) < Date.parse(kit.lastUpdatedAt)) {
+        return result(BATCH_STATUS.CONFLICT, `Captured before the kit's latest recorded event (${kit.lastUpdatedAt})`);
+      }
+
+      if (eventType === EVENT_TYPES.HANDOVER) {
+        // Both custodians sign offline; the sender must still hold the kit when the batch lands
+        const problems = registry.verifyHandoverParties(record, height);
+        if (problems.length > 0) {
+          return result(BATCH_STATUS.REJECTED, `Handover ${problems.join('; ')}`);
+        }
+        if (registry.getActor(kit.custodian) && kit.custodian !== record.fromCustodian) {
+          return result(BATCH_STATUS.CONFLICT, `Kit ${kitID} is held by ${kit.custodian}, not ${record.fromCustodian}`);
+        }
+      }
+    }
+
+    // The field-signed record is always kept as captured; an out-of-range temperature adds
+    // an excursion event next to it
+    const excursion = buildExcursion(kitID, kit ? kit.type : record.type, record);
+    const written = excursion ? [record, excursion.toObject()] : [record];
+
+    written.forEach(entry => {
+      pending.applyRecord(entry, pendingBlock);
+      records.push(entry);
+    });
+    batchSignatures.add(item.signature);
+    return result(BATCH_STATUS.ACCEPTED, excursion ? 'Recorded with a temperature excursion' : null);
+  });
+
+  const block = records.length > 0 ? blockchain.addBlock(records) : null;
+  return { results, block };
+}
+
+module.exports = {
+  BATCH_STATUS,
+  SubmittedRecords,
+  checkCaptureTime,
+  processBatch
+};
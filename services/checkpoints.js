@@ -0,0 +1,157 @@
+// services/checkpoints.js - Periodic signed checkpoints of the local chain
+//
+// Every `intervalBlocks` blocks the node checkpoints the chain (contracts/checkpoint.js) and
+// signs it with its validator key. Other validators compute the same checkpoint and can add
+// their signatures. Checkpoints are kept in a JSON Lines file next to the ledger; a checkpoint
+// is never replaced, so one that a later reorganization contradicts stays on record.
+const fs = require('fs');
+const path = require('path');
+const { buildCheckpoint, signCheckpoint, verifyCheckpointSignatures } = require('../contracts/checkpoint');
+
+class Checkpointer {
+  /**
+   * Loads the stored checkpoints and starts checkpointing new blocks
+   * @param {Object} options - Checkpointer options
+   * @param {Object} options.blockchain - The Blockchain to checkpoint
+   * @param {Object} options.worldState - Live WorldState of the same chain, used when it is at the checkpoint height
+   * @param {Object} options.signer - This node's validator key pair { privateKey, publicKey }; checkpoints stay unsigned without it
+   * @param {Array<string>} options.trustedValidators - Validator public keys whose signatures may be added
+   * @param {number} options.intervalBlocks - Checkpoint every this many blocks (0 disables automatic checkpoints)
+   * @param {string} options.filePath - JSONL file holding the checkpoints
+   * @param {Function} options.onCheckpoint - Called with each automatic checkpoint once it is stored
+   */
+  constructor({ blockchain, worldState, signer = null, trustedValidators = [], intervalBlocks, filePath, onCheckpoint = null }) {
+    this.blockchain = blockchain;
+    this.worldState = worldState;
+    this.signer = signer;
+    this.trustedValidators = trustedValidators;
+    this.intervalBlocks = intervalBlocks;
+    this.filePath = filePath;
+    this.checkpoints = this.load();
+
+    if (intervalBlocks > 0) {
+      this.blockchain.on('block', block => {
+        const height = block.index + 1;
+        if (height % intervalBlocks === 0 && !this.checkpoints.has(height)) {
+          const checkpoint = this.create(height);
+          if (onCheckpoint) {
+            onCheckpoint(checkpoint);
+          }
+        }
+      });
+    }
+  }
+
+  /**
+   * Reads stored checkpoints, skipping lines that cannot be parsed
+   * @returns {Map<number, Object>} Height -> checkpoint
+   */
+  load() {
+    const checkpoints = new Map();
+    if (!fs.existsSync(this.filePath)) {
+      return checkpoints;
+    }
+
+    fs.readFileSync(this.filePath, 'utf8').split('\n').forEach((line, lineIndex) => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        const checkpoint = JSON.parse(line);
+        checkpoints.set(checkpoint.height, checkpoint);
+      } catch (error) {
+        console.warn(`⚠️  Skipping unreadable checkpoint on line ${lineIndex + 1} of ${this.filePath}`);
+      }
+    });
+    return checkpoints;
+  }
+
+  /**
+   * Writes every checkpoint to the file (write to a temp file, then rename)
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, this.list().map(checkpoint => JSON.stringify(checkpoint)).join('\n') + '\n');
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Checkpoints the chain at a height and signs it with this node's key
+   * @param {number} height - Number of blocks covered, defaults to the chain height
+   * @returns {Object} The checkpoint (the stored one if this height was checkpointed before)
+   */
+  create(height = this.blockchain.height()) {
+    const existing = this.checkpoints.get(height);
+    if (existing) {
+      return existing;
+    }
+
+    const worldState = this.worldState && this.worldState.appliedHeight === height ? this.worldState : undefined;
+    let checkpoint = buildCheckpoint(this.blockchain, height, worldState);
+    if (this.signer) {
+      checkpoint = signCheckpoint(checkpoint, this.signer);
+    }
+
+    this.checkpoints.set(height, checkpoint);
+    this.save();
+    return checkpoint;
+  }
+
+  /**
+   * Adds another validator's signature to a stored checkpoint
+   * @param {number} height - Checkpoint height
+   * @param {Object} entry - { signer (key fingerprint), signature } over the checkpoint payload
+   * @returns {Object} { checkpoint } with the signature added, or { error }
+   */
+  addSignature(height, { signer, signature } = {}) {
+    const checkpoint = this.checkpoints.get(height);
+    if (!checkpoint) {
+      return { error: `No checkpoint at height ${height}` };
+    }
+
+    const { signers, problems } = verifyCheckpointSignatures({ ...checkpoint, signatures: [{ signer, signature }] }, this.trustedValidators);
+    if (signers.length === 0) {
+      return { error: problems[0] || 'Signature is missing' };
+    }
+
+    const updated = {
+      ...checkpoint,
+      signatures: [...checkpoint.signatures.filter(existing => existing.signer !== signer), { signer, signature }]
+    };
+    this.checkpoints.set(height, updated);
+    this.save();
+    return { checkpoint: updated };
+  }
+
+  /**
+   * Gets one checkpoint
+   * @param {number} height - Checkpoint height
+   * @returns {Object|null} The checkpoint, or null if there is none at that height
+   */
+  get(height) {
+    return this.checkpoints.get(height) || null;
+  }
+
+  /**
+   * Lists checkpoints by height
+   * @returns {Array<Object>} Checkpoints in ascending height order
+   */
+  list() {
+    return Array.from(this.checkpoints.values()).sort((a, b) => a.height - b.height);
+  }
+
+  /**
+   * Checks whether the local chain still holds a checkpoint's head block
+   * @param {Object} checkpoint - Checkpoint
+   * @returns {boolean} True if block height - 1 has the checkpointed hash
+   */
+  matchesChain(checkpoint) {
+    const head = this.blockchain.getBlock(checkpoint.height - 1);
+    return Boolean(head) && head.hash === checkpoint.headHash;
+  }
+}
+
+module.exports = {
+  Checkpointer
+};
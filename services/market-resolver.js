@@ -0,0 +1,208 @@
+// services/market-resolver.js - Resolves prediction markets from their criteria as the ledger grows
+//
+// Markets with resolution criteria (contracts/resolution.js) are watched. Only final blocks are
+// read: a block becomes final once `confirmations` blocks sit on top of it, which the server sets
+// to the P2P maxReorgDepth, the deepest rollback a fork may cause. A market resolves YES or NO as
+// soon as a final block decides its criteria, so a block that a reorganization can still drop
+// never resolves (and pays out) a market. Deadlines run on the clock, not on blocks: trading
+// closes when the deadline passes, even if no block has been written since. Criteria still
+// undecided then resolve with the missing events counted as absent, after a grace period for
+// records captured before the deadline that offline field nodes have not yet submitted, and once
+// every block written by the end of the grace period is final. A market records how it was
+// resolved and the deciding block.
+const { blockRecords } = require('../contracts/block');
+const { observeRecord, evaluateCriteria } = require('../contracts/resolution');
+
+class MarketResolver {
+  /**
+   * Starts watching the chain for blocks that decide market criteria
+   * @param {Object} options - Resolver options
+   * @param {Object} options.blockchain - The Blockchain markets are resolved from
+   * @param {number} options.graceMinutes - Minutes after a deadline before undecided criteria resolve
+   * @param {number} options.confirmations - Blocks that must follow a block before it can resolve a market
+   * @param {Function} options.onResolve - Called with each market this resolver resolves
+   */
+  constructor({ blockchain, graceMinutes = 0, confirmations = 0, onResolve = () => {} }) {
+    this.blockchain = blockchain;
+    this.graceMinutes = graceMinutes;
+    this.confirmations = confirmations;
+    this.onResolve = onResolve;
+    this.watched = new Map(); // marketID -> { market, facts, context, closingHeight }
+    this.timer = null;
+
+    // Each new block makes the block `confirmations` below it final
+    this.blockchain.on('block', block => {
+      const final = block.index >= this.confirmations ? this.blockchain.getBlock(block.index - this.confirmations) : null;
+      for (const entry of this.unresolvedEntries()) {
+        (final && this.observe(entry, final)) || this.closeIfFinal(entry);
+      }
+    });
+    this.blockchain.on('reorg', () => {
+      for (const entry of this.unresolvedEntries()) {
+        this.scan(entry);
+      }
+    });
+  }
+
+  /**
+   * Watches a market with criteria, reading the chain so far; it may resolve right away
+   * @param {Object} market - PredictionMarket with criteria
+   */
+  watch(market) {
+    if (!market.criteriaTree) {
+      throw new Error(`Market ${market.marketID} has no resolution criteria`);
+    }
+
+    const entry = {
+      market,
+      facts: new Map(),
+      context: { kitID: market.kitID, deadline: Date.parse(market.deadline) },
+      closingHeight: null
+    };
+    this.watched.set(market.marketID, entry);
+    this.scan(entry) || this.checkDeadline(entry, Date.now());
+  }
+
+  /**
+   * Watched markets that are not resolved yet; markets resolved by other means are dropped
+   * @returns {Array<Object>} Watch entries
+   */
+  unresolvedEntries() {
+    const entries = [];
+    for (const [marketID, entry] of this.watched) {
+      if (entry.market.status !== 'RESOLVED') {
+        entries.push(entry);
+      } else {
+        this.watched.delete(marketID);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Number of blocks at the start of the chain that no reorganization can drop
+   * @returns {number} Height of the final part of the chain
+   */
+  finalHeight() {
+    return Math.max(0, this.blockchain.height() - this.confirmations);
+  }
+
+  /**
+   * Re-reads the final part of the chain for one market
+   * @param {Object} entry - Watch entry
+   * @returns {boolean} True if the market was resolved
+   */
+  scan(entry) {
+    entry.facts = new Map();
+    for (const block of this.blockchain.iterate(0, this.finalHeight())) {
+      if (this.observe(entry, block)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Applies one block to a market's criteria and resolves the market if the block decides them
+   * @param {Object} entry - Watch entry
+   * @param {Object} block - Final block on the chain
+   * @returns {boolean} True if the market was resolved
+   */
+  observe(entry, block) {
+    const { market, facts, context } = entry;
+    blockRecords(block).forEach(record => observeRecord(market.criteriaTree, record, block, facts, context));
+
+    const met = evaluateCriteria(market.criteriaTree, facts, false);
+    if (met === null) {
+      return false;
+    }
+    this.resolve(entry, met, { trigger: 'BLOCK', blockIndex: block.index });
+    return true;
+  }
+
+  /**
+   * Closes a market to trading once its deadline has passed. After the grace period it
+   * resolves as soon as the blocks written by then are final.
+   * @param {Object} entry - Watch entry
+   * @param {number} now - Current time in epoch milliseconds
+   * @returns {boolean} True if the market was resolved
+   */
+  checkDeadline(entry, now) {
+    if (now <= entry.context.deadline) {
+      return false;
+    }
+    entry.market.close();
+    if (now <= entry.context.deadline + this.graceMinutes * 60000) {
+      return false;
+    }
+    if (entry.closingHeight === null) {
+      entry.closingHeight = this.blockchain.height();
+    }
+    return this.closeIfFinal(entry);
+  }
+
+  /**
+   * Resolves a closed market from its facts once the chain is final up to its closing height
+   * @param {Object} entry - Watch entry
+   * @returns {boolean} True if the market was resolved
+   */
+  closeIfFinal(entry) {
+    if (entry.closingHeight === null || this.finalHeight() < entry.closingHeight) {
+      return false;
+    }
+    const met = evaluateCriteria(entry.market.criteriaTree, entry.facts, true);
+    const finalHeight = this.finalHeight();
+    this.resolve(entry, met, { trigger: 'DEADLINE', blockIndex: finalHeight > 0 ? finalHeight - 1 : null });
+    return true;
+  }
+
+  /**
+   * Closes every watched market whose deadline has passed and resolves those that are due
+   * @param {number} now - Current time in epoch milliseconds
+   * @returns {Array<Object>} Markets resolved
+   */
+  checkDeadlines(now = Date.now()) {
+    return this.unresolvedEntries()
+      .filter(entry => this.checkDeadline(entry, now))
+      .map(entry => entry.market);
+  }
+
+  /**
+   * Resolves a market YES or NO and stops watching it
+   * @param {Object} entry - Watch entry
+   * @param {boolean} met - Whether the criteria were met
+   * @param {Object} details - { trigger, blockIndex } recorded on the market
+   */
+  resolve(entry, met, details) {
+    const { market } = entry;
+    this.watched.delete(market.marketID);
+    try {
+      market.resolve(met ? 'YES' : 'NO', details);
+      this.onResolve(market);
+    } catch (error) {
+      console.error(`Could not resolve market ${market.marketID}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Checks deadlines on a timer
+   * @param {number} intervalSeconds - Seconds between checks
+   */
+  start(intervalSeconds) {
+    this.timer = setInterval(() => this.checkDeadlines(), intervalSeconds * 1000);
+    this.timer.unref();
+    this.checkDeadlines();
+  }
+
+  /**
+   * Stops the deadline timer
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  MarketResolver
+};
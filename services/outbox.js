@@ -0,0 +1,141 @@
+// services/outbox.js - Durable outbox of records a field node signed while offline
+//
+// The outbox is a JSON Lines file, one { id, queuedAt, record } entry per line, appended
+// and fsynced as each record is signed so nothing is lost if the node restarts or loses
+// power. After a batch is submitted, accepted and duplicate entries are dropped, and
+// rejected and conflicting ones move to `<outbox>.rejected.jsonl` with the HQ's answer for
+// an operator to review. Entries HQ did not answer stay queued for the next attempt.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class Outbox {
+  /**
+   * Opens (or creates) the outbox file and loads the queued entries
+   * @param {string} filePath - Outbox JSONL file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.rejectedPath = filePath.replace(/\.jsonl$/, '') + '.rejected.jsonl';
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.entries = this.load();
+  }
+
+  /**
+   * Reads the queued entries. A line left half-written by a crash is skipped and the file
+   * rewritten without it, so the next append starts on a clean line.
+   * @returns {Array<Object>} Entries in the order they were queued
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    let damaged = false;
+    const entries = fs.readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          console.warn(`⚠️  Skipping unreadable outbox line in ${this.filePath}`);
+          damaged = true;
+          return null;
+        }
+      })
+      .filter(Boolean);
+
+    if (damaged) {
+      this.entries = entries;
+      this.rewrite();
+    }
+    return entries;
+  }
+
+  /**
+   * Queues a signed record
+   * @param {Object} record - Signed kit or event record
+   * @returns {Object} The outbox entry { id, queuedAt, record }
+   */
+  add(record) {
+    const entry = { id: crypto.randomUUID(), queuedAt: new Date().toISOString(), record };
+    appendLines(this.filePath, [entry]);
+    this.entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * Lists queued entries
+   * @returns {Array<Object>} Entries in the order they were queued
+   */
+  pending() {
+    return this.entries.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Applies HQ's per-item answer to a submitted batch
+   * @param {Array<Object>} submitted - The entries that were sent, in batch order
+   * @param {Array<Object>} results - HQ results ({ index, status, message }), index into `submitted`
+   * @returns {Object} { removed, rejected } counts
+   */
+  settle(submitted, results) {
+    const settledIds = new Set();
+    const rejected = [];
+
+    results.forEach(result => {
+      const entry = submitted[result.index];
+      if (!entry) return;
+
+      if (result.status === 'accepted' || result.status === 'duplicate') {
+        settledIds.add(entry.id);
+      } else if (result.status === 'rejected' || result.status === 'conflict') {
+        settledIds.add(entry.id);
+        rejected.push({ ...entry, settledAt: new Date().toISOString(), result });
+      }
+    });
+
+    if (rejected.length > 0) {
+      appendLines(this.rejectedPath, rejected);
+    }
+
+    this.entries = this.entries.filter(entry => !settledIds.has(entry.id));
+    this.rewrite();
+    return { removed: settledIds.size - rejected.length, rejected: rejected.length };
+  }
+
+  /**
+   * Replaces the outbox file with the remaining entries (write to a temp file, then rename)
+   */
+  rewrite() {
+    const tempPath = `${this.filePath}.tmp`;
+    const contents = this.entries.map(entry => JSON.stringify(entry)).join('\n');
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(fd, contents ? `${contents}\n` : '');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+/**
+ * Appends JSON lines to a file and fsyncs them
+ * @param {string} filePath - Target file
+ * @param {Array<Object>} values - Values to append, one per line
+ */
+function appendLines(filePath, values) {
+  const fd = fs.openSync(filePath, 'a');
+  try {
+    fs.writeSync(fd, values.map(value => JSON.stringify(value)).join('\n') + '\n');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = {
+  Outbox
+};
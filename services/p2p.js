@@ -0,0 +1,585 @@
+// services/p2p.js - Ledger synchronization between hub nodes over HTTP
+//
+// Every node serves its chain to peers and pulls theirs:
+//   GET  /p2p/height               -> { networkId, height, tipHash, genesisHash }
+//   GET  /p2p/blocks?from=&limit=  -> { from, height, blocks }  (blocks from index `from`, at most `limit`)
+//   POST /p2p/announce             <- { block, from }  a block the peer at `from` just wrote
+//
+// A block taken from a peer is appended only after it passes the same checks as /audit
+// (auditBlock: hashes, link, trusted validator signature, record signatures against the
+// identity registry as of that block, and on a proof-of-authority chain the proposer and a
+// quorum of validator commits). Unlike a local audit, it never accepts an unsigned
+// legacy block: every block from a peer must be signed by a trusted validator.
+//
+// Fork rule: when two valid chains share a prefix and then differ, the longer one wins.
+// Between chains of equal length, the one whose first block after the shared prefix has
+// the lower hash wins, so every node settles on the same branch. A node only rolls back
+// blocks that are at most maxReorgDepth below its tip, and never replaces block 0: a deeper
+// fork, or a peer with a different genesis, is reported and left to an operator. Local
+// blocks that lose are appended to the orphan log so their records can be re-submitted.
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const Blockchain = require('../contracts/ledger');
+const { auditBlock, validatorIndex } = require('../contracts/block');
+const { ValidatorSet } = require('../contracts/consensus');
+
+/**
+ * Read-only view of a chain's first blocks with a candidate branch held in memory on top,
+ * used to check a peer's fork without touching the local ledger
+ */
+class BranchStorage {
+  /**
+   * Creates a branch that shares the first `forkHeight` blocks of a base storage
+   * @param {Object} base - The local ledger storage
+   * @param {number} forkHeight - Number of blocks shared with the base
+   */
+  constructor(base, forkHeight) {
+    this.base = base;
+    this.forkHeight = forkHeight;
+    this.blocks = [];
+  }
+
+  /**
+   * Number of blocks on the branch
+   * @returns {number} The branch height
+   */
+  height() {
+    return this.forkHeight + this.blocks.length;
+  }
+
+  /**
+   * Reads a single block from the shared prefix or the branch
+   * @param {number} index - Block index
+   * @returns {Object|null} The block, or null if it does not exist
+   */
+  getBlock(index) {
+    if (index < this.forkHeight) {
+      return this.base.getBlock(index);
+    }
+    return this.blocks[index - this.forkHeight] || null;
+  }
+
+  /**
+   * Iterates over blocks in index order
+   * @param {number} from - First block index (inclusive)
+   * @param {number} to - Last block index (exclusive), defaults to the height
+   * @returns {Iterator<Object>} Blocks in ascending index order
+   */
+  *iterate(from = 0, to = this.height()) {
+    const end = Math.min(to, this.height());
+    for (let index = Math.max(from, 0); index < end; index++) {
+      yield this.getBlock(index);
+    }
+  }
+
+  /**
+   * Appends a block to the branch
+   * @param {Object} block - Block whose index must equal the branch height
+   */
+  append(block) {
+    if (block.index !== this.height()) {
+      throw new Error(`Cannot append block ${block.index}: expected index ${this.height()}`);
+    }
+    this.blocks.push(block);
+  }
+}
+
+/**
+ * Creates the HTTP client a node uses to talk to its peers
+ * @param {Object} options - Client options
+ * @param {string} options.apiKey - Key sent as X-API-Key; peers must map it to the "peer" role
+ * @param {number} options.timeoutMs - Request timeout
+ * @returns {Object} { height(peerUrl), blocks(peerUrl, from, limit), announce(peerUrl, block, from) }
+ */
+function createHttpClient({ apiKey, timeoutMs = 5000 } = {}) {
+  const http = axios.create({
+    timeout: timeoutMs,
+    headers: apiKey ? { 'X-API-Key': apiKey } : {}
+  });
+
+  return {
+    height: async peerUrl => (await http.get(`${peerUrl}/p2p/height`)).data,
+    blocks: async (peerUrl, from, limit) => (await http.get(`${peerUrl}/p2p/blocks`, { params: { from, limit } })).data.blocks,
+    announce: async (peerUrl, block, from) => (await http.post(`${peerUrl}/p2p/announce`, { block, from })).data
+  };
+}
+
+/**
+ * Strips trailing slashes so peer URLs compare equal however they were configured
+ * @param {string} url - Peer base URL
+ * @returns {string} Normalized URL
+ */
+function normalizeUrl(url) {
+  return String(url).trim().replace(/\/+$/, '');
+}
+
+class PeerNode {
+  /**
+   * Creates the peer service for a node's chain
+   * @param {Object} options - Peer options
+   * @param {Object} options.blockchain - The local Blockchain
+   * @param {Object} options.registry - Live IdentityRegistry over the local chain
+   * @param {Function} options.createRegistry - Builds a fresh, unsynced registry over another chain: createRegistry(chain)
+   * @param {Object} options.validatorSet - Live ValidatorSet over the local chain; one is built when omitted
+   * @param {Array<string>} options.trustedValidators - Validator public keys whose blocks are accepted
+   * @param {Array<string>} options.peers - Peer base URLs, e.g. http://hub-b:3000
+   * @param {string} options.selfUrl - This node's base URL, sent with announcements
+   * @param {Object} options.client - Peer client (see createHttpClient)
+   * @param {number} options.maxReorgDepth - Deepest rollback a fork may cause
+   * @param {number} options.batchSize - Blocks requested per /p2p/blocks call
+   * @param {string} options.orphanPath - JSONL file that receives local blocks lost to a fork
+   */
+  constructor({
+    blockchain,
+    registry,
+    createRegistry,
+    validatorSet = null,
+    trustedValidators = [],
+    peers = [],
+    selfUrl = null,
+    client = createHttpClient(),
+    maxReorgDepth = 20,
+    batchSize = 100,
+    orphanPath = null
+  }) {
+    this.blockchain = blockchain;
+    this.registry = registry;
+    this.createRegistry = createRegistry;
+    this.validatorSet = validatorSet;
+    if (!this.validatorSet) {
+      this.validatorSet = new ValidatorSet(blockchain);
+      this.validatorSet.rebuild();
+    }
+    this.trusted = validatorIndex(trustedValidators);
+    this.peers = peers.map(normalizeUrl).filter(Boolean);
+    this.selfUrl = selfUrl ? normalizeUrl(selfUrl) : null;
+    this.client = client;
+    this.maxReorgDepth = maxReorgDepth;
+    this.batchSize = batchSize;
+    this.orphanPath = orphanPath;
+
+    this.peerStatus = new Map(this.peers.map(url => [url, { url, height: null, lastSyncAt: null, lastError: null }]));
+    this.pendingSync = null;
+    this.applyingRemote = false;
+    this.timer = null;
+    this.onLocalBlock = block => {
+      if (!this.applyingRemote) {
+        this.announce(block);
+      }
+    };
+  }
+
+  /**
+   * Starts announcing locally written blocks and syncing with every peer on an interval
+   * @param {number} intervalSeconds - Seconds between sync rounds
+   */
+  start(intervalSeconds) {
+    this.blockchain.on('block', this.onLocalBlock);
+    this.timer = setInterval(() => this.syncAll(), intervalSeconds * 1000);
+    this.timer.unref();
+    this.syncAll();
+  }
+
+  /**
+   * Stops announcing and syncing
+   */
+  stop() {
+    this.blockchain.removeListener('block', this.onLocalBlock);
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Describes the local chain for GET /p2p/height
+   * @returns {Object} { networkId, height, tipHash, genesisHash }
+   */
+  status() {
+    const chainParams = this.blockchain.getChainParams();
+    const genesis = this.blockchain.getBlock(0);
+    const tip = this.blockchain.getLatestBlock();
+    return {
+      networkId: chainParams ? chainParams.networkId : null,
+      height: this.blockchain.height(),
+      tipHash: tip ? tip.hash : null,
+      genesisHash: genesis ? genesis.hash : null
+    };
+  }
+
+  /**
+   * Reads a run of local blocks for GET /p2p/blocks
+   * @param {number} from - First block index
+   * @param {number} limit - Maximum number of blocks, capped at the batch size
+   * @returns {Array<Object>} Blocks in index order
+   */
+  blocksFrom(from, limit = this.batchSize) {
+    const count = Math.min(Math.max(limit, 1), this.batchSize);
+    return Array.from(this.blockchain.iterate(from, from + count));
+  }
+
+  /**
+   * Runs the /audit checks on a block received from a peer. A peer's block must always carry
+   * a trusted validator signature: unsigned legacy blocks are only ever read from local storage.
+   * @param {Object} block - Candidate block
+   * @param {Object|null} previousBlock - The block it must follow
+   * @param {Object} registry - Identity registry synced up to previousBlock
+   * @param {Object} validatorSet - Validator set synced up to previousBlock
+   * @returns {Array<Object>} Issues found; empty when the block may be appended
+   */
+  checkBlock(block, previousBlock, registry, validatorSet) {
+    if (!block || typeof block !== 'object' || !Number.isInteger(block.index)) {
+      return [{ atBlock: null, message: 'Malformed block' }];
+    }
+    return auditBlock(block, previousBlock, {
+      trusted: this.trusted,
+      allowUnsignedLegacy: false,
+      verifyRecords: candidate => [
+        ...registry.verifyBlockRecords(candidate),
+        ...(validatorSet.enforces(candidate.index) ? validatorSet.verifyBlock(candidate) : [])
+      ]
+    });
+  }
+
+  /**
+   * Appends peer blocks that extend the local tip, checking each against the chain as
+   * extended by the ones before it. Stops at the first block that fails.
+   * @param {Array<Object>} blocks - Consecutive blocks starting at the local height
+   * @returns {Object} { appended, issues }
+   */
+  extend(blocks) {
+    let appended = 0;
+
+    for (const block of blocks) {
+      const issues = this.checkBlock(block, this.blockchain.getLatestBlock(), this.registry, this.validatorSet);
+      if (issues.length > 0) {
+        return { appended, issues };
+      }
+      this.appendRemote(block);
+      appended++;
+    }
+
+    return { appended, issues: [] };
+  }
+
+  /**
+   * Appends an already checked block without announcing it back to the peers
+   * @param {Object} block - The block to append
+   */
+  appendRemote(block) {
+    this.applyingRemote = true;
+    try {
+      this.blockchain.appendBlock(block);
+    } finally {
+      this.applyingRemote = false;
+    }
+  }
+
+  /**
+   * Handles POST /p2p/announce: appends the block if it extends the tip, otherwise syncs
+   * with the announcing peer in the background
+   * @param {Object} block - Announced block
+   * @param {string} from - Base URL of the announcing peer
+   * @returns {Object} { status: 'appended'|'known'|'syncing'|'ignored'|'rejected', issues? }
+   */
+  receiveAnnouncement(block, from) {
+    if (!block || !Number.isInteger(block.index)) {
+      return { status: 'rejected', issues: [{ atBlock: null, message: 'Malformed block' }] };
+    }
+
+    const height = this.blockchain.height();
+    if (block.index < height && this.blockchain.getBlock(block.index).hash === block.hash) {
+      return { status: 'known' };
+    }
+
+    if (block.index === height) {
+      const tip = this.blockchain.getLatestBlock();
+      const { appended, issues } = this.extend([block]);
+      if (appended === 1) {
+        return { status: 'appended' };
+      }
+      // A block that links to our tip and still fails is bad; one that does not may be on a competing branch
+      if (!tip || block.previousHash === tip.hash) {
+        return { status: 'rejected', issues };
+      }
+    }
+
+    // A gap or a competing block: only a configured peer is trusted to serve the branch
+    const peerUrl = from ? normalizeUrl(from) : null;
+    if (!peerUrl || !this.peerStatus.has(peerUrl)) {
+      return { status: 'ignored' };
+    }
+    this.syncWithPeer(peerUrl).catch(error => this.recordPeerError(peerUrl, error));
+    return { status: 'syncing' };
+  }
+
+  /**
+   * Pushes a locally written block to every peer; failures are only logged, since peers
+   * catch up in their next sync round anyway
+   * @param {Object} block - The new block
+   */
+  announce(block) {
+    this.peers.forEach(peerUrl => {
+      this.client.announce(peerUrl, block, this.selfUrl).catch(error => this.recordPeerError(peerUrl, error));
+    });
+  }
+
+  /**
+   * Syncs with every peer in turn; concurrent calls share the round in progress
+   * @returns {Promise<void>} Resolves when the round is over
+   */
+  syncAll() {
+    if (!this.pendingSync) {
+      this.pendingSync = (async () => {
+        for (const peerUrl of this.peers) {
+          try {
+            await this.syncWithPeer(peerUrl);
+          } catch (error) {
+            this.recordPeerError(peerUrl, error);
+          }
+        }
+      })().finally(() => {
+        this.pendingSync = null;
+      });
+    }
+    return this.pendingSync;
+  }
+
+  /**
+   * Brings the local chain up to date with one peer
+   * @param {string} peerUrl - Peer base URL
+   * @returns {Promise<Object>} { appended, reorgedFrom } describing what changed
+   */
+  async syncWithPeer(peerUrl) {
+    const remote = await this.client.height(peerUrl);
+    const local = this.status();
+    const peer = this.peerStatus.get(peerUrl);
+    if (peer) {
+      peer.height = remote.height;
+    }
+
+    if (local.networkId && remote.networkId && local.networkId !== remote.networkId) {
+      throw new Error(`Peer is on network ${remote.networkId}, not ${local.networkId}`);
+    }
+    if (local.genesisHash && remote.genesisHash && local.genesisHash !== remote.genesisHash) {
+      throw new Error('Peer has a different genesis block');
+    }
+
+    const sharedHeight = await this.findSharedHeight(peerUrl, local.height, remote.height);
+    let result = { appended: 0, reorgedFrom: null };
+
+    if (sharedHeight < local.height) {
+      // Either the peer is behind us, or the chains diverge after the shared prefix
+      if (sharedHeight < remote.height) {
+        result = await this.resolveFork(peerUrl, sharedHeight, remote.height);
+      }
+      if (result.reorgedFrom === null) {
+        this.markSynced(peerUrl);
+        return result;
+      }
+    }
+
+    result.appended += await this.download(peerUrl, remote.height);
+    this.markSynced(peerUrl);
+    return result;
+  }
+
+  /**
+   * Finds how many leading blocks the local chain shares with a peer, looking back at most
+   * maxReorgDepth blocks below the lower of the two tips
+   * @param {string} peerUrl - Peer base URL
+   * @param {number} localHeight - Local chain height
+   * @param {number} remoteHeight - Peer chain height
+   * @returns {Promise<number>} Shared prefix length
+   */
+  async findSharedHeight(peerUrl, localHeight, remoteHeight) {
+    const top = Math.min(localHeight, remoteHeight);
+    if (top === 0) {
+      return 0;
+    }
+
+    // Usually the chains agree at the lower tip and one of them is just longer
+    const [tipBlock] = await this.client.blocks(peerUrl, top - 1, 1);
+    if (tipBlock && tipBlock.hash === this.blockchain.getBlock(top - 1).hash) {
+      return top;
+    }
+
+    const bottom = Math.max(0, top - this.maxReorgDepth - 1);
+    const remoteBlocks = await this.fetchRange(peerUrl, bottom, top);
+    for (let index = top - 1; index >= bottom; index--) {
+      const remoteBlock = remoteBlocks[index - bottom];
+      if (remoteBlock && remoteBlock.hash === this.blockchain.getBlock(index).hash) {
+        return index + 1;
+      }
+    }
+
+    if (bottom === 0) {
+      throw new Error('Peer shares no blocks with this node');
+    }
+    throw new Error(`Fork is more than ${this.maxReorgDepth} blocks deep; resolve it manually`);
+  }
+
+  /**
+   * Fetches blocks [from, to) from a peer in batches
+   * @param {string} peerUrl - Peer base URL
+   * @param {number} from - First block index
+   * @param {number} to - End index (exclusive)
+   * @returns {Promise<Array<Object>>} The blocks
+   */
+  async fetchRange(peerUrl, from, to) {
+    const blocks = [];
+    while (from + blocks.length < to) {
+      const start = from + blocks.length;
+      const batch = await this.client.blocks(peerUrl, start, Math.min(this.batchSize, to - start));
+      if (!Array.isArray(batch) || batch.length === 0) {
+        break;
+      }
+      blocks.push(...batch);
+    }
+    return blocks;
+  }
+
+  /**
+   * Appends a peer's blocks from the local height up to its height, batch by batch
+   * @param {string} peerUrl - Peer base URL
+   * @param {number} remoteHeight - Peer chain height
+   * @returns {Promise<number>} Number of blocks appended
+   */
+  async download(peerUrl, remoteHeight) {
+    let appended = 0;
+
+    while (this.blockchain.height() < remoteHeight) {
+      const from = this.blockchain.height();
+      const batch = await this.client.blocks(peerUrl, from, Math.min(this.batchSize, remoteHeight - from));
+      if (!Array.isArray(batch) || batch.length === 0) {
+        break;
+      }
+      if (this.blockchain.height() !== from) {
+        // The local chain moved while the batch was in flight; the next round picks up
+        break;
+      }
+
+      const result = this.extend(batch);
+      appended += result.appended;
+      if (result.issues.length > 0) {
+        throw new Error(`Rejected block ${result.issues[0].atBlock}: ${result.issues[0].message}`);
+      }
+    }
+
+    return appended;
+  }
+
+  /**
+   * Applies the fork rule against a peer whose chain leaves ours after `sharedHeight`
+   * blocks. The peer's branch is checked on a scratch chain first; the local ledger is
+   * only rolled back once the branch is known to be valid and to win.
+   * @param {string} peerUrl - Peer base URL
+   * @param {number} sharedHeight - Length of the shared prefix
+   * @param {number} remoteHeight - Peer chain height
+   * @returns {Promise<Object>} { appended, reorgedFrom } (reorgedFrom null when the local branch is kept)
+   */
+  async resolveFork(peerUrl, sharedHeight, remoteHeight) {
+    const localHeight = this.blockchain.height();
+    const localTipHash = this.blockchain.getLatestBlock().hash;
+    const kept = { appended: 0, reorgedFrom: null };
+
+    if (sharedHeight === 0) {
+      throw new Error('Peer has a different genesis block');
+    }
+    if (localHeight - sharedHeight > this.maxReorgDepth) {
+      throw new Error(`Fork is more than ${this.maxReorgDepth} blocks deep; resolve it manually`);
+    }
+    if (remoteHeight < localHeight) {
+      return kept;
+    }
+
+    // Enough of the peer's branch to decide: one block past our tip, or equal length on a tie
+    const branchEnd = Math.min(remoteHeight, localHeight + 1);
+    const branch = await this.fetchRange(peerUrl, sharedHeight, branchEnd);
+    if (branch.length !== branchEnd - sharedHeight) {
+      throw new Error('Peer did not serve its whole branch');
+    }
+
+    if (branchEnd === localHeight && !(branch[0].hash < this.blockchain.getBlock(sharedHeight).hash)) {
+      return kept;
+    }
+
+    const scratch = new Blockchain({ storage: new BranchStorage(this.blockchain.storage, sharedHeight) });
+    const scratchRegistry = this.createRegistry(scratch);
+    scratchRegistry.rebuild();
+    const scratchValidators = new ValidatorSet(scratch);
+    scratchValidators.rebuild();
+    for (const block of branch) {
+      const issues = this.checkBlock(block, scratch.getLatestBlock(), scratchRegistry, scratchValidators);
+      if (issues.length > 0) {
+        throw new Error(`Peer branch is invalid at block ${issues[0].atBlock}: ${issues[0].message}`);
+      }
+      scratch.appendBlock(block);
+    }
+
+    // Nothing below may await: the rollback and re-append happen as one step
+    const latest = this.blockchain.getLatestBlock();
+    if (this.blockchain.height() !== localHeight || latest.hash !== localTipHash) {
+      throw new Error('Local chain changed while the fork was being checked; retrying next round');
+    }
+
+    this.writeOrphans(Array.from(this.blockchain.iterate(sharedHeight, localHeight)), peerUrl);
+    this.blockchain.truncate(sharedHeight);
+    branch.forEach(block => this.appendRemote(block));
+    console.warn(`⚠️  Fork resolved in favour of ${peerUrl}: replaced blocks ${sharedHeight}-${localHeight - 1}`);
+
+    return { appended: branch.length, reorgedFrom: sharedHeight };
+  }
+
+  /**
+   * Keeps local blocks that lost a fork, one JSON line per block
+   * @param {Array<Object>} blocks - The blocks being rolled back
+   * @param {string} peerUrl - Peer whose branch won
+   */
+  writeOrphans(blocks, peerUrl) {
+    if (!this.orphanPath || blocks.length === 0) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.orphanPath), { recursive: true });
+    const orphanedAt = new Date().toISOString();
+    const lines = blocks.map(block => JSON.stringify({ orphanedAt, replacedBy: peerUrl, block })).join('\n');
+    fs.appendFileSync(this.orphanPath, `${lines}\n`, 'utf8');
+  }
+
+  /**
+   * Notes a successful sync with a peer
+   * @param {string} peerUrl - Peer base URL
+   */
+  markSynced(peerUrl) {
+    const peer = this.peerStatus.get(peerUrl);
+    if (peer) {
+      peer.lastSyncAt = new Date().toISOString();
+      peer.lastError = null;
+    }
+  }
+
+  /**
+   * Notes and logs a failed exchange with a peer
+   * @param {string} peerUrl - Peer base URL
+   * @param {Error} error - What went wrong
+   */
+  recordPeerError(peerUrl, error) {
+    const peer = this.peerStatus.get(peerUrl);
+    if (peer) {
+      peer.lastError = error.message;
+    }
+    console.warn(`⚠️  P2P ${peerUrl}: ${error.message}`);
+  }
+
+  /**
+   * Lists the configured peers and how the last exchange with each went
+   * @returns {Array<Object>} { url, height, lastSyncAt, lastError } per peer
+   */
+  listPeers() {
+    return Array.from(this.peerStatus.values(), peer => ({ ...peer }));
+  }
+}
+
+module.exports = {
+  PeerNode,
+  createHttpClient
+};
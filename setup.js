@@ -8,7 +8,6 @@ const directories = [
   'config',
   'ledger-data',
   path.join('identity', 'icrc-hq'),
-  path.join('identity', 'suppliers'),
   'contracts',
   'logs'
 ];
@@ -0,0 +1,124 @@
+// storage/file-storage.js - One-JSON-file-per-block ledger storage backend
+const fs = require('fs');
+const path = require('path');
+
+const BLOCK_FILE_PATTERN = /^block_(\d+)\.json$/;
+
+class FileStorage {
+  /**
+   * Creates a storage backend that keeps each block in ledgerPath/block_N.json
+   * @param {string} ledgerPath - Directory holding the block files
+   */
+  constructor(ledgerPath) {
+    this.ledgerPath = ledgerPath;
+
+    // Create ledger directory if it doesn't exist
+    if (!fs.existsSync(this.ledgerPath)) {
+      fs.mkdirSync(this.ledgerPath, { recursive: true });
+    }
+
+    // Scan the directory once; after this the height is tracked in memory
+    this.blockCount = this.scanHeight();
+  }
+
+  /**
+   * Finds the number of blocks on disk from the highest block_N.json file
+   * @returns {number} Highest block index + 1, or 0 for an empty ledger
+   */
+  scanHeight() {
+    let maxIndex = -1;
+
+    fs.readdirSync(this.ledgerPath).forEach(file => {
+      const match = file.match(BLOCK_FILE_PATTERN);
+      if (match) {
+        maxIndex = Math.max(maxIndex, parseInt(match[1], 10));
+      }
+    });
+
+    return maxIndex + 1;
+  }
+
+  /**
+   * Builds the file path for a block index
+   * @param {number} index - Block index
+   * @returns {string} Absolute path of the block file
+   */
+  blockPath(index) {
+    return path.join(this.ledgerPath, `block_${index}.json`);
+  }
+
+  /**
+   * Number of blocks stored
+   * @returns {number} The chain height
+   */
+  height() {
+    return this.blockCount;
+  }
+
+  /**
+   * Reads a single block
+   * @param {number} index - Block index
+   * @returns {Object|null} The block, or null if it does not exist
+   */
+  getBlock(index) {
+    if (index < 0 || index >= this.blockCount) {
+      return null;
+    }
+
+    const filePath = this.blockPath(index);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Iterates over blocks in index order
+   * @param {number} from - First block index (inclusive)
+   * @param {number} to - Last block index (exclusive), defaults to the height
+   * @returns {Iterator<Object>} Blocks in ascending index order
+   */
+  *iterate(from = 0, to = this.blockCount) {
+    const end = Math.min(to, this.blockCount);
+    for (let index = Math.max(from, 0); index < end; index++) {
+      const block = this.getBlock(index);
+      if (block) {
+        yield block;
+      }
+    }
+  }
+
+  /**
+   * Appends a block to the end of the chain
+   * @param {Object} block - Block whose index must equal the current height
+   */
+  append(block) {
+    if (block.index !== this.blockCount) {
+      throw new Error(`Cannot append block ${block.index}: expected index ${this.blockCount}`);
+    }
+
+    fs.writeFileSync(this.blockPath(block.index), JSON.stringify(block, null, 2), 'utf8');
+    this.blockCount++;
+  }
+
+  /**
+   * Drops the blocks from a height onwards. Files are removed from the tip down, so an
+   * interrupted truncate still leaves a contiguous chain.
+   * @param {number} height - New chain height; blocks with index >= height are removed
+   */
+  truncate(height) {
+    if (!Number.isInteger(height) || height < 0 || height > this.blockCount) {
+      throw new Error(`Cannot truncate to height ${height}: chain has ${this.blockCount} blocks`);
+    }
+
+    for (let index = this.blockCount - 1; index >= height; index--) {
+      fs.rmSync(this.blockPath(index), { force: true });
+      this.blockCount = index;
+    }
+  }
+}
+
+module.exports = {
+  FileStorage
+};
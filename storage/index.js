@@ -0,0 +1,39 @@
+// storage/index.js - Ledger storage backends
+//
+// Every backend implements the same interface used by contracts/ledger.js:
+//   height()             -> number of blocks stored
+//   getBlock(index)      -> block object or null
+//   iterate(from, to)    -> blocks with from <= index < to, in order
+//   append(block)        -> stores block; block.index must equal height()
+//   truncate(height)     -> drops every block with index >= height (fork resolution)
+const { FileStorage } = require('./file-storage');
+const { MemoryStorage } = require('./memory-storage');
+const { SegmentStorage } = require('./segment-storage');
+
+/**
+ * Creates a storage backend by name
+ * @param {Object} options - Storage options
+ * @param {string} options.backend - 'file', 'segment' or 'memory'
+ * @param {string} options.ledgerPath - Directory for disk-based backends
+ * @param {number} options.segmentMaxBytes - Segment rotation size for the 'segment' backend
+ * @returns {Object} A storage backend instance
+ */
+function createStorage({ backend = 'file', ledgerPath, segmentMaxBytes } = {}) {
+  switch (backend) {
+    case 'file':
+      return new FileStorage(ledgerPath);
+    case 'segment':
+      return new SegmentStorage(ledgerPath, { segmentMaxBytes });
+    case 'memory':
+      return new MemoryStorage();
+    default:
+      throw new Error(`Unknown ledger storage backend: ${backend}`);
+  }
+}
+
+module.exports = {
+  createStorage,
+  FileStorage,
+  MemoryStorage,
+  SegmentStorage
+};
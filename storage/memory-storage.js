@@ -0,0 +1,72 @@
+// storage/memory-storage.js - In-memory ledger storage backend (tests and throwaway nodes)
+
+class MemoryStorage {
+  /**
+   * Creates an empty in-memory chain
+   * @param {Array<Object>} blocks - Optional blocks to preload, in index order
+   */
+  constructor(blocks = []) {
+    this.blocks = [];
+    blocks.forEach(block => this.append(block));
+  }
+
+  /**
+   * Number of blocks stored
+   * @returns {number} The chain height
+   */
+  height() {
+    return this.blocks.length;
+  }
+
+  /**
+   * Reads a single block
+   * @param {number} index - Block index
+   * @returns {Object|null} A copy of the block, or null if it does not exist
+   */
+  getBlock(index) {
+    const block = this.blocks[index];
+    return block ? JSON.parse(block) : null;
+  }
+
+  /**
+   * Iterates over blocks in index order
+   * @param {number} from - First block index (inclusive)
+   * @param {number} to - Last block index (exclusive), defaults to the height
+   * @returns {Iterator<Object>} Blocks in ascending index order
+   */
+  *iterate(from = 0, to = this.blocks.length) {
+    const end = Math.min(to, this.blocks.length);
+    for (let index = Math.max(from, 0); index < end; index++) {
+      yield this.getBlock(index);
+    }
+  }
+
+  /**
+   * Appends a block to the end of the chain
+   * @param {Object} block - Block whose index must equal the current height
+   */
+  append(block) {
+    if (block.index !== this.blocks.length) {
+      throw new Error(`Cannot append block ${block.index}: expected index ${this.blocks.length}`);
+    }
+
+    // Store serialized so callers cannot mutate history through a shared reference
+    this.blocks.push(JSON.stringify(block));
+  }
+
+  /**
+   * Drops the blocks from a height onwards
+   * @param {number} height - New chain height; blocks with index >= height are removed
+   */
+  truncate(height) {
+    if (!Number.isInteger(height) || height < 0 || height > this.blocks.length) {
+      throw new Error(`Cannot truncate to height ${height}: chain has ${this.blocks.length} blocks`);
+    }
+
+    this.blocks.length = height;
+  }
+}
+
+module.exports = {
+  MemoryStorage
+};
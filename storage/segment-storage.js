@@ -0,0 +1,339 @@
+// storage/segment-storage.js - Append-only segment log ledger storage backend
+//
+// On-disk layout inside the ledger directory:
+//   segments.json              - manifest (format, version, segment size limit)
+//   segments/segment-N.log     - newline-delimited JSON blocks, append-only
+//   blocks.idx                 - fixed-width index, one 12-byte entry per block:
+//                                uint32 segment | uint32 byte offset | uint32 byte length
+//
+// A block is durable once both its segment bytes and its index entry are fsynced.
+// On open, index entries that point past the end of a segment and segment bytes
+// that no index entry covers (a crash mid-append) are discarded.
+const fs = require('fs');
+const path = require('path');
+
+const FORMAT = 'icrc-segment-log';
+const FORMAT_VERSION = 1;
+const INDEX_ENTRY_SIZE = 12;
+const DEFAULT_SEGMENT_MAX_BYTES = 16 * 1024 * 1024;
+
+/**
+ * Flushes a directory entry (new or renamed files) to disk where the platform allows it
+ * @param {string} dirPath - Directory to sync
+ */
+function fsyncDirectory(dirPath) {
+  let fd;
+  try {
+    fd = fs.openSync(dirPath, 'r');
+    fs.fsyncSync(fd);
+  } catch (error) {
+    // Directories cannot be opened for fsync on some platforms (e.g. Windows)
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+/**
+ * Atomically replaces a file: write to a temp file, fsync, then rename over the target
+ * @param {string} filePath - Destination file
+ * @param {string|Buffer} contents - New file contents
+ */
+function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.tmp`;
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filePath);
+  fsyncDirectory(path.dirname(filePath));
+}
+
+class SegmentStorage {
+  /**
+   * Opens (or creates) a segment log in ledgerPath and recovers from any interrupted append
+   * @param {string} ledgerPath - Directory holding the manifest, index and segments
+   * @param {Object} options - Backend options
+   * @param {number} options.segmentMaxBytes - Size at which a new segment file is started
+   */
+  constructor(ledgerPath, options = {}) {
+    this.ledgerPath = ledgerPath;
+    this.segmentDir = path.join(ledgerPath, 'segments');
+    this.indexPath = path.join(ledgerPath, 'blocks.idx');
+    this.manifestPath = path.join(ledgerPath, 'segments.json');
+
+    fs.mkdirSync(this.segmentDir, { recursive: true });
+
+    this.manifest = this.loadManifest(options.segmentMaxBytes || DEFAULT_SEGMENT_MAX_BYTES);
+    this.index = this.recover();
+    this.openForAppend();
+  }
+
+  /**
+   * Positions appends after the last indexed block and opens the index for appending
+   */
+  openForAppend() {
+    this.blockCount = this.index.length / INDEX_ENTRY_SIZE;
+
+    // Append position: continue the last indexed segment, or start segment 0
+    if (this.blockCount > 0) {
+      const last = this.readIndexEntry(this.blockCount - 1);
+      this.currentSegment = last.segment;
+      this.currentSize = last.offset + last.length;
+    } else {
+      this.currentSegment = 0;
+      this.currentSize = 0;
+    }
+
+    this.indexFd = fs.openSync(this.indexPath, 'a');
+    this.segmentFd = null;
+  }
+
+  /**
+   * Reads the manifest, writing a new one for an empty directory
+   * @param {number} segmentMaxBytes - Segment size limit for a new log
+   * @returns {Object} The manifest
+   */
+  loadManifest(segmentMaxBytes) {
+    if (fs.existsSync(this.manifestPath)) {
+      const manifest = JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+      if (manifest.format !== FORMAT || manifest.version !== FORMAT_VERSION) {
+        throw new Error(`Unsupported segment log format: ${manifest.format} v${manifest.version}`);
+      }
+      return manifest;
+    }
+
+    const manifest = {
+      format: FORMAT,
+      version: FORMAT_VERSION,
+      segmentMaxBytes,
+      createdAt: new Date().toISOString()
+    };
+    writeFileAtomic(this.manifestPath, JSON.stringify(manifest, null, 2));
+    return manifest;
+  }
+
+  /**
+   * Builds the file path of a segment
+   * @param {number} segment - Segment number
+   * @returns {string} Absolute path of the segment file
+   */
+  segmentPath(segment) {
+    return path.join(this.segmentDir, `segment-${String(segment).padStart(6, '0')}.log`);
+  }
+
+  /**
+   * Loads the index and discards anything a crash left half-written
+   * @returns {Buffer} The valid index entries
+   */
+  recover() {
+    let index = fs.existsSync(this.indexPath) ? fs.readFileSync(this.indexPath) : Buffer.alloc(0);
+    const originalLength = index.length;
+
+    // Drop a torn trailing entry
+    index = index.subarray(0, index.length - (index.length % INDEX_ENTRY_SIZE));
+
+    // Drop entries whose bytes never made it into their segment
+    const segmentSizes = new Map();
+    const sizeOf = segment => {
+      if (!segmentSizes.has(segment)) {
+        const segmentPath = this.segmentPath(segment);
+        segmentSizes.set(segment, fs.existsSync(segmentPath) ? fs.statSync(segmentPath).size : -1);
+      }
+      return segmentSizes.get(segment);
+    };
+
+    let validEntries = index.length / INDEX_ENTRY_SIZE;
+    while (validEntries > 0) {
+      const entryOffset = (validEntries - 1) * INDEX_ENTRY_SIZE;
+      const segment = index.readUInt32BE(entryOffset);
+      const end = index.readUInt32BE(entryOffset + 4) + index.readUInt32BE(entryOffset + 8);
+      if (sizeOf(segment) >= end) break;
+      validEntries--;
+    }
+    index = index.subarray(0, validEntries * INDEX_ENTRY_SIZE);
+
+    if (index.length !== originalLength) {
+      writeFileAtomic(this.indexPath, index);
+    }
+
+    // Trim unindexed bytes from the tail segment and remove segments past it
+    const lastSegment = validEntries > 0 ? index.readUInt32BE((validEntries - 1) * INDEX_ENTRY_SIZE) : 0;
+    const lastEnd = validEntries > 0
+      ? index.readUInt32BE((validEntries - 1) * INDEX_ENTRY_SIZE + 4) + index.readUInt32BE((validEntries - 1) * INDEX_ENTRY_SIZE + 8)
+      : 0;
+
+    fs.readdirSync(this.segmentDir).forEach(file => {
+      const match = file.match(/^segment-(\d+)\.log$/);
+      if (!match) return;
+
+      const segment = parseInt(match[1], 10);
+      const segmentPath = path.join(this.segmentDir, file);
+      if (segment > lastSegment) {
+        fs.unlinkSync(segmentPath);
+      } else if (segment === lastSegment && fs.statSync(segmentPath).size > lastEnd) {
+        fs.truncateSync(segmentPath, lastEnd);
+      }
+    });
+
+    return Buffer.from(index);
+  }
+
+  /**
+   * Decodes one index entry
+   * @param {number} index - Block index
+   * @returns {Object} { segment, offset, length }
+   */
+  readIndexEntry(index) {
+    const entryOffset = index * INDEX_ENTRY_SIZE;
+    return {
+      segment: this.index.readUInt32BE(entryOffset),
+      offset: this.index.readUInt32BE(entryOffset + 4),
+      length: this.index.readUInt32BE(entryOffset + 8)
+    };
+  }
+
+  /**
+   * Number of blocks stored
+   * @returns {number} The chain height
+   */
+  height() {
+    return this.blockCount;
+  }
+
+  /**
+   * Reads a single block
+   * @param {number} index - Block index
+   * @returns {Object|null} The block, or null if it does not exist
+   */
+  getBlock(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.blockCount) {
+      return null;
+    }
+
+    const { segment, offset, length } = this.readIndexEntry(index);
+    const buffer = Buffer.alloc(length);
+    const fd = fs.openSync(this.segmentPath(segment), 'r');
+    try {
+      fs.readSync(fd, buffer, 0, length, offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    return JSON.parse(buffer.toString('utf8'));
+  }
+
+  /**
+   * Iterates over blocks in index order
+   * @param {number} from - First block index (inclusive)
+   * @param {number} to - Last block index (exclusive), defaults to the height
+   * @returns {Iterator<Object>} Blocks in ascending index order
+   */
+  *iterate(from = 0, to = this.blockCount) {
+    const end = Math.min(to, this.blockCount);
+    for (let index = Math.max(from, 0); index < end; index++) {
+      yield this.getBlock(index);
+    }
+  }
+
+  /**
+   * Appends a block to the end of the chain, rotating to a new segment when the current one is full
+   * @param {Object} block - Block whose index must equal the current height
+   */
+  append(block) {
+    if (block.index !== this.blockCount) {
+      throw new Error(`Cannot append block ${block.index}: expected index ${this.blockCount}`);
+    }
+
+    const record = Buffer.from(JSON.stringify(block) + '\n', 'utf8');
+
+    if (this.currentSize > 0 && this.currentSize + record.length > this.manifest.segmentMaxBytes) {
+      this.closeSegment();
+      this.currentSegment++;
+      this.currentSize = 0;
+    }
+
+    if (this.segmentFd === null) {
+      const isNewSegment = !fs.existsSync(this.segmentPath(this.currentSegment));
+      this.segmentFd = fs.openSync(this.segmentPath(this.currentSegment), 'a');
+      if (isNewSegment) {
+        fsyncDirectory(this.segmentDir);
+      }
+    }
+
+    // 1. Block bytes must be durable before the index points at them
+    fs.writeSync(this.segmentFd, record);
+    fs.fsyncSync(this.segmentFd);
+
+    // 2. Index entry commits the block
+    const entry = Buffer.alloc(INDEX_ENTRY_SIZE);
+    entry.writeUInt32BE(this.currentSegment, 0);
+    entry.writeUInt32BE(this.currentSize, 4);
+    entry.writeUInt32BE(record.length, 8);
+    fs.writeSync(this.indexFd, entry);
+    fs.fsyncSync(this.indexFd);
+
+    this.ensureIndexCapacity(this.blockCount + 1);
+    entry.copy(this.index, this.blockCount * INDEX_ENTRY_SIZE);
+    this.currentSize += record.length;
+    this.blockCount++;
+  }
+
+  /**
+   * Drops the blocks from a height onwards. The shortened index is committed first; the
+   * segment bytes it no longer covers are then trimmed exactly as after a crash.
+   * @param {number} height - New chain height; blocks with index >= height are removed
+   */
+  truncate(height) {
+    if (!Number.isInteger(height) || height < 0 || height > this.blockCount) {
+      throw new Error(`Cannot truncate to height ${height}: chain has ${this.blockCount} blocks`);
+    }
+    if (height === this.blockCount) return;
+
+    this.close();
+    writeFileAtomic(this.indexPath, this.index.subarray(0, height * INDEX_ENTRY_SIZE));
+    this.index = this.recover();
+    this.openForAppend();
+  }
+
+  /**
+   * Grows the in-memory index buffer geometrically so appends stay O(1) amortized
+   * @param {number} entries - Number of entries the buffer must hold
+   */
+  ensureIndexCapacity(entries) {
+    const required = entries * INDEX_ENTRY_SIZE;
+    if (this.index.length >= required) return;
+
+    const grown = Buffer.alloc(Math.max(required, this.index.length * 2, 1024 * INDEX_ENTRY_SIZE));
+    this.index.copy(grown, 0, 0, this.blockCount * INDEX_ENTRY_SIZE);
+    this.index = grown;
+  }
+
+  /**
+   * Closes the open segment file handle
+   */
+  closeSegment() {
+    if (this.segmentFd !== null) {
+      fs.closeSync(this.segmentFd);
+      this.segmentFd = null;
+    }
+  }
+
+  /**
+   * Releases all file handles
+   */
+  close() {
+    this.closeSegment();
+    if (this.indexFd !== null) {
+      fs.closeSync(this.indexFd);
+      this.indexFd = null;
+    }
+  }
+}
+
+module.exports = {
+  SegmentStorage,
+  DEFAULT_SEGMENT_MAX_BYTES
+};
@@ -58,7 +58,10 @@ async function testNetworkAccess() {
             temperature: Math.floor(2 + Math.random() * 7), // Random temp between 2-8
             location: locations[Math.floor(Math.random() * locations.length)] // Random location
         };
-        const response = await axios.post('http://localhost:3000/add-kit', newKit);
+        // An unsigned kit is signed with the HQ key, which needs an admin credential: set TEST_API_KEY to an admin key from API_KEYS
+        const response = await axios.post('http://localhost:3000/add-kit', newKit, {
+            headers: { 'X-API-Key': process.env.TEST_API_KEY || '' }
+        });
         console.log("✅ API Response:", response.data.message);
 
     } catch (error) {
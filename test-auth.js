@@ -0,0 +1,69 @@
+// test-auth.js - Test script for API authentication and role checks
+const { ROLES, signToken, verifyToken, parseApiKeys, createAuth } = require('./middleware/auth');
+
+console.log('--- Starting API Auth Test ---');
+
+const secret = 'test-secret';
+const { authenticate, requireRoles } = createAuth({
+    jwtSecret: secret,
+    apiKeys: parseApiKeys('hub-laptop-3:hub-operator:k3y'),
+    anonymousRoles: [ROLES.READ_ONLY]
+});
+
+/**
+ * Runs a request with the given headers through authenticate and a role guard
+ * @param {Object} headers - Request headers (lower-case names)
+ * @param {Array<string>} roles - Roles the route accepts
+ * @returns {Object} { status, principal } where status is 200 when the route would run
+ */
+function call(headers, roles) {
+    const req = { get: name => headers[name.toLowerCase()] };
+    let status = 200;
+    const res = { status: code => { status = code; return { json: () => {} }; } };
+    let passed = false;
+    authenticate(req, res, () => requireRoles(...roles)(req, res, () => { passed = true; }));
+    return { status: passed ? 200 : status, principal: req.principal };
+}
+
+try {
+    // 1. Tokens round-trip; tampered, expired and unsigned ("alg": "none") tokens are rejected
+    const token = signToken({ sub: 'alice', roles: [ROLES.FORECASTER] }, secret);
+    if (verifyToken(token, secret).sub !== 'alice') throw new Error('Token did not verify');
+    const rejected = [
+        token.slice(0, -2) + 'xx',
+        signToken({ sub: 'alice' }, secret, { expiresInSeconds: -1 }),
+        `${Buffer.from('{"alg":"none"}').toString('base64url')}.${token.split('.')[1]}.`
+    ].filter(bad => { try { verifyToken(bad, secret); return false; } catch (error) { return true; } });
+    if (rejected.length !== 3) throw new Error('A tampered, expired or unsigned token was accepted');
+    console.log('✅ JWTs verify; tampered, expired and alg=none tokens are rejected');
+
+    // 2. Routes admit only the roles they declare; admin passes everywhere
+    const checks = [
+        [{}, [ROLES.READ_ONLY], 200],
+        [{}, [ROLES.HUB_OPERATOR], 401],
+        [{ 'x-api-key': 'k3y' }, [ROLES.HUB_OPERATOR], 200],
+        [{ 'x-api-key': 'wrong' }, [ROLES.READ_ONLY], 401],
+        [{ authorization: `Bearer ${token}` }, [ROLES.FORECASTER], 200],
+        [{ authorization: `Bearer ${token}` }, [ROLES.ADMIN], 403],
+        [{ authorization: `Bearer ${signToken({ sub: 'root', roles: [ROLES.ADMIN] }, secret)}` }, [ROLES.HUB_OPERATOR], 200]
+    ];
+    checks.forEach(([headers, roles, expected]) => {
+        const { status } = call(headers, roles);
+        if (status !== expected) {
+            throw new Error(`${JSON.stringify(headers)} on a ${roles} route gave ${status}, expected ${expected}`);
+        }
+    });
+    console.log(`✅ ${checks.length} role checks give the expected 200/401/403`);
+
+    // 3. The principal, not the request body, names the caller
+    const { principal } = call({ 'x-api-key': 'k3y' }, [ROLES.HUB_OPERATOR]);
+    if (principal.id !== 'hub-laptop-3' || principal.type !== 'api-key') {
+        throw new Error(`Unexpected principal: ${JSON.stringify(principal)}`);
+    }
+    console.log('✅ API key principal:', principal.id, principal.roles.join(', '));
+
+    console.log('\n⭐⭐⭐ API AUTH TEST PASSED');
+} catch (error) {
+    console.error('❌ API auth test failed:', error.message);
+    process.exitCode = 1;
+}
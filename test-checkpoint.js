@@ -0,0 +1,134 @@
+// test-checkpoint.js - Test script for signed checkpoints and auditing against an archived one
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const Blockchain = require('./contracts/ledger');
+const { MemoryStorage } = require('./storage');
+const { MedicalKit } = require('./contracts/asset');
+const { WorldState } = require('./contracts/world-state');
+const {
+    buildCheckpoint, signCheckpoint, computeStateRoot, stateAtHeight, verifyCheckpointSignatures, verifyAgainstCheckpoint
+} = require('./contracts/checkpoint');
+const { Checkpointer } = require('./services/checkpoints');
+const cryptoUtil = require('./identity/crypto-util');
+const config = require('./config/default');
+
+console.log('--- Starting Checkpoint Test ---');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'icrc-checkpoint-'));
+const validatorA = cryptoUtil.generateKeyPair();
+const validatorB = cryptoUtil.generateKeyPair();
+const outsider = cryptoUtil.generateKeyPair();
+const kit = (n, temperature = 5) => new MedicalKit(`KIT-C${n}`, 'Vaccine', 'Geneva', temperature, 'Geneva Warehouse', validatorA.privateKey).toObject();
+
+/**
+ * Runs bin/audit-ledger.js against a ledger directory
+ * @param {string} ledgerPath - Ledger directory
+ * @param {Array<string>} args - Extra arguments
+ * @returns {Object} { status, output }
+ */
+function runAudit(ledgerPath, args) {
+    const env = {
+        ...process.env,
+        LEDGER_PATH: ledgerPath,
+        LEDGER_BACKEND: 'file',
+        KEYSTORE_PATH: path.join(dir, 'no-keystore.json'),
+        HQ_PUBLIC_KEY: validatorA.publicKey,
+        TRUSTED_VALIDATORS: [validatorA.publicKey, validatorB.publicKey].join(',')
+    };
+    try {
+        return { status: 0, output: execFileSync(process.execPath, ['bin/audit-ledger.js', ...args], { env, encoding: 'utf8', timeout: 60000 }) };
+    } catch (error) {
+        return { status: error.status, output: `${error.stdout}${error.stderr}` };
+    }
+}
+
+try {
+    const ledgerPath = path.join(dir, 'ledger');
+    const blockchain = new Blockchain({ ledgerPath, signer: validatorA });
+    const worldState = new WorldState(blockchain);
+    worldState.rebuild();
+    const announced = [];
+    const checkpoints = new Checkpointer({
+        blockchain,
+        worldState,
+        signer: validatorA,
+        trustedValidators: [validatorA.publicKey, validatorB.publicKey],
+        intervalBlocks: 3,
+        filePath: path.join(ledgerPath, 'checkpoints.jsonl'),
+        onCheckpoint: checkpoint => announced.push(checkpoint.height)
+    });
+
+    // 1. A signed checkpoint is taken every 3 blocks
+    blockchain.createGenesis({ validator: { id: 'ICRC-HQ', publicKey: validatorA.publicKey }, config });
+    for (let n = 1; n <= 6; n++) blockchain.addBlock(kit(n));
+    const heights = checkpoints.list().map(checkpoint => checkpoint.height);
+    const six = checkpoints.get(6);
+    if (heights.join() !== '3,6' || announced.join() !== '3,6' || six.headHash !== blockchain.getBlock(5).hash || six.stateRoot !== computeStateRoot(stateAtHeight(blockchain, 6))) {
+        throw new Error(`Unexpected checkpoints: ${JSON.stringify(checkpoints.list())}`);
+    }
+    if (verifyCheckpointSignatures(six, [validatorA.publicKey]).signers.length !== 1 || !checkpoints.matchesChain(six)) {
+        throw new Error('Checkpoint is not signed by validator A');
+    }
+    console.log(`✅ Checkpoints taken at heights ${heights.join(', ')}, signed by validator A`);
+
+    // 2. Another validator computes the same checkpoint on its own copy and adds its signature
+    const copy = new Blockchain({ storage: new MemoryStorage() });
+    for (const block of blockchain.iterate()) copy.appendBlock(block);
+    const signedByB = signCheckpoint(buildCheckpoint(copy, 6), validatorB);
+    const added = checkpoints.addSignature(6, signedByB.signatures[0]);
+    const foreign = checkpoints.addSignature(6, signCheckpoint(buildCheckpoint(copy, 6), outsider).signatures[0]);
+    const reloaded = new Checkpointer({ blockchain, intervalBlocks: 0, filePath: path.join(ledgerPath, 'checkpoints.jsonl') });
+    if (added.error || !foreign.error || reloaded.get(6).signatures.length !== 2) {
+        throw new Error(`Signatures not combined: ${added.error || 'outsider accepted'}`);
+    }
+    console.log('✅ Validator B\'s independent checkpoint signature combined; an outsider\'s refused:', foreign.error);
+
+    // A damaged line in the checkpoint file is skipped, not fatal
+    fs.appendFileSync(path.join(ledgerPath, 'checkpoints.jsonl'), '{"height": 9, "headHa\n');
+    const damaged = new Checkpointer({ blockchain, intervalBlocks: 0, filePath: path.join(ledgerPath, 'checkpoints.jsonl') });
+    if (damaged.list().map(checkpoint => checkpoint.height).join() !== '3,6') {
+        throw new Error('Checkpoints not reloaded around a damaged line');
+    }
+    console.log('✅ A damaged checkpoint line is skipped on load');
+
+    // 3. The exported file verifies against the chain, which has grown since
+    for (let n = 7; n <= 8; n++) blockchain.addBlock(kit(n));
+    const exportPath = path.join(dir, 'checkpoint-6.json');
+    fs.writeFileSync(exportPath, JSON.stringify(checkpoints.get(6), null, 2));
+    const clean = runAudit(ledgerPath, ['--against-checkpoint', exportPath]);
+    if (clean.status !== 0 || !clean.output.includes('CHECKPOINT VERIFIED')) {
+        throw new Error(`Audit against the checkpoint failed on an honest chain:\n${clean.output}`);
+    }
+    console.log('✅ bin/audit-ledger.js --against-checkpoint verifies the grown chain');
+
+    // 4. A quietly rewritten history (re-hashed and re-signed, so it audits clean on its own) is caught
+    const rewrittenPath = path.join(dir, 'rewritten');
+    const rewritten = new Blockchain({ ledgerPath: rewrittenPath, signer: validatorA });
+    for (const block of blockchain.iterate(0, 2)) rewritten.appendBlock(block);
+    rewritten.addBlock(kit(2, 30));
+    for (const block of blockchain.iterate(3)) rewritten.addBlock(block.data);
+    const problems = verifyAgainstCheckpoint(rewritten, checkpoints.get(6));
+    const caught = runAudit(rewrittenPath, ['--against-checkpoint', exportPath]);
+    const plain = runAudit(rewrittenPath, []);
+    if (!problems[0] || !problems[0].includes('differs from the checkpointed') || plain.status !== 0 || caught.status !== 1 || !caught.output.includes('CHECKPOINT MISMATCH')) {
+        throw new Error(`Rewritten history not caught: ${JSON.stringify(problems)}\n${caught.output}`);
+    }
+    console.log('✅ Rewritten history passes a plain audit but fails against the checkpoint:', problems[0].substring(0, 60) + '...');
+
+    // 5. An edited checkpoint file no longer carries a valid signature
+    const edited = { ...checkpoints.get(6), stateRoot: computeStateRoot(stateAtHeight(rewritten, 6)) };
+    const editedCheck = verifyCheckpointSignatures(edited, [validatorA.publicKey, validatorB.publicKey]);
+    if (editedCheck.signers.length !== 0 || editedCheck.problems.length !== 2) {
+        throw new Error('Edited checkpoint still verifies');
+    }
+    console.log('✅ Edited checkpoint rejected:', editedCheck.problems[0]);
+
+    console.log('\n⭐⭐⭐ CHECKPOINT TEST PASSED');
+} catch (error) {
+    console.error('❌ Checkpoint test failed:', error.message);
+    process.exitCode = 1;
+} finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,286 @@
+// test-consensus.js - Test script for proof-of-authority consensus with a faulty and an offline validator
+const Blockchain = require('./contracts/ledger');
+const { MemoryStorage } = require('./storage');
+const { createBlock, signBlock, auditChain } = require('./contracts/block');
+const {
+    GOVERNANCE_ACTIONS, commitMessage, createGovernanceRecord, approveGovernance, ValidatorSet, PoAValidator
+} = require('./contracts/consensus');
+const cryptoUtil = require('./identity/crypto-util');
+const config = require('./config/default');
+const { PeerNode } = require('./services/p2p');
+
+console.log('--- Starting PoA Consensus Test ---');
+
+const ids = ['icrc-geneva', 'icrc-nairobi', 'icrc-amman', 'icrc-bogota'];
+const keys = Object.fromEntries([...ids, 'icrc-dakar'].map(id => [id, cryptoUtil.generateKeyPair()]));
+const chainConfig = {
+    ...config,
+    genesisBlock: { ...config.genesisBlock, networkId: 'poa-test', validators: ids.map(id => ({ id, publicKey: keys[id].publicKey })) }
+};
+
+// N in-process validators, each with its own ledger. Messages are direct calls; an offline
+// validator neither proposes nor votes, and a faulty one proposes forks and votes for anything.
+class Harness {
+    constructor(validatorIds) {
+        this.nodes = new Map();
+        this.offline = new Set();
+        this.faulty = new Set();
+
+        const founder = this.createNode(validatorIds[0]);
+        founder.blockchain.createGenesis({ validator: { id: validatorIds[0], publicKey: keys[validatorIds[0]].publicKey }, config: chainConfig });
+        validatorIds.slice(1).forEach(id => this.join(id));
+    }
+
+    createNode(id) {
+        const blockchain = new Blockchain({ storage: new MemoryStorage(), signer: keys[id] });
+        const validatorSet = new ValidatorSet(blockchain);
+        const node = { id, blockchain, validatorSet, validator: new PoAValidator({ blockchain, validatorSet, id, keys: keys[id] }) };
+        this.nodes.set(id, node);
+        return node;
+    }
+
+    // A new or returning validator copies the committed blocks it missed, checking each one
+    join(id) {
+        const node = this.nodes.get(id) || this.createNode(id);
+        const source = this.nodes.get(ids[0]).blockchain;
+        if (node.blockchain.height() === 0) {
+            node.blockchain.appendBlock(source.getBlock(0));
+            node.validatorSet.rebuild();
+        }
+        for (const block of source.iterate(node.blockchain.height())) {
+            const result = node.validator.commit(block);
+            if (result.error) throw new Error(`${id} could not catch up at block ${block.index}: ${result.error}`);
+        }
+        return node;
+    }
+
+    online() {
+        return [...this.nodes.values()].filter(node => !this.offline.has(node.id));
+    }
+
+    proposal(node, data, round) {
+        if (!this.faulty.has(node.id)) {
+            return node.validator.propose(data, round);
+        }
+        // A faulty proposer tries to fork away the latest block
+        const block = node.validator.propose(data, round);
+        const grandparent = node.blockchain.getBlock(block.index - 2);
+        return { ...signBlock(createBlock({ index: block.index, previousHash: grandparent.hash, data }), keys[node.id]), round, commits: [] };
+    }
+
+    vote(node, block) {
+        if (this.faulty.has(node.id)) {
+            return { signer: cryptoUtil.getKeyFingerprint(keys[node.id].publicKey), signature: cryptoUtil.signData(commitMessage('poa-test', block), keys[node.id].privateKey) };
+        }
+        return node.validator.vote(block);
+    }
+
+    // Runs rounds at the next height until a proposal gathers a quorum of commits
+    produce(data) {
+        const online = this.online();
+        const set = online[0].validatorSet.current();
+        const refusals = [];
+
+        for (let round = 0; round < set.validators.length * 2; round++) {
+            const proposer = this.nodes.get(online[0].validator.proposer(round).id);
+            if (!proposer || this.offline.has(proposer.id)) {
+                refusals.push(`round ${round}: ${online[0].validator.proposer(round).id} offline`);
+                continue;
+            }
+
+            const block = this.proposal(proposer, data, round);
+            const votes = online.map(node => this.vote(node, block));
+            const commits = votes.filter(vote => !vote.error);
+            votes.filter(vote => vote.error).forEach(vote => refusals.push(`round ${round}: ${vote.error}`));
+            if (commits.length < set.quorum) {
+                continue;
+            }
+
+            const committed = { ...block, commits };
+            online.forEach(node => {
+                const result = node.validator.commit(committed);
+                if (result.error) throw new Error(`${node.id} refused committed block ${committed.index}: ${result.error}`);
+            });
+            return { block: committed, proposer: proposer.id, refusals };
+        }
+        throw new Error(`No quorum at height ${online[0].blockchain.height()}: ${refusals.join(' | ')}`);
+    }
+
+    tips() {
+        return new Set(this.online().map(node => node.blockchain.getLatestBlock().hash));
+    }
+}
+
+const record = n => ({ kitID: `KIT-P${n}`, type: 'Vaccine', origin: 'Geneva', location: 'Geneva', timestamp: new Date().toISOString() });
+const approved = (action, validator, epoch, approvers) => approvers.reduce(
+    (governance, id) => approveGovernance(governance, keys[id]), createGovernanceRecord(action, validator, epoch)
+);
+
+try {
+    const network = new Harness(ids);
+    const geneva = network.nodes.get('icrc-geneva');
+
+    // 1. Genesis defines the validator set and the quorum
+    const set = geneva.validatorSet.current();
+    if (geneva.blockchain.getChainParams().consensus.validators.length !== 4 || set.quorum !== 3 || set.epoch !== 0) {
+        throw new Error(`Unexpected genesis validator set: ${JSON.stringify(set)}`);
+    }
+    console.log(`✅ Genesis names ${set.validators.length} validators; quorum is ${set.quorum}`);
+
+    // 2. Proposers rotate by height when every validator is healthy
+    const proposers = [1, 2, 3, 4].map(n => network.produce(record(n)));
+    const expected = ['icrc-nairobi', 'icrc-amman', 'icrc-bogota', 'icrc-geneva'];
+    if (proposers.map(result => result.proposer).join() !== expected.join() || proposers.some(result => result.block.round !== 0) || network.tips().size !== 1) {
+        throw new Error(`Proposers did not rotate: ${proposers.map(result => `${result.proposer}@${result.block.round}`).join(', ')}`);
+    }
+    console.log('✅ Proposer rotates by height:', proposers.map(result => result.proposer).join(' → '));
+
+    // 3. With one validator offline, its turn passes to the next round and blocks still commit
+    network.offline.add('icrc-amman');
+    network.produce(record(5));
+    const skipped = network.produce(record(6));
+    if (skipped.block.index !== 6 || skipped.block.round !== 1 || skipped.proposer !== 'icrc-bogota' || skipped.block.commits.length !== 3) {
+        throw new Error(`Offline proposer not skipped: ${skipped.proposer} round ${skipped.block.round}`);
+    }
+    network.offline.delete('icrc-amman');
+    network.join('icrc-amman');
+    if (network.tips().size !== 1) {
+        throw new Error('Returning validator did not catch up to the same tip');
+    }
+    console.log('✅ Offline proposer skipped after a round change; it catches up when back online');
+
+    // 4. A faulty validator's forking proposal is refused and the next round's proposer takes over
+    network.faulty.add('icrc-bogota');
+    const afterFork = network.produce(record(7));
+    if (afterFork.block.index !== 7 || afterFork.proposer !== 'icrc-geneva' || afterFork.block.round !== 1 || network.tips().size !== 1) {
+        throw new Error(`Forking proposal was not refused: ${afterFork.proposer} round ${afterFork.block.round}`);
+    }
+    console.log('✅ Faulty proposer\'s fork refused by honest validators:', afterFork.refusals[0]);
+
+    // 5. A commit without a quorum is refused, even with the same signature repeated
+    const proposer = network.nodes.get(geneva.validator.proposer(0).id);
+    const proposal = proposer.validator.propose(record(8), 0);
+    const faultyVote = network.vote(network.nodes.get('icrc-bogota'), proposal);
+    const short = geneva.validator.commit({ ...proposal, commits: [faultyVote, faultyVote, faultyVote] });
+    if (!short.error || !short.error.includes('1 valid commit(s); quorum is 3')) {
+        throw new Error(`Block without a quorum was committed: ${JSON.stringify(short)}`);
+    }
+    console.log('✅ Block with one distinct commit refused:', short.error);
+
+    // 6. A validator signs at most one block per height and round
+    const amman = network.nodes.get('icrc-amman');
+    const first = amman.validator.vote(proposal);
+    const second = amman.validator.vote(proposer.validator.propose([record(8), record(9)], 0));
+    if (first.error || !second.error || !second.error.includes('already voted')) {
+        throw new Error('Validator voted for two blocks in the same round');
+    }
+    console.log('✅ Validator refuses to vote for a second block in the same round');
+
+    // A vote left over from before a peer sync moved the tip does not block the next height
+    const lagging = new Harness(ids);
+    const laggard = lagging.nodes.get('icrc-amman');
+    const early = lagging.nodes.get(laggard.validator.proposer(0).id).validator.propose(record(20), 0);
+    laggard.validator.vote(early);
+    lagging.offline.add('icrc-amman');
+    laggard.blockchain.appendBlock(lagging.produce(record(21)).block);
+    lagging.offline.delete('icrc-amman');
+    const nextHeight = laggard.validator.vote(lagging.nodes.get(laggard.validator.proposer(0).id).validator.propose(record(22), 0));
+    if (nextHeight.error) {
+        throw new Error(`Stale vote blocked the next height: ${nextHeight.error}`);
+    }
+    console.log('✅ Votes are kept per height and round, so a synced validator votes at the next height');
+
+    // 7. With two honest validators offline, the faulty one's votes cannot make up a quorum
+    network.offline.add('icrc-nairobi');
+    network.offline.add('icrc-amman');
+    const height = geneva.blockchain.height();
+    let stalled = null;
+    try {
+        network.produce(record(10));
+    } catch (error) {
+        stalled = error.message;
+    }
+    if (!stalled || !stalled.startsWith('No quorum') || geneva.blockchain.height() !== height) {
+        throw new Error('A block was committed without a quorum');
+    }
+    network.offline.clear();
+    console.log('✅ No block commits while only 1 of 4 validators is honest and online');
+
+    // 8. Governance: adding a validator needs a quorum of approvals and applies from the next block
+    const dakar = { id: 'icrc-dakar', publicKey: keys['icrc-dakar'].publicKey };
+    const underApproved = approved(GOVERNANCE_ACTIONS.VALIDATOR_ADDED, dakar, 0, ['icrc-geneva', 'icrc-nairobi']);
+    const refusedGovernance = amman.validator.vote(network.nodes.get(amman.validator.proposer(1).id).validator.propose([underApproved], 1));
+    if (!refusedGovernance.error || !refusedGovernance.error.includes('2 valid approval(s); quorum is 3')) {
+        throw new Error(`Under-approved governance record accepted: ${JSON.stringify(refusedGovernance)}`);
+    }
+    const addition = approved(GOVERNANCE_ACTIONS.VALIDATOR_ADDED, dakar, 0, ['icrc-geneva', 'icrc-nairobi', 'icrc-amman']);
+    const governed = network.produce([addition]);
+    const grown = geneva.validatorSet.current();
+    if (grown.validators.length !== 5 || grown.quorum !== 4 || grown.epoch !== 1 || geneva.validatorSet.at(governed.block.index).epoch !== 0) {
+        throw new Error(`Validator set did not grow after the governance block: ${JSON.stringify(grown)}`);
+    }
+    network.join('icrc-dakar');
+    const replay = amman.validator.checkProposal(network.nodes.get(amman.validator.proposer(0).id).validator.propose([addition], 0));
+    if (!replay.some(issue => issue.message.includes('amends epoch 0'))) {
+        throw new Error('Replayed governance record was not refused');
+    }
+    console.log(`✅ Governance added icrc-dakar at block #${governed.block.index}: 5 validators, quorum 4; replay refused`);
+
+    // 9. The grown set rotates the new validator in, and governance can remove the faulty one
+    let dakarTurn = null;
+    for (let n = 11; !dakarTurn; n++) {
+        const result = network.produce(record(n));
+        if (result.proposer === 'icrc-dakar') dakarTurn = result;
+    }
+    const removal = approved(GOVERNANCE_ACTIONS.VALIDATOR_REMOVED, { id: 'icrc-bogota' }, 1, ['icrc-geneva', 'icrc-nairobi', 'icrc-amman', 'icrc-dakar']);
+    network.produce([removal]);
+    const shrunk = geneva.validatorSet.current();
+    if (shrunk.validators.map(validator => validator.id).includes('icrc-bogota') || shrunk.epoch !== 2 || network.tips().size !== 1) {
+        throw new Error(`Faulty validator was not removed: ${JSON.stringify(shrunk.validators)}`);
+    }
+    console.log(`✅ icrc-dakar proposed block #${dakarTurn.block.index}; icrc-bogota removed by governance (epoch ${shrunk.epoch})`);
+
+    // 10. The committed chain audits as Secure; a block whose round was altered does not
+    const auditOptions = chain => ({
+        trustedValidators: Object.values(keys).map(pair => pair.publicKey),
+        verifyRecords: block => chain.verifyBlock(block)
+    });
+    const report = auditChain(geneva.blockchain.iterate(), auditOptions(geneva.validatorSet));
+    const altered = [...geneva.blockchain.iterate()].map(block => (block.index === 3 ? { ...block, round: 1 } : block));
+    const tampered = auditChain(altered, auditOptions(geneva.validatorSet));
+    if (report.status !== 'Secure' || tampered.status !== 'Tampered' || tampered.issues[0].atBlock !== 3) {
+        throw new Error(`Unexpected audit results: ${JSON.stringify(report.issues)} / ${JSON.stringify(tampered.issues)}`);
+    }
+    console.log(`✅ Chain of ${report.blockCount} blocks audits as Secure; altered round flagged:`, tampered.issues[0].message);
+
+    // 11. Blocks only enter through a validator round: addBlock is refused, and a peer block
+    //     signed by the right proposer but without commits fails the sync checks
+    let refused = null;
+    try {
+        geneva.blockchain.addBlock(record(99));
+    } catch (error) {
+        refused = error.message;
+    }
+    const follower = new Blockchain({ storage: new MemoryStorage() });
+    follower.appendBlock(geneva.blockchain.getBlock(0));
+    const noRecordChecks = { rebuild() {}, verifyBlockRecords: () => [] };
+    const peer = new PeerNode({
+        blockchain: follower,
+        registry: noRecordChecks,
+        createRegistry: () => noRecordChecks,
+        trustedValidators: Object.values(keys).map(pair => pair.publicKey)
+    });
+    const uncommitted = { ...signBlock(createBlock({ index: 1, previousHash: follower.getLatestBlock().hash, data: record(99) }), keys['icrc-nairobi']), round: 0, commits: [] };
+    const rejected = peer.extend([uncommitted]);
+    const synced = peer.extend([...geneva.blockchain.iterate(1)]);
+    if (!refused || !refused.includes('proof-of-authority') || rejected.appended !== 0 || !rejected.issues.some(issue => issue.message.includes('0 valid commit(s)'))
+        || synced.issues.length !== 0 || follower.getLatestBlock().hash !== geneva.blockchain.getLatestBlock().hash) {
+        throw new Error(`Consensus not enforced outside validator rounds: ${refused} / ${JSON.stringify(rejected.issues)} / ${JSON.stringify(synced.issues)}`);
+    }
+    console.log('✅ addBlock refused on the PoA chain; an uncommitted peer block rejected:', rejected.issues[0].message);
+
+    console.log('\n⭐⭐⭐ POA CONSENSUS TEST PASSED');
+} catch (error) {
+    console.error('❌ PoA consensus test failed:', error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,123 @@
+// test-field-node.js - Test script for the field-node outbox and store-and-forward batches
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Blockchain = require('./contracts/ledger');
+const { MemoryStorage } = require('./storage');
+const { MedicalKit } = require('./contracts/asset');
+const { KitEvent, countersignHandover } = require('./contracts/events');
+const { WorldState } = require('./contracts/world-state');
+const { IdentityRegistry, IDENTITY_ACTIONS, createIdentityRecord } = require('./identity/registry');
+const { SubmittedRecords, processBatch } = require('./services/batch');
+const { Outbox } = require('./services/outbox');
+const cryptoUtil = require('./identity/crypto-util');
+
+console.log('--- Starting Field Node Test ---');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'icrc-field-'));
+const hqKeys = cryptoUtil.generateKeyPair();
+const clinicKeys = cryptoUtil.generateKeyPair();
+const driverKeys = cryptoUtil.generateKeyPair();
+const hubKeys = cryptoUtil.generateKeyPair();
+const hq = { actorId: 'icrc-hq', privateKey: hqKeys.privateKey };
+
+const ledger = new Blockchain({ storage: new MemoryStorage() });
+const worldState = new WorldState(ledger);
+worldState.rebuild();
+const registry = new IdentityRegistry(ledger, {
+    bootstrapActors: [{ actorId: 'icrc-hq', organizationId: 'ICRC', name: 'ICRC Headquarters', role: 'hq', publicKey: hqKeys.publicKey }]
+});
+registry.rebuild();
+const submitted = new SubmittedRecords(ledger);
+submitted.rebuild();
+
+// Field devices capture records before they reach HQ, so HQ's clock runs a minute ahead here
+const submit = (items, now = Date.now() + 60 * 1000) => processBatch(items, {
+    blockchain: ledger, worldState, registry, submitted, now, maxClockSkewSeconds: 300, maxRecordAgeDays: 30
+});
+const statuses = ({ results }) => results.map(result => result.status).join();
+const kitRecord = (kitID, temperature, key = clinicKeys.privateKey) => ({
+    ...new MedicalKit(kitID, 'Vaccine', 'Bukavu Clinic', temperature, 'Bukavu Clinic', key).toObject(),
+    actorId: 'clinic-bukavu'
+});
+const event = (kitID, eventType, payload, timestamp) => new KitEvent(kitID, eventType, payload, clinicKeys.privateKey, timestamp, 'clinic-bukavu').toObject();
+const handover = (to, key, timestamp) => countersignHandover(
+    event('KIT-F1', 'HANDOVER', { fromCustodian: 'clinic-bukavu', toCustodian: to, location: 'Bukavu Clinic' }, timestamp), key, to
+);
+
+try {
+    ledger.addBlock(createIdentityRecord(IDENTITY_ACTIONS.ORGANIZATION_REGISTERED, { organizationId: 'SKIVU', name: 'South Kivu' }, hq));
+    [['clinic-bukavu', 'clinic', clinicKeys], ['driver-3', 'driver', driverKeys], ['hub-bukavu', 'hub', hubKeys]].forEach(([actorId, role, keys]) => {
+        ledger.addBlock(createIdentityRecord(IDENTITY_ACTIONS.ACTOR_REGISTERED, { actorId, organizationId: 'SKIVU', name: actorId, role, publicKey: keys.publicKey }, hq));
+    });
+
+    // 1. Queued records survive a restart; settling drops accepted ones and sets rejected ones aside
+    const outboxPath = path.join(dir, 'outbox.jsonl');
+    const outbox = new Outbox(outboxPath);
+    outbox.add({ kitID: 'A' });
+    outbox.add({ kitID: 'B' });
+    outbox.add({ kitID: 'C' });
+    fs.appendFileSync(outboxPath, '{"id":"half-writ');
+    const reopened = new Outbox(outboxPath);
+    if (reopened.pending().map(entry => entry.record.kitID).join() !== 'A,B,C') {
+        throw new Error('Outbox did not reload its queued entries after reopening');
+    }
+    const sent = reopened.pending().slice(0, 2);
+    const settled = reopened.settle(sent, [{ index: 0, status: 'accepted' }, { index: 1, status: 'conflict', message: 'clash' }]);
+    const rejectedLines = fs.readFileSync(reopened.rejectedPath, 'utf8').trim().split('\n');
+    if (settled.removed !== 1 || settled.rejected !== 1 || new Outbox(outboxPath).pending().map(entry => entry.record.kitID).join() !== 'C'
+        || rejectedLines.length !== 1 || JSON.parse(rejectedLines[0]).result.message !== 'clash') {
+        throw new Error('Settling did not remove accepted entries and move conflicts aside');
+    }
+    console.log('✅ Outbox survives reopening and settles HQ results per entry');
+
+    // 2. A batch registers a kit and records later events against it in a single block
+    const capturedAt = offset => new Date(Date.now() + offset * 1000).toISOString();
+    const kit = kitRecord('KIT-F1', 5);
+    const dispatched = event('KIT-F1', 'DISPATCHED', { from: 'Bukavu Clinic', to: 'Uvira' }, capturedAt(1));
+    const first = submit([kit, dispatched]);
+    if (statuses(first) !== 'accepted,accepted' || first.block.data.length !== 2 || worldState.get('KIT-F1').lifecycleStatus !== 'IN_TRANSIT') {
+        throw new Error(`Kit and event were not recorded together: ${JSON.stringify(first.results)}`);
+    }
+    console.log(`✅ Kit and dispatch accepted together in block #${first.block.index}`);
+
+    // 3. Resubmitting the same signed records is reported as a duplicate and writes nothing
+    const height = ledger.height();
+    const again = submit([kit, dispatched]);
+    if (statuses(again) !== 'duplicate,duplicate' || again.block !== null || ledger.height() !== height) {
+        throw new Error(`Resubmission was not recognised: ${JSON.stringify(again.results)}`);
+    }
+    console.log('✅ Resubmitted batch reported as duplicates');
+
+    // 4. Capture timestamps in the future or too old, and bad signatures, are rejected per item
+    const future = event('KIT-F1', 'TEMPERATURE_READING', { temperature: 4 }, capturedAt(3600));
+    const stale = event('KIT-F1', 'TEMPERATURE_READING', { temperature: 4 }, new Date(Date.now() - 40 * 24 * 3600 * 1000).toISOString());
+    const forged = { ...event('KIT-F1', 'TEMPERATURE_READING', { temperature: 4 }, capturedAt(2)), temperature: 9 };
+    const unknownSigner = kitRecord('KIT-F2', 5, driverKeys.privateKey);
+    const checked = submit([future, stale, forged, unknownSigner]);
+    if (statuses(checked) !== 'rejected,rejected,rejected,rejected' || checked.block !== null) {
+        throw new Error(`Bad items were not rejected: ${JSON.stringify(checked.results)}`);
+    }
+    console.log('✅ Future, stale, tampered and wrongly signed items rejected:', checked.results[0].message);
+
+    // 5. The same kit handed over twice: the first handover lands, the second is a conflict
+    const mixed = submit([handover('driver-3', driverKeys.privateKey, capturedAt(3)), handover('hub-bukavu', hubKeys.privateKey, capturedAt(4)), kitRecord('KIT-F3', 5)]);
+    if (statuses(mixed) !== 'accepted,conflict,accepted' || worldState.get('KIT-F1').custodian !== 'driver-3' || !worldState.get('KIT-F3')) {
+        throw new Error(`Double handover not detected: ${JSON.stringify(mixed.results)}`);
+    }
+    console.log('✅ Second handover of the same kit reported as a conflict:', mixed.results[1].message);
+
+    // 6. Re-registering a kit already on the ledger is a conflict, not a rejection
+    const reRegistered = submit([kitRecord('KIT-F1', 5)]);
+    if (statuses(reRegistered) !== 'conflict') {
+        throw new Error(`Re-registration not reported as a conflict: ${JSON.stringify(reRegistered.results)}`);
+    }
+    console.log('✅ Re-registering a recorded kit reported as a conflict');
+
+    console.log('\n⭐⭐⭐ FIELD NODE TEST PASSED');
+} catch (error) {
+    console.error('❌ Field node test failed:', error.message);
+    process.exitCode = 1;
+} finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,67 @@
+// test-handover.js - Test script for two-party custody handovers
+const Blockchain = require('./contracts/ledger');
+const { MemoryStorage } = require('./storage');
+const { KitEvent, countersignHandover } = require('./contracts/events');
+const { auditChain } = require('./contracts/block');
+const { PendingHandovers } = require('./contracts/handover');
+const { WorldState } = require('./contracts/world-state');
+const { IdentityRegistry, IDENTITY_ACTIONS, createIdentityRecord } = require('./identity/registry');
+const cryptoUtil = require('./identity/crypto-util');
+
+console.log('--- Starting Custody Handover Test ---');
+
+const hqKeys = cryptoUtil.generateKeyPair();
+const hubKeys = cryptoUtil.generateKeyPair();
+const driverKeys = cryptoUtil.generateKeyPair();
+const hq = { actorId: 'icrc-hq', privateKey: hqKeys.privateKey };
+
+const ledger = new Blockchain({ storage: new MemoryStorage() });
+const worldState = new WorldState(ledger);
+worldState.rebuild();
+const registry = new IdentityRegistry(ledger, {
+    bootstrapActors: [{ actorId: 'icrc-hq', organizationId: 'ICRC', name: 'ICRC Headquarters', role: 'hq', publicKey: hqKeys.publicKey }]
+});
+registry.rebuild();
+
+const audit = () => auditChain(ledger.iterate(), { verifyRecords: block => registry.verifyBlockRecords(block) });
+const handover = (from, to, key) => new KitEvent('KIT-001', 'HANDOVER', { fromCustodian: from, toCustodian: to, location: 'Goma Hub' }, key, undefined, from).toObject();
+
+try {
+    ledger.addBlock(createIdentityRecord(IDENTITY_ACTIONS.ORGANIZATION_REGISTERED, { organizationId: 'GOMA', name: 'Goma Hub' }, hq));
+    ledger.addBlock(createIdentityRecord(IDENTITY_ACTIONS.ACTOR_REGISTERED, { actorId: 'hub-goma', organizationId: 'GOMA', name: 'Hub', role: 'hub', publicKey: hubKeys.publicKey }, hq));
+    ledger.addBlock(createIdentityRecord(IDENTITY_ACTIONS.ACTOR_REGISTERED, { actorId: 'driver-7', organizationId: 'GOMA', name: 'Driver', role: 'driver', publicKey: driverKeys.publicKey }, hq));
+    ledger.addBlock(new KitEvent('KIT-001', 'REGISTERED', { type: 'Vaccine', origin: 'Geneva HQ', location: 'Goma Hub', temperature: 5 }, hqKeys.privateKey, undefined, 'icrc-hq').toObject());
+
+    // 1. Pending handovers lapse after the expiry window
+    const pending = new PendingHandovers({ expiryMinutes: 30 });
+    const proposal = pending.create(handover('hub-goma', 'driver-7', hubKeys.privateKey), 0);
+    if (pending.forKit('KIT-001', 29 * 60 * 1000) !== proposal || pending.forKit('KIT-001', 30 * 60 * 1000) !== null) {
+        throw new Error('Pending handover did not expire after 30 minutes');
+    }
+    console.log('✅ Pending handover open for 30 minutes, then lapses');
+
+    // 2. A handover countersigned by the receiver changes custody and passes the audit
+    ledger.addBlock(countersignHandover(handover('icrc-hq', 'hub-goma', hqKeys.privateKey), hubKeys.privateKey, 'hub-goma'));
+    if (worldState.get('KIT-001').custodian !== 'hub-goma' || audit().status !== 'Secure') {
+        throw new Error(`Countersigned handover not accepted: ${JSON.stringify(audit().issues)}`);
+    }
+    console.log('✅ Countersigned handover moves custody to hub-goma and audits as Secure');
+
+    // 3. The audit rejects a handover without the receiver's signature, or signed by someone else
+    const unconfirmed = ledger.addBlock(handover('hub-goma', 'driver-7', hubKeys.privateKey));
+    if (worldState.get('KIT-001').custodian !== 'hub-goma') {
+        throw new Error('Handover without a countersignature changed custody');
+    }
+    const wrongReceiver = ledger.addBlock(countersignHandover(handover('hub-goma', 'driver-7', hubKeys.privateKey), hqKeys.privateKey, 'icrc-hq'));
+    const forged = ledger.addBlock(countersignHandover(handover('hub-goma', 'driver-7', hubKeys.privateKey), hubKeys.privateKey, 'driver-7'));
+    const flagged = audit().issues.map(issue => issue.atBlock);
+    if (flagged.join() !== [unconfirmed.index, wrongReceiver.index, forged.index].join()) {
+        throw new Error(`Audit flagged blocks ${flagged.join()} instead of the three bad handovers`);
+    }
+    console.log('✅ Audit flags unconfirmed, wrongly countersigned and forged handovers:', audit().issues[0].message);
+
+    console.log('\n⭐⭐⭐ CUSTODY HANDOVER TEST PASSED');
+} catch (error) {
+    console.error('❌ Custody handover test failed:', error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,99 @@
+// test-hashing.js - Test script for canonical block hashing (legacy and v2 headers)
+const Blockchain = require('./contracts/ledger');
+const { MemoryStorage } = require('./storage');
+const { canonicalize, hashData, calculateBlockHash, auditChain, verifyBlock, buildInclusionProof, verifyInclusionProof } = require('./contracts/block');
+const cryptoUtil = require('./identity/crypto-util');
+const legacyBlock = require('./ledger-data/block_0.json');
+
+console.log('--- Starting Deterministic Hashing Test ---');
+
+try {
+    // 1. Key order and -0 must not change the data hash
+    const a = hashData({ kitID: 'KIT-001', temperature: 4, location: { hub: 'Nairobi', zone: 0 } });
+    const b = hashData({ location: { zone: -0, hub: 'Nairobi' }, temperature: 4.0, kitID: 'KIT-001' });
+    if (a !== b) throw new Error('Data hash depends on key order or number form');
+    console.log('✅ Canonical JSON:', canonicalize({ b: 1, a: [true, null] }));
+
+    // 2. A freshly written v2 block passes its own hash check
+    const ledger = new Blockchain({ storage: new MemoryStorage() });
+    const block = ledger.addBlock({ kitID: 'KIT-001', temperature: 4 });
+    ledger.addBlock({ kitID: 'KIT-001', temperature: 5 });
+    if (block.version !== 2 || verifyBlock(block, null).length !== 0) {
+        throw new Error('New v2 block fails its own hash check');
+    }
+    console.log('✅ v2 block verified, hash:', block.hash.substring(0, 16) + '...');
+
+    // 3. Legacy blocks are still checked with the legacy formula
+    if (verifyBlock(legacyBlock, null).length !== 0) throw new Error('Legacy block rejected');
+    console.log('✅ Legacy block 0 still verifies');
+
+    // 4. Tampering with data is detected through dataHash
+    const blocks = Array.from(ledger.iterate());
+    blocks[0].data.temperature = 30;
+    const report = auditChain(blocks);
+    if (report.status !== 'Tampered' || report.issues[0].atBlock !== 0) {
+        throw new Error('Tampered data was not detected');
+    }
+    console.log('✅ Tampering detected:', report.issues[0].message);
+
+    // 5. Every record of a batched block has a valid inclusion proof, and a forged record fails
+    const batch = ledger.addBlock([1, 2, 3, 4, 5].map(n => ({ kitID: `KIT-00${n}`, temperature: n })));
+    for (let i = 0; i < batch.data.length; i++) {
+        const problems = verifyInclusionProof(buildInclusionProof(batch, i));
+        if (problems.length > 0) throw new Error(`Proof for record ${i} rejected: ${problems[0]}`);
+    }
+    const forged = buildInclusionProof(batch, 2);
+    forged.record.temperature = 40;
+    if (verifyInclusionProof(forged).length === 0) throw new Error('Forged record passed its proof');
+    console.log('✅ Merkle proofs verified for all 5 batched records; forged record rejected');
+
+    // 6. Signed blocks pass only when their signer is a trusted validator
+    const validator = cryptoUtil.generateKeyPair();
+    const intruder = cryptoUtil.generateKeyPair();
+    const signedLedger = new Blockchain({ storage: new MemoryStorage(), signer: validator });
+    signedLedger.addBlock({ kitID: 'KIT-001', temperature: 4 });
+    signedLedger.addBlock({ kitID: 'KIT-001', temperature: 5 });
+
+    if (auditChain(signedLedger.iterate(), { trustedValidators: [validator.publicKey] }).status !== 'Secure') {
+        throw new Error('Chain signed by a trusted validator was rejected');
+    }
+    const untrusted = auditChain(signedLedger.iterate(), { trustedValidators: [intruder.publicKey] });
+    if (untrusted.status !== 'Tampered' || !untrusted.issues[0].message.includes('not a trusted validator')) {
+        throw new Error('Chain signed by an untrusted key was accepted');
+    }
+    console.log('✅ Block signatures checked against the trusted validator list');
+
+    // 7. A signed block rewritten as an unsigned legacy block, then re-hashed, is not Secure
+    const signedBlocks = Array.from(signedLedger.iterate());
+    const tip = signedBlocks[signedBlocks.length - 1];
+    const downgraded = { index: tip.index, timestamp: tip.timestamp, data: { ...tip.data, temperature: 30 }, previousHash: tip.previousHash };
+    downgraded.hash = calculateBlockHash(downgraded);
+    const downgrade = auditChain([...signedBlocks.slice(0, -1), downgraded], { trustedValidators: [validator.publicKey], allowUnsignedLegacy: true });
+    if (downgrade.status !== 'Tampered' || !downgrade.issues[0].message.includes('Legacy (pre-v2) block follows')) {
+        throw new Error(`Downgraded block accepted: ${JSON.stringify(downgrade)}`);
+    }
+
+    // Rewriting a whole genesis chain in the legacy format fails too: such chains refuse unsigned legacy blocks
+    const genesisLedger = new Blockchain({ storage: new MemoryStorage(), signer: validator });
+    genesisLedger.createGenesis({ validator: { id: 'ICRC-HQ', publicKey: validator.publicKey } });
+    genesisLedger.addBlock({ kitID: 'KIT-001', temperature: 4 });
+    let previousHash = '0000000000000000000000000000000000000000000000000000000000000000';
+    const rewritten = Array.from(genesisLedger.iterate()).map(({ index, timestamp, data }) => {
+        const legacy = { index, timestamp, data, previousHash };
+        legacy.hash = calculateBlockHash(legacy);
+        previousHash = legacy.hash;
+        return legacy;
+    });
+    const legacyLedger = new Blockchain({ storage: new MemoryStorage() });
+    legacyLedger.storage.append(legacyBlock);
+    const rewrite = auditChain(rewritten, { trustedValidators: [validator.publicKey], allowUnsignedLegacy: genesisLedger.acceptsUnsignedLegacy(true) });
+    if (rewrite.status !== 'Tampered' || !legacyLedger.acceptsUnsignedLegacy(true) || legacyLedger.acceptsUnsignedLegacy(false)) {
+        throw new Error(`Legacy rewrite of a genesis chain accepted: ${JSON.stringify(rewrite)}`);
+    }
+    console.log('✅ Signed block downgraded to legacy format rejected:', downgrade.issues[0].message);
+
+    console.log('⭐⭐⭐ HASHING TEST PASSED');
+} catch (error) {
+    console.error('❌ Hashing Test Failed:', error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,166 @@
+// test-identity.js - Test script for the organization/actor identity registry
+const Blockchain = require('./contracts/ledger');
+const { MemoryStorage } = require('./storage');
+const { MedicalKit } = require('./contracts/asset');
+const { KitEvent } = require('./contracts/events');
+const { validateEvent } = require('./contracts/rules');
+const { auditChain } = require('./contracts/block');
+const { IdentityRegistry, IDENTITY_ACTIONS, createIdentityRecord } = require('./identity/registry');
+const cryptoUtil = require('./identity/crypto-util');
+
+console.log('--- Starting Identity Registry Test ---');
+
+const hqKeys = cryptoUtil.generateKeyPair();
+const driverKeys = cryptoUtil.generateKeyPair();
+const hq = { actorId: 'icrc-hq', privateKey: hqKeys.privateKey };
+
+const ledger = new Blockchain({ storage: new MemoryStorage() });
+const registry = new IdentityRegistry(ledger, {
+    bootstrapActors: [{ actorId: 'icrc-hq', organizationId: 'ICRC', name: 'ICRC Headquarters', role: 'hq', publicKey: hqKeys.publicKey }]
+});
+registry.rebuild();
+
+try {
+    // 1. Organizations and actors are registered through signed ledger records
+    ledger.addBlock(createIdentityRecord(IDENTITY_ACTIONS.ORGANIZATION_REGISTERED, { organizationId: 'MSF-LOG', name: 'MSF Logistique' }, hq));
+    const driver = { actorId: 'driver-007', organizationId: 'MSF-LOG', name: 'Convoy driver', role: 'driver', publicKey: driverKeys.publicKey };
+    if (registry.validateRegistration(IDENTITY_ACTIONS.ACTOR_REGISTERED, driver).length !== 0) {
+        throw new Error('Valid actor registration was rejected');
+    }
+    ledger.addBlock(createIdentityRecord(IDENTITY_ACTIONS.ACTOR_REGISTERED, driver, hq));
+
+    const resolved = registry.resolveSigner('driver-007');
+    if (resolved.error || resolved.publicKey !== driverKeys.publicKey) {
+        throw new Error(`driver-007 did not resolve to its key: ${resolved.error}`);
+    }
+    console.log('✅ Registered MSF-LOG / driver-007 as', resolved.actor.role);
+
+    // 2. Invalid registrations are refused before they reach the chain
+    const duplicate = registry.validateRegistration(IDENTITY_ACTIONS.ACTOR_REGISTERED, driver);
+    const badRole = registry.validateRegistration(IDENTITY_ACTIONS.ACTOR_REGISTERED, { ...driver, actorId: 'x', role: 'pilot' });
+    if (duplicate.length === 0 || badRole.length === 0) {
+        throw new Error('Duplicate actor or unknown role was accepted');
+    }
+    console.log('✅ Duplicate actors and unknown roles are refused');
+
+    // 3. An event signed client-side by the driver verifies against the registry key only
+    const event = new KitEvent('KIT-001', 'RECEIVED', { location: 'Goma Hub' }, driverKeys.privateKey, undefined, 'driver-007').toObject();
+    if (!validateEvent(event, registry.resolveSigner(event.actorId).publicKey).isValid) {
+        throw new Error('Driver-signed event failed verification');
+    }
+    if (validateEvent(event, registry.resolveSigner('icrc-hq').publicKey).isValid) {
+        throw new Error('Driver-signed event verified against the HQ key');
+    }
+    console.log('✅ Client-signed event verifies against the actor\'s registered key');
+
+    // 4. Suspending the organization suspends its actors; unknown actors never resolve
+    ledger.addBlock(createIdentityRecord(IDENTITY_ACTIONS.STATUS_CHANGED, { organizationId: 'MSF-LOG', status: 'SUSPENDED' }, hq));
+    if (!registry.resolveSigner('driver-007').error || !registry.resolveSigner('ghost').error) {
+        throw new Error('Suspended or unknown actor was allowed to sign');
+    }
+    console.log('✅ Suspended and unknown actors are rejected:', registry.resolveSigner('driver-007').error);
+
+    // 5. A rebuild from the chain reproduces the registry
+    const before = JSON.stringify(registry.listActors());
+    registry.rebuild();
+    if (JSON.stringify(registry.listActors()) !== before) {
+        throw new Error('Rebuilt registry differs from the incremental one');
+    }
+    console.log('✅ Rebuild from the chain matches the incremental registry');
+
+    // 6. Rotation: each signature is judged against the key valid at its block's height
+    const hubKeys = cryptoUtil.generateKeyPair();
+    const hubKeys2 = cryptoUtil.generateKeyPair();
+    ledger.addBlock(createIdentityRecord(IDENTITY_ACTIONS.ORGANIZATION_REGISTERED, { organizationId: 'GOMA', name: 'Goma Hub' }, hq));
+    ledger.addBlock(createIdentityRecord(IDENTITY_ACTIONS.ACTOR_REGISTERED, { actorId: 'hub-goma', organizationId: 'GOMA', name: 'Goma Hub laptop', role: 'hub', publicKey: hubKeys.publicKey }, hq));
+    const oldKeyEvent = ledger.addBlock(new KitEvent('KIT-001', 'TEMPERATURE_READING', { temperature: 5 }, hubKeys.privateKey, undefined, 'hub-goma').toObject());
+
+    ledger.addBlock(createIdentityRecord(IDENTITY_ACTIONS.KEY_ROTATED, { actorId: 'hub-goma', publicKey: hubKeys2.publicKey, effectiveFrom: ledger.height() }, hq));
+    const rotatedAt = ledger.height() - 1;
+    if (registry.keyAt('hub-goma', oldKeyEvent.index).publicKey !== hubKeys.publicKey
+        || registry.keyAt('hub-goma', rotatedAt).publicKey !== hubKeys2.publicKey) {
+        throw new Error('keyAt does not follow the rotation');
+    }
+    if (!registry.resolveSigner('hub-goma').publicKey || registry.resolveSigner('hub-goma').publicKey !== hubKeys2.publicKey) {
+        throw new Error('New records do not resolve to the rotated key');
+    }
+    console.log('✅ Rotation: block', oldKeyEvent.index, 'uses the old key, block', rotatedAt, 'onward the new one');
+
+    const audit = () => auditChain(ledger.iterate(), { verifyRecords: block => registry.verifyBlockRecords(block) });
+    if (audit().status !== 'Secure') {
+        throw new Error(`Audit failed after rotation: ${JSON.stringify(audit().issues)}`);
+    }
+
+    // A record signed with the old key after the rotation is flagged by the audit
+    const staleKeyEvent = ledger.addBlock(new KitEvent('KIT-001', 'TEMPERATURE_READING', { temperature: 6 }, hubKeys.privateKey, undefined, 'hub-goma').toObject());
+    const staleReport = audit();
+    if (staleReport.status !== 'Tampered' || staleReport.issues[0].atBlock !== staleKeyEvent.index) {
+        throw new Error('Audit accepted a record signed with a rotated-out key');
+    }
+    console.log('✅ Audit flags a record signed with the rotated-out key:', staleReport.issues[0].message);
+
+    // 7. A backdated revocation invalidates records signed after the compromise but not before it
+    const vanKeys = cryptoUtil.generateKeyPair();
+    ledger.addBlock(createIdentityRecord(IDENTITY_ACTIONS.ACTOR_REGISTERED, { actorId: 'van-12', organizationId: 'GOMA', name: 'Van 12 tablet', role: 'driver', publicKey: vanKeys.publicKey }, hq));
+    const beforeTheft = ledger.addBlock(new KitEvent('KIT-001', 'TEMPERATURE_READING', { temperature: 4 }, vanKeys.privateKey, undefined, 'van-12').toObject());
+    const afterTheft = ledger.addBlock(new KitEvent('KIT-001', 'TEMPERATURE_READING', { temperature: 4 }, vanKeys.privateKey, undefined, 'van-12').toObject());
+    ledger.addBlock(createIdentityRecord(IDENTITY_ACTIONS.KEY_REVOKED, { actorId: 'van-12', effectiveFrom: afterTheft.index, reason: 'Tablet stolen' }, hq));
+
+    const revokedIssues = audit().issues.filter(issue => issue.atBlock !== staleKeyEvent.index);
+    if (revokedIssues.length !== 1 || revokedIssues[0].atBlock !== afterTheft.index) {
+        throw new Error(`Backdated revocation gave unexpected issues: ${JSON.stringify(revokedIssues)}`);
+    }
+    if (!registry.resolveSigner('van-12').error) {
+        throw new Error('Revoked key can still sign new records');
+    }
+    console.log('✅ Revocation from block', afterTheft.index, 'keeps block', beforeTheft.index, 'valid and flags block', afterTheft.index);
+
+    const rereg = registry.validateRegistration(IDENTITY_ACTIONS.KEY_REGISTERED, { actorId: 'van-12', publicKey: cryptoUtil.generateKeyPair().publicKey });
+    if (rereg.length !== 0) {
+        throw new Error(`Could not register a replacement key after revocation: ${rereg.join(', ')}`);
+    }
+    console.log('✅ A replacement key can be registered after revocation');
+
+    // 8. Identity records not signed by a registering authority never change the registry
+    const attackerKeys = cryptoUtil.generateKeyPair();
+    const unsigned = ledger.addBlock({ recordType: 'IDENTITY', action: IDENTITY_ACTIONS.KEY_ROTATED, actorId: 'icrc-hq', publicKey: attackerKeys.publicKey });
+    const forged = ledger.addBlock(createIdentityRecord(IDENTITY_ACTIONS.KEY_ROTATED, { actorId: 'icrc-hq', publicKey: attackerKeys.publicKey }, { actorId: 'icrc-hq', privateKey: attackerKeys.privateKey }));
+    registry.rebuild();
+    const takeoverIssues = audit().issues.filter(issue => [unsigned.index, forged.index].includes(issue.atBlock));
+    if (registry.resolveSigner('icrc-hq').publicKey !== hqKeys.publicKey || takeoverIssues.length !== 2) {
+        throw new Error(`Unsigned or forged identity record accepted: ${JSON.stringify(takeoverIssues)}`);
+    }
+    console.log('✅ Unsigned and forged HQ key rotations skipped and flagged:', takeoverIssues[0].message);
+
+    // 9. A registrar's records count only while it is active, judged at each record's height
+    const deputyKeys = cryptoUtil.generateKeyPair();
+    const deputy = { actorId: 'hq-deputy', privateKey: deputyKeys.privateKey };
+    ledger.addBlock(createIdentityRecord(IDENTITY_ACTIONS.ACTOR_REGISTERED, { actorId: 'hq-deputy', organizationId: 'ICRC', name: 'Deputy registrar', role: 'hq', publicKey: deputyKeys.publicKey }, hq));
+    const beforeSuspension = ledger.addBlock(createIdentityRecord(IDENTITY_ACTIONS.ORGANIZATION_REGISTERED, { organizationId: 'MSF-OCB', name: 'MSF Brussels' }, deputy));
+    ledger.addBlock(createIdentityRecord(IDENTITY_ACTIONS.STATUS_CHANGED, { actorId: 'hq-deputy', status: 'SUSPENDED' }, hq));
+    const afterSuspension = ledger.addBlock(createIdentityRecord(IDENTITY_ACTIONS.STATUS_CHANGED, { organizationId: 'MSF-LOG', status: 'ACTIVE' }, deputy));
+    registry.rebuild();
+
+    const suspendedIssues = audit().issues.filter(issue => issue.atBlock >= beforeSuspension.index);
+    const organizations = registry.listOrganizations();
+    if (!organizations.some(org => org.organizationId === 'MSF-OCB')
+        || organizations.find(org => org.organizationId === 'MSF-LOG').status !== 'SUSPENDED'
+        || suspendedIssues.length !== 1 || suspendedIssues[0].atBlock !== afterSuspension.index) {
+        throw new Error(`Suspended registrar's record accepted: ${JSON.stringify(suspendedIssues)}`);
+    }
+    console.log('✅ Suspended registrar: block', beforeSuspension.index, 'counts, block', afterSuspension.index, 'skipped and flagged:', suspendedIssues[0].message);
+
+    // 10. Kit records without an actorId are checked against the HQ key, not skipped
+    const hqKit = ledger.addBlock(new MedicalKit('KIT-LEGACY-1', 'Emergency', 'Geneva', 4, 'Geneva Warehouse', hqKeys.privateKey).toObject());
+    const strayKit = ledger.addBlock(new MedicalKit('KIT-LEGACY-2', 'Emergency', 'Geneva', 4, 'Geneva Warehouse', attackerKeys.privateKey).toObject());
+    const unattributedIssues = audit().issues.filter(issue => issue.atBlock >= hqKit.index);
+    if (unattributedIssues.length !== 1 || unattributedIssues[0].atBlock !== strayKit.index) {
+        throw new Error(`Unattributed kit records not checked against the HQ key: ${JSON.stringify(unattributedIssues)}`);
+    }
+    console.log('✅ Unattributed kit signed by another key flagged:', unattributedIssues[0].message);
+
+    console.log('\n⭐⭐⭐ IDENTITY REGISTRY TEST PASSED');
+} catch (error) {
+    console.error('❌ Identity registry test failed:', error.message);
+    process.exitCode = 1;
+}
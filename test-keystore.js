@@ -0,0 +1,67 @@
+// test-keystore.js - Test script for the encrypted HQ keystore
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const keystore = require('./identity/keystore');
+const cryptoUtil = require('./identity/crypto-util');
+
+console.log('--- Starting Keystore Test ---');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'icrc-keystore-'));
+const keystorePath = path.join(dir, 'keystore.json');
+
+try {
+    // 1. A new keystore holds only the encrypted private key
+    const keys = keystore.createKeystore(keystorePath, 'correct horse');
+    const document = keystore.readKeystore(keystorePath);
+    if (document.format !== 'icrc-keystore' || document.crypto.kdf !== 'scrypt' || document.crypto.cipher !== 'aes-256-gcm') {
+        throw new Error(`Unexpected keystore header: ${JSON.stringify(document)}`);
+    }
+    if (fs.readFileSync(keystorePath, 'utf8').includes(keys.privateKey)) {
+        throw new Error('Private key is stored in plaintext');
+    }
+    console.log('✅ Keystore created for', document.fingerprint);
+
+    // 2. The right passphrase unlocks the key; a wrong one or a swapped public key does not
+    if (keystore.unlockKeystore(keystorePath, 'correct horse').privateKey !== keys.privateKey) {
+        throw new Error('Unlocked key differs from the created key');
+    }
+    const rejects = (doc, passphrase) => {
+        try {
+            keystore.decryptKeystore(doc, passphrase);
+            return false;
+        } catch (error) {
+            return true;
+        }
+    };
+    if (!rejects(document, 'wrong horse')) {
+        throw new Error('Wrong passphrase unlocked the keystore');
+    }
+    if (!rejects({ ...document, publicKey: cryptoUtil.generateKeyPair().publicKey }, 'correct horse')) {
+        throw new Error('Keystore with a swapped public key unlocked');
+    }
+    console.log('✅ Wrong passphrase and swapped public key are rejected');
+
+    // 3. Re-encryption changes the passphrase but keeps the key
+    keystore.reencryptKeystore(keystorePath, 'correct horse', 'battery staple');
+    if (keystore.unlockKeystore(keystorePath, 'battery staple').publicKey !== keys.publicKey
+        || !rejects(keystore.readKeystore(keystorePath), 'correct horse')) {
+        throw new Error('Re-encryption did not switch passphrases');
+    }
+    console.log('✅ Re-encrypted under the new passphrase');
+
+    // 4. Importing an existing key keeps the signing identity
+    const importedPath = path.join(dir, 'imported.json');
+    const imported = keystore.createKeystore(importedPath, 'pw', keys.privateKey);
+    if (imported.publicKey !== keys.publicKey) {
+        throw new Error('Imported key has a different public key');
+    }
+    console.log('✅ Imported private key keeps its public key');
+
+    console.log('\n⭐⭐⭐ KEYSTORE TEST PASSED');
+} catch (error) {
+    console.error('❌ Keystore test failed:', error.message);
+    process.exitCode = 1;
+} finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,67 @@
+// test-login.js - Test script for challenge-response login with an actor's key
+const { LoginChallenges } = require('./identity/challenge');
+const cryptoUtil = require('./identity/crypto-util');
+
+console.log('--- Starting Key Login Test ---');
+
+const challenges = new LoginChallenges({ ttlSeconds: 60, networkId: 'test-net' });
+const driverKeys = cryptoUtil.generateKeyPair();
+const otherKeys = cryptoUtil.generateKeyPair();
+
+/**
+ * Answers a challenge the way /auth/verify does
+ * @param {string} actorId - Actor answering
+ * @param {string} nonce - Nonce being answered
+ * @param {string} signature - Signature over the challenge message
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if the login would succeed
+ */
+function answer(actorId, nonce, signature, now = Date.now()) {
+    const { challenge, error } = challenges.consume(actorId, nonce, now);
+    return !error && cryptoUtil.verifySignature(challenge.message, signature, driverKeys.publicKey);
+}
+
+try {
+    // 1. A nonce signed with the registered key logs in once; the same answer replayed fails
+    const first = challenges.issue('driver-007');
+    if (!first.message.includes('test-net') || !first.message.includes(first.nonce)) {
+        throw new Error('Challenge message does not bind the network and nonce');
+    }
+    const signature = cryptoUtil.signData(first.message, driverKeys.privateKey);
+    if (!answer('driver-007', first.nonce, signature)) throw new Error('Valid answer was rejected');
+    if (answer('driver-007', first.nonce, signature)) throw new Error('Replayed answer was accepted');
+    console.log('✅ Signed nonce logs in once; the replay is rejected');
+
+    // 2. A wrong key burns the nonce too, so it cannot be retried
+    const second = challenges.issue('driver-007');
+    if (answer('driver-007', second.nonce, cryptoUtil.signData(second.message, otherKeys.privateKey))) {
+        throw new Error('Answer signed with another key was accepted');
+    }
+    if (answer('driver-007', second.nonce, cryptoUtil.signData(second.message, driverKeys.privateKey))) {
+        throw new Error('Nonce could be retried after a failed answer');
+    }
+    console.log('✅ Wrong-key answer fails and uses up the nonce');
+
+    // 3. Expired nonces and nonces issued to another actor are refused
+    const issuedAt = Date.now();
+    const third = challenges.issue('driver-007', issuedAt);
+    if (answer('driver-007', third.nonce, cryptoUtil.signData(third.message, driverKeys.privateKey), issuedAt + 61000)) {
+        throw new Error('Expired nonce was accepted');
+    }
+    const fourth = challenges.issue('hub-goma');
+    if (answer('driver-007', fourth.nonce, cryptoUtil.signData(fourth.message, driverKeys.privateKey))) {
+        throw new Error('Nonce issued to another actor was accepted');
+    }
+    console.log('✅ Expired and misdirected nonces are refused');
+
+    // 4. Unanswered challenges are dropped once they expire
+    challenges.issue('driver-007', issuedAt);
+    challenges.expire(issuedAt + 61000);
+    if (challenges.challenges.size !== 0) throw new Error('Expired challenges were kept');
+    console.log('✅ Expired challenges are swept');
+
+    console.log('\n⭐⭐⭐ KEY LOGIN TEST PASSED');
+} catch (error) {
+    console.error('❌ Key login test failed:', error.message);
+    process.exitCode = 1;
+}
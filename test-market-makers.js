@@ -0,0 +1,106 @@
+/*
+ * MIT License
+ * Copyright (c) 2026 ICRC Humanitarian Blockchain Project
+ */
+
+// test-market-makers.js - Test script for the pluggable CPMM and LMSR pricing engines
+const { PredictionMarket } = require('./contracts/market');
+const { createMarketMaker, MARKET_MAKER_TYPES } = require('./contracts/market-makers');
+
+console.log('--- Starting Market Maker Test ---');
+
+const newMarket = marketMaker => new PredictionMarket('MKT-MM', 'Will KIT-MM reach Juba by Monday?', 'KIT-MM', '2026-12-31T23:59:59Z', 'admin', marketMaker);
+const close = (a, b, tolerance = 1e-6) => Math.abs(a - b) <= tolerance * Math.max(1, Math.abs(b));
+
+try {
+    // 1. Markets default to the constant-product engine
+    const cpmm = newMarket();
+    const cpmmJSON = cpmm.toJSON();
+    if (cpmm.marketMaker.type !== MARKET_MAKER_TYPES.CPMM || cpmmJSON.maxLoss !== 999 || cpmmJSON.prices.YES !== 0.5 || cpmmJSON.marketMaker.state.pools.NO !== 1000) {
+        throw new Error(`Unexpected default market: ${JSON.stringify(cpmmJSON)}`);
+    }
+    console.log(`✅ Default engine is CPMM with 1000/1000 pools, max loss ${cpmmJSON.maxLoss}`);
+
+    // 2. LMSR charges the change in its cost function and keeps prices summing to 1
+    const lmsr = newMarket({ type: 'LMSR', b: 50 });
+    const maker = lmsr.marketMaker;
+    const before = maker.cost(maker.quantities);
+    const bought = lmsr.buyShares('alice', 'YES', 40);
+    const expected = maker.cost({ YES: 40, NO: 0 }) - before;
+    if (!close(bought.cost, Math.round(expected * 100) / 100) || !close(lmsr.getPrice('YES') + lmsr.getPrice('NO'), 1) || !close(lmsr.getPrice('YES'), 1 / (1 + Math.exp(-40 / 50)))) {
+        throw new Error(`LMSR mispriced: cost ${bought.cost}, expected ${expected}, YES price ${lmsr.getPrice('YES')}`);
+    }
+    const sold = lmsr.sellShares('alice', 'YES', 40);
+    if (Math.abs(sold.payout - bought.cost) > 0.01 || !close(lmsr.getPrice('YES'), 0.5)) {
+        throw new Error(`LMSR round trip not neutral: paid ${bought.cost}, got back ${sold.payout}`);
+    }
+    console.log(`✅ LMSR (b=50): 40 YES cost ${bought.cost} and sell back for ${sold.payout}; YES price returns to 0.5`);
+
+    // 3. b sets how far one trade moves a thin market
+    const moved = b => {
+        const market = newMarket({ type: 'LMSR', b });
+        market.buyShares('bob', 'NO', 100);
+        return market.getPrice('NO') - 0.5;
+    };
+    const thinMove = moved(20);
+    const deepMove = moved(500);
+    if (!(thinMove > deepMove) || !(deepMove > 0)) {
+        throw new Error(`b does not control sensitivity: b=20 moved ${thinMove}, b=500 moved ${deepMove}`);
+    }
+    console.log(`✅ 100 NO shares move the price ${thinMove.toFixed(3)} at b=20 and ${deepMove.toFixed(3)} at b=500`);
+
+    // 4. The creator's loss stays within maxLoss, even against a trader who is certain
+    const whale = newMarket({ type: 'LMSR', b: 100 });
+    let collected = 0;
+    for (let i = 0; i < 20; i++) {
+        collected += whale.buyShares('carol', 'YES', 500).cost;
+    }
+    const loss = whale.positions.carol.YES - collected;
+    const whaleJSON = whale.toJSON();
+    if (!(loss > 0) || loss > whaleJSON.maxLoss + 0.01 || !close(whaleJSON.maxLoss, Math.round(100 * Math.log(2) * 100) / 100)) {
+        throw new Error(`Loss ${loss} exceeds max loss ${whaleJSON.maxLoss}`);
+    }
+    if (!['YES', 'NO'].every(outcome => whale.getPrice(outcome) >= 0 && whale.getPrice(outcome) <= 1)) {
+        throw new Error(`Prices out of range: ${JSON.stringify(whaleJSON.prices)}`);
+    }
+    console.log(`✅ After 10000 YES shares the creator loses ${loss.toFixed(2)}, within max loss ${whaleJSON.maxLoss}; prices stay between 0 and 1`);
+
+    // 5. Quotes and slippage guards work the same on either engine
+    const guarded = newMarket({ type: 'LMSR', b: 30 });
+    const quote = guarded.quote('NO', 25);
+    guarded.buyShares('dave', 'NO', 25);
+    let rejected = null;
+    try {
+        guarded.buyShares('erin', 'NO', 25, { maxCost: quote.cost });
+    } catch (error) {
+        rejected = error.message;
+    }
+    if (!rejected || !(quote.priceImpact > 0)) {
+        throw new Error('LMSR slippage guard not applied');
+    }
+    console.log('✅ LMSR quote and maxCost guard:', rejected);
+
+    // 6. Unknown engines and bad parameters are refused
+    const refusals = [
+        () => createMarketMaker(['YES', 'NO'], { type: 'PARIMUTUEL' }),
+        () => newMarket({ type: 'LMSR', b: 0 }),
+        () => newMarket({ type: 'LMSR', b: 'deep' }),
+        () => newMarket({ type: 'CPMM', liquidity: 1 })
+    ].map(attempt => {
+        try {
+            attempt();
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    });
+    if (refusals.some(message => !message)) {
+        throw new Error(`Bad engine accepted: ${JSON.stringify(refusals)}`);
+    }
+    console.log('✅ Unknown engine and bad liquidity parameters refused:', refusals[0]);
+
+    console.log('\n⭐⭐⭐ MARKET MAKER TEST PASSED');
+} catch (error) {
+    console.error('❌ Market maker test failed:', error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,128 @@
+/*
+ * MIT License
+ * Copyright (c) 2026 ICRC Humanitarian Blockchain Project
+ */
+
+// test-market-pricing.js - Test script for constant-product pricing, slippage guards and quotes
+const { PredictionMarket } = require('./contracts/market');
+const { ShareManager } = require('./contracts/shares');
+
+console.log('--- Starting Market Pricing Test ---');
+
+const newMarket = () => new PredictionMarket('MKT-AMM', 'Will KIT-AMM arrive in Goma by Friday?', 'KIT-AMM', '2026-12-31T23:59:59Z', 'admin');
+const product = market => market.marketMaker.pools.YES * market.marketMaker.pools.NO;
+const close = (a, b, tolerance = 1e-6) => Math.abs(a - b) <= tolerance * Math.max(1, Math.abs(b));
+
+try {
+    // 1. Buys and sells keep the product of the pools constant and move the price the right way
+    const market = newMarket();
+    const k = product(market);
+    const bought = market.buyShares('alice', 'YES', 300);
+    const afterBuy = product(market);
+    const yesAfterBuy = market.getPrice('YES');
+    const sold = market.sellShares('alice', 'YES', 120);
+    if (!close(afterBuy, k) || !close(product(market), k) || !(yesAfterBuy > 0.5) || !(market.getPrice('YES') < yesAfterBuy)) {
+        throw new Error(`Invariant not kept: k=${k}, after buy ${afterBuy}, after sell ${product(market)}`);
+    }
+    if (!(bought.averagePrice > 0.5) || !(sold.averagePrice < yesAfterBuy) || !close(market.getPrice('YES') + market.getPrice('NO'), 1)) {
+        throw new Error(`Unexpected prices: bought at ${bought.averagePrice}, sold at ${sold.averagePrice}`);
+    }
+    console.log(`✅ x·y=k kept on buy and sell: 300 YES cost ${bought.cost}, 120 sold back for ${sold.payout}`);
+
+    // 2. Buying and selling the same shares restores the pools and costs nothing extra
+    const roundTrip = newMarket();
+    const cost = roundTrip.buyShares('bob', 'NO', 250).cost;
+    const payout = roundTrip.sellShares('bob', 'NO', 250).payout;
+    if (!close(roundTrip.marketMaker.pools.YES, 1000) || !close(roundTrip.marketMaker.pools.NO, 1000) || Math.abs(cost - payout) > 0.01) {
+        throw new Error(`Round trip moved the pools: ${JSON.stringify(roundTrip.marketMaker.pools)}, cost ${cost}, payout ${payout}`);
+    }
+    console.log(`✅ Round trip restores the pools (paid ${cost}, got back ${payout})`);
+
+    // 3. A quote matches the trade it prices and leaves the market untouched
+    const quoted = newMarket();
+    const quote = quoted.quote('YES', 200);
+    const pools = { ...quoted.marketMaker.pools };
+    const sellQuote = quoted.quote('YES', 200, 'sell');
+    if (pools.YES !== 1000 || pools.NO !== 1000 || quoted.totalVolume !== 0) {
+        throw new Error('Quoting changed the market');
+    }
+    const trade = quoted.buyShares('carol', 'YES', 200);
+    if (quote.cost !== trade.cost || quote.averagePrice !== trade.averagePrice || quote.priceBefore !== 0.5 || !close(quote.priceAfter, quoted.getPrice('YES'), 1e-3)) {
+        throw new Error(`Quote ${JSON.stringify(quote)} does not match trade ${JSON.stringify(trade)}`);
+    }
+    if (!(quote.priceImpact > 0) || !(sellQuote.payout < quote.cost) || sellQuote.cost !== undefined) {
+        throw new Error(`Unexpected quote: ${JSON.stringify(quote)} / ${JSON.stringify(sellQuote)}`);
+    }
+    console.log(`✅ Quote matches the trade: cost ${quote.cost}, average price ${quote.averagePrice}, impact ${quote.priceImpact}`);
+
+    // 4. Slippage guards reject trades whose price moved past the trader's limit
+    const guarded = newMarket();
+    const shares = new ShareManager();
+    const limit = guarded.quote('YES', 100).cost;
+    shares.buyShares('dave', guarded, 'YES', 400);
+    let rejectedBuy = null;
+    try {
+        shares.buyShares('erin', guarded, 'YES', 100, { maxCost: limit });
+    } catch (error) {
+        rejectedBuy = error.message;
+    }
+    const minPayout = guarded.quote('YES', 400, 'sell').payout;
+    const filled = shares.buyShares('erin', guarded, 'NO', 50, { maxCost: guarded.quote('NO', 50).cost });
+    let rejectedSell = null;
+    try {
+        shares.sellShares('dave', guarded, 'YES', 400, { minPayout });
+    } catch (error) {
+        rejectedSell = error.message;
+    }
+    if (!rejectedBuy || !rejectedSell || shares.getBalance('erin').credits !== 10000 - filled.cost || guarded.positions.dave.YES !== 400) {
+        throw new Error('Slippage guards not applied');
+    }
+    console.log('✅ Buy past maxCost rejected:', rejectedBuy);
+    console.log('✅ Sell under minPayout rejected:', rejectedSell);
+
+    // 5. A trade that would drain a pool is rejected, as are unknown outcomes and bad amounts
+    const thin = newMarket();
+    const rejections = [
+        () => thin.buyShares('frank', 'YES', 1e7),
+        () => thin.quote('NO', 1e9),
+        () => thin.buyShares('frank', 'MAYBE', 10),
+        () => thin.buyShares('frank', 'YES', -5),
+        () => thin.quote('YES', NaN),
+        () => thin.quote('YES', 10, 'short')
+    ].map(attempt => {
+        try {
+            attempt();
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    });
+    if (rejections.some(message => !message) || thin.marketMaker.pools.YES !== 1000 || thin.marketMaker.pools.NO !== 1000) {
+        throw new Error(`Invalid trade accepted: ${JSON.stringify(rejections)}`);
+    }
+    console.log('✅ Pool-draining trade rejected:', rejections[0]);
+    console.log('✅ Unknown outcome, negative amount and unknown side rejected');
+
+    // 6. Costs round up and payouts down, so splitting trades into tiny ones gains nothing
+    const split = newMarket();
+    const splitter = new ShareManager();
+    for (let n = 0; n < 2000; n++) {
+        splitter.buyShares('ivan', split, 'YES', 0.009);
+    }
+    const whole = newMarket().buyShares('judy', 'YES', 18);
+    const paid = 10000 - splitter.getBalance('ivan').credits;
+    for (let n = 0; n < 1000; n++) {
+        splitter.sellShares('ivan', split, 'YES', 0.009);
+    }
+    split.resolve('YES');
+    splitter.resolvePosition('ivan', split);
+    if (paid < 2000 * 0.01 || !(paid >= whole.cost) || splitter.getBalance('ivan').credits > 10000) {
+        throw new Error(`Tiny trades gained credits: paid ${paid}, balance ${splitter.getBalance('ivan').credits}`);
+    }
+    console.log(`✅ 2000 buys of 0.009 YES cost ${paid} (18 at once: ${whole.cost}); after selling half and settling, balance ${splitter.getBalance('ivan').credits}`);
+
+    console.log('\n⭐⭐⭐ MARKET PRICING TEST PASSED');
+} catch (error) {
+    console.error('❌ Market pricing test failed:', error.message);
+    process.exitCode = 1;
+}
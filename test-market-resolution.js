@@ -0,0 +1,215 @@
+/*
+ * MIT License
+ * Copyright (c) 2026 ICRC Humanitarian Blockchain Project
+ */
+
+// test-market-resolution.js - Test script for resolution criteria and the automatic market resolver
+const Blockchain = require('./contracts/ledger');
+const { MemoryStorage } = require('./storage');
+const { MedicalKit } = require('./contracts/asset');
+const { KitEvent } = require('./contracts/events');
+const { PredictionMarket } = require('./contracts/market');
+const { parseCriteria } = require('./contracts/resolution');
+const { MarketResolver } = require('./services/market-resolver');
+const cryptoUtil = require('./identity/crypto-util');
+
+console.log('--- Starting Market Resolution Test ---');
+
+const keys = cryptoUtil.generateKeyPair();
+const ledger = new Blockchain({ storage: new MemoryStorage() });
+const resolved = [];
+const resolver = new MarketResolver({ blockchain: ledger, graceMinutes: 30, onResolve: market => resolved.push(market.marketID) });
+
+const HOUR = 60 * 60 * 1000;
+const deadline = new Date(Date.now() + 2 * HOUR);
+const at = offset => new Date(deadline.getTime() + offset).toISOString();
+const event = (kitID, eventType, payload, timestamp) => new KitEvent(kitID, eventType, payload, keys.privateKey, timestamp).toObject();
+const register = kitID => ledger.addBlock(new MedicalKit(kitID, 'Vaccine', 'Geneva HQ', 4, 'Geneva Warehouse', keys.privateKey).toObject());
+const newMarket = (marketID, kitID, criteria, marketDeadline = deadline.toISOString()) => new PredictionMarket(marketID, `Question for ${kitID}`, kitID, marketDeadline, 'admin', {}, { criteria });
+
+/**
+ * Runs a function that should throw
+ * @param {Function} attempt - The function
+ * @returns {string|null} The error message, or null if nothing was thrown
+ */
+function refusal(attempt) {
+    try {
+        attempt();
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+try {
+    // 1. The criteria language parses the documented forms and rejects malformed criteria
+    const tree = parseCriteria("kit KIT-001 has a RECEIVED event at location 'Nairobi Hub' before deadline and no temperature excursion");
+    const malformed = [
+        'has a SHIPPED event',
+        "has a RECEIVED event at 'Nairobi Hub",
+        'has a RECEIVED event or',
+        'kit KIT-001 received',
+        ''
+    ].map(text => refusal(() => parseCriteria(text)));
+    const misplaced = [
+        refusal(() => new PredictionMarket('MKT-X', 'q', 'KIT-X', deadline.toISOString(), 'admin', {}, { type: 'CATEGORICAL', outcomes: ['A', 'B'], criteria: 'has a RECEIVED event' })),
+        refusal(() => newMarket('MKT-X', 'KIT-X', 'has a RECEIVED event', 'Friday'))
+    ];
+    if (tree.op !== 'and' || tree.operands[0].location !== 'Nairobi Hub' || !tree.operands[0].beforeDeadline || tree.operands[1].op !== 'not'
+        || malformed.some(message => !message) || misplaced.some(message => !message)) {
+        throw new Error(`Unexpected parse results: ${JSON.stringify(tree)} / ${JSON.stringify(malformed)} / ${JSON.stringify(misplaced)}`);
+    }
+    console.log('✅ Criteria parsed; malformed ones refused:', malformed[0]);
+
+    // 2. A market resolves YES in the block that records the awaited arrival
+    register('KIT-R1');
+    const arrival = newMarket('MKT-ARRIVAL', 'KIT-R1', "kit KIT-R1 has a RECEIVED event at location 'Nairobi Hub' before deadline");
+    resolver.watch(arrival);
+    ledger.addBlock(event('KIT-R1', 'DISPATCHED', { from: 'Geneva Warehouse', to: 'Nairobi Hub' }));
+    const dispatchBlock = ledger.height() - 1;
+    ledger.addBlock(event('KIT-R1', 'RECEIVED', { location: 'Goma Hub' }));
+    const stillOpen = arrival.status;
+    ledger.addBlock(event('KIT-R1', 'RECEIVED', { location: 'nairobi hub' }));
+    const decidingBlock = ledger.height() - 1;
+    if (stillOpen !== 'OPEN' || arrival.winningOutcome !== 'YES' || arrival.resolution.trigger !== 'BLOCK' || arrival.resolution.blockIndex !== decidingBlock || !resolved.includes('MKT-ARRIVAL')) {
+        throw new Error(`Arrival market not resolved by its block: ${JSON.stringify(arrival.resolution)}`);
+    }
+    console.log(`✅ Arrival at another hub ignored; market resolved YES by block ${decidingBlock}`);
+
+    // 3. "No temperature excursion" resolves NO as soon as the kit has one, and ignores other kits
+    register('KIT-C1');
+    const cold = newMarket('MKT-COLD', 'KIT-C1', 'no temperature excursion');
+    resolver.watch(cold);
+    ledger.addBlock(event('KIT-R1', 'TEMPERATURE_EXCURSION', { temperature: 12, profile: 'default', minTemp: 2, maxTemp: 8 }));
+    const afterOtherKit = cold.status;
+    ledger.addBlock(event('KIT-C1', 'TEMPERATURE_EXCURSION', { temperature: 14, profile: 'default', minTemp: 2, maxTemp: 8 }));
+    if (afterOtherKit !== 'OPEN' || cold.winningOutcome !== 'NO' || cold.resolution.blockIndex !== ledger.height() - 1) {
+        throw new Error(`Cold-chain market wrong: ${JSON.stringify(cold.toJSON().resolution)}`);
+    }
+    console.log(`✅ Cold-chain market resolved NO by the excursion in block ${cold.resolution.blockIndex}`);
+
+    // 4. Undecided criteria resolve at the deadline, after the grace period for late field records
+    register('KIT-D1');
+    register('KIT-D2');
+    const late = newMarket('MKT-LATE', 'KIT-D1', 'has a RECEIVED event before deadline');
+    const missed = newMarket('MKT-MISSED', 'KIT-D2', 'has a RECEIVED event before deadline');
+    resolver.watch(late);
+    resolver.watch(missed);
+    const early = resolver.checkDeadlines(deadline.getTime() + 10 * 60000);
+    // Captured ten minutes before the deadline, submitted by a field node twenty minutes after it
+    ledger.addBlock(event('KIT-D1', 'RECEIVED', { location: 'Juba Hub' }, at(-10 * 60000)));
+    // Captured after the deadline: does not count
+    ledger.addBlock(event('KIT-D2', 'RECEIVED', { location: 'Juba Hub' }, at(5 * 60000)));
+    const closed = resolver.checkDeadlines(deadline.getTime() + 31 * 60000);
+    if (early.length !== 0 || late.winningOutcome !== 'YES' || late.resolution.trigger !== 'BLOCK'
+        || closed.map(market => market.marketID).join() !== 'MKT-MISSED' || missed.winningOutcome !== 'NO'
+        || missed.resolution.trigger !== 'DEADLINE' || missed.resolution.blockIndex !== ledger.height() - 1) {
+        throw new Error(`Deadline handling wrong: ${JSON.stringify([late.resolution, missed.resolution])}`);
+    }
+    console.log('✅ Late-submitted arrival counted (YES); arrival after the deadline not counted (NO at the deadline)');
+
+    // 5. Criteria the chain already decided resolve when the market is created
+    const known = newMarket('MKT-KNOWN', 'KIT-R1', 'has a DISPATCHED event');
+    resolver.watch(known);
+    if (known.winningOutcome !== 'YES' || known.resolution.blockIndex !== dispatchBlock) {
+        throw new Error(`Historical decision not found: ${JSON.stringify(known.resolution)}`);
+    }
+    console.log('✅ A market whose criteria are already on the chain resolves at once, citing block', known.resolution.blockIndex);
+
+    // 6. A reorganization drops facts from blocks that are no longer on the chain
+    register('KIT-F1');
+    const both = newMarket('MKT-BOTH', 'KIT-F1', 'has a DISPATCHED event and (has a RECEIVED event or has a DISPENSED event)');
+    resolver.watch(both);
+    const forkHeight = ledger.height();
+    ledger.addBlock(event('KIT-F1', 'DISPATCHED', { from: 'Geneva Warehouse', to: 'Goma Hub' }));
+    ledger.truncate(forkHeight);
+    ledger.addBlock(event('KIT-F1', 'RECEIVED', { location: 'Goma Hub' }));
+    const afterReorg = both.status;
+    ledger.addBlock(event('KIT-F1', 'DISPATCHED', { from: 'Goma Hub', to: 'Goma Clinic' }));
+    if (afterReorg !== 'OPEN' || both.winningOutcome !== 'YES' || both.resolution.blockIndex !== ledger.height() - 1) {
+        throw new Error(`Reorganized facts kept: ${JSON.stringify(both.resolution)}`);
+    }
+    console.log('✅ Dispatch dropped by a reorganization no longer counts; the market resolves on the new dispatch');
+
+    // 7. An admin may resolve early; the resolver then leaves the market alone
+    register('KIT-M1');
+    const manual = newMarket('MKT-MANUAL', 'KIT-M1', 'has a DESTROYED event');
+    resolver.watch(manual);
+    manual.resolve('NO');
+    ledger.addBlock(event('KIT-M1', 'DESTROYED', { reason: 'Flood damage', location: 'Goma Hub' }));
+    if (manual.winningOutcome !== 'NO' || manual.resolution.trigger !== 'MANUAL' || resolved.includes('MKT-MANUAL') || resolver.watched.size !== 0) {
+        throw new Error('Manual resolution overridden by the resolver');
+    }
+    console.log('✅ Manual resolution kept; the resolver stopped watching the market');
+
+    // 8. With confirmations, only blocks a reorganization can no longer drop resolve (and settle) a market
+    const chain = new Blockchain({ storage: new MemoryStorage() });
+    const settled = [];
+    const finalResolver = new MarketResolver({ blockchain: chain, confirmations: 2, onResolve: market => settled.push(market.marketID) });
+    const filler = n => new MedicalKit(`KIT-FILL-${n}`, 'Vaccine', 'Geneva HQ', 4, 'Geneva Warehouse', keys.privateKey).toObject();
+    chain.addBlock(new MedicalKit('KIT-Q1', 'Vaccine', 'Geneva HQ', 4, 'Geneva Warehouse', keys.privateKey).toObject());
+    const deep = newMarket('MKT-DEEP', 'KIT-Q1', 'has a DESTROYED event');
+    finalResolver.watch(deep);
+    const reorgHeight = chain.height();
+    chain.addBlock(event('KIT-Q1', 'DESTROYED', { reason: 'Flood damage', location: 'Goma Hub' }));
+    chain.addBlock(filler(1));
+    const beforeReorg = deep.status;
+    chain.truncate(reorgHeight);
+    chain.addBlock(filler(2));
+    chain.addBlock(filler(3));
+    chain.addBlock(filler(4));
+    const afterDroppedBlock = deep.status;
+    chain.addBlock(event('KIT-Q1', 'DESTROYED', { reason: 'Fire', location: 'Juba Hub' }));
+    const destroyedAt = chain.height() - 1;
+    chain.addBlock(filler(5));
+    const oneDeep = deep.status;
+    chain.addBlock(filler(6));
+    if (beforeReorg !== 'OPEN' || afterDroppedBlock !== 'OPEN' || oneDeep !== 'OPEN' || deep.winningOutcome !== 'YES'
+        || deep.resolution.blockIndex !== destroyedAt || settled.join() !== 'MKT-DEEP') {
+        throw new Error(`Market resolved from a block that was not final: ${JSON.stringify(deep.resolution)}`);
+    }
+    console.log(`✅ Block dropped by a reorganization never resolved the market; block ${destroyedAt} did once 2 blocks deep`);
+
+    // 9. A market past its deadline stops trading, but waits until the blocks written by then are final
+    const overdue = newMarket('MKT-OVERDUE', 'KIT-Q2', 'has a RECEIVED event before deadline');
+    finalResolver.watch(overdue);
+    chain.addBlock(event('KIT-Q2', 'RECEIVED', { location: 'Juba Hub' }, at(-60000)));
+    const pending = finalResolver.checkDeadlines(deadline.getTime() + 60000);
+    const notFinal = overdue.status;
+    const closedTrade = refusal(() => overdue.buyShares('erin', 'YES', 10));
+    chain.addBlock(filler(7));
+    chain.addBlock(filler(8));
+    if (pending.length !== 0 || notFinal !== 'CLOSED' || !closedTrade || overdue.winningOutcome !== 'YES' || overdue.resolution.trigger !== 'BLOCK') {
+        throw new Error(`Overdue market resolved before its blocks were final: ${JSON.stringify(overdue.resolution)}`);
+    }
+    console.log('✅ Overdue market closed to trading and held until its blocks are final, so the arrival recorded just before it closed counts (YES)');
+
+    // 10. Deadlines run on the clock: they close and resolve markets even when no block follows
+    const quiet = newMarket('MKT-QUIET', 'KIT-Q3', 'has a RECEIVED event before deadline');
+    finalResolver.watch(quiet);
+    const quietHeight = chain.height();
+    const quietClosed = finalResolver.checkDeadlines(deadline.getTime() + 60000);
+    const quietStatus = quiet.status;
+    const emptyChain = new Blockchain({ storage: new MemoryStorage() });
+    const soloResolver = new MarketResolver({ blockchain: emptyChain });
+    const empty = newMarket('MKT-EMPTY', 'KIT-Q4', 'has a RECEIVED event before deadline');
+    soloResolver.watch(empty);
+    const emptyClosed = soloResolver.checkDeadlines(deadline.getTime() + 60000);
+    const soloChain = new Blockchain({ storage: new MemoryStorage() });
+    soloChain.addBlock(filler(9));
+    const soloQuiet = new MarketResolver({ blockchain: soloChain });
+    const solo = newMarket('MKT-SOLO', 'KIT-Q5', 'has a RECEIVED event before deadline');
+    soloQuiet.watch(solo);
+    const soloClosed = soloQuiet.checkDeadlines(deadline.getTime() + 60000);
+    if (quietClosed.length !== 0 || quietStatus !== 'CLOSED' || chain.height() !== quietHeight
+        || emptyClosed.length !== 1 || empty.winningOutcome !== 'NO' || empty.resolution.blockIndex !== null
+        || soloClosed.length !== 1 || solo.winningOutcome !== 'NO' || solo.resolution.trigger !== 'DEADLINE' || solo.resolution.blockIndex !== 0) {
+        throw new Error(`Deadline with no new blocks mishandled: ${JSON.stringify([quietStatus, empty.resolution, solo.resolution])}`);
+    }
+    console.log('✅ With no new blocks, a deadline closes the market; without confirmations it resolves NO at once, even on an empty chain');
+
+    console.log('\n⭐⭐⭐ MARKET RESOLUTION TEST PASSED');
+} catch (error) {
+    console.error('❌ Market resolution test failed:', error.message);
+    process.exitCode = 1;
+}
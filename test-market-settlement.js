@@ -0,0 +1,126 @@
+/*
+ * MIT License
+ * Copyright (c) 2026 ICRC Humanitarian Blockchain Project
+ */
+
+// test-market-settlement.js - Test script for settlement payouts, position P&L and trade history
+const { PredictionMarket, SHARE_PAYOUT } = require('./contracts/market');
+const { ShareManager } = require('./contracts/shares');
+
+console.log('--- Starting Market Settlement Test ---');
+
+const START = 10000;
+const binary = marketID => new PredictionMarket(marketID, `Will ${marketID} arrive on time?`, 'KIT-S', '2026-12-31T23:59:59Z', 'admin');
+const cents = credits => Math.round(credits * 100) / 100;
+
+try {
+    const shares = new ShareManager();
+    const market = binary('MKT-S1');
+    const markets = new Map([[market.marketID, market]]);
+
+    // 1. A buy sets the position's cost basis to the credits paid
+    const bought = shares.buyShares('alice', market, 'YES', 200);
+    let alice = shares.getUserPositions('alice', markets);
+    if (alice.credits !== cents(START - bought.cost) || alice.positions[0].costBasis !== bought.cost || alice.pnl.realized !== 0) {
+        throw new Error(`Buy not booked at cost: ${JSON.stringify(alice)}`);
+    }
+    console.log(`✅ 200 YES bought for ${bought.cost}; cost basis ${alice.positions[0].costBasis}`);
+
+    // 2. Open positions are marked to the current price for unrealized P&L
+    shares.buyShares('bob', market, 'YES', 300);
+    alice = shares.getUserPositions('alice', markets);
+    const marked = alice.positions[0];
+    if (marked.marketValue !== cents(200 * market.getPrice('YES')) || marked.unrealizedPnL !== cents(marked.marketValue - bought.cost) || !(marked.unrealizedPnL > 0) || alice.pnl.unrealized !== marked.unrealizedPnL) {
+        throw new Error(`Unrealized P&L wrong: ${JSON.stringify(marked)}`);
+    }
+    console.log(`✅ After bob buys YES, alice's position is worth ${marked.marketValue} (unrealized ${marked.unrealizedPnL})`);
+
+    // 3. A partial sale releases basis at average cost and realizes the difference
+    const sold = shares.sellShares('alice', market, 'YES', 50);
+    const released = cents(bought.cost * 50 / 200);
+    alice = shares.getUserPositions('alice', markets);
+    if (sold.realizedPnL !== cents(sold.payout - released) || alice.positions[0].costBasis !== cents(bought.cost - released)
+        || alice.stats.profit !== sold.realizedPnL || Number.isNaN(alice.stats.profit)) {
+        throw new Error(`Sale P&L wrong: ${JSON.stringify({ sold, alice })}`);
+    }
+    console.log(`✅ 50 YES sold for ${sold.payout}: ${released} of basis released, ${sold.realizedPnL} realized`);
+
+    // 4. Settlement pays each winning share a fixed amount and closes the position
+    shares.buyShares('carol', market, 'NO', 120);
+    const carolPaid = START - shares.getBalance('carol').credits;
+    market.resolve('YES');
+    const aliceSettled = shares.resolvePosition('alice', market);
+    const bobSettled = shares.resolvePosition('bob', market);
+    const carolSettled = shares.resolvePosition('carol', market);
+    alice = shares.getUserPositions('alice', markets);
+    const basisLeft = cents(bought.cost - released);
+    if (aliceSettled.credits !== 150 * SHARE_PAYOUT || aliceSettled.realizedPnL !== cents(150 * SHARE_PAYOUT - basisLeft)
+        || alice.credits !== cents(START - bought.cost + sold.payout + 150 * SHARE_PAYOUT) || alice.positions.length !== 0
+        || alice.stats.profit !== cents(sold.realizedPnL + aliceSettled.realizedPnL) || bobSettled.credits !== 300 * SHARE_PAYOUT) {
+        throw new Error(`Winners not paid: ${JSON.stringify({ aliceSettled, bobSettled, alice })}`);
+    }
+    if (carolSettled.credits !== 0 || carolSettled.realizedPnL !== -cents(carolPaid) || shares.getBalance('carol').credits !== cents(START - carolPaid)) {
+        throw new Error(`Losing position wrong: ${JSON.stringify(carolSettled)}`);
+    }
+    console.log(`✅ Settled: alice paid ${aliceSettled.credits} (realized ${aliceSettled.realizedPnL}), bob ${bobSettled.credits}, carol's NO ${carolSettled.credits}`);
+
+    // 5. A market settles once
+    const again = shares.resolvePosition('alice', market);
+    if (again !== null || shares.getBalance('alice').credits !== alice.credits) {
+        throw new Error('Position settled twice');
+    }
+    console.log('✅ Settling a closed position pays nothing');
+
+    // 6. History lists trades and settlements with a running balance
+    const history = shares.getHistory('alice');
+    let balance = START;
+    const consistent = history.every(entry => {
+        balance = cents(balance + entry.credits);
+        return entry.balance === balance;
+    });
+    if (history.map(entry => entry.type).join() !== 'BUY,SELL,SETTLEMENT' || !consistent || balance !== alice.credits || history[2].result !== 'YES') {
+        throw new Error(`History wrong: ${JSON.stringify(history)}`);
+    }
+    console.log(`✅ History: ${history.map(entry => `${entry.type} ${entry.credits} -> ${entry.balance}`).join(', ')}`);
+
+    // 7. Scalar positions settle at their share of the range; history filters by market
+    const convoy = new PredictionMarket('MKT-S2', 'How many days late?', 'KIT-S', '2026-12-31T23:59:59Z', 'admin', {}, { type: 'SCALAR', bounds: { min: 0, max: 10 } });
+    shares.buyShares('alice', convoy, 'LONG', 100);
+    shares.buyShares('alice', convoy, 'SHORT', 40);
+    convoy.resolve(7);
+    const scalarSettled = shares.resolvePosition('alice', convoy);
+    const convoyHistory = shares.getHistory('alice', { marketID: 'MKT-S2' });
+    if (scalarSettled.credits !== cents(100 * 0.7 + 40 * 0.3) || scalarSettled.result !== 7 || convoyHistory.length !== 3 || convoyHistory.some(entry => entry.marketID !== 'MKT-S2')) {
+        throw new Error(`Scalar settlement wrong: ${JSON.stringify(scalarSettled)}`);
+    }
+    console.log(`✅ Scalar at 7 of 10: 100 LONG and 40 SHORT pay ${scalarSettled.credits}`);
+
+    // 8. The leaderboard ranks equal accuracy by realized P&L
+    const board = shares.getLeaderboard();
+    const bob = board.find(entry => entry.userId === 'bob');
+    if (bob.profit !== bobSettled.realizedPnL || board.some(entry => Number.isNaN(entry.profit))) {
+        throw new Error(`Leaderboard profit wrong: ${JSON.stringify(board)}`);
+    }
+    console.log(`✅ Leaderboard profit is realized P&L: ${board.map(entry => `${entry.userId} ${entry.profit}`).join(', ')}`);
+
+    // 9. A buy the account cannot pay for is refused before the market moves
+    const thin = binary('MKT-S3');
+    shares.initializeUser('dave', 50);
+    let refused = null;
+    try {
+        shares.buyShares('dave', thin, 'YES', 200);
+    } catch (error) {
+        refused = error.message;
+    }
+    const affordable = shares.buyShares('dave', thin, 'YES', 90);
+    if (!refused || !refused.startsWith('Insufficient credits') || thin.totalVolume !== affordable.cost || thin.positions.dave.YES !== 90
+        || shares.getBalance('dave').credits !== cents(50 - affordable.cost) || shares.getHistory('dave').length !== 1) {
+        throw new Error(`Unfunded buy not refused: ${JSON.stringify({ refused, dave: shares.getBalance('dave') })}`);
+    }
+    console.log(`✅ 200 YES refused with 50 credits (${refused}); 90 YES bought for ${affordable.cost}`);
+
+    console.log('\n⭐⭐⭐ MARKET SETTLEMENT TEST PASSED');
+} catch (error) {
+    console.error('❌ Market settlement test failed:', error.message);
+    process.exitCode = 1;
+}
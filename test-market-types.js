@@ -0,0 +1,131 @@
+/*
+ * MIT License
+ * Copyright (c) 2026 ICRC Humanitarian Blockchain Project
+ */
+
+// test-market-types.js - Test script for categorical and scalar prediction markets
+const { PredictionMarket, MARKET_TYPES } = require('./contracts/market');
+const { ShareManager } = require('./contracts/shares');
+
+console.log('--- Starting Market Types Test ---');
+
+const HUBS = ['NAIROBI', 'GOMA', 'JUBA'];
+const categorical = (marketMaker = {}) => new PredictionMarket('MKT-HUB', 'Which hub will receive KIT-X first?', 'KIT-X', '2026-12-31T23:59:59Z', 'admin', marketMaker, { type: 'CATEGORICAL', outcomes: HUBS });
+const scalar = () => new PredictionMarket('MKT-LATE', 'How many days late will convoy C-7 be?', 'KIT-Y', '2026-12-31T23:59:59Z', 'admin', {}, { type: 'SCALAR', bounds: { min: 0, max: 10 } });
+const close = (a, b, tolerance = 1e-6) => Math.abs(a - b) <= tolerance * Math.max(1, Math.abs(b));
+const sumPrices = market => market.outcomes.reduce((sum, outcome) => sum + market.getPrice(outcome), 0);
+
+/**
+ * Runs a function that should throw
+ * @param {Function} attempt - The function
+ * @returns {string|null} The error message, or null if nothing was thrown
+ */
+function refusal(attempt) {
+    try {
+        attempt();
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+try {
+    // 1. A three-hub categorical market keeps the product of its pools and prices summing to 1
+    const hubs = categorical();
+    const pools = hubs.marketMaker.pools;
+    const k = pools.NAIROBI * pools.GOMA * pools.JUBA;
+    const bought = hubs.buyShares('alice', 'GOMA', 300);
+    const after = hubs.marketMaker.pools;
+    if (!close(after.NAIROBI * after.GOMA * after.JUBA, k) || !close(sumPrices(hubs), 1) || !(hubs.getPrice('GOMA') > 1 / 3) || !(hubs.getPrice('JUBA') < 1 / 3)) {
+        throw new Error(`Categorical pricing wrong: ${JSON.stringify(hubs.toJSON().prices)}`);
+    }
+    const sold = hubs.sellShares('alice', 'GOMA', 300);
+    if (Math.abs(sold.payout - bought.cost) > 0.01 || !close(hubs.getPrice('NAIROBI'), 1 / 3)) {
+        throw new Error(`Categorical round trip not neutral: paid ${bought.cost}, got back ${sold.payout}`);
+    }
+    console.log(`✅ Categorical CPMM over ${HUBS.join('/')}: 300 GOMA cost ${bought.cost}, sold back for ${sold.payout}; product and price sum kept`);
+
+    // 2. The LMSR engine takes any number of outcomes; its maximum loss grows with ln(N)
+    const lmsr = categorical({ type: 'LMSR', b: 40 });
+    lmsr.buyShares('bob', 'JUBA', 60);
+    const lmsrJSON = lmsr.toJSON();
+    if (!close(lmsrJSON.maxLoss, Math.round(40 * Math.log(3) * 100) / 100) || !close(sumPrices(lmsr), 1) || lmsrJSON.outcomes.join() !== HUBS.join() || !(lmsrJSON.prices.JUBA > lmsrJSON.prices.GOMA)) {
+        throw new Error(`Categorical LMSR wrong: ${JSON.stringify(lmsrJSON)}`);
+    }
+    console.log(`✅ Categorical LMSR (b=40): JUBA at ${lmsrJSON.prices.JUBA}, max loss ${lmsrJSON.maxLoss}`);
+
+    // 3. Scalar markets trade LONG/SHORT and report the value the price implies
+    const late = scalar();
+    late.buyShares('carol', 'LONG', 200);
+    late.buyShares('dave', 'SHORT', 50);
+    const lateJSON = late.toJSON();
+    if (lateJSON.outcomes.join() !== 'LONG,SHORT' || !(lateJSON.expectedValue > 5) || lateJSON.bounds.max !== 10) {
+        throw new Error(`Scalar market wrong: ${JSON.stringify(lateJSON)}`);
+    }
+    console.log(`✅ Scalar market 0-10 days: LONG buying moves the expected value to ${lateJSON.expectedValue}`);
+
+    // 4. Scalar payouts are linear between the bounds and clamped outside them
+    late.resolve(7);
+    const clamped = scalar();
+    clamped.resolve(15);
+    if (!close(late.payoutPerShare('LONG'), 0.7) || !close(late.payoutPerShare('SHORT'), 0.3) || clamped.payoutPerShare('LONG') !== 1 || clamped.payoutPerShare('SHORT') !== 0 || scalar().payoutPerShare('LONG') !== null) {
+        throw new Error('Scalar payouts wrong');
+    }
+    console.log('✅ Resolved at 7 days: LONG pays 0.7, SHORT 0.3; at 15 days LONG pays the full 1');
+
+    // 5. Resolution and trades only accept the market's own outcomes
+    const resolutions = [
+        refusal(() => categorical().resolve('YES')),
+        refusal(() => scalar().resolve('7')),
+        refusal(() => categorical().buyShares('erin', 'YES', 10)),
+        refusal(() => scalar().buyShares('erin', 'NO', 10))
+    ];
+    if (resolutions.some(message => !message)) {
+        throw new Error(`Foreign outcome accepted: ${JSON.stringify(resolutions)}`);
+    }
+    console.log('✅ Foreign outcomes refused:', resolutions[0]);
+
+    // 6. Malformed market definitions are refused; YES/NO stays the default
+    const definitions = [
+        { type: 'CATEGORICAL', outcomes: ['NAIROBI'] },
+        { type: 'CATEGORICAL', outcomes: ['GOMA', 'GOMA'] },
+        { type: 'CATEGORICAL' },
+        { type: 'SCALAR', bounds: { min: 10, max: 10 } },
+        { type: 'SCALAR' },
+        { type: 'RANGE' }
+    ].map(structure => refusal(() => new PredictionMarket('MKT-BAD', 'q', 'KIT-Z', '2026-12-31', 'admin', {}, structure)));
+    const binary = new PredictionMarket('MKT-BIN', 'q', 'KIT-Z', '2026-12-31', 'admin');
+    if (definitions.some(message => !message) || binary.type !== MARKET_TYPES.BINARY || binary.outcomes.join() !== 'YES,NO') {
+        throw new Error(`Malformed market accepted: ${JSON.stringify(definitions)}`);
+    }
+    console.log('✅ Malformed definitions refused:', definitions[0]);
+
+    // 7. Holdings, resolution and the leaderboard follow each market's outcomes
+    const shares = new ShareManager();
+    const hubMarket = categorical();
+    const convoy = scalar();
+    shares.buyShares('frank', hubMarket, 'NAIROBI', 100);
+    shares.buyShares('grace', hubMarket, 'JUBA', 100);
+    shares.buyShares('frank', convoy, 'SHORT', 80);
+    shares.buyShares('grace', convoy, 'LONG', 80);
+    const holdings = shares.getUserPositions('frank').holdings;
+    if (holdings['MKT-HUB'].NAIROBI !== 100 || holdings['MKT-HUB'].GOMA !== 0 || holdings['MKT-LATE'].SHORT !== 80) {
+        throw new Error(`Holdings not keyed by outcome: ${JSON.stringify(holdings)}`);
+    }
+    hubMarket.resolve('JUBA');
+    convoy.resolve(8);
+    ['frank', 'grace'].forEach(userId => {
+        shares.resolvePosition(userId, hubMarket);
+        shares.resolvePosition(userId, convoy);
+    });
+    const board = shares.getLeaderboard();
+    if (board[0].userId !== 'grace' || board[0].correctPredictions !== 2 || board[1].correctPredictions !== 0 || board[1].totalPredictions !== 2) {
+        throw new Error(`Unexpected leaderboard: ${JSON.stringify(board)}`);
+    }
+    console.log(`✅ Leaderboard: grace ${board[0].accuracy}% (JUBA, LONG at 8 days), frank ${board[1].accuracy}%`);
+
+    console.log('\n⭐⭐⭐ MARKET TYPES TEST PASSED');
+} catch (error) {
+    console.error('❌ Market types test failed:', error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,274 @@
+// test-p2p.js - Test script for ledger synchronization between hub nodes
+//
+// Part 1 wires three nodes together in-process to exercise validation and the fork rule.
+// Part 2 starts two real server.js processes on their own ports and ledger directories.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const axios = require('axios');
+const Blockchain = require('./contracts/ledger');
+const { MedicalKit } = require('./contracts/asset');
+const { MemoryStorage } = require('./storage');
+const { createBlock, signBlock, calculateBlockHash } = require('./contracts/block');
+const { IdentityRegistry } = require('./identity/registry');
+const { createKeystore } = require('./identity/keystore');
+const { PeerNode } = require('./services/p2p');
+const cryptoUtil = require('./identity/crypto-util');
+
+console.log('--- Starting P2P Synchronization Test ---');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'icrc-p2p-'));
+const hqKeys = cryptoUtil.generateKeyPair();
+const bootstrapActors = [{ actorId: 'icrc-hq', organizationId: 'ICRC', name: 'ICRC Headquarters', role: 'hq', publicKey: hqKeys.publicKey }];
+
+/**
+ * Builds an HQ-signed kit record
+ * @param {string} kitID - Kit identifier
+ * @returns {Object} The kit record
+ */
+function hqKit(kitID) {
+    return { ...new MedicalKit(kitID, 'Vaccine', 'Geneva', 4, 'Geneva Warehouse', hqKeys.privateKey).toObject(), actorId: 'icrc-hq' };
+}
+
+/**
+ * Creates in-process nodes that reach each other through a direct client
+ * @param {Array<string>} names - Node names, used as their peer URLs
+ * @param {Object} options - Extra PeerNode options
+ * @returns {Object} name -> { blockchain, peer, keys }
+ */
+function createNetwork(names, options = {}) {
+    const nodes = {};
+    const keys = names.map(() => cryptoUtil.generateKeyPair());
+    const client = {
+        height: async url => nodes[url].peer.status(),
+        blocks: async (url, from, limit) => nodes[url].peer.blocksFrom(from, limit),
+        announce: async (url, block, from) => nodes[url].peer.receiveAnnouncement(block, from)
+    };
+
+    names.forEach((name, i) => {
+        const blockchain = new Blockchain({ storage: new MemoryStorage(), signer: keys[i] });
+        const registry = new IdentityRegistry(blockchain, { bootstrapActors });
+        registry.rebuild();
+        const peer = new PeerNode({
+            blockchain,
+            registry,
+            createRegistry: chain => new IdentityRegistry(chain, { bootstrapActors }),
+            trustedValidators: keys.map(key => key.publicKey),
+            peers: names.filter(other => other !== name),
+            selfUrl: name,
+            client,
+            maxReorgDepth: 3,
+            orphanPath: path.join(tempDir, `${name}-orphans.jsonl`),
+            ...options
+        });
+        nodes[name] = { blockchain, peer, keys: keys[i] };
+    });
+
+    return nodes;
+}
+
+/**
+ * Polls until a condition holds
+ * @param {Function} condition - Async predicate
+ * @param {number} timeoutMs - How long to wait
+ * @returns {Promise<boolean>} Whether the condition held in time
+ */
+async function waitFor(condition, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        try {
+            if (await condition()) return true;
+        } catch (error) {
+            // Not ready yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    return false;
+}
+
+/**
+ * In-process checks: catch-up, rejected blocks and both fork rules
+ */
+async function testInProcess() {
+    const { a, b, c } = createNetwork(['a', 'b', 'c']);
+    const tip = node => node.blockchain.getLatestBlock().hash;
+
+    // 1. A fresh node catches up from a peer
+    a.blockchain.addBlock(hqKit('KIT-001'));
+    a.blockchain.addBlock(hqKit('KIT-002'));
+    await b.peer.syncWithPeer('a');
+    if (b.blockchain.height() !== 2 || tip(b) !== tip(a)) throw new Error('Node B did not catch up with A');
+    console.log('✅ A fresh node downloads and checks a peer\'s chain');
+
+    // 2. A block announced to a peer that is in sync is appended directly
+    const announced = a.blockchain.addBlock(hqKit('KIT-003'));
+    if (b.peer.receiveAnnouncement(announced, 'a').status !== 'appended' || tip(b) !== tip(a)) {
+        throw new Error('Announced block was not appended');
+    }
+    console.log('✅ Announced block extends the peer\'s chain');
+
+    // 3. Tampered blocks, untrusted validators and forged records are rejected
+    const next = a.blockchain.addBlock(hqKit('KIT-004'));
+    const tampered = { ...next, data: { ...next.data, temperature: 25 } };
+    const outsider = cryptoUtil.generateKeyPair();
+    const untrusted = signBlock({ ...next }, outsider);
+    const forgedKit = { ...hqKit('KIT-004'), signature: cryptoUtil.signData('forged', outsider.privateKey) };
+    const forged = signBlock(createBlock({ index: next.index, previousHash: next.previousHash, data: forgedKit }), a.keys);
+    const results = [tampered, untrusted, forged].map(block => b.peer.receiveAnnouncement(block, 'a').status);
+    if (results.some(status => status !== 'rejected') || b.blockchain.height() !== 3) {
+        throw new Error(`Bad blocks were not rejected: ${results}`);
+    }
+    console.log('✅ Tampered blocks, untrusted validators and forged record signatures are rejected');
+
+    // An unsigned legacy block is never taken from a peer, even as the first block of a fresh node
+    const { d } = createNetwork(['d']);
+    const legacy = { index: 0, timestamp: new Date().toISOString(), data: hqKit('KIT-009'), previousHash: '0'.repeat(64) };
+    legacy.hash = calculateBlockHash(legacy);
+    const legacyResult = d.peer.receiveAnnouncement(legacy, 'a');
+    if (legacyResult.status !== 'rejected' || d.blockchain.height() !== 0) {
+        throw new Error(`Unsigned legacy block was accepted from a peer: ${JSON.stringify(legacyResult)}`);
+    }
+    console.log('✅ Unsigned legacy block from a peer rejected');
+    await b.peer.syncWithPeer('a');
+
+    // 4. Longest chain wins: C forks by one block, A is two ahead; C's block goes to the orphan log
+    await c.peer.syncWithPeer('a');
+    a.blockchain.addBlock(hqKit('KIT-005'));
+    a.blockchain.addBlock(hqKit('KIT-006'));
+    const lost = c.blockchain.addBlock(hqKit('KIT-C'));
+    await a.peer.syncWithPeer('c');
+    if (a.blockchain.height() !== 6) throw new Error('Longer chain adopted a shorter fork');
+    const result = await c.peer.syncWithPeer('a');
+    if (result.reorgedFrom !== 4 || tip(c) !== tip(a)) throw new Error('Shorter fork was not replaced by the longer chain');
+    const orphans = fs.readFileSync(path.join(tempDir, 'c-orphans.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    if (orphans.length !== 1 || orphans[0].block.hash !== lost.hash) throw new Error('Lost block missing from the orphan log');
+    console.log('✅ Longest valid chain wins; the losing block is kept in the orphan log');
+
+    // 5. Equal length: both nodes settle on the branch whose first block has the lower hash
+    await b.peer.syncWithPeer('a');
+    const fromA = a.blockchain.addBlock(hqKit('KIT-007'));
+    const fromB = b.blockchain.addBlock(hqKit('KIT-008'));
+    await a.peer.syncWithPeer('b');
+    await b.peer.syncWithPeer('a');
+    const winner = fromA.hash < fromB.hash ? fromA.hash : fromB.hash;
+    if (tip(a) !== winner || tip(b) !== winner) throw new Error('Equal-length fork did not converge on the lower hash');
+    console.log('✅ Equal-length fork converges on the lower block hash');
+
+    // 6. Forks deeper than maxReorgDepth are left alone
+    await c.peer.syncWithPeer('a');
+    for (let i = 0; i < 4; i++) c.blockchain.addBlock(hqKit(`KIT-C${i}`));
+    for (let i = 0; i < 6; i++) a.blockchain.addBlock(hqKit(`KIT-A${i}`));
+    const heightBefore = c.blockchain.height();
+    let refused = false;
+    try {
+        await c.peer.syncWithPeer('a');
+    } catch (error) {
+        refused = error.message.includes('deep');
+    }
+    if (!refused || c.blockchain.height() !== heightBefore) throw new Error('Deep fork was not refused');
+    console.log('✅ Forks deeper than maxReorgDepth are refused');
+
+    // Hashes are recomputed, not trusted: the block still audits after all the syncing
+    if (calculateBlockHash(b.blockchain.getLatestBlock()) !== tip(b)) throw new Error('Synced tip does not hash correctly');
+}
+
+/**
+ * Starts server.js with its own port, ledger directory and keystore
+ * @param {string} name - Node name
+ * @param {number} port - HTTP port
+ * @param {Object} env - Extra environment
+ * @returns {Object} The child process
+ */
+function startServer(name, port, env) {
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: __dirname,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            LEDGER_PATH: path.join(tempDir, name, 'ledger'),
+            KEYSTORE_PATH: path.join(tempDir, name, 'keystore.json'),
+            KEYSTORE_PASSPHRASE: 'p2p-test',
+            JWT_SECRET: 'p2p-test',
+            P2P_SELF_URL: `http://localhost:${port}`,
+            P2P_SYNC_INTERVAL_SECONDS: '1',
+            ...env
+        },
+        stdio: ['ignore', 'ignore', 'pipe']
+    });
+    child.stderr.on('data', data => process.stderr.write(`[${name}] ${data}`));
+    return child;
+}
+
+/**
+ * Two server processes: blocks written on either node reach the other
+ */
+async function testProcesses() {
+    const nodeKeys = ['a', 'b'].map(name => createKeystore(path.join(tempDir, name, 'keystore.json'), 'p2p-test'));
+    const ports = [3101, 3102];
+    const urls = ports.map(port => `http://localhost:${port}`);
+    const shared = {
+        API_KEYS: 'ops:admin:ops-key,hub-laptop:hub-operator:hub-key,peer-node:peer:peer-key',
+        P2P_API_KEY: 'peer-key',
+        TRUSTED_VALIDATORS: nodeKeys.map(keys => keys.publicKey).join(','),
+        HQ_PUBLIC_KEY: nodeKeys[0].publicKey
+    };
+    const headers = { 'X-API-Key': 'ops-key' };
+    const children = [
+        startServer('a', ports[0], { ...shared, P2P_PEERS: urls[1] }),
+        startServer('b', ports[1], { ...shared, P2P_PEERS: urls[0] })
+    ];
+
+    try {
+        const up = await waitFor(async () => (await Promise.all(urls.map(url => axios.get(`${url}/health`)))).length === 2, 15000);
+        if (!up) throw new Error('Server processes did not start');
+
+        // HQ (node A) registers a driver; the registration reaches node B
+        const driverKeys = cryptoUtil.generateKeyPair();
+        await axios.post(`${urls[0]}/identities/organizations`, { organizationId: 'MSF', name: 'MSF Logistique' }, { headers });
+        await axios.post(`${urls[0]}/identities/actors`, {
+            actorId: 'driver-007', organizationId: 'MSF', name: 'Convoy driver', role: 'driver', publicKey: driverKeys.publicKey
+        }, { headers });
+        const synced = await waitFor(async () => (await axios.get(`${urls[1]}/identities/actors/driver-007`)).status === 200, 10000);
+        if (!synced) throw new Error('Node B never learned about driver-007');
+        console.log('✅ Identity records written on node A reach node B');
+
+        // The driver submits a client-signed kit to node B; it reaches node A
+        const timestamp = new Date().toISOString();
+        const kit = { kitID: 'KIT-P2P', type: 'Surgical', origin: 'Goma', temperature: 20, location: 'Goma Hub', timestamp, actorId: 'driver-007' };
+        kit.signature = cryptoUtil.signData(`${kit.kitID}${kit.type}${kit.origin}${kit.temperature}${kit.location}${kit.timestamp}`, driverKeys.privateKey);
+        await axios.post(`${urls[1]}/add-kit`, kit, { headers });
+        const reached = await waitFor(async () => (await axios.get(`${urls[0]}/kits/KIT-P2P/state`)).status === 200, 10000);
+        if (!reached) throw new Error('Kit written on node B never reached node A');
+
+        const [heightA, heightB] = await Promise.all(urls.map(async url => (await axios.get(`${url}/p2p/height`)).data));
+        if (heightA.tipHash !== heightB.tipHash) throw new Error('Nodes ended on different tips');
+        const audit = (await axios.get(`${urls[0]}/audit`)).data;
+        if (audit.status !== 'Secure') throw new Error(`Node A audit after sync: ${audit.status} ${audit.message}`);
+        console.log(`✅ Kit written on node B reaches node A; both at height ${heightA.height}, audit ${audit.status}`);
+
+        // Only an admin may have an unsigned kit signed with the HQ key
+        const unsigned = { kitID: 'KIT-HQ', type: 'Surgical', origin: 'Geneva', temperature: 20, location: 'Geneva Warehouse' };
+        const asHub = await axios.post(`${urls[0]}/add-kit`, unsigned, { headers: { 'X-API-Key': 'hub-key' }, validateStatus: () => true });
+        const asAdmin = await axios.post(`${urls[0]}/add-kit`, unsigned, { headers, validateStatus: () => true });
+        if (asHub.status !== 403 || asAdmin.status !== 201 || asAdmin.data.kit.actorId !== 'icrc-hq') {
+            throw new Error(`Unsigned kit: hub-operator got ${asHub.status}, admin got ${asAdmin.status}`);
+        }
+        console.log(`✅ Unsigned kit refused for a hub-operator (${asHub.data.message}); signed as icrc-hq for an admin`);
+    } finally {
+        children.forEach(child => child.kill());
+    }
+}
+
+(async () => {
+    try {
+        await testInProcess();
+        await testProcesses();
+        console.log('\n⭐⭐⭐ P2P SYNCHRONIZATION TEST PASSED');
+    } catch (error) {
+        console.error('❌ P2P test failed:', error.response ? JSON.stringify(error.response.data) : error.message);
+        process.exitCode = 1;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+})();
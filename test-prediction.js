@@ -24,7 +24,7 @@ console.log('✅ Market Created:', market.marketID);
 console.log('   Question:', market.question);
 console.log('   Kit ID:', market.kitID);
 console.log('   Deadline:', market.deadline);
-console.log('   Initial Pool - YES:', market.outcomes.YES, 'NO:', market.outcomes.NO);
+console.log('   Initial Pool - YES:', market.marketMaker.pools.YES, 'NO:', market.marketMaker.pools.NO);
 console.log('');
 
 // Test 2: Get market probabilities
@@ -0,0 +1,119 @@
+// test-storage.js - Test script for the pluggable ledger storage backends
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Blockchain = require('./contracts/ledger');
+const { FileStorage, MemoryStorage, SegmentStorage } = require('./storage');
+
+console.log('--- Starting Ledger Storage Test ---');
+
+function checkBackend(name, storage) {
+    const ledger = new Blockchain({ storage });
+
+    ledger.addBlock({ kitID: 'KIT-001', temperature: 4, location: 'Geneva Warehouse' });
+    ledger.addBlock({ kitID: 'KIT-001', temperature: 5, location: 'Nairobi Hub' });
+    ledger.addBlock({ kitID: 'KIT-002', temperature: 6, location: 'Kigali Warehouse' });
+
+    if (storage.height() !== 3) {
+        throw new Error(`${name}: expected height 3, got ${storage.height()}`);
+    }
+
+    const latest = ledger.getLatestBlock();
+    if (latest.index !== 2 || latest.previousHash !== storage.getBlock(1).hash) {
+        throw new Error(`${name}: latest block is not linked to block 1`);
+    }
+
+    const middle = Array.from(storage.iterate(1, 2));
+    if (middle.length !== 1 || middle[0].data.location !== 'Nairobi Hub') {
+        throw new Error(`${name}: iterate(1, 2) returned the wrong blocks`);
+    }
+
+    try {
+        storage.append({ ...latest, index: 7 });
+        throw new Error(`${name}: out-of-order append was accepted`);
+    } catch (error) {
+        if (!error.message.startsWith('Cannot append block')) throw error;
+    }
+
+    console.log(`✅ ${name}: height, getBlock, iterate and append behave correctly`);
+}
+
+/**
+ * Truncates a three-or-more block chain back to one block and checks that appends relink
+ * @param {string} name - Backend name for messages
+ * @param {Object} storage - Storage holding at least three blocks
+ * @param {Function} reopen - Opens the same ledger again, or null for in-memory storage
+ */
+function checkTruncate(name, storage, reopen) {
+    storage.truncate(1);
+    const ledger = new Blockchain({ storage });
+    ledger.addBlock({ kitID: 'KIT-009', temperature: 4, location: 'Juba Hub' });
+    if (storage.height() !== 2 || storage.getBlock(1).previousHash !== storage.getBlock(0).hash) {
+        throw new Error(`${name}: block appended after truncate is not linked to block 0`);
+    }
+    if (reopen) {
+        if (storage.close) storage.close();
+        const reopened = reopen();
+        if (reopened.height() !== 2 || reopened.getBlock(1).data.kitID !== 'KIT-009') {
+            throw new Error(`${name}: truncated chain did not survive a reopen`);
+        }
+        if (reopened.close) reopened.close();
+    }
+    console.log(`✅ ${name}: truncate drops the tip and appends continue from the new height`);
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'icrc-ledger-'));
+
+try {
+    checkBackend('MemoryStorage', new MemoryStorage());
+    checkBackend('FileStorage', new FileStorage(tempDir));
+
+    // A fresh FileStorage must pick up the existing chain from disk
+    const reopened = new FileStorage(tempDir);
+    if (reopened.height() !== 3) {
+        throw new Error(`FileStorage: reopened height is ${reopened.height()}, expected 3`);
+    }
+    console.log('✅ FileStorage: height recovered after reopening the ledger directory');
+
+    // Tiny segments force a rotation on every block
+    const segmentDir = path.join(tempDir, 'segment-log');
+    const segments = new SegmentStorage(segmentDir, { segmentMaxBytes: 64 });
+    checkBackend('SegmentStorage', segments);
+    segments.close();
+
+    const segmentFiles = fs.readdirSync(path.join(segmentDir, 'segments'));
+    if (segmentFiles.length !== 3) {
+        throw new Error(`SegmentStorage: expected 3 rotated segments, found ${segmentFiles.length}`);
+    }
+    console.log('✅ SegmentStorage: segments rotate at the configured size');
+
+    // Simulate a crash mid-append: half a block in the segment and a torn index entry
+    fs.appendFileSync(path.join(segmentDir, 'segments', segmentFiles[2]), '{"index":3,"trunc');
+    fs.appendFileSync(path.join(segmentDir, 'blocks.idx'), Buffer.from([0, 0, 0, 2, 0, 0]));
+
+    const recovered = new SegmentStorage(segmentDir);
+    if (recovered.height() !== 3 || recovered.getBlock(2).data.kitID !== 'KIT-002') {
+        throw new Error('SegmentStorage: chain not recovered after an interrupted append');
+    }
+    const recoveredLedger = new Blockchain({ storage: recovered });
+    recoveredLedger.addBlock({ kitID: 'KIT-003', temperature: 3, location: 'Cairo Hub' });
+    if (recovered.getBlock(3).previousHash !== recovered.getBlock(2).hash) {
+        throw new Error('SegmentStorage: block appended after recovery is not linked');
+    }
+    recovered.close();
+    console.log('✅ SegmentStorage: torn writes discarded on reopen and appends continue');
+
+    // Fork resolution rolls the chain back before adopting a peer's blocks
+    const memory = new MemoryStorage();
+    checkBackend('MemoryStorage', memory);
+    checkTruncate('MemoryStorage', memory, null);
+    checkTruncate('FileStorage', new FileStorage(tempDir), () => new FileStorage(tempDir));
+    checkTruncate('SegmentStorage', new SegmentStorage(segmentDir), () => new SegmentStorage(segmentDir));
+
+    console.log('⭐⭐⭐ STORAGE TEST PASSED');
+} catch (error) {
+    console.error('❌ Storage Test Failed:', error.message);
+    process.exitCode = 1;
+} finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+}
@@ -20,4 +20,35 @@ const invalidValidationResult = validateMedicalKit(invalidKit.toObject(), keys.p
 
 console.log('Invalid kit validation result:', invalidValidationResult);
 
-console.log('--- Validation Test Complete ---');
\ No newline at end of file
+// Rule profiles are picked by kit type: frozen vaccines need -25 to -15°C, surgical kits are ambient
+const frozenKit = new MedicalKit("KIT-003", "Frozen Vaccine", "Geneva HQ", 4, "Warehouse", keys.privateKey);
+console.log('Frozen vaccine at 4°C:', validateMedicalKit(frozenKit.toObject(), keys.publicKey).errors);
+
+const surgicalKit = new MedicalKit("KIT-004", "Surgical", "Geneva HQ", 22, "Warehouse", keys.privateKey);
+console.log('Surgical kit at 22°C:', validateMedicalKit(surgicalKit.toObject(), keys.publicKey));
+
+console.log('--- Validation Test Complete ---');
+
+// Lifecycle events and the kit state machine
+const { validateEvent, checkTransition, deriveKitStatus } = require('./contracts/rules');
+const { KitEvent } = require('./contracts/events');
+
+console.log('\n--- Testing Kit Lifecycle Events ---');
+
+const dispatched = new KitEvent("KIT-001", "DISPATCHED", { from: "Geneva HQ", to: "Nairobi Hub" }, keys.privateKey);
+console.log('DISPATCHED event validation result:', validateEvent(dispatched.toObject(), keys.publicKey));
+
+const malformed = new KitEvent("KIT-001", "TEMPERATURE_READING", { temperature: "cold" }, keys.privateKey);
+console.log('Malformed TEMPERATURE_READING validation result:', validateEvent(malformed.toObject(), keys.publicKey));
+
+const history = [
+    validKit.toObject(),
+    dispatched.toObject(),
+    new KitEvent("KIT-001", "DESTROYED", { reason: "Crushed in transit", location: "Nairobi Hub" }, keys.privateKey).toObject()
+];
+const status = deriveKitStatus(history);
+console.log('Status after REGISTERED -> DISPATCHED -> DESTROYED:', status);
+console.log('Dispense a destroyed kit:', checkTransition(status, 'DISPENSED'));
+console.log('Receive a kit that was never dispatched:', checkTransition('REGISTERED', 'RECEIVED'));
+
+console.log('--- Lifecycle Test Complete ---');
@@ -0,0 +1,72 @@
+// test-world-state.js - Test script for the current-state kit projection
+const Blockchain = require('./contracts/ledger');
+const { MemoryStorage } = require('./storage');
+const { MedicalKit } = require('./contracts/asset');
+const { KitEvent, countersignHandover } = require('./contracts/events');
+const { WorldState } = require('./contracts/world-state');
+const cryptoUtil = require('./identity/crypto-util');
+
+console.log('--- Starting World State Projection Test ---');
+
+const keys = cryptoUtil.generateKeyPair();
+const ledger = new Blockchain({ storage: new MemoryStorage() });
+const worldState = new WorldState(ledger);
+worldState.rebuild();
+
+try {
+    // 1. Registration and lifecycle events update the projection as blocks are appended
+    ledger.addBlock(new MedicalKit('KIT-001', 'Vaccine', 'Geneva HQ', 4, 'Geneva Warehouse', keys.privateKey).toObject());
+    ledger.addBlock(new MedicalKit('KIT-002', 'Insulin', 'Geneva HQ', 5, 'Geneva Warehouse', keys.privateKey).toObject());
+    ledger.addBlock([
+        new KitEvent('KIT-001', 'DISPATCHED', { from: 'Geneva Warehouse', to: 'Nairobi Hub' }, keys.privateKey).toObject(),
+        new KitEvent('KIT-002', 'TEMPERATURE_READING', { temperature: 11 }, keys.privateKey).toObject()
+    ]);
+    ledger.addBlock(new KitEvent('KIT-001', 'RECEIVED', { location: 'Nairobi Hub', temperature: 6 }, keys.privateKey).toObject());
+    ledger.addBlock(countersignHandover(new KitEvent('KIT-001', 'HANDOVER', { fromCustodian: 'Geneva HQ', toCustodian: 'Nairobi Hub Pharmacy', location: 'Nairobi Hub' }, keys.privateKey).toObject(), keys.privateKey, 'Nairobi Hub Pharmacy'));
+
+    const kit1 = worldState.get('KIT-001');
+    if (kit1.status !== 'IN_STOCK' || kit1.location !== 'Nairobi Hub' || kit1.custodian !== 'Nairobi Hub Pharmacy'
+        || kit1.lastTemperature !== 6 || kit1.lastUpdatedBlock !== 4) {
+        throw new Error(`Unexpected KIT-001 state: ${JSON.stringify(kit1)}`);
+    }
+    console.log('✅ KIT-001:', kit1.status, '@', kit1.location, '- custodian', kit1.custodian);
+
+    // 2. Filters
+    const compromised = worldState.query({ outOfCompliance: true });
+    if (compromised.length !== 1 || compromised[0].kitID !== 'KIT-002') {
+        throw new Error('outOfCompliance filter returned the wrong kits');
+    }
+    if (worldState.query({ location: 'nairobi', status: 'IN_STOCK' }).length !== 1) {
+        throw new Error('location/status filters returned the wrong kits');
+    }
+    console.log('✅ Filters: out-of-compliance =', compromised.map(kit => kit.kitID).join(', '));
+
+    // 3. A full rebuild gives the same state as incremental updates
+    const incremental = JSON.stringify(worldState.query());
+    worldState.rebuild();
+    if (JSON.stringify(worldState.query()) !== incremental) {
+        throw new Error('Rebuilt projection differs from the incremental one');
+    }
+    console.log('✅ Rebuild from the chain matches the incremental projection');
+
+    // 4. Cumulative time out of range marks a kit COMPROMISED once over its profile budget (Vaccine: 30 min)
+    const at = minutes => new Date(Date.UTC(2026, 1, 20, 8, minutes)).toISOString();
+    ledger.addBlock(new KitEvent('KIT-005', 'REGISTERED', { type: 'Vaccine', origin: 'Geneva HQ', location: 'Geneva Warehouse', temperature: 5 }, keys.privateKey, at(0)).toObject());
+    ledger.addBlock(new KitEvent('KIT-005', 'TEMPERATURE_EXCURSION', { temperature: 12, profile: 'Vaccine', minTemp: 2, maxTemp: 8 }, keys.privateKey, at(10)).toObject());
+    ledger.addBlock(new KitEvent('KIT-005', 'TEMPERATURE_READING', { temperature: 6 }, keys.privateKey, at(30)).toObject());
+    if (worldState.get('KIT-005').compromised) throw new Error('KIT-005 compromised after only 20 minutes');
+
+    ledger.addBlock(new KitEvent('KIT-005', 'TEMPERATURE_EXCURSION', { temperature: 10, profile: 'Vaccine', minTemp: 2, maxTemp: 8 }, keys.privateKey, at(40)).toObject());
+    ledger.addBlock(new KitEvent('KIT-005', 'TEMPERATURE_READING', { temperature: 5 }, keys.privateKey, at(55)).toObject());
+
+    const kit5 = worldState.get('KIT-005');
+    if (kit5.status !== 'COMPROMISED' || kit5.excursion.minutesOutOfRange !== 35 || kit5.excursion.readings.length !== 2) {
+        throw new Error(`Unexpected KIT-005 excursion state: ${JSON.stringify(kit5.excursion)}`);
+    }
+    console.log('✅ KIT-005 COMPROMISED after', kit5.excursion.minutesOutOfRange, 'min out of range, at block', kit5.excursion.compromisedAtBlock);
+
+    console.log('⭐⭐⭐ WORLD STATE TEST PASSED');
+} catch (error) {
+    console.error('❌ World State Test Failed:', error.message);
+    process.exitCode = 1;
+}